@@ -0,0 +1,34 @@
+const store = require('../storage');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Require a valid `Authorization: Bearer <token>` header of an existing user and expose req.user.
+// Access tokens outlive a deleted account, so the user is looked up on every request.
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({ error: expired ? 'Token expired' : 'Invalid token' });
+  }
+
+  try {
+    if (!(await store.users.findById(payload.sub))) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+  req.user = { id: payload.sub };
+  next();
+};
+
+module.exports = { authenticate };
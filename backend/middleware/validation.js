@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+
+// Respond with 400 and the express-validator errors, if any
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { handleValidationErrors };
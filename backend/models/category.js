@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { CATEGORY_KEY_PATTERN, mergeCategories } = require('../utils/categories');
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  key: {
+    type: String, // stable slug stored on entries and rules
+    required: true,
+    match: CATEGORY_KEY_PATTERN
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  color: {
+    type: String,
+    required: true,
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  weight: {
+    type: Number, // contribution to the productivity score; null = not scored
+    min: 0,
+    max: 1,
+    default: null
+  },
+  modifiedAt: {
+    type: Date, // when the definition last changed on any device; the latest change wins a sync
+    default: Date.now
+  },
+  deletedAt: {
+    type: Date // set when deleted (or, for a built-in, reset), so other devices learn of it
+  }
+}, {
+  collection: 'categories',
+  timestamps: true
+});
+
+categorySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Built-in categories merged with the user's definitions
+categorySchema.statics.forUser = async function (userId) {
+  const custom = await this.find({ userId, deletedAt: null }).sort({ createdAt: 1 });
+  return mergeCategories(custom);
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { RULE_TYPES, MAX_PATTERN_LENGTH } = require('../utils/categoryRules');
+
+const categoryRuleSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: true
+  },
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_PATTERN_LENGTH
+  },
+  domain: {
+    type: String, // optional site restriction for regex and title rules
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  position: {
+    type: Number, // order within the user's rule list, breaks priority ties
+    default: 0
+  }
+}, {
+  collection: 'category_rules',
+  timestamps: true
+});
+
+categoryRuleSchema.methods.toRule = function () {
+  const { type, pattern, domain, category, priority } = this;
+  return domain ? { type, pattern, domain, category, priority } : { type, pattern, category, priority };
+};
+
+// The user's rules as plain objects, in list order
+categoryRuleSchema.statics.forUser = async function (userId) {
+  const docs = await this.find({ userId }).sort({ position: 1 });
+  return docs.map(doc => doc.toRule());
+};
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Time entry totals per user, day, site, category, project, manual flag and device,
+// maintained by storage/rollups.js so analytics don't have to scan raw entries
+const dailyRollupSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  day: {
+    type: String, // YYYY-MM-DD, the `day` of the entries
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  hostname: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  project: {
+    type: String, // id of a Project; null for entries without one
+    default: null
+  },
+  manual: {
+    type: Boolean,
+    default: false
+  },
+  device: {
+    type: String, // deviceId the entries came from; null for entries sent without one
+    default: null
+  },
+  totalTime: {
+    type: Number, // seconds
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'daily_rollups',
+  timestamps: true
+});
+
+dailyRollupSchema.index({ userId: 1, day: 1, hostname: 1, category: 1, project: 1, manual: 1, device: 1 }, { unique: true });
+dailyRollupSchema.index({ userId: 1, category: 1, day: 1 });
+dailyRollupSchema.index({ userId: 1, project: 1, day: 1 });
+
+module.exports = mongoose.model('DailyRollup', dailyRollupSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { DEVICE_ID_PATTERN } = require('../utils/devices');
+
+// A browser the user syncs from, registered by POST /api/sync
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  deviceId: {
+    type: String, // chosen by the extension; stored on the entries it uploads as `device`
+    required: true,
+    match: DEVICE_ID_PATTERN
+  },
+  name: {
+    type: String, // e.g. "Work laptop"
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  browser: {
+    type: String, // e.g. "Chrome 126"
+    trim: true,
+    maxlength: 60
+  },
+  lastSeenAt: {
+    type: Date, // last sync
+    default: Date.now
+  }
+}, {
+  collection: 'devices',
+  timestamps: true
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Device', deviceSchema);
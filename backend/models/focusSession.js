@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const focusSessionSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  clientId: {
+    type: String, // generated by the extension so replayed uploads can be deduplicated
+    required: true,
+    trim: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'abandoned'],
+    required: true
+  },
+  focusMinutes: {
+    type: Number, // length of each focus round
+    required: true,
+    min: 1
+  },
+  breakMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cycles: {
+    type: Number, // planned focus rounds
+    required: true,
+    min: 1
+  },
+  completedCycles: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  focusTime: {
+    type: Number, // seconds spent in focus rounds
+    min: 0,
+    default: 0
+  },
+  blockedAttempts: {
+    type: Number, // navigations redirected to the "stay focused" page
+    min: 0,
+    default: 0
+  }
+}, {
+  collection: 'focus_sessions',
+  timestamps: true
+});
+
+focusSessionSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+focusSessionSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('FocusSession', focusSessionSchema);
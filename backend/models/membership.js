@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Owners manage the team and its members, admins manage members and the
+// invite code, members can only see the team's aggregate analytics
+const ROLES = ['owner', 'admin', 'member'];
+
+const membershipSchema = new mongoose.Schema({
+  teamId: {
+    type: String, // id of the Team
+    required: true
+  },
+  userId: {
+    type: String, // id of the member's User
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  shareDetail: {
+    type: Boolean, // opt-in: show this member's own totals in team analytics
+    default: false
+  }
+}, {
+  collection: 'memberships',
+  timestamps: true
+});
+
+membershipSchema.index({ teamId: 1, userId: 1 }, { unique: true });
+membershipSchema.index({ userId: 1 });
+
+membershipSchema.statics.ROLES = ROLES;
+
+// The user's membership of a team, or null
+membershipSchema.statics.of = function (teamId, userId) {
+  return this.findOne({ teamId, userId });
+};
+
+membershipSchema.methods.canManage = function () {
+  return this.role === 'owner' || this.role === 'admin';
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
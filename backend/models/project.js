@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { RULE_TYPES, MAX_PATTERN_LENGTH } = require('../utils/categoryRules');
+
+const projectRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RULE_TYPES,
+    required: true
+  },
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_PATTERN_LENGTH
+  },
+  domain: {
+    type: String, // optional site restriction for regex and title rules
+    trim: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  name: {
+    type: String, // also used as a tag, e.g. the client the time is billed to
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  color: {
+    type: String,
+    required: true,
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  rules: {
+    type: [projectRuleSchema], // pages matching any of these are assigned to the project
+    default: []
+  }
+}, {
+  collection: 'projects',
+  timestamps: true
+});
+
+projectSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// The user's projects, by name
+projectSchema.statics.forUser = function (userId) {
+  return this.find({ userId }).sort({ name: 1 }).lean();
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const recategorizeJobSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startDate: {
+    type: Date // null: from the first entry
+  },
+  endDate: {
+    type: Date // null: up to now
+  },
+  scanned: {
+    type: Number, // entries checked so far
+    default: 0
+  },
+  updated: {
+    type: Number, // entries whose category changed
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  collection: 'recategorize_jobs',
+  timestamps: true
+});
+
+recategorizeJobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecategorizeJob', recategorizeJobSchema);
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  inviteCode: {
+    type: String, // shared with new members to join; regenerating it revokes the old one
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: String, // id of the User who created the team
+    required: true
+  }
+}, {
+  collection: 'teams',
+  timestamps: true
+});
+
+// Random URL-safe code that is hard to guess
+teamSchema.statics.generateInviteCode = function () {
+  return crypto.randomBytes(9).toString('base64url');
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const { DEVICE_ID_PATTERN } = require('../utils/devices');
 
 const timeEntrySchema = new mongoose.Schema({
   hostname: {
@@ -20,18 +22,63 @@ const timeEntrySchema = new mongoose.Schema({
     min: 1
   },
   category: {
-    type: String,
-    enum: ['productive', 'unproductive', 'neutral'],
+    type: String, // key of a built-in or user-defined category
+    match: CATEGORY_KEY_PATTERN,
     required: true
   },
   timestamp: {
-    type: Date,
+    type: Date, // when the session ended (save time for entries sent without endedAt)
     required: true,
     default: Date.now
   },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  day: {
+    type: String, // YYYY-MM-DD in the timezone and day start below; see utils/days.js
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  timezone: {
+    type: String
+  },
+  dayStartHour: {
+    type: Number,
+    min: 0,
+    max: 23
+  },
+  tabId: {
+    type: Number // browser tab the session was tracked in
+  },
+  windowId: {
+    type: Number
+  },
+  project: {
+    type: String // id of one of the user's Projects
+  },
+  manual: {
+    type: Boolean, // logged by hand (meetings, calls, offline work) rather than tracked in a tab
+    default: false
+  },
+  description: {
+    type: String, // what a manual entry was for
+    trim: true,
+    maxlength: 500
+  },
+  clientId: {
+    type: String, // generated by the extension so replayed uploads can be deduplicated
+    trim: true
+  },
+  device: {
+    type: String, // deviceId of the browser that sent the entry (see models/device.js)
+    match: DEVICE_ID_PATTERN
+  },
   userId: {
-    type: String, // You can change this to ObjectId and link to a User model later
-    default: null
+    type: String, // id of the owning User
+    required: true,
+    index: true
   },
   updatedAt: {
     type: Date
@@ -41,4 +88,16 @@ const timeEntrySchema = new mongoose.Schema({
   timestamps: true
 });
 
+timeEntrySchema.index({ userId: 1, timestamp: -1 });
+timeEntrySchema.index({ userId: 1, hostname: 1, timestamp: -1 });
+timeEntrySchema.index({ userId: 1, startedAt: 1 });
+timeEntrySchema.index({ userId: 1, day: 1 });
+timeEntrySchema.index({ userId: 1, project: 1 });
+timeEntrySchema.index({ userId: 1, device: 1, timestamp: -1 });
+
+timeEntrySchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const LIMIT_TYPES = ['site', 'category'];
+
+const timeLimitSchema = new mongoose.Schema({
+  userId: {
+    type: String, // id of the owning User
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: LIMIT_TYPES,
+    required: true
+  },
+  target: {
+    type: String, // hostname for site limits, category key for category limits
+    required: true,
+    trim: true,
+    maxlength: 253
+  },
+  minutes: {
+    type: Number, // daily budget
+    required: true,
+    min: 1,
+    max: 1440
+  },
+  block: {
+    type: Boolean, // block matching pages once the budget is used up
+    default: false
+  },
+  position: {
+    type: Number, // order within the user's limit list
+    default: 0
+  }
+}, {
+  collection: 'time_limits',
+  timestamps: true
+});
+
+timeLimitSchema.methods.toLimit = function () {
+  const { type, target, minutes, block } = this;
+  return { type, target, minutes, block };
+};
+
+// The user's limits as plain objects, in list order
+timeLimitSchema.statics.forUser = async function (userId) {
+  const docs = await this.find({ userId }).sort({ position: 1 });
+  return docs.map(doc => doc.toLimit());
+};
+
+timeLimitSchema.statics.LIMIT_TYPES = LIMIT_TYPES;
+
+module.exports = mongoose.model('TimeLimit', timeLimitSchema);
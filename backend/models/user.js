@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { DEFAULT_DAY_SETTINGS } = require('../utils/days');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String, // bcrypt hash (utils/users.js), never returned by the API
+    required: true,
+    minlength: 8
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  tokenVersion: {
+    type: Number, // bumped to revoke every outstanding refresh token
+    default: 0
+  },
+  settings: {
+    timezone: {
+      type: String, // IANA name days are counted in
+      default: DEFAULT_DAY_SETTINGS.timezone
+    },
+    dayStartHour: {
+      type: Number, // hour (0–23) at which a new day begins
+      min: 0,
+      max: 23,
+      default: DEFAULT_DAY_SETTINGS.dayStartHour
+    }
+  },
+  syncedSettings: {
+    type: mongoose.Schema.Types.Mixed, // extension settings shared by devices: { name: { value, modifiedAt } }
+    default: {}
+  }
+}, {
+  collection: 'users',
+  timestamps: true
+});
+
+// { timezone, dayStartHour } of a user, with defaults for accounts that never set them
+userSchema.statics.daySettings = async function (userId) {
+  const user = await this.findById(userId, { settings: 1 }).lean();
+  const { timezone, dayStartHour } = { ...DEFAULT_DAY_SETTINGS, ...(user && user.settings) };
+  return { timezone, dayStartHour };
+};
+
+module.exports = mongoose.model('User', userSchema);
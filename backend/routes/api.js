@@ -1,20 +1,108 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
-const TimeEntry = require('../models/timeEntry');
+const { body, query } = require('express-validator');
+const store = require('../storage');
+const { categorize, MAX_URL_LENGTH, MAX_TITLE_LENGTH, MAX_HOSTNAME_LENGTH } = require('../utils/categoryRules');
+const { CATEGORY_KEY_PATTERN, productivityScore: scoreTotals } = require('../utils/categories');
+const { isTimeZone, isDayStartHour, dayKey } = require('../utils/days');
+const { matchProject, isProjectOf } = require('../utils/projects');
+const { isExcluded, isRedacted, redactEntry } = require('../utils/redaction');
+const { publish, publishEntries } = require('../utils/liveEvents');
+const { DEVICE_ID_PATTERN } = require('../utils/devices');
+const { authenticate } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
 const router = express.Router();
 
-// Validation middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array()
-    });
-  }
-  next();
+// Every route below is scoped to the authenticated user
+router.use(authenticate);
+
+router.use('/rules', require('./rules'));
+router.use('/categories', require('./categories'));
+router.use('/focus-sessions', require('./focusSessions'));
+router.use('/limits', require('./limits'));
+router.use('/export', require('./export'));
+router.use('/settings', require('./settings'));
+router.use('/recategorize', require('./recategorize'));
+router.use('/projects', require('./projects'));
+router.use('/teams', require('./teams'));
+router.use('/me', require('./me'));
+router.use('/stream', require('./stream'));
+router.use('/sync', require('./sync'));
+router.use('/devices', require('./devices'));
+
+// Manual entries (offline work logged by hand) need no site of their own
+const MANUAL_HOSTNAME = 'manual';
+
+const isManual = entry => entry.manual === true || entry.manual === 'true';
+
+// A manual entry is timed by its startedAt and endedAt, which must both be sent
+const hasManualBounds = entry =>
+  !isManual(entry) || Boolean(entry.startedAt && entry.endedAt && new Date(entry.startedAt) < new Date(entry.endedAt));
+
+// Seconds between a manual entry's startedAt and endedAt
+const manualDuration = entry => Math.max(1, Math.round((new Date(entry.endedAt) - new Date(entry.startedAt)) / 1000));
+
+// Manual entries are filed under MANUAL_HOSTNAME and last from startedAt to endedAt
+const withManualDefaults = entry => {
+  if (!isManual(entry)) return entry;
+  return { ...entry, manual: true, hostname: MANUAL_HOSTNAME, duration: manualDuration(entry) };
 };
 
+// startedAt must not be after endedAt when both are sent
+const endsAfterStart = entry =>
+  !entry || !entry.startedAt || !entry.endedAt || new Date(entry.startedAt) <= new Date(entry.endedAt);
+
+// Entries end at endedAt when it is known, else when they are saved
+const entryTimestamp = entry => {
+  if (entry.endedAt) return new Date(entry.endedAt);
+  return entry.timestamp ? new Date(entry.timestamp) : new Date();
+};
+
+// Day of an entry under the timezone and day start it was sent with, else the user's
+const withDay = (entry, userSettings) => {
+  const settings = {
+    timezone: isTimeZone(entry.timezone) ? entry.timezone : userSettings.timezone,
+    dayStartHour: isDayStartHour(entry.dayStartHour) ? entry.dayStartHour : userSettings.dayStartHour
+  };
+  return { ...entry, ...settings, day: dayKey(entry.timestamp, settings) };
+};
+
+// Fill in the category of entries sent without one from the user's rules
+const applyCategoryRules = async (userId, entries) => {
+  if (entries.every(entry => entry.category)) return entries;
+  const rules = await store.rules.forUser(userId);
+  return entries.map(entry => entry.category ? entry : {
+    ...entry,
+    category: categorize({ url: entry.url, hostname: entry.hostname, title: entry.title }, rules)
+  });
+};
+
+// Keep projects the user owns and assign the rest from the project rules
+const applyProjectRules = async (userId, entries) => {
+  const projects = await store.projects.forUser(userId);
+  return entries.map(({ project, ...entry }) => {
+    const assigned = isProjectOf(project, projects)
+      ? project
+      : matchProject({ url: entry.url, hostname: entry.hostname, title: entry.title }, projects);
+    return assigned ? { ...entry, project: assigned } : entry;
+  });
+};
+
+// Entry changes redacted under the policy for the site of the entry being changed;
+// moving an entry to a redacted site removes its URL and title
+const redactChanges = async (userId, id, changes) => {
+  if (changes.hostname && isRedacted(changes.hostname)) return { ...redactEntry(changes), url: null, title: null };
+  if (!('url' in changes) && !('title' in changes)) return changes;
+  const existing = changes.hostname ? null : await store.timeEntries.findOne(userId, id);
+  return redactEntry(changes, changes.hostname || (existing && existing.hostname));
+};
+
+// Filter value of a project query: an id, or "none" for entries without a project
+const projectFilter = project => (project === 'none' ? null : project);
+
+// A device query is a deviceId, or "none" for entries sent without one
+const isDeviceQuery = value => value === 'none' || DEVICE_ID_PATTERN.test(value);
+const deviceFilter = device => (device === 'none' ? null : device);
+
 // GET /api/time-entries - Retrieve entries with filtering and pagination
 router.get('/time-entries', [
   query('page').optional().isInt({ min: 1 }),
@@ -22,7 +110,11 @@ router.get('/time-entries', [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('hostname').optional().isString(),
-  query('category').optional().isIn(['productive', 'unproductive', 'neutral'])
+  query('category').optional().matches(CATEGORY_KEY_PATTERN),
+  query('project').optional().custom(value => value === 'none' || /^[0-9a-f]{24}$/i.test(value)).withMessage('Invalid project'),
+  query('manual').optional().isIn(['include', 'exclude', 'only']),
+  query('clientId').optional().isString().isLength({ max: 64 }),
+  query('device').optional().custom(isDeviceQuery).withMessage('Invalid device')
 ], handleValidationErrors, async (req, res) => {
   try {
     const {
@@ -32,26 +124,20 @@ router.get('/time-entries', [
       endDate,
       hostname,
       category,
-      userId
+      project,
+      manual,
+      clientId,
+      device
     } = req.query;
 
-    const filter = {};
-    if (userId) filter.userId = userId;
-    if (startDate || endDate) {
-      filter.timestamp = {};
-      if (startDate) filter.timestamp.$gte = new Date(startDate);
-      if (endDate) filter.timestamp.$lte = new Date(endDate);
-    }
-    if (hostname) filter.hostname = { $regex: hostname, $options: 'i' };
-    if (category) filter.category = category;
+    const filter = { userId: req.user.id, startDate, endDate, hostnamePattern: hostname, category, manual, clientId };
+    if (project) filter.project = projectFilter(project);
+    if (device) filter.device = deviceFilter(device);
 
     const skip = (page - 1) * limit;
     const [entries, total] = await Promise.all([
-      TimeEntry.find(filter)
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      TimeEntry.countDocuments(filter)
+      store.timeEntries.find(filter, { skip, limit: parseInt(limit) }),
+      store.timeEntries.count(filter)
     ]);
 
     res.json({
@@ -70,21 +156,48 @@ router.get('/time-entries', [
   }
 });
 
-// POST /api/time-entries - Create a new entry
+// POST /api/time-entries - Create a new entry; manual entries need startedAt and endedAt
+// instead of a hostname and duration
 router.post('/time-entries', [
-  body('hostname').isString().notEmpty().trim(),
-  body('duration').isInt({ min: 1 }),
-  body('category').isIn(['productive', 'unproductive', 'neutral']),
-  body('userId').optional().isString(),
-  body('url').optional().isURL(),
-  body('title').optional().isString().trim()
+  body('manual').optional().isBoolean(),
+  body('hostname').if((value, { req }) => !isManual(req.body)).isString().notEmpty().trim().isLength({ max: MAX_HOSTNAME_LENGTH }),
+  body('duration').if((value, { req }) => !isManual(req.body)).isInt({ min: 1 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('category').optional().matches(CATEGORY_KEY_PATTERN),
+  body('clientId').optional().isString().isLength({ max: 64 }),
+  body('device').optional().matches(DEVICE_ID_PATTERN),
+  body('url').optional().isURL().isLength({ max: MAX_URL_LENGTH }),
+  body('title').optional().isString().trim().isLength({ max: MAX_TITLE_LENGTH }),
+  body('startedAt').optional().isISO8601(),
+  body('endedAt').optional().isISO8601()
+    .custom((endedAt, { req }) => endsAfterStart(req.body)).withMessage('endedAt must not be before startedAt'),
+  body().custom(hasManualBounds).withMessage('Manual entries need a startedAt before their endedAt'),
+  body('tabId').optional().isInt(),
+  body('windowId').optional().isInt(),
+  body('timezone').optional().custom(isTimeZone).withMessage('Unknown timezone'),
+  body('dayStartHour').optional().isInt({ min: 0, max: 23 }).toInt()
 ], handleValidationErrors, async (req, res) => {
   try {
-    const timeEntry = new TimeEntry({
-      ...req.body,
-      timestamp: new Date()
-    });
-    await timeEntry.save();
+    if (req.body.clientId) {
+      const existing = await store.timeEntries.findByClientId(req.user.id, req.body.clientId);
+      if (existing) {
+        return res.status(200).json({ message: 'Time entry already recorded', entry: existing });
+      }
+    }
+
+    const incoming = withManualDefaults(req.body);
+    if (isExcluded(incoming.hostname)) {
+      return res.status(200).json({ message: 'Entries for this site are not stored', entry: null });
+    }
+
+    // Rules see the entry as sent; what is stored is redacted
+    const [entry] = await applyProjectRules(req.user.id, await applyCategoryRules(req.user.id, [incoming]));
+    const timestamp = entry.endedAt ? new Date(entry.endedAt) : new Date();
+    const timeEntry = await store.timeEntries.create(redactEntry({
+      ...withDay({ ...entry, timestamp }, await store.users.daySettings(req.user.id)),
+      userId: req.user.id
+    }));
+    publishEntries(req.user.id, 'created', [timeEntry]);
     res.status(201).json({ message: 'Time entry created successfully', entry: timeEntry });
   } catch (error) {
     console.error('Error creating time entry:', error);
@@ -92,24 +205,45 @@ router.post('/time-entries', [
   }
 });
 
-// POST /api/time-entries/bulk - Bulk create
+// POST /api/time-entries/bulk - Bulk create (idempotent for entries with a clientId)
 router.post('/time-entries/bulk', [
   body('entries').isArray({ min: 1, max: 100 }),
-  body('entries.*.hostname').isString().notEmpty().trim(),
+  body('entries.*.hostname').isString().notEmpty().trim().isLength({ max: MAX_HOSTNAME_LENGTH }),
   body('entries.*.duration').isInt({ min: 1 }),
-  body('entries.*.category').isIn(['productive', 'unproductive', 'neutral']),
-  body('entries.*.userId').optional().isString(),
-  body('entries.*.timestamp').optional().isISO8601()
+  body('entries.*.url').optional().isString().isLength({ max: MAX_URL_LENGTH }),
+  body('entries.*.title').optional().isString().trim().isLength({ max: MAX_TITLE_LENGTH }),
+  body('entries.*.category').optional().matches(CATEGORY_KEY_PATTERN),
+  body('entries.*.clientId').optional().isString().isLength({ max: 64 }),
+  body('entries.*.device').optional().matches(DEVICE_ID_PATTERN),
+  body('entries.*.timestamp').optional().isISO8601(),
+  body('entries.*.startedAt').optional().isISO8601(),
+  body('entries.*.endedAt').optional().isISO8601(),
+  body('entries').custom(entries => entries.every(endsAfterStart)).withMessage('endedAt must not be before startedAt'),
+  body('entries.*.manual').optional().isBoolean(),
+  body('entries.*.description').optional().isString().trim().isLength({ max: 500 }),
+  body('entries').custom(entries => entries.every(hasManualBounds)).withMessage('Manual entries need a startedAt before their endedAt'),
+  body('entries.*.tabId').optional().isInt(),
+  body('entries.*.windowId').optional().isInt(),
+  body('entries.*.timezone').optional().custom(isTimeZone).withMessage('Unknown timezone'),
+  body('entries.*.dayStartHour').optional().isInt({ min: 0, max: 23 }).toInt()
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { entries } = req.body;
-    const timeEntries = entries.map(entry => ({
-      ...entry,
-      timestamp: entry.timestamp ? new Date(entry.timestamp) : new Date()
-    }));
-    const savedEntries = await TimeEntry.insertMany(timeEntries);
+    const incoming = req.body.entries.map(withManualDefaults);
+    const kept = incoming.filter(entry => !isExcluded(entry.hostname));
+    const entries = await applyProjectRules(req.user.id, await applyCategoryRules(req.user.id, kept));
+    const userSettings = await store.users.daySettings(req.user.id);
+    // Replayed uploads match an existing clientId and are left untouched
+    const savedEntries = await store.timeEntries.insertNew(entries.map(entry => redactEntry({
+      ...withDay({ ...entry, timestamp: entryTimestamp(entry) }, userSettings),
+      userId: req.user.id
+    })));
+    const duplicates = entries.length - savedEntries.length;
+    publishEntries(req.user.id, 'created', savedEntries);
+
     res.status(201).json({
       message: `${savedEntries.length} time entries created successfully`,
+      duplicates,
+      excluded: incoming.length - kept.length,
       entries: savedEntries
     });
   } catch (error) {
@@ -118,22 +252,91 @@ router.post('/time-entries/bulk', [
   }
 });
 
-// PUT /api/time-entries/:id - Update entry
+// POST /api/time-entries/existing - Which of the given clientIds are already stored (import preview)
+router.post('/time-entries/existing', [
+  body('clientIds').isArray({ max: 5000 }),
+  body('clientIds.*').isString().isLength({ max: 64 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const existing = await store.timeEntries.existingClientIds(req.user.id, req.body.clientIds);
+    res.json({ existing });
+  } catch (error) {
+    console.error('Error checking entries:', error);
+    res.status(500).json({ error: 'Failed to check entries' });
+  }
+});
+
+// POST /api/time-entries/assign-project - Set (or, with null, clear) the project of a site's entries
+router.post('/time-entries/assign-project', [
+  body('project').optional({ nullable: true }).isMongoId(),
+  body('hostname').isString().notEmpty().trim(),
+  body('day').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+  body('category').optional().matches(CATEGORY_KEY_PATTERN),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { project = null, hostname, day, category, startDate, endDate } = req.body;
+    if (project && !isProjectOf(project, await store.projects.forUser(req.user.id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const updated = await store.timeEntries.updateMany(
+      { userId: req.user.id, hostname, day, category, startDate, endDate },
+      { project }
+    );
+    if (updated) publish(req.user.id, 'refresh', { reason: 'projects' });
+    res.json({ message: 'Project assigned', updated });
+  } catch (error) {
+    console.error('Error assigning project:', error);
+    res.status(500).json({ error: 'Failed to assign project' });
+  }
+});
+
+// PUT /api/time-entries/:id - Update entry; only manual entries can be moved with startedAt / endedAt
 router.put('/time-entries/:id', [
-  body('hostname').optional().isString().notEmpty().trim(),
+  body('hostname').optional().isString().notEmpty().trim().isLength({ max: MAX_HOSTNAME_LENGTH }),
   body('duration').optional().isInt({ min: 1 }),
-  body('category').optional().isIn(['productive', 'unproductive', 'neutral']),
-  body('title').optional().isString().trim()
+  body('category').optional().matches(CATEGORY_KEY_PATTERN),
+  body('url').optional().isString().isLength({ max: MAX_URL_LENGTH }),
+  body('title').optional().isString().trim().isLength({ max: MAX_TITLE_LENGTH }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('startedAt').optional().isISO8601(),
+  body('endedAt').optional().isISO8601(),
+  body('project').optional({ nullable: true }).isMongoId()
 ], handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-    const timeEntry = await TimeEntry.findByIdAndUpdate(
-      id,
-      { ...updateData, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    const { userId, clientId, device, project, manual, startedAt, endedAt, ...updateData } = req.body;
+    if (project && !isProjectOf(project, await store.projects.forUser(req.user.id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (updateData.hostname && isExcluded(updateData.hostname)) {
+      return res.status(400).json({ error: 'Entries for this site are not stored' });
+    }
+
+    const existing = await store.timeEntries.findOne(req.user.id, id);
+    if (!existing) return res.status(404).json({ error: 'Time entry not found' });
+
+    // A null project clears it
+    const update = { ...updateData, project };
+    if (startedAt || endedAt) {
+      if (!existing.manual) return res.status(400).json({ error: 'Only manual entries can be moved' });
+
+      const bounds = { startedAt: startedAt || existing.startedAt, endedAt: endedAt || existing.endedAt, manual: true };
+      if (!hasManualBounds(bounds)) return res.status(400).json({ error: 'startedAt must be before endedAt' });
+      Object.assign(update, withDay({
+        startedAt: new Date(bounds.startedAt),
+        endedAt: new Date(bounds.endedAt),
+        timestamp: new Date(bounds.endedAt),
+        duration: manualDuration(bounds),
+        timezone: existing.timezone,
+        dayStartHour: existing.dayStartHour
+      }, await store.users.daySettings(req.user.id)));
+    }
+    const timeEntry = await store.timeEntries.update(req.user.id, id, await redactChanges(req.user.id, id, update));
     if (!timeEntry) return res.status(404).json({ error: 'Time entry not found' });
+    publishEntries(req.user.id, 'updated', [timeEntry], [existing]);
     res.json({ message: 'Updated successfully', entry: timeEntry });
   } catch (error) {
     console.error('Error updating entry:', error);
@@ -145,8 +348,9 @@ router.put('/time-entries/:id', [
 router.delete('/time-entries/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const timeEntry = await TimeEntry.findByIdAndDelete(id);
+    const timeEntry = await store.timeEntries.delete(req.user.id, id);
     if (!timeEntry) return res.status(404).json({ error: 'Time entry not found' });
+    publishEntries(req.user.id, 'deleted', [timeEntry]);
     res.json({ message: 'Deleted successfully', entry: timeEntry });
   } catch (error) {
     console.error('Error deleting entry:', error);
@@ -158,74 +362,53 @@ router.delete('/time-entries/:id', async (req, res) => {
 router.get('/analytics/summary', [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
-  query('userId').optional().isString()
+  query('manual').optional().isIn(['include', 'exclude', 'only']),
+  query('device').optional().custom(isDeviceQuery).withMessage('Invalid device')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { startDate, endDate, userId } = req.query;
-    const filter = {};
-    if (userId) filter.userId = userId;
-    if (startDate || endDate) {
-      filter.timestamp = {};
-      if (startDate) filter.timestamp.$gte = new Date(startDate);
-      if (endDate) filter.timestamp.$lte = new Date(endDate);
-    }
+    const { startDate, endDate, manual, device } = req.query;
+    const filter = { userId: req.user.id, startDate, endDate, manual };
+    if (device) filter.device = deviceFilter(device);
+    const sites = await store.timeEntries.totals(filter, ['hostname', 'category']);
 
-    const summary = await TimeEntry.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: '$category',
-          totalTime: { $sum: '$duration' },
-          entryCount: { $sum: 1 },
-          uniqueWebsites: { $addToSet: '$hostname' }
-        }
-      },
-      {
-        $project: {
-          category: '$_id',
-          totalTime: 1,
-          entryCount: 1,
-          uniqueWebsiteCount: { $size: '$uniqueWebsites' }
-        }
-      }
-    ]);
+    // One row per category, counting the sites seen in it
+    const byCategory = new Map();
+    sites.forEach(site => {
+      const item = byCategory.get(site.category) ||
+        { category: site.category, totalTime: 0, entryCount: 0, uniqueWebsiteCount: 0 };
+      item.totalTime += site.totalTime;
+      item.entryCount += site.entryCount;
+      item.uniqueWebsiteCount += 1;
+      byCategory.set(site.category, item);
+    });
+    const summary = [...byCategory.values()];
+
+    const categories = await store.categories.forUser(req.user.id);
+    const definitions = new Map(categories.map(category => [category.key, category]));
 
     let totalTime = 0;
-    let productiveTime = 0;
+    const totals = {};
     const categoryBreakdown = {};
 
     summary.forEach(item => {
+      const definition = definitions.get(item.category) || { name: item.category, color: null, weight: null };
       totalTime += item.totalTime;
-      if (item.category === 'productive') productiveTime = item.totalTime;
+      totals[item.category] = item.totalTime;
       categoryBreakdown[item.category] = {
+        name: definition.name,
+        color: definition.color,
+        weight: definition.weight,
         totalTime: item.totalTime,
         entryCount: item.entryCount,
         uniqueWebsiteCount: item.uniqueWebsiteCount
       };
     });
 
-    const productivityScore = totalTime > 0 ? Math.round((productiveTime / totalTime) * 100) : 0;
+    // Time in each category counts towards the score by that category's weight
+    const { weightedTime, score: productivityScore } = scoreTotals(totals, categories);
+    const productiveTime = Math.round(weightedTime);
 
-    const topWebsites = await TimeEntry.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: { hostname: '$hostname', category: '$category' },
-          totalTime: { $sum: '$duration' },
-          entryCount: { $sum: 1 }
-        }
-      },
-      { $sort: { totalTime: -1 } },
-      { $limit: 10 },
-      {
-        $project: {
-          hostname: '$_id.hostname',
-          category: '$_id.category',
-          totalTime: 1,
-          entryCount: 1
-        }
-      }
-    ]);
+    const topWebsites = sites.sort((a, b) => b.totalTime - a.totalTime).slice(0, 10);
 
     res.json({
       summary: {
@@ -233,6 +416,7 @@ router.get('/analytics/summary', [
         productiveTime,
         productivityScore,
         categoryBreakdown,
+        categories,
         topWebsites
       },
       period: {
@@ -246,57 +430,27 @@ router.get('/analytics/summary', [
   }
 });
 
-// GET /api/analytics/daily - Daily breakdown
+// GET /api/analytics/daily - Daily breakdown, by the days entries were assigned to
+// (entries stored before days were recorded use the user's current settings)
 router.get('/analytics/daily', [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
-  query('userId').optional().isString()
+  query('manual').optional().isIn(['include', 'exclude', 'only']),
+  query('device').optional().custom(isDeviceQuery).withMessage('Invalid device')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { startDate, endDate, userId } = req.query;
-    const filter = {};
-    if (userId) filter.userId = userId;
-    if (startDate || endDate) {
-      filter.timestamp = {};
-      if (startDate) filter.timestamp.$gte = new Date(startDate);
-      if (endDate) filter.timestamp.$lte = new Date(endDate);
-    }
+    const { startDate, endDate, manual, device } = req.query;
+    const daySettings = await store.users.daySettings(req.user.id);
+    const filter = { userId: req.user.id, startDate, endDate, manual };
+    if (device) filter.device = deviceFilter(device);
+    const rows = await store.timeEntries.totals(filter, ['day', 'category'], { daySettings });
 
-    const dailyData = await TimeEntry.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: {
-            date: {
-              $dateToString: { format: '%Y-%m-%d', date: '$timestamp' }
-            },
-            category: '$category'
-          },
-          totalTime: { $sum: '$duration' },
-          entryCount: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.date': 1 } },
-      {
-        $group: {
-          _id: '$_id.date',
-          categories: {
-            $push: {
-              category: '$_id.category',
-              totalTime: '$totalTime',
-              entryCount: '$entryCount'
-            }
-          }
-        }
-      },
-      {
-        $project: {
-          _id: 0,
-          date: '$_id',
-          categories: 1
-        }
-      }
-    ]);
+    const byDay = new Map();
+    rows.forEach(({ day, category, totalTime, entryCount }) => {
+      if (!byDay.has(day)) byDay.set(day, { date: day, categories: [] });
+      byDay.get(day).categories.push({ category, totalTime, entryCount });
+    });
+    const dailyData = [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
 
     res.json({ dailyData });
   } catch (error) {
@@ -305,4 +459,156 @@ router.get('/analytics/daily', [
   }
 });
 
+// GET /api/analytics/projects - Time per project (and per category within it); project null is untagged time
+router.get('/analytics/projects', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('project').optional().custom(value => value === 'none' || /^[0-9a-f]{24}$/i.test(value)).withMessage('Invalid project'),
+  query('manual').optional().isIn(['include', 'exclude', 'only'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate, project, manual } = req.query;
+    const filter = { userId: req.user.id, startDate, endDate, manual };
+    if (project) filter.project = projectFilter(project);
+    const rows = await store.timeEntries.totals(filter, ['project', 'category']);
+
+    const byProject = new Map();
+    rows.forEach(row => {
+      const item = byProject.get(row.project) || { project: row.project, totalTime: 0, entryCount: 0, categories: [] };
+      item.totalTime += row.totalTime;
+      item.entryCount += row.entryCount;
+      item.categories.push({ category: row.category, totalTime: row.totalTime });
+      byProject.set(row.project, item);
+    });
+    const totals = [...byProject.values()].sort((a, b) => b.totalTime - a.totalTime);
+
+    const projects = new Map((await store.projects.forUser(req.user.id)).map(item => [item._id, item]));
+    res.json({
+      projects: totals.map(item => {
+        const definition = item.project && projects.get(item.project);
+        return {
+          project: definition ? { id: item.project, name: definition.name, color: definition.color } : null,
+          totalTime: item.totalTime,
+          entryCount: item.entryCount,
+          categories: item.categories
+        };
+      }),
+      period: {
+        startDate: startDate || 'All time',
+        endDate: endDate || 'All time'
+      }
+    });
+  } catch (error) {
+    console.error('Error generating project analytics:', error);
+    res.status(500).json({ error: 'Failed to generate project analytics' });
+  }
+});
+
+// GET /api/analytics/devices - Time per device, and per device, day, site, category and
+// project for dashboards that merge other devices' time with their own; device null is
+// time sent without a device id
+router.get('/analytics/devices', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const daySettings = await store.users.daySettings(req.user.id);
+    const [rows, registered] = await Promise.all([
+      store.timeEntries.totals(
+        { userId: req.user.id, startDate, endDate },
+        ['device', 'day', 'hostname', 'category', 'project'],
+        { daySettings }
+      ),
+      store.devices.forUser(req.user.id)
+    ]);
+
+    const devices = new Map(registered.map(device => [device.deviceId, {
+      device: device.deviceId,
+      name: device.name,
+      browser: device.browser || null,
+      lastSeenAt: device.lastSeenAt,
+      totalTime: 0,
+      entryCount: 0
+    }]));
+    rows.forEach(row => {
+      const item = devices.get(row.device) ||
+        { device: row.device, name: null, browser: null, lastSeenAt: null, totalTime: 0, entryCount: 0 };
+      item.totalTime += row.totalTime;
+      item.entryCount += row.entryCount;
+      devices.set(row.device, item);
+    });
+
+    res.json({
+      devices: [...devices.values()].sort((a, b) => b.totalTime - a.totalTime),
+      totals: rows,
+      period: {
+        startDate: startDate || 'All time',
+        endDate: endDate || 'All time'
+      }
+    });
+  } catch (error) {
+    console.error('Error generating device analytics:', error);
+    res.status(500).json({ error: 'Failed to generate device analytics' });
+  }
+});
+
+// GET /api/analytics/heatmap - Time per weekday × hour, by category or (by=hostname) by site
+// Sessions are split across the hours they span, in the given IANA timezone (default: the user's);
+// `total` covers all time, including sites past `limit`
+router.get('/analytics/heatmap', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('by').optional().isIn(['category', 'hostname']),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('category').optional().matches(CATEGORY_KEY_PATTERN),
+  query('timezone').optional().custom(isTimeZone).withMessage('Unknown timezone'),
+  query('manual').optional().isIn(['include', 'exclude', 'only'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate, by = 'category', limit = 10, category, manual } = req.query;
+    const timezone = req.query.timezone || (await store.users.daySettings(req.user.id)).timezone;
+    const rows = await store.timeEntries.totals(
+      { userId: req.user.id, startDate, endDate, category, manual },
+      [by, 'weekday', 'hour'],
+      { timezone }
+    );
+
+    const byKey = new Map();
+    rows.forEach(row => {
+      const item = byKey.get(row[by]) || { key: row[by], totalTime: 0, cells: [] };
+      item.totalTime += row.totalTime;
+      item.cells.push({ weekday: row.weekday, hour: row.hour, totalTime: row.totalTime });
+      byKey.set(row[by], item);
+    });
+    const cells = [...byKey.values()]
+      .sort((a, b) => b.totalTime - a.totalTime)
+      .slice(0, by === 'hostname' ? parseInt(limit) : undefined);
+
+    // 7 × 24 grid of seconds; weekday 0 is Sunday
+    const toGrid = items => {
+      const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+      items.forEach(cell => { grid[cell.weekday][cell.hour] += cell.totalTime; });
+      return grid;
+    };
+
+    const series = cells.map(item => ({ [by]: item.key, totalTime: item.totalTime, grid: toGrid(item.cells) }));
+    res.json({
+      heatmap: {
+        by,
+        timezone,
+        series,
+        total: toGrid(rows)
+      },
+      period: {
+        startDate: startDate || 'All time',
+        endDate: endDate || 'All time'
+      }
+    });
+  } catch (error) {
+    console.error('Error generating heatmap:', error);
+    res.status(500).json({ error: 'Failed to generate heatmap' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { body } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+const { hashPassword, checkPassword, toUserJSON } = require('../utils/users');
+const router = express.Router();
+
+// POST /api/auth/register - Create an account
+router.post('/register', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 8 }),
+  body('name').optional().isString().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    if (await store.users.existsByEmail(email)) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+
+    const user = await store.users.create({ email, password: await hashPassword(password), name });
+    res.status(201).json({ message: 'Account created successfully', user: toUserJSON(user), ...issueTokens(user) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for tokens
+router.post('/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().notEmpty()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = await store.users.findByEmail(email);
+    if (!user || !(await checkPassword(user, password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ message: 'Logged in successfully', user: toUserJSON(user), ...issueTokens(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], handleValidationErrors, async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = verifyRefreshToken(req.body.refreshToken);
+    } catch {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await store.users.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.ver) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({ user: toUserJSON(user), ...issueTokens(user) });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { DEFAULT_CATEGORIES, CATEGORY_KEY_PATTERN, slugify, isDefaultCategory } = require('../utils/categories');
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const weightValidator = body('weight').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).toFloat();
+
+// GET /api/categories - Built-in and custom categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await store.categories.forUser(req.user.id);
+    res.json({ categories });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+// POST /api/categories - Define a new category
+router.post('/', [
+  body('name').isString().trim().notEmpty().isLength({ max: 60 }),
+  body('key').optional().matches(CATEGORY_KEY_PATTERN),
+  body('color').matches(COLOR_PATTERN),
+  weightValidator
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, color, weight = null } = req.body;
+    const key = req.body.key || slugify(name);
+    if (!CATEGORY_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Category name must contain letters or digits' });
+    }
+    if (isDefaultCategory(key) || await store.categories.exists(req.user.id, key)) {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+
+    // A key deleted before is defined again
+    await store.categories.put(req.user.id, key, { name, color, weight, modifiedAt: new Date(), deletedAt: null });
+    const categories = await store.categories.forUser(req.user.id);
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: categories.find(category => category.key === key),
+      categories
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// PUT /api/categories/:key - Rename, recolor or reweight (built-ins included)
+router.put('/:key', [
+  param('key').matches(CATEGORY_KEY_PATTERN),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 60 }),
+  body('color').optional().matches(COLOR_PATTERN),
+  weightValidator
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const current = (await store.categories.forUser(req.user.id)).find(category => category.key === key);
+    if (!current) return res.status(404).json({ error: 'Category not found' });
+
+    const { name = current.name, color = current.color } = req.body;
+    const weight = req.body.weight !== undefined ? req.body.weight : current.weight;
+    await store.categories.put(req.user.id, key, { name, color, weight, modifiedAt: new Date(), deletedAt: null });
+
+    const categories = await store.categories.forUser(req.user.id);
+    res.json({
+      message: 'Updated successfully',
+      category: categories.find(category => category.key === key),
+      categories
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// DELETE /api/categories/:key - Remove a custom category, or reset a built-in one. The
+// definition is kept, marked deleted, so devices syncing later learn of the deletion.
+router.delete('/:key', [
+  param('key').matches(CATEGORY_KEY_PATTERN)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isDefaultCategory(key) && !(await store.categories.exists(req.user.id, key))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const definition = (await store.categories.definitions(req.user.id)).find(category => category.key === key) ||
+      DEFAULT_CATEGORIES.find(category => category.key === key);
+    const { name, color, weight } = definition;
+    const now = new Date();
+    await store.categories.put(req.user.id, key, { name, color, weight, modifiedAt: now, deletedAt: now });
+
+    const categories = await store.categories.forUser(req.user.id);
+    res.json({ message: isDefaultCategory(key) ? 'Reset to default' : 'Deleted successfully', categories });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { param } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { DEVICE_ID_PATTERN } = require('../utils/devices');
+const router = express.Router();
+
+// GET /api/devices - Devices that have synced, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const devices = await store.devices.forUser(req.user.id);
+    res.json({ devices });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// DELETE /api/devices/:deviceId - Forget a device; its entries keep their device id, and
+// it registers again the next time it syncs
+router.delete('/:deviceId', [
+  param('deviceId').matches(DEVICE_ID_PATTERN)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const device = await store.devices.delete(req.user.id, req.params.deviceId);
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    res.json({ message: 'Device removed', device });
+  } catch (error) {
+    console.error('Error removing device:', error);
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+module.exports = router;
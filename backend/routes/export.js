@@ -0,0 +1,59 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const { EXPORT_FORMATS, streamCursor } = require('../utils/export');
+const router = express.Router();
+
+// Entries for the user in a date range, optionally some categories, one project ("none" for
+// entries without one) and one site (with subdomains)
+const exportFilter = (userId, { startDate, endDate, category, project, hostname }) => {
+  const filter = { userId, startDate, endDate };
+  if (category) filter.category = category.split(',');
+  if (project) filter.project = project === 'none' ? null : project;
+  if (hostname) filter.site = hostname.toLowerCase().replace(/^www\./, '');
+  return filter;
+};
+
+// GET /api/export/:format - Stream time entries as csv, ndjson or ics
+router.get('/:format', [
+  param('format').isIn(Object.keys(EXPORT_FORMATS)),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('category').optional().custom(value =>
+    String(value).split(',').every(key => CATEGORY_KEY_PATTERN.test(key))
+  ).withMessage('Invalid category'),
+  query('project').optional().custom(value => value === 'none' || /^[0-9a-f]{24}$/i.test(value)).withMessage('Invalid project'),
+  query('hostname').optional().isString().trim().isLength({ min: 1, max: 253 })
+], handleValidationErrors, async (req, res) => {
+  const { contentType, extension, header, format, footer } = EXPORT_FORMATS[req.params.format];
+
+  try {
+    const projectNames = new Map((await store.projects.forUser(req.user.id)).map(project => [project._id, project.name]));
+    const cursor = store.timeEntries.stream(exportFilter(req.user.id, req.query));
+
+    const day = new Date().toISOString().split('T')[0];
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="productivity-${day}.${extension}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (header) res.write(header());
+    await streamCursor(res, cursor, doc => format({ ...doc, project: projectNames.get(doc.project) }));
+    if (footer && !res.destroyed) res.write(footer());
+    res.end();
+  } catch (error) {
+    console.error('Error exporting entries:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export entries' });
+    } else {
+      // A truncated file must not look complete
+      res.destroy(error);
+    }
+  }
+});
+
+module.exports = router;
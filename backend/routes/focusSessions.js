@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// GET /api/focus-sessions - Recorded sessions, newest first
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('status').optional().isIn(['completed', 'abandoned'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+    const sessions = await store.focusSessions.find(
+      { userId: req.user.id, startDate, endDate, status },
+      { limit: parseInt(req.query.limit) || 100 }
+    );
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error fetching focus sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch focus sessions' });
+  }
+});
+
+// GET /api/focus-sessions/summary - Completed vs abandoned sessions and total focus time
+router.get('/summary', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const byStatus = await store.focusSessions.totalsByStatus({ userId: req.user.id, startDate, endDate });
+
+    const summary = { completed: 0, abandoned: 0, focusTime: 0, completedCycles: 0, blockedAttempts: 0 };
+    byStatus.forEach(group => {
+      summary[group.status] = group.sessions;
+      summary.focusTime += group.focusTime;
+      summary.completedCycles += group.completedCycles;
+      summary.blockedAttempts += group.blockedAttempts;
+    });
+    const finished = summary.completed + summary.abandoned;
+    summary.completionRate = finished > 0 ? Math.round((summary.completed / finished) * 100) : 0;
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching focus summary:', error);
+    res.status(500).json({ error: 'Failed to fetch focus summary' });
+  }
+});
+
+// POST /api/focus-sessions - Record a finished session (idempotent by clientId)
+router.post('/', [
+  body('clientId').isString().notEmpty().isLength({ max: 64 }),
+  body('startedAt').isInt({ min: 0 }).toInt(),
+  body('endedAt').isInt({ min: 0 }).toInt(),
+  body('status').isIn(['completed', 'abandoned']),
+  body('focusMinutes').isInt({ min: 1, max: 180 }),
+  body('breakMinutes').optional().isInt({ min: 0, max: 180 }),
+  body('cycles').isInt({ min: 1, max: 12 }),
+  body('completedCycles').optional().isInt({ min: 0, max: 12 }),
+  body('focusTime').optional().isInt({ min: 0 }),
+  body('blockedAttempts').optional().isInt({ min: 0 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const existing = await store.focusSessions.findByClientId(req.user.id, req.body.clientId);
+    if (existing) {
+      return res.status(200).json({ message: 'Focus session already recorded', session: existing });
+    }
+
+    const { startedAt, endedAt } = req.body;
+    if (endedAt < startedAt) {
+      return res.status(400).json({ error: 'endedAt must not be before startedAt' });
+    }
+
+    const session = await store.focusSessions.create({
+      ...req.body,
+      startedAt: new Date(startedAt),
+      endedAt: new Date(endedAt),
+      userId: req.user.id
+    });
+    res.status(201).json({ message: 'Focus session recorded successfully', session });
+  } catch (error) {
+    console.error('Error recording focus session:', error);
+    res.status(500).json({ error: 'Failed to record focus session' });
+  }
+});
+
+// DELETE /api/focus-sessions/:id
+router.delete('/:id', [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const session = await store.focusSessions.delete(req.user.id, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Focus session not found' });
+    res.json({ message: 'Deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting focus session:', error);
+    res.status(500).json({ error: 'Failed to delete focus session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { LIMIT_TYPES } = require('../models/timeLimit');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const router = express.Router();
+
+// GET /api/limits - The user's daily limits in list order
+router.get('/', async (req, res) => {
+  try {
+    const limits = await store.limits.forUser(req.user.id);
+    res.json({ limits });
+  } catch (error) {
+    console.error('Error fetching limits:', error);
+    res.status(500).json({ error: 'Failed to fetch limits' });
+  }
+});
+
+// PUT /api/limits - Replace the user's limit list
+router.put('/', [
+  body('limits').isArray({ max: 200 }),
+  body('limits.*.type').isIn(LIMIT_TYPES),
+  body('limits.*.target').isString().trim().notEmpty().isLength({ max: 253 }),
+  body('limits.*.minutes').isInt({ min: 1, max: 1440 }).toInt(),
+  body('limits.*.block').optional().isBoolean().toBoolean(),
+  body('limits.*').custom(limit => {
+    if (limit.type === 'category' && !CATEGORY_KEY_PATTERN.test(limit.target)) {
+      throw new Error('Category limits must target a category key');
+    }
+    return true;
+  })
+], handleValidationErrors, async (req, res) => {
+  try {
+    await store.limits.replace(req.user.id, req.body.limits.map(limit => ({
+      type: limit.type,
+      target: limit.type === 'site' ? limit.target.toLowerCase().replace(/^www\./, '') : limit.target,
+      minutes: limit.minutes,
+      block: Boolean(limit.block)
+    })));
+
+    const limits = await store.limits.forUser(req.user.id);
+    res.json({ message: 'Limits updated successfully', limits });
+  } catch (error) {
+    console.error('Error updating limits:', error);
+    res.status(500).json({ error: 'Failed to update limits' });
+  }
+});
+
+module.exports = router;
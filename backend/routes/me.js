@@ -0,0 +1,142 @@
+const express = require('express');
+const { body } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { streamCursor } = require('../utils/export');
+const { toUserJSON } = require('../utils/users');
+const { DELETION_TOKEN_TTL, signDeletionToken, verifyDeletionToken } = require('../utils/tokens');
+const router = express.Router();
+
+// Teams the user's account can't be deleted from without leaving them ownerless
+const teamsBlockingDeletion = async (memberships, userId) => {
+  const blocking = [];
+  for (const membership of memberships) {
+    if (membership.role !== 'owner') continue;
+    const members = await store.memberships.forTeam(membership.teamId);
+    const otherOwner = members.some(member => member.role === 'owner' && member.userId !== userId);
+    if (members.length > 1 && !otherOwner) blocking.push(membership.teamId);
+  }
+  return blocking;
+};
+
+// GET /api/me/export - Everything stored for the user as one JSON archive; entries are streamed last
+router.get('/export', async (req, res) => {
+  try {
+    const user = await store.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [settings, syncedSettings, categories, rules, limits, projects, focusSessions, memberships, devices] = await Promise.all([
+      store.users.daySettings(req.user.id),
+      store.users.syncedSettings(req.user.id),
+      store.categories.forUser(req.user.id),
+      store.rules.forUser(req.user.id),
+      store.limits.forUser(req.user.id),
+      store.projects.forUser(req.user.id),
+      store.focusSessions.find({ userId: req.user.id }),
+      store.memberships.forUser(req.user.id),
+      store.devices.forUser(req.user.id)
+    ]);
+    const teams = new Map((await store.teams.findByIds(memberships.map(membership => membership.teamId)))
+      .map(team => [team._id, team]));
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      user: toUserJSON(user),
+      settings,
+      syncedSettings,
+      devices,
+      categories,
+      rules,
+      limits,
+      projects,
+      focusSessions,
+      teams: memberships.filter(membership => teams.has(membership.teamId)).map(membership => ({
+        id: membership.teamId,
+        name: teams.get(membership.teamId).name,
+        role: membership.role,
+        shareDetail: membership.shareDetail,
+        joinedAt: membership.createdAt
+      }))
+    };
+    const cursor = store.timeEntries.stream({ userId: req.user.id });
+
+    const day = new Date().toISOString().split('T')[0];
+    res.status(200);
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="productivity-account-${day}.json"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // The archive without its closing brace, then the entries one at a time
+    res.write(`${JSON.stringify(archive).slice(0, -1)},"timeEntries":[`);
+    let separator = '';
+    await streamCursor(res, cursor, entry => {
+      const line = `${separator}\n${JSON.stringify(entry)}`;
+      separator = ',';
+      return line;
+    });
+    if (!res.destroyed) res.end('\n]}\n');
+  } catch (error) {
+    console.error('Error exporting account:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export account' });
+    } else {
+      // A truncated archive must not look complete
+      res.destroy(error);
+    }
+  }
+});
+
+// POST /api/me/deletion-token - Short-lived token that DELETE /api/me must be sent with
+router.post('/deletion-token', async (req, res) => {
+  try {
+    const memberships = await store.memberships.forUser(req.user.id);
+    const blockingTeams = await teamsBlockingDeletion(memberships, req.user.id);
+    res.json({ confirmationToken: signDeletionToken(req.user.id), expiresIn: DELETION_TOKEN_TTL, blockingTeams });
+  } catch (error) {
+    console.error('Error issuing deletion token:', error);
+    res.status(500).json({ error: 'Failed to issue deletion token' });
+  }
+});
+
+// DELETE /api/me - Delete the account and all of its data. Teams only the user belongs to
+// go with it; a team the user is the only owner of must be handed to another member first.
+router.delete('/', [
+  body('confirmationToken').isString().notEmpty()
+], handleValidationErrors, async (req, res) => {
+  try {
+    let confirmation;
+    try {
+      confirmation = verifyDeletionToken(req.body.confirmationToken);
+    } catch (error) {
+      confirmation = null;
+    }
+    if (!confirmation || confirmation.sub !== req.user.id) {
+      return res.status(403).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    const memberships = await store.memberships.forUser(req.user.id);
+    if ((await teamsBlockingDeletion(memberships, req.user.id)).length) {
+      return res.status(409).json({ error: 'Hand ownership of your teams to another member or delete them first' });
+    }
+
+    let teams = 0;
+    for (const { teamId } of memberships) {
+      const members = await store.memberships.forTeam(teamId);
+      if (members.length > 1) continue;
+      await store.memberships.deleteForTeam(teamId);
+      await store.teams.delete(teamId);
+      teams += 1;
+    }
+
+    const removed = await store.users.deleteWithData(req.user.id);
+    if (!removed) return res.status(404).json({ error: 'User not found' });
+    res.json({ message: 'Account and data deleted', removed: { ...removed, teams } });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { validateProjectRule } = require('../utils/projects');
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const projectValidators = [
+  body('name').isString().trim().notEmpty().isLength({ max: 60 }),
+  body('color').matches(COLOR_PATTERN),
+  body('rules').optional().isArray({ max: 100 }),
+  body('rules.*').custom(rule => {
+    const error = validateProjectRule(rule);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body('rules.*.domain').optional().isString().trim()
+];
+
+const toRules = (rules = []) => rules.map(rule => ({
+  type: rule.type,
+  pattern: rule.pattern,
+  domain: rule.domain || undefined,
+  priority: parseInt(rule.priority, 10) || 0
+}));
+
+// GET /api/projects - The user's projects with their rules
+router.get('/', async (req, res) => {
+  try {
+    const projects = await store.projects.forUser(req.user.id);
+    res.json({ projects });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// POST /api/projects - Create a project
+router.post('/', projectValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, color, rules } = req.body;
+    const project = await store.projects.create({ userId: req.user.id, name, color, rules: toRules(rules) });
+    res.status(201).json({ message: 'Project created successfully', project });
+  } catch (error) {
+    if (error instanceof store.DuplicateKeyError) return res.status(409).json({ error: 'A project with this name already exists' });
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// PUT /api/projects/:id - Rename, recolor or change the rules of a project
+router.put('/:id', [
+  param('id').isMongoId(),
+  ...projectValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, color, rules } = req.body;
+    const project = await store.projects.update(req.user.id, req.params.id, { name, color, rules: toRules(rules) });
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.json({ message: 'Project updated successfully', project });
+  } catch (error) {
+    if (error instanceof store.DuplicateKeyError) return res.status(409).json({ error: 'A project with this name already exists' });
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// DELETE /api/projects/:id - Delete a project; its entries are left without one
+router.delete('/:id', [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await store.projects.delete(req.user.id, req.params.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    await store.timeEntries.updateMany({ userId: req.user.id, project: project._id }, { project: null });
+    res.json({ message: 'Project deleted successfully', project });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+module.exports = router;
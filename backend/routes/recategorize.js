@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const store = require('../storage');
+const { categorize } = require('../utils/categoryRules');
+const { handleValidationErrors } = require('../middleware/validation');
+const { publish } = require('../utils/liveEvents');
+const router = express.Router();
+
+const BATCH_SIZE = 500;
+const STALE_JOB_MS = 15 * 60 * 1000; // a job this long without progress died with its server
+
+const rangeValidators = [
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601()
+];
+
+// Call onEntry with each entry in the range and the category the current rules give it.
+// Manual entries keep the category they were logged with; no rule matches them.
+const eachRecategorized = async (userId, range, onEntry) => {
+  const rules = await store.rules.forUser(userId);
+  const { startDate, endDate } = range;
+  const cursor = store.timeEntries.stream(
+    { userId, startDate, endDate, manual: 'exclude' },
+    { fields: { hostname: 1, url: 1, title: 1, duration: 1, category: 1 } }
+  );
+  for await (const entry of cursor) {
+    await onEntry(entry, categorize({ url: entry.url, hostname: entry.hostname, title: entry.title }, rules));
+  }
+};
+
+// Re-apply the rules in batches, recording progress on the job
+const runJob = async (job) => {
+  let batch = [];
+  const flush = async () => {
+    await store.timeEntries.setCategories(batch);
+    await store.recategorizeJobs.update(job._id, { scanned: job.scanned, updated: job.updated });
+    batch = [];
+  };
+
+  try {
+    await eachRecategorized(job.userId, job, async (entry, category) => {
+      job.scanned += 1;
+      if (category !== entry.category) {
+        job.updated += 1;
+        batch.push({ _id: entry._id, category });
+      }
+      if (job.scanned % BATCH_SIZE === 0) await flush();
+    });
+    await flush();
+    await store.recategorizeJobs.update(job._id, { status: 'completed', finishedAt: new Date() });
+    if (job.updated) publish(job.userId, 'refresh', { reason: 'recategorized' });
+  } catch (error) {
+    console.error('Recategorize job failed:', error);
+    await store.recategorizeJobs.update(job._id, { status: 'failed', error: error.message, finishedAt: new Date() })
+      .catch(() => {});
+  }
+};
+
+// POST /api/recategorize/preview - How totals would change if the current rules were re-applied
+router.post('/preview', rangeValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const before = {};
+    const after = {};
+    const changes = new Map();
+    let scanned = 0;
+
+    await eachRecategorized(req.user.id, req.body, (entry, category) => {
+      scanned += 1;
+      before[entry.category] = (before[entry.category] || 0) + entry.duration;
+      after[category] = (after[category] || 0) + entry.duration;
+      if (category === entry.category) return;
+
+      const key = `${entry.hostname}|${entry.category}|${category}`;
+      const change = changes.get(key) || { hostname: entry.hostname, from: entry.category, to: category, duration: 0, entries: 0 };
+      change.duration += entry.duration;
+      change.entries += 1;
+      changes.set(key, change);
+    });
+
+    res.json({
+      preview: {
+        scanned,
+        before,
+        after,
+        changes: [...changes.values()].sort((a, b) => b.duration - a.duration)
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing recategorization:', error);
+    res.status(500).json({ error: 'Failed to preview recategorization' });
+  }
+});
+
+// POST /api/recategorize - Start a job that re-applies the current rules to the range
+router.post('/', rangeValidators, handleValidationErrors, async (req, res) => {
+  try {
+    await store.recategorizeJobs.failStale(req.user.id, new Date(Date.now() - STALE_JOB_MS));
+    const running = await store.recategorizeJobs.findRunning(req.user.id);
+    if (running) {
+      return res.status(409).json({ error: 'A recategorization is already running', job: running });
+    }
+
+    const { startDate, endDate } = req.body;
+    const job = await store.recategorizeJobs.create({
+      userId: req.user.id,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null
+    });
+
+    // Runs after the response; poll GET /api/recategorize/:id for progress
+    runJob({ ...job });
+    res.status(202).json({ message: 'Recategorization started', job });
+  } catch (error) {
+    console.error('Error starting recategorization:', error);
+    res.status(500).json({ error: 'Failed to start recategorization' });
+  }
+});
+
+// GET /api/recategorize/:id - Progress of a job
+router.get('/:id', [
+  param('id').isMongoId()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const job = await store.recategorizeJobs.findOne(req.user.id, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching recategorization job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const { body } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { validateRule, findMatchingRule, MAX_URL_LENGTH, MAX_TITLE_LENGTH, MAX_HOSTNAME_LENGTH } = require('../utils/categoryRules');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const router = express.Router();
+
+const ruleValidators = prefix => [
+  body(prefix).custom(rule => {
+    const error = validateRule(rule);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body(`${prefix}.category`).matches(CATEGORY_KEY_PATTERN),
+  body(`${prefix}.domain`).optional().isString().trim()
+];
+
+// GET /api/rules - The user's category rules in list order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await store.rules.forUser(req.user.id);
+    res.json({ rules });
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+// PUT /api/rules - Replace the user's rule list
+router.put('/', [
+  body('rules').isArray({ max: 500 }),
+  ...ruleValidators('rules.*')
+], handleValidationErrors, async (req, res) => {
+  try {
+    await store.rules.replace(req.user.id, req.body.rules.map(rule => ({
+      type: rule.type,
+      pattern: rule.pattern,
+      domain: rule.domain || undefined,
+      category: rule.category,
+      priority: parseInt(rule.priority, 10) || 0
+    })));
+
+    const rules = await store.rules.forUser(req.user.id);
+    res.json({ message: 'Rules updated successfully', rules });
+  } catch (error) {
+    console.error('Error updating rules:', error);
+    res.status(500).json({ error: 'Failed to update rules' });
+  }
+});
+
+// POST /api/rules/test - Show which rule would categorize a page
+router.post('/test', [
+  body('url').optional().isString().isLength({ max: MAX_URL_LENGTH }),
+  body('hostname').optional().isString().isLength({ max: MAX_HOSTNAME_LENGTH }),
+  body('title').optional().isString().isLength({ max: MAX_TITLE_LENGTH }),
+  body('rules').optional().isArray({ max: 500 }),
+  ...ruleValidators('rules.*')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { url, hostname, title } = req.body;
+    const rules = req.body.rules || await store.rules.forUser(req.user.id);
+    const rule = findMatchingRule({ url, hostname, title }, rules);
+    res.json({ category: rule ? rule.category : 'neutral', rule });
+  } catch (error) {
+    console.error('Error testing rules:', error);
+    res.status(500).json({ error: 'Failed to test rules' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { body } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { isTimeZone } = require('../utils/days');
+const { publish } = require('../utils/liveEvents');
+const router = express.Router();
+
+// GET /api/settings - The user's timezone and day start
+router.get('/', async (req, res) => {
+  try {
+    const settings = await store.users.daySettings(req.user.id);
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// PUT /api/settings - Change the timezone or day start and move every entry to its new day
+router.put('/', [
+  body('timezone').optional().isString().custom(isTimeZone).withMessage('Unknown timezone'),
+  body('dayStartHour').optional().isInt({ min: 0, max: 23 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const current = await store.users.daySettings(req.user.id);
+    const settings = {
+      timezone: req.body.timezone || current.timezone,
+      dayStartHour: req.body.dayStartHour === undefined ? current.dayStartHour : req.body.dayStartHour
+    };
+
+    const user = await store.users.updateSettings(req.user.id, settings);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const rebucketed = await store.timeEntries.rebucket(req.user.id, settings);
+    if (rebucketed) publish(req.user.id, 'refresh', { reason: 'settings' });
+    res.json({ message: 'Settings updated', settings, rebucketed });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { subscribe } = require('../utils/liveEvents');
+const router = express.Router();
+
+// Comment line sent this often keeps proxies from closing an idle stream
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25000;
+// How long clients wait before reconnecting
+const RETRY_MS = 5000;
+
+// GET /api/stream - Server-Sent Events with the user's new, updated and deleted entries
+// as they are stored (see utils/liveEvents.js). A `ready` event confirms the subscription.
+router.get('/', (req, res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  // compression buffers what is written until flushed
+  const send = chunk => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+  const sendEvent = (event, data) => {
+    eventId += 1;
+    send(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribe(req.user.id, sendEvent);
+  const heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  send(`retry: ${RETRY_MS}\n\n`);
+  sendEvent('ready', { connectedAt: new Date().toISOString() });
+});
+
+module.exports = router;
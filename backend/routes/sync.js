@@ -0,0 +1,95 @@
+const express = require('express');
+const { body } = require('express-validator');
+const store = require('../storage');
+const { handleValidationErrors } = require('../middleware/validation');
+const { CATEGORY_KEY_PATTERN } = require('../utils/categories');
+const { DEVICE_ID_PATTERN } = require('../utils/devices');
+const { SYNCED_SETTINGS, clampTime, isNewer, mergeSettings } = require('../utils/sync');
+const { publish } = require('../utils/liveEvents');
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Every key a synced setting and every value valid for it, each with a modifiedAt
+const isSyncedSettings = settings =>
+  settings !== null && typeof settings === 'object' && !Array.isArray(settings) &&
+  Object.entries(settings).every(([name, setting]) =>
+    Object.prototype.hasOwnProperty.call(SYNCED_SETTINGS, name) &&
+    setting !== null && typeof setting === 'object' &&
+    SYNCED_SETTINGS[name](setting.value) &&
+    !Number.isNaN(new Date(setting.modifiedAt).getTime())
+  );
+
+// Category definitions as devices keep them; deleted ones are sent with deleted: true
+const toSyncedCategory = ({ key, name, color, weight, modifiedAt, deletedAt }) => ({
+  key,
+  name,
+  color,
+  weight: weight === undefined ? null : weight,
+  modifiedAt,
+  deleted: Boolean(deletedAt)
+});
+
+// POST /api/sync - Register the device, merge its categories and settings with the stored
+// ones (last writer wins, see utils/sync.js) and return the merged state
+router.post('/', [
+  body('device.id').matches(DEVICE_ID_PATTERN),
+  body('device.name').isString().trim().notEmpty().isLength({ max: 60 }),
+  body('device.browser').optional().isString().trim().isLength({ max: 60 }),
+  body('categories').optional().isArray({ max: 200 }),
+  body('categories.*.key').matches(CATEGORY_KEY_PATTERN),
+  body('categories.*.name').isString().trim().notEmpty().isLength({ max: 60 }),
+  body('categories.*.color').matches(COLOR_PATTERN),
+  body('categories.*.weight').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).toFloat(),
+  body('categories.*.modifiedAt').isISO8601(),
+  body('categories.*.deleted').optional().isBoolean(),
+  body('settings').optional().custom(isSyncedSettings).withMessage('Unknown setting or invalid value')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date();
+    const { device, categories = [], settings = {} } = req.body;
+
+    const registered = await store.devices.upsert(userId, device.id, {
+      name: device.name,
+      browser: device.browser,
+      lastSeenAt: now
+    });
+
+    const stored = new Map((await store.categories.definitions(userId)).map(category => [category.key, category]));
+    let changed = false;
+    for (const category of categories) {
+      const modifiedAt = clampTime(category.modifiedAt, now);
+      if (!isNewer({ modifiedAt }, stored.get(category.key))) continue;
+      await store.categories.put(userId, category.key, {
+        name: category.name,
+        color: category.color,
+        weight: category.weight === undefined ? null : category.weight,
+        modifiedAt,
+        deletedAt: category.deleted ? modifiedAt : null
+      });
+      changed = true;
+    }
+
+    const merged = mergeSettings(await store.users.syncedSettings(userId), settings, now);
+    if (merged.changed) {
+      await store.users.setSyncedSettings(userId, merged.settings);
+      changed = true;
+    }
+
+    // Other open devices pull the change
+    if (changed) publish(userId, 'preferences', { device: device.id });
+
+    res.json({
+      device: registered,
+      categories: (await store.categories.definitions(userId)).map(toSyncedCategory),
+      settings: merged.settings,
+      syncedAt: now
+    });
+  } catch (error) {
+    console.error('Error syncing preferences:', error);
+    res.status(500).json({ error: 'Failed to sync' });
+  }
+});
+
+module.exports = router;
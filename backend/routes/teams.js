@@ -0,0 +1,341 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Team = require('../models/team');
+const { ROLES } = require('../models/membership');
+const store = require('../storage');
+const { DEFAULT_CATEGORIES, productivityScore } = require('../utils/categories');
+const { handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+const TOP_SITES_PER_MEMBER = 5;
+const UNKNOWN_COLOR = '#9e9e9e';
+
+// Load the caller's membership of team :id into req.membership; other users get a 404
+const requireMember = async (req, res, next) => {
+  try {
+    const membership = await store.memberships.of(req.params.id, req.user.id);
+    if (!membership) return res.status(404).json({ error: 'Team not found' });
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Error checking team membership:', error);
+    res.status(500).json({ error: 'Failed to check team membership' });
+  }
+};
+
+const canManage = membership => membership.role === 'owner' || membership.role === 'admin';
+
+const requireManager = (req, res, next) => {
+  if (!canManage(req.membership)) return res.status(403).json({ error: 'Only team owners and admins can do this' });
+  next();
+};
+
+const requireOwner = (req, res, next) => {
+  if (req.membership.role !== 'owner') return res.status(403).json({ error: 'Only team owners can do this' });
+  next();
+};
+
+// A team as its members see it; only owners and admins see the invite code
+const toTeamJSON = (team, membership) => ({
+  id: team._id,
+  name: team.name,
+  role: membership.role,
+  shareDetail: membership.shareDetail,
+  inviteCode: canManage(membership) ? team.inviteCode : undefined,
+  createdAt: team.createdAt
+});
+
+const otherOwnerExists = async (teamId, userId) =>
+  (await store.memberships.forTeam(teamId)).some(membership => membership.role === 'owner' && membership.userId !== userId);
+
+// GET /api/teams - Teams the user belongs to, with their role in each
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await store.memberships.forUser(req.user.id);
+    const teams = await store.teams.findByIds(memberships.map(membership => membership.teamId));
+    const byId = new Map(teams.map(team => [team._id, team]));
+    res.json({
+      teams: memberships
+        .filter(membership => byId.has(membership.teamId))
+        .map(membership => toTeamJSON(byId.get(membership.teamId), membership))
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+// POST /api/teams - Create a team owned by the user
+router.post('/', [
+  body('name').isString().trim().notEmpty().isLength({ max: 80 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const team = await store.teams.create({
+      name: req.body.name,
+      inviteCode: Team.generateInviteCode(),
+      createdBy: req.user.id
+    });
+    const membership = await store.memberships.create({ teamId: team._id, userId: req.user.id, role: 'owner' });
+    res.status(201).json({ message: 'Team created successfully', team: toTeamJSON(team, membership) });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// POST /api/teams/join - Join a team as a member with its invite code
+router.post('/join', [
+  body('inviteCode').isString().trim().notEmpty().isLength({ max: 64 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const team = await store.teams.findByInviteCode(req.body.inviteCode);
+    if (!team) return res.status(404).json({ error: 'Invalid invite code' });
+
+    const existing = await store.memberships.of(team._id, req.user.id);
+    if (existing) {
+      return res.status(200).json({ message: 'Already a member', team: toTeamJSON(team, existing) });
+    }
+
+    const membership = await store.memberships.create({ teamId: team._id, userId: req.user.id });
+    res.status(201).json({ message: 'Joined team', team: toTeamJSON(team, membership) });
+  } catch (error) {
+    console.error('Error joining team:', error);
+    res.status(500).json({ error: 'Failed to join team' });
+  }
+});
+
+// GET /api/teams/:id - The team and its members; owners and admins also see email addresses
+router.get('/:id', [
+  param('id').isMongoId()
+], handleValidationErrors, requireMember, async (req, res) => {
+  try {
+    const team = await store.teams.findById(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+
+    const memberships = await store.memberships.forTeam(req.params.id);
+    const users = await store.users.findByIds(memberships.map(membership => membership.userId));
+    const usersById = new Map(users.map(user => [user._id, user]));
+    const showEmail = canManage(req.membership);
+
+    res.json({
+      team: {
+        ...toTeamJSON(team, req.membership),
+        members: memberships.map(membership => {
+          const user = usersById.get(membership.userId) || {};
+          return {
+            userId: membership.userId,
+            name: user.name || null,
+            email: showEmail ? user.email : undefined,
+            role: membership.role,
+            shareDetail: membership.shareDetail,
+            joinedAt: membership.createdAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// PUT /api/teams/:id - Rename the team
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('name').isString().trim().notEmpty().isLength({ max: 80 })
+], handleValidationErrors, requireMember, requireManager, async (req, res) => {
+  try {
+    const team = await store.teams.update(req.params.id, { name: req.body.name });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json({ message: 'Team updated successfully', team: toTeamJSON(team, req.membership) });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+// DELETE /api/teams/:id - Delete the team and every membership; members' own data is untouched
+router.delete('/:id', [
+  param('id').isMongoId()
+], handleValidationErrors, requireMember, requireOwner, async (req, res) => {
+  try {
+    await store.teams.delete(req.params.id);
+    await store.memberships.deleteForTeam(req.params.id);
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+// POST /api/teams/:id/invite-code - Replace the invite code; the old one stops working
+router.post('/:id/invite-code', [
+  param('id').isMongoId()
+], handleValidationErrors, requireMember, requireManager, async (req, res) => {
+  try {
+    const team = await store.teams.update(req.params.id, { inviteCode: Team.generateInviteCode() });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json({ message: 'Invite code replaced', team: toTeamJSON(team, req.membership) });
+  } catch (error) {
+    console.error('Error replacing invite code:', error);
+    res.status(500).json({ error: 'Failed to replace invite code' });
+  }
+});
+
+// PUT /api/teams/:id/sharing - Opt in to (or out of) showing your own totals to the team
+router.put('/:id/sharing', [
+  param('id').isMongoId(),
+  body('shareDetail').isBoolean().toBoolean()
+], handleValidationErrors, requireMember, async (req, res) => {
+  try {
+    const membership = await store.memberships.update(req.membership._id, { shareDetail: req.body.shareDetail });
+    res.json({ message: 'Sharing updated', shareDetail: membership.shareDetail });
+  } catch (error) {
+    console.error('Error updating sharing:', error);
+    res.status(500).json({ error: 'Failed to update sharing' });
+  }
+});
+
+// PUT /api/teams/:id/members/:userId - Change a member's role; a team always keeps an owner
+router.put('/:id/members/:userId', [
+  param('id').isMongoId(),
+  param('userId').isString().notEmpty(),
+  body('role').isIn(ROLES)
+], handleValidationErrors, requireMember, requireOwner, async (req, res) => {
+  try {
+    const membership = await store.memberships.of(req.params.id, req.params.userId);
+    if (!membership) return res.status(404).json({ error: 'Member not found' });
+
+    if (membership.role === 'owner' && req.body.role !== 'owner' &&
+        !(await otherOwnerExists(req.params.id, membership.userId))) {
+      return res.status(409).json({ error: 'A team needs at least one owner' });
+    }
+
+    const updated = await store.memberships.update(membership._id, { role: req.body.role });
+    res.json({ message: 'Role updated', member: { userId: updated.userId, role: updated.role } });
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// DELETE /api/teams/:id/members/:userId - Leave the team, or remove a member (owners and
+// admins; only owners can remove admins and other owners)
+router.delete('/:id/members/:userId', [
+  param('id').isMongoId(),
+  param('userId').isString().notEmpty()
+], handleValidationErrors, requireMember, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const membership = leaving ? req.membership : await store.memberships.of(req.params.id, req.params.userId);
+    if (!membership) return res.status(404).json({ error: 'Member not found' });
+
+    if (!leaving) {
+      const allowed = req.membership.role === 'owner' ||
+        (req.membership.role === 'admin' && membership.role === 'member');
+      if (!allowed) return res.status(403).json({ error: 'You cannot remove this member' });
+    }
+    if (membership.role === 'owner' && !(await otherOwnerExists(req.params.id, membership.userId))) {
+      return res.status(409).json({ error: 'Hand ownership to another member or delete the team first' });
+    }
+
+    await store.memberships.delete(membership._id);
+    res.json({ message: leaving ? 'Left team' : 'Member removed' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// GET /api/teams/:id/analytics - Category totals summed over all members. Only members who
+// opted in with shareDetail are listed individually, with their own totals and top hostnames;
+// URLs and page titles are never included.
+router.get('/:id/analytics', [
+  param('id').isMongoId(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+], handleValidationErrors, requireMember, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const team = await store.teams.findById(req.params.id);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+
+    const memberships = await store.memberships.forTeam(req.params.id);
+    const filter = { userId: memberships.map(membership => membership.userId), startDate, endDate };
+    const rows = await store.timeEntries.totals(filter, ['userId', 'category']);
+
+    // { userId: { category: seconds } }
+    const byMember = {};
+    rows.forEach(({ userId, category, totalTime }) => {
+      byMember[userId] = byMember[userId] || {};
+      byMember[userId][category] = totalTime;
+    });
+
+    // Each member's time is scored with their own category weights
+    const categoryTotals = {};
+    const scores = {};
+    let scoredTime = 0;
+    let weightedTime = 0;
+    await Promise.all(Object.entries(byMember).map(async ([userId, totals]) => {
+      const score = productivityScore(totals, await store.categories.forUser(userId));
+      scores[userId] = score.score;
+      scoredTime += score.scoredTime;
+      weightedTime += score.weightedTime;
+    }));
+    Object.values(byMember).forEach(totals => {
+      Object.entries(totals).forEach(([category, time]) => {
+        categoryTotals[category] = (categoryTotals[category] || 0) + time;
+      });
+    });
+
+    const definitions = new Map(DEFAULT_CATEGORIES.map(category => [category.key, category]));
+    const categories = Object.entries(categoryTotals)
+      .map(([key, totalTime]) => {
+        const definition = definitions.get(key) || { name: key, color: UNKNOWN_COLOR };
+        return { key, name: definition.name, color: definition.color, totalTime };
+      })
+      .sort((a, b) => b.totalTime - a.totalTime);
+
+    const sharing = memberships.filter(membership => membership.shareDetail);
+    const users = await store.users.findByIds(sharing.map(membership => membership.userId));
+    const names = new Map(users.map(user => [user._id, user.name || null]));
+    const members = await Promise.all(sharing.map(async membership => {
+      const totals = byMember[membership.userId] || {};
+      const sites = await store.timeEntries.totals({ ...filter, userId: membership.userId }, ['hostname']);
+      const topSites = sites
+        .sort((a, b) => b.totalTime - a.totalTime)
+        .slice(0, TOP_SITES_PER_MEMBER)
+        .map(({ hostname, totalTime }) => ({ hostname, totalTime }));
+      return {
+        userId: membership.userId,
+        name: names.get(membership.userId) || null,
+        role: membership.role,
+        totalTime: Object.values(totals).reduce((sum, time) => sum + time, 0),
+        productivityScore: scores[membership.userId] || 0,
+        categories: totals,
+        topSites
+      };
+    }));
+
+    res.json({
+      analytics: {
+        team: { id: team._id, name: team.name },
+        memberCount: memberships.length,
+        activeMembers: Object.keys(byMember).length,
+        totalTime: Object.values(categoryTotals).reduce((sum, time) => sum + time, 0),
+        productivityScore: scoredTime > 0 ? Math.round((weightedTime / scoredTime) * 100) : 0,
+        categories,
+        members
+      },
+      period: {
+        startDate: startDate || 'All time',
+        endDate: endDate || 'All time'
+      }
+    });
+  } catch (error) {
+    console.error('Error generating team analytics:', error);
+    res.status(500).json({ error: 'Failed to generate team analytics' });
+  }
+});
+
+module.exports = router;
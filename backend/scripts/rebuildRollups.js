@@ -0,0 +1,24 @@
+// Backfill job: recompute every user's daily rollups from their raw time entries.
+// Run after upgrading to rollups, or whenever they may have drifted:
+//
+//   npm run rollups:rebuild
+
+require('dotenv').config();
+
+const store = require('../storage');
+
+async function main() {
+  await store.connect();
+  const userIds = await store.users.ids();
+  for (const userId of userIds) {
+    await store.rollups.rebuild(userId);
+  }
+  console.log(`Rebuilt rollups for ${userIds.length} user(s)`);
+  await store.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('Rollup rebuild failed:', error);
+  await store.disconnect().catch(() => {});
+  process.exit(1);
+});
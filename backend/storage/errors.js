@@ -0,0 +1,10 @@
+// Thrown by either store when a write would break a unique index, e.g. a second
+// project with the same name
+class DuplicateKeyError extends Error {
+  constructor(message = 'Duplicate key') {
+    super(message);
+    this.name = 'DuplicateKeyError';
+  }
+}
+
+module.exports = { DuplicateKeyError };
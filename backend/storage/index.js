@@ -0,0 +1,40 @@
+// Storage – the repositories the routes read and write through.
+//
+// STORAGE selects the implementation: "mongo" (the default, MongoDB through
+// Mongoose) or "memory" (process memory, for tests and trying the API without
+// a database). Both return plain objects with a string `_id` and take the same
+// entry filters:
+//
+//   { userId, startDate, endDate, hostname, hostnamePattern, site, category,
+//     project, manual, clientId, day, device, skipDays }
+//
+// `userId` and `category` may be arrays; `project: null` and `device: null`
+// match entries without a project or device; `hostnamePattern` is a
+// case-insensitive regex and `site` matches a hostname and its subdomains;
+// `manual` is "include", "exclude" or "only"; the date range applies to
+// `timestamp`. `skipDays` ({ firstDay, lastDay, from, to }) leaves out the
+// entries that rollups count for those days: entries whose `day` lies between
+// firstDay and lastDay, and entries without a `day` timestamped between `from`
+// and `to` (see storage/rollups.js).
+//
+// Either store is wrapped by withRollups() (storage/rollups.js), which keeps the
+// daily rollups in step with entry writes and serves analytics totals from them.
+
+const { DuplicateKeyError } = require('./errors');
+const { withRollups } = require('./rollups');
+
+const IMPLEMENTATIONS = {
+  mongo: () => require('./mongo'),
+  memory: () => require('./memory')
+};
+
+const name = process.env.STORAGE || 'mongo';
+if (!IMPLEMENTATIONS[name]) {
+  throw new Error(`Unknown STORAGE "${name}"; use ${Object.keys(IMPLEMENTATIONS).join(' or ')}`);
+}
+
+module.exports = {
+  name,
+  DuplicateKeyError,
+  ...withRollups(IMPLEMENTATIONS[name]())
+};
@@ -0,0 +1,660 @@
+// In-memory store – the repositories in storage/index.js kept in process memory.
+//
+// Documents are checked against the Mongoose schemas (without a connection), so
+// they get the same defaults, casts and validation as in MongoDB. Nothing is
+// persisted: the data is gone when the process exits or reset() is called.
+
+const User = require('../models/user');
+const TimeEntry = require('../models/timeEntry');
+const Category = require('../models/category');
+const CategoryRule = require('../models/categoryRule');
+const TimeLimit = require('../models/timeLimit');
+const Project = require('../models/project');
+const FocusSession = require('../models/focusSession');
+const RecategorizeJob = require('../models/recategorizeJob');
+const Team = require('../models/team');
+const Membership = require('../models/membership');
+const Device = require('../models/device');
+const { mergeCategories } = require('../utils/categories');
+const { DEFAULT_DAY_SETTINGS, dayKey } = require('../utils/days');
+const { DuplicateKeyError } = require('./errors');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// One Map of _id → document per collection
+const tables = {
+  users: new Map(),
+  timeEntries: new Map(),
+  categories: new Map(),
+  rules: new Map(),
+  limits: new Map(),
+  projects: new Map(),
+  focusSessions: new Map(),
+  recategorizeJobs: new Map(),
+  teams: new Map(),
+  memberships: new Map(),
+  rollups: new Map(),
+  devices: new Map()
+};
+
+// Tables whose documents belong to a user through `userId`
+const USER_TABLES = ['timeEntries', 'rollups', 'categories', 'rules', 'limits', 'projects', 'focusSessions', 'recategorizeJobs', 'memberships', 'devices'];
+
+// Callers get copies, so changing a returned object never changes the store
+const clone = doc => (doc ? structuredClone(doc) : null);
+
+const rows = table => [...tables[table].values()];
+
+const findFirst = (table, predicate) => clone(rows(table).find(predicate));
+
+const findAll = (table, predicate) => rows(table).filter(predicate).map(clone);
+
+// Throw DuplicateKeyError if another document has the same values for all `fields`
+const assertUnique = (table, doc, fields) => {
+  if (!fields.length || fields.some(field => doc[field] === undefined || doc[field] === null)) return;
+  const duplicate = rows(table).some(other =>
+    other._id !== doc._id && fields.every(field => other[field] === doc[field])
+  );
+  if (duplicate) throw new DuplicateKeyError(`Duplicate ${fields.join(', ')} in ${table}`);
+};
+
+// Validated document with the model's defaults and a string _id
+const build = async (Model, doc) => {
+  const instance = new Model(doc);
+  await instance.validate();
+  const { _id, __v, ...rest } = instance.toObject();
+  return { _id: String(_id), ...rest };
+};
+
+const insert = async (table, Model, doc, uniqueFields = []) => {
+  const now = new Date();
+  const record = await build(Model, { ...doc, createdAt: now, updatedAt: now });
+  assertUnique(table, record, uniqueFields);
+  tables[table].set(record._id, record);
+  return clone(record);
+};
+
+// Apply changes to a stored document; a null value removes the field
+const replace = async (table, Model, existing, changes, uniqueFields = []) => {
+  const merged = { ...existing, updatedAt: new Date() };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  });
+  const record = await build(Model, merged);
+  assertUnique(table, record, uniqueFields);
+  tables[table].set(record._id, record);
+  return clone(record);
+};
+
+const remove = (table, doc) => {
+  if (!doc) return null;
+  tables[table].delete(doc._id);
+  return clone(doc);
+};
+
+const sameValue = (a, b) =>
+  (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+const inRange = (date, { startDate, endDate }) => {
+  if (startDate && !(date >= new Date(startDate))) return false;
+  if (endDate && !(date <= new Date(endDate))) return false;
+  return true;
+};
+
+// Whether rollups count an entry for the days of a skipDays filter; entries without
+// a day count on the day of their timestamp under the user's settings
+const inSkippedDays = (entry, { firstDay, lastDay, from, to }) => {
+  if (entry.day) return (!firstDay || entry.day >= firstDay) && entry.day <= lastDay;
+  return (!from || entry.timestamp >= new Date(from)) && entry.timestamp < new Date(to);
+};
+
+const hasUser = (userId, doc) => (Array.isArray(userId) ? userId.includes(doc.userId) : doc.userId === userId);
+
+// Whether an entry passes an entry filter (see storage/index.js)
+const matchesEntry = (filter) => {
+  const { userId, hostname, site, category, project, manual, clientId, day, device, skipDays } = filter;
+  const pattern = filter.hostnamePattern ? new RegExp(filter.hostnamePattern, 'i') : null;
+  const categories = category && (Array.isArray(category) ? category : [category]);
+  const siteName = site && site.toLowerCase();
+
+  return entry => {
+    if (!hasUser(userId, entry) || !inRange(entry.timestamp, filter)) return false;
+    if (hostname && entry.hostname !== hostname) return false;
+    if (pattern && !pattern.test(entry.hostname)) return false;
+    if (siteName) {
+      const host = entry.hostname.toLowerCase();
+      if (host !== siteName && !host.endsWith(`.${siteName}`)) return false;
+    }
+    if (categories && !categories.includes(entry.category)) return false;
+    if (project !== undefined && (entry.project || null) !== project) return false;
+    if (manual === 'exclude' && entry.manual === true) return false;
+    if (manual === 'only' && entry.manual !== true) return false;
+    if (clientId && entry.clientId !== clientId) return false;
+    if (day && entry.day !== day) return false;
+    if (device !== undefined && (entry.device || null) !== device) return false;
+    if (skipDays && inSkippedDays(entry, skipDays)) return false;
+    return true;
+  };
+};
+
+// Sort by one field given as "field" (ascending) or "-field" (descending)
+const sortBy = (docs, spec) => {
+  const descending = spec.startsWith('-');
+  const field = descending ? spec.slice(1) : spec;
+  return docs.sort((a, b) => {
+    const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+    return descending ? -order : order;
+  });
+};
+
+// Weekday (0 is Sunday), hour and minute of a time in a timezone
+const clockOf = (timezone) => {
+  const format = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23' });
+  return date => {
+    const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+    return { weekday: WEEKDAYS.indexOf(parts.weekday), hour: Number(parts.hour) % 24, minute: Number(parts.minute) };
+  };
+};
+
+// A session split at the hour boundaries of the clock's timezone: [{ at, duration }]
+const hourParts = (clock, startedAt, duration) => {
+  const parts = [];
+  let offset = 0;
+  let length = Math.min(duration, 3600 - (clock(startedAt).minute * 60 + startedAt.getUTCSeconds()));
+  while (offset < duration) {
+    parts.push({ at: new Date(startedAt.getTime() + offset * 1000), duration: length });
+    offset += length;
+    length = Math.min(duration - offset, 3600);
+  }
+  return parts;
+};
+
+const users = {
+  create({ email, password, name }) {
+    return insert('users', User, { email, password, name }, ['email']);
+  },
+
+  async findById(id) {
+    return clone(tables.users.get(String(id)));
+  },
+
+  async findByEmail(email) {
+    return findFirst('users', user => user.email === String(email).toLowerCase());
+  },
+
+  async findByIds(ids) {
+    const wanted = ids.map(String);
+    return findAll('users', user => wanted.includes(user._id));
+  },
+
+  async existsByEmail(email) {
+    return Boolean(await users.findByEmail(email));
+  },
+
+  async ids() {
+    return [...tables.users.keys()];
+  },
+
+  async daySettings(id) {
+    const user = tables.users.get(String(id));
+    const { timezone, dayStartHour } = { ...DEFAULT_DAY_SETTINGS, ...(user && user.settings) };
+    return { timezone, dayStartHour };
+  },
+
+  async updateSettings(id, settings) {
+    const user = tables.users.get(String(id));
+    return user ? replace('users', User, user, { settings }) : null;
+  },
+
+  async syncedSettings(id) {
+    const user = tables.users.get(String(id));
+    return clone(user && user.syncedSettings) || {};
+  },
+
+  async setSyncedSettings(id, syncedSettings) {
+    const user = tables.users.get(String(id));
+    return user ? replace('users', User, user, { syncedSettings }) : null;
+  },
+
+  async deleteWithData(id) {
+    const userId = String(id);
+    if (!tables.users.has(userId)) return null;
+
+    const removed = Object.fromEntries(USER_TABLES.map(table => {
+      let count = 0;
+      tables[table].forEach((doc, key) => {
+        if (doc.userId !== userId) return;
+        tables[table].delete(key);
+        count += 1;
+      });
+      return [table, count];
+    }));
+    tables.users.delete(userId);
+    return removed;
+  }
+};
+
+const timeEntries = {
+  async find(filter, { sort = '-timestamp', skip = 0, limit } = {}) {
+    const entries = sortBy(rows('timeEntries').filter(matchesEntry(filter)), sort).slice(skip);
+    return (limit ? entries.slice(0, limit) : entries).map(clone);
+  },
+
+  async count(filter) {
+    return rows('timeEntries').filter(matchesEntry(filter)).length;
+  },
+
+  stream(filter) {
+    const entries = sortBy(rows('timeEntries').filter(matchesEntry(filter)), 'timestamp');
+    let closed = false;
+    return {
+      async *[Symbol.asyncIterator]() {
+        for (const entry of entries) {
+          if (closed) return;
+          yield clone(entry);
+        }
+      },
+      async close() {
+        closed = true;
+      }
+    };
+  },
+
+  async findOne(userId, id) {
+    return findFirst('timeEntries', entry => entry._id === String(id) && entry.userId === userId);
+  },
+
+  async findByClientId(userId, clientId) {
+    return findFirst('timeEntries', entry => entry.userId === userId && entry.clientId === clientId);
+  },
+
+  async findByIds(ids) {
+    const wanted = ids.map(String);
+    return findAll('timeEntries', entry => wanted.includes(entry._id));
+  },
+
+  create(entry) {
+    return insert('timeEntries', TimeEntry, entry, ['userId', 'clientId']);
+  },
+
+  async insertNew(entries) {
+    const inserted = [];
+    for (const entry of entries) {
+      if (entry.clientId && await timeEntries.findByClientId(entry.userId, entry.clientId)) continue;
+      inserted.push(await timeEntries.create(entry));
+    }
+    return inserted;
+  },
+
+  async existingClientIds(userId, clientIds) {
+    return rows('timeEntries')
+      .filter(entry => entry.userId === userId && clientIds.includes(entry.clientId))
+      .map(entry => entry.clientId);
+  },
+
+  async update(userId, id, changes) {
+    const existing = tables.timeEntries.get(String(id));
+    if (!existing || existing.userId !== userId) return null;
+    return replace('timeEntries', TimeEntry, existing, changes);
+  },
+
+  async updateMany(filter, changes) {
+    let modified = 0;
+    rows('timeEntries').filter(matchesEntry(filter)).forEach(entry => {
+      const changed = Object.entries(changes).filter(([key, value]) =>
+        value !== undefined && (value === null ? key in entry : !sameValue(entry[key], value))
+      );
+      if (!changed.length) return;
+      changed.forEach(([key, value]) => {
+        if (value === null) {
+          delete entry[key];
+        } else {
+          entry[key] = value;
+        }
+      });
+      entry.updatedAt = new Date();
+      modified += 1;
+    });
+    return modified;
+  },
+
+  async delete(userId, id) {
+    return remove('timeEntries', await timeEntries.findOne(userId, id));
+  },
+
+  async setCategories(changes) {
+    changes.forEach(({ _id, category }) => {
+      const entry = tables.timeEntries.get(String(_id));
+      if (entry) Object.assign(entry, { category, updatedAt: new Date() });
+    });
+  },
+
+  async rebucket(userId, settings) {
+    let modified = 0;
+    rows('timeEntries').filter(entry => entry.userId === userId).forEach(entry => {
+      const day = dayKey(entry.timestamp, settings);
+      if (entry.day === day && entry.timezone === settings.timezone && entry.dayStartHour === settings.dayStartHour) return;
+      Object.assign(entry, settings, { day, updatedAt: new Date() });
+      modified += 1;
+    });
+    return modified;
+  },
+
+  async totals(filter, keys, { daySettings = DEFAULT_DAY_SETTINGS, timezone = daySettings.timezone } = {}) {
+    const clock = clockOf(timezone);
+    const byClock = keys.includes('weekday') || keys.includes('hour');
+    const groups = new Map();
+
+    rows('timeEntries').filter(matchesEntry(filter)).forEach(entry => {
+      const startedAt = entry.startedAt || new Date(entry.timestamp.getTime() - entry.duration * 1000);
+      const values = {
+        category: entry.category,
+        hostname: entry.hostname,
+        userId: entry.userId,
+        project: entry.project || null,
+        manual: entry.manual === true,
+        device: entry.device || null,
+        day: entry.day || dayKey(entry.timestamp, daySettings)
+      };
+      // Weekday and hour totals count each part of a session towards its own hour
+      const parts = byClock ? hourParts(clock, startedAt, entry.duration) : [{ duration: entry.duration }];
+      parts.forEach(({ at, duration }) => {
+        const partValues = at ? { ...values, ...clock(at) } : values;
+        const row = Object.fromEntries(keys.map(key => [key, partValues[key]]));
+        const id = JSON.stringify(row);
+        const group = groups.get(id) || { ...row, totalTime: 0, entryCount: 0 };
+        group.totalTime += duration;
+        group.entryCount += 1;
+        groups.set(id, group);
+      });
+    });
+
+    return [...groups.values()];
+  }
+};
+
+// Rollups are keyed by every dimension they are summed over
+const rollupKey = ({ userId, day, hostname, category, project, manual, device }) =>
+  JSON.stringify([userId, day, hostname, category, project, manual, device]);
+
+const matchesRollup = ({ userId, firstDay, lastDay, hostname, category, project, manual, device }) => {
+  const categories = category && (Array.isArray(category) ? category : [category]);
+  return row => hasUser(userId, row) &&
+    (!firstDay || row.day >= firstDay) &&
+    (!lastDay || row.day <= lastDay) &&
+    (!hostname || row.hostname === hostname) &&
+    (!categories || categories.includes(row.category)) &&
+    (project === undefined || row.project === project) &&
+    (device === undefined || row.device === device) &&
+    !(manual === 'exclude' && row.manual) &&
+    !(manual === 'only' && !row.manual);
+};
+
+const rollups = {
+  async increment(deltas) {
+    deltas.forEach(({ totalTime, entryCount, ...key }) => {
+      const id = rollupKey(key);
+      const row = tables.rollups.get(id) || { ...key, totalTime: 0, entryCount: 0 };
+      row.totalTime += totalTime;
+      row.entryCount += entryCount;
+      if (row.entryCount > 0) {
+        tables.rollups.set(id, row);
+      } else {
+        tables.rollups.delete(id);
+      }
+    });
+  },
+
+  async replace(userId, days, replacement) {
+    rows('rollups')
+      .filter(row => row.userId === userId && (!days || days.includes(row.day)))
+      .forEach(row => tables.rollups.delete(rollupKey(row)));
+    await rollups.increment(replacement.map(row => ({ ...row, userId })));
+  },
+
+  async totals(filter, keys) {
+    const groups = new Map();
+    rows('rollups').filter(matchesRollup(filter)).forEach(rollup => {
+      const row = Object.fromEntries(keys.map(key => [key, rollup[key]]));
+      const id = JSON.stringify(row);
+      const group = groups.get(id) || { ...row, totalTime: 0, entryCount: 0 };
+      group.totalTime += rollup.totalTime;
+      group.entryCount += rollup.entryCount;
+      groups.set(id, group);
+    });
+    return [...groups.values()];
+  }
+};
+
+const categories = {
+  async forUser(userId) {
+    const custom = findAll('categories', category => category.userId === userId && !category.deletedAt);
+    return mergeCategories(sortBy(custom, 'createdAt'));
+  },
+
+  async exists(userId, key) {
+    return rows('categories').some(category => category.userId === userId && category.key === key && !category.deletedAt);
+  },
+
+  async definitions(userId) {
+    return sortBy(findAll('categories', category => category.userId === userId), 'createdAt');
+  },
+
+  async put(userId, key, fields) {
+    const existing = rows('categories').find(category => category.userId === userId && category.key === key);
+    return existing
+      ? replace('categories', Category, existing, fields)
+      : insert('categories', Category, { ...fields, userId, key }, ['userId', 'key']);
+  }
+};
+
+const devices = {
+  async forUser(userId) {
+    return sortBy(findAll('devices', device => device.userId === userId), 'createdAt');
+  },
+
+  async upsert(userId, deviceId, fields) {
+    const existing = rows('devices').find(device => device.userId === userId && device.deviceId === deviceId);
+    return existing
+      ? replace('devices', Device, existing, fields)
+      : insert('devices', Device, { ...fields, userId, deviceId }, ['userId', 'deviceId']);
+  },
+
+  async delete(userId, deviceId) {
+    return remove('devices', rows('devices').find(device => device.userId === userId && device.deviceId === deviceId));
+  }
+};
+
+// Ordered lists (category rules, time limits) that are always saved as a whole;
+// toItem gives the plain object the Mongo models' forUser returns
+const orderedList = (table, Model, toItem) => ({
+  async forUser(userId) {
+    return sortBy(findAll(table, item => item.userId === userId), 'position').map(toItem);
+  },
+
+  async replace(userId, items) {
+    rows(table).filter(item => item.userId === userId).forEach(item => tables[table].delete(item._id));
+    for (const [position, item] of items.entries()) {
+      await insert(table, Model, { ...item, userId, position });
+    }
+  }
+});
+
+const projects = {
+  async forUser(userId) {
+    return sortBy(findAll('projects', project => project.userId === userId), 'name');
+  },
+
+  create(project) {
+    return insert('projects', Project, project, ['userId', 'name']);
+  },
+
+  async update(userId, id, changes) {
+    const existing = tables.projects.get(String(id));
+    if (!existing || existing.userId !== userId) return null;
+    return replace('projects', Project, existing, changes, ['userId', 'name']);
+  },
+
+  async delete(userId, id) {
+    const existing = tables.projects.get(String(id));
+    return existing && existing.userId === userId ? remove('projects', existing) : null;
+  }
+};
+
+const matchesFocusSession = ({ userId, status, ...range }) => session =>
+  session.userId === userId && inRange(session.startedAt, range) && (!status || session.status === status);
+
+const focusSessions = {
+  async find(filter, { limit } = {}) {
+    const sessions = sortBy(findAll('focusSessions', matchesFocusSession(filter)), '-startedAt');
+    return limit ? sessions.slice(0, limit) : sessions;
+  },
+
+  async totalsByStatus(filter) {
+    const groups = new Map();
+    rows('focusSessions').filter(matchesFocusSession(filter)).forEach(session => {
+      const group = groups.get(session.status) ||
+        { status: session.status, sessions: 0, focusTime: 0, completedCycles: 0, blockedAttempts: 0 };
+      group.sessions += 1;
+      group.focusTime += session.focusTime;
+      group.completedCycles += session.completedCycles;
+      group.blockedAttempts += session.blockedAttempts;
+      groups.set(session.status, group);
+    });
+    return [...groups.values()];
+  },
+
+  async findByClientId(userId, clientId) {
+    return findFirst('focusSessions', session => session.userId === userId && session.clientId === clientId);
+  },
+
+  create(session) {
+    return insert('focusSessions', FocusSession, session, ['userId', 'clientId']);
+  },
+
+  async delete(userId, id) {
+    const existing = tables.focusSessions.get(String(id));
+    return existing && existing.userId === userId ? remove('focusSessions', existing) : null;
+  }
+};
+
+const recategorizeJobs = {
+  create(job) {
+    return insert('recategorizeJobs', RecategorizeJob, job);
+  },
+
+  async findOne(userId, id) {
+    return findFirst('recategorizeJobs', job => job._id === String(id) && job.userId === userId);
+  },
+
+  async findRunning(userId) {
+    return findFirst('recategorizeJobs', job => job.userId === userId && job.status === 'running');
+  },
+
+  async failStale(userId, before) {
+    rows('recategorizeJobs')
+      .filter(job => job.userId === userId && job.status === 'running' && job.updatedAt < before)
+      .forEach(job => Object.assign(job, { status: 'failed', error: 'Job stopped responding', finishedAt: new Date() }));
+  },
+
+  async update(id, changes) {
+    const existing = tables.recategorizeJobs.get(String(id));
+    if (existing) await replace('recategorizeJobs', RecategorizeJob, existing, changes);
+  }
+};
+
+const teams = {
+  create(team) {
+    return insert('teams', Team, team, ['inviteCode']);
+  },
+
+  async findById(id) {
+    return clone(tables.teams.get(String(id)));
+  },
+
+  async findByIds(ids) {
+    const wanted = ids.map(String);
+    return findAll('teams', team => wanted.includes(team._id));
+  },
+
+  async findByInviteCode(inviteCode) {
+    return findFirst('teams', team => team.inviteCode === inviteCode);
+  },
+
+  async update(id, changes) {
+    const existing = tables.teams.get(String(id));
+    return existing ? replace('teams', Team, existing, changes, ['inviteCode']) : null;
+  },
+
+  async delete(id) {
+    tables.teams.delete(String(id));
+  }
+};
+
+const memberships = {
+  async of(teamId, userId) {
+    return findFirst('memberships', membership => membership.teamId === String(teamId) && membership.userId === userId);
+  },
+
+  async forUser(userId) {
+    return findAll('memberships', membership => membership.userId === userId);
+  },
+
+  async forTeam(teamId) {
+    return sortBy(findAll('memberships', membership => membership.teamId === String(teamId)), 'createdAt');
+  },
+
+  create(membership) {
+    return insert('memberships', Membership, membership, ['teamId', 'userId']);
+  },
+
+  async update(id, changes) {
+    const existing = tables.memberships.get(String(id));
+    return existing ? replace('memberships', Membership, existing, changes) : null;
+  },
+
+  async delete(id) {
+    tables.memberships.delete(String(id));
+  },
+
+  async deleteForTeam(teamId) {
+    rows('memberships')
+      .filter(membership => membership.teamId === String(teamId))
+      .forEach(membership => tables.memberships.delete(membership._id));
+  }
+};
+
+async function connect() {
+  console.log('Using in-memory storage; data is lost when the server stops');
+}
+
+async function disconnect() {}
+
+// Drop every document (between tests)
+function reset() {
+  Object.values(tables).forEach(table => table.clear());
+}
+
+module.exports = {
+  connect,
+  disconnect,
+  reset,
+  users,
+  timeEntries,
+  rollups,
+  categories,
+  devices,
+  rules: orderedList('rules', CategoryRule, ({ type, pattern, domain, category, priority }) =>
+    (domain ? { type, pattern, domain, category, priority } : { type, pattern, category, priority })),
+  limits: orderedList('limits', TimeLimit, ({ type, target, minutes, block }) => ({ type, target, minutes, block })),
+  projects,
+  focusSessions,
+  recategorizeJobs,
+  teams,
+  memberships
+};
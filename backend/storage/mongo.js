@@ -0,0 +1,581 @@
+// MongoDB store – the repositories in storage/index.js on top of the Mongoose models
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const TimeEntry = require('../models/timeEntry');
+const Category = require('../models/category');
+const CategoryRule = require('../models/categoryRule');
+const TimeLimit = require('../models/timeLimit');
+const Project = require('../models/project');
+const FocusSession = require('../models/focusSession');
+const RecategorizeJob = require('../models/recategorizeJob');
+const Team = require('../models/team');
+const Membership = require('../models/membership');
+const DailyRollup = require('../models/dailyRollup');
+const Device = require('../models/device');
+const { DEFAULT_DAY_SETTINGS, dayExpression } = require('../utils/days');
+const { DuplicateKeyError } = require('./errors');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/productivity-tracker';
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lean document with a string _id
+const toPlain = doc => {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = doc;
+  return { _id: String(_id), ...rest };
+};
+
+const toPlainList = docs => docs.map(toPlain);
+
+// Rethrow unique index violations as DuplicateKeyError
+const translateErrors = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code === 11000) throw new DuplicateKeyError(error.message);
+    throw error;
+  }
+};
+
+// $set / $unset update; a null value removes the field
+const toUpdate = changes => {
+  const update = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) return;
+    const operator = value === null ? '$unset' : '$set';
+    update[operator] = { ...update[operator], [key]: value === null ? 1 : value };
+  });
+  return update;
+};
+
+const rangeQuery = (field, { startDate, endDate }) => {
+  if (!startDate && !endDate) return {};
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return { [field]: range };
+};
+
+// Conditions for entries rollups don't count for the days of a skipDays filter; entries
+// without a day count on the day of their timestamp under the user's settings
+const outsideDays = ({ firstDay, lastDay, from, to }) => {
+  const conditions = [{ day: { $gt: lastDay } }, { day: null, timestamp: { $gte: new Date(to) } }];
+  if (firstDay) conditions.push({ day: { $lt: firstDay } });
+  if (from) conditions.push({ day: null, timestamp: { $lt: new Date(from) } });
+  return conditions;
+};
+
+// Query for an entry filter (see storage/index.js)
+const entryQuery = (filter) => {
+  const { userId, hostname, hostnamePattern, site, category, project, manual, clientId, day, device, skipDays } = filter;
+  const query = { userId: Array.isArray(userId) ? { $in: userId } : userId, ...rangeQuery('timestamp', filter) };
+  if (hostname) query.hostname = hostname;
+  if (hostnamePattern) query.hostname = { $regex: hostnamePattern, $options: 'i' };
+  if (site) query.hostname = { $regex: `(^|\\.)${escapeRegex(site)}$`, $options: 'i' };
+  if (category) query.category = Array.isArray(category) ? { $in: category } : category;
+  if (project !== undefined) query.project = project;
+  if (manual === 'exclude') query.manual = { $ne: true };
+  if (manual === 'only') query.manual = true;
+  if (clientId) query.clientId = clientId;
+  if (day) query.day = day;
+  if (device !== undefined) query.device = device;
+  if (skipDays) query.$or = outsideDays(skipDays);
+  return query;
+};
+
+// When a session started; older entries only know when they ended and how long they took
+const STARTED_AT = {
+  $ifNull: ['$startedAt', { $subtract: ['$timestamp', { $multiply: ['$duration', 1000] }] }]
+};
+
+// Stages that split each session at the hour boundaries of a timezone, for weekday
+// and hour totals: every part becomes a document whose startedAt and duration are the part's
+const hourParts = timezone => {
+  const intoHour = { $add: [{ $multiply: [{ $minute: { date: '$sessionStart', timezone } }, 60] }, { $second: '$sessionStart' }] };
+  const otherParts = { $ceil: { $divide: [{ $max: [{ $subtract: ['$duration', '$firstPart'] }, 0] }, 3600] } };
+  return [
+    { $set: { sessionStart: STARTED_AT } },
+    { $set: { firstPart: { $min: ['$duration', { $subtract: [3600, intoHour] }] } } },
+    { $set: { part: { $range: [0, { $toInt: { $add: [1, otherParts] } }] } } },
+    { $unwind: '$part' },
+    { $set: { offset: { $cond: [{ $eq: ['$part', 0] }, 0, { $add: ['$firstPart', { $multiply: [{ $subtract: ['$part', 1] }, 3600] }] }] } } },
+    {
+      $set: {
+        startedAt: { $add: ['$sessionStart', { $multiply: ['$offset', 1000] }] },
+        duration: { $min: [{ $subtract: ['$duration', '$offset'] }, { $cond: [{ $eq: ['$part', 0] }, '$firstPart', 3600] }] }
+      }
+    }
+  ];
+};
+
+// Group key expressions of timeEntries.totals
+const GROUP_KEYS = {
+  category: () => '$category',
+  hostname: () => '$hostname',
+  userId: () => '$userId',
+  project: () => ({ $ifNull: ['$project', null] }),
+  manual: () => ({ $eq: ['$manual', true] }),
+  device: () => ({ $ifNull: ['$device', null] }),
+  day: ({ daySettings }) => ({ $ifNull: ['$day', dayExpression('$timestamp', daySettings)] }),
+  weekday: ({ timezone }) => ({ $subtract: [{ $dayOfWeek: { date: STARTED_AT, timezone } }, 1] }),
+  hour: ({ timezone }) => ({ $hour: { date: STARTED_AT, timezone } })
+};
+
+// Query for a rollup filter: { userId, firstDay, lastDay, hostname, category, project, manual, device }
+const rollupQuery = ({ userId, firstDay, lastDay, hostname, category, project, manual, device }) => {
+  const query = { userId: Array.isArray(userId) ? { $in: userId } : userId };
+  if (firstDay || lastDay) {
+    query.day = {};
+    if (firstDay) query.day.$gte = firstDay;
+    if (lastDay) query.day.$lte = lastDay;
+  }
+  if (hostname) query.hostname = hostname;
+  if (category) query.category = Array.isArray(category) ? { $in: category } : category;
+  if (project !== undefined) query.project = project;
+  if (device !== undefined) query.device = device;
+  if (manual === 'exclude') query.manual = false;
+  if (manual === 'only') query.manual = true;
+  return query;
+};
+
+// Collections whose documents belong to a user through `userId`
+const USER_COLLECTIONS = {
+  timeEntries: TimeEntry,
+  rollups: DailyRollup,
+  categories: Category,
+  rules: CategoryRule,
+  limits: TimeLimit,
+  projects: Project,
+  focusSessions: FocusSession,
+  recategorizeJobs: RecategorizeJob,
+  memberships: Membership,
+  devices: Device
+};
+
+const users = {
+  async create({ email, password, name }) {
+    return toPlain((await translateErrors(() => User.create({ email, password, name }))).toObject());
+  },
+
+  async findById(id) {
+    return toPlain(await User.findById(id).lean());
+  },
+
+  async findByEmail(email) {
+    return toPlain(await User.findOne({ email: String(email).toLowerCase() }).lean());
+  },
+
+  async findByIds(ids) {
+    return toPlainList(await User.find({ _id: { $in: ids } }).lean());
+  },
+
+  async existsByEmail(email) {
+    return Boolean(await User.exists({ email: String(email).toLowerCase() }));
+  },
+
+  async ids() {
+    const docs = await User.find({}, { _id: 1 }).lean();
+    return docs.map(doc => String(doc._id));
+  },
+
+  daySettings(id) {
+    return User.daySettings(id);
+  },
+
+  async updateSettings(id, settings) {
+    return toPlain(await User.findByIdAndUpdate(id, { settings }, { new: true, runValidators: true }).lean());
+  },
+
+  // Extension settings shared by the user's devices: { name: { value, modifiedAt } }
+  async syncedSettings(id) {
+    const user = await User.findById(id, { syncedSettings: 1 }).lean();
+    return (user && user.syncedSettings) || {};
+  },
+
+  async setSyncedSettings(id, syncedSettings) {
+    return toPlain(await User.findByIdAndUpdate(id, { syncedSettings }, { new: true }).lean());
+  },
+
+  // Delete the user and every document they own; { collection: deleted count }, or null if
+  // there is no such user. The user goes last, so an interrupted run can be repeated.
+  async deleteWithData(id) {
+    if (!(await User.exists({ _id: id }))) return null;
+
+    const removed = {};
+    for (const [name, Model] of Object.entries(USER_COLLECTIONS)) {
+      removed[name] = (await Model.deleteMany({ userId: String(id) })).deletedCount;
+    }
+    await User.deleteOne({ _id: id });
+    return removed;
+  }
+};
+
+const timeEntries = {
+  // Entries newest first, or with sort: 'timestamp' oldest first
+  async find(filter, { sort = '-timestamp', skip = 0, limit } = {}) {
+    const query = TimeEntry.find(entryQuery(filter)).sort(sort).skip(skip);
+    if (limit) query.limit(limit);
+    return toPlainList(await query.lean());
+  },
+
+  count(filter) {
+    return TimeEntry.countDocuments(entryQuery(filter));
+  },
+
+  // Async iterable of the matching entries, oldest first; close() stops it early
+  stream(filter, { fields } = {}) {
+    return TimeEntry.find(entryQuery(filter), fields)
+      .sort({ timestamp: 1 })
+      .lean()
+      .cursor({ batchSize: 500 })
+      .map(toPlain);
+  },
+
+  async findOne(userId, id) {
+    return toPlain(await TimeEntry.findOne({ _id: id, userId }).lean());
+  },
+
+  async findByClientId(userId, clientId) {
+    return toPlain(await TimeEntry.findOne({ userId, clientId }).lean());
+  },
+
+  async findByIds(ids) {
+    return toPlainList(await TimeEntry.find({ _id: { $in: ids } }).lean());
+  },
+
+  async create(entry) {
+    return toPlain((await translateErrors(() => TimeEntry.create(entry))).toObject());
+  },
+
+  // Insert entries, skipping those whose clientId is already stored; returns the inserted ones
+  async insertNew(entries) {
+    const operations = entries.map(entry => (entry.clientId
+      ? { updateOne: { filter: { userId: entry.userId, clientId: entry.clientId }, update: { $setOnInsert: entry }, upsert: true } }
+      : { insertOne: { document: entry } }));
+    const result = await TimeEntry.bulkWrite(operations, { ordered: true });
+    const insertedIds = [
+      ...Object.values(result.insertedIds || {}),
+      ...Object.values(result.upsertedIds || {})
+    ];
+    return toPlainList(await TimeEntry.find({ _id: { $in: insertedIds } }).lean());
+  },
+
+  async existingClientIds(userId, clientIds) {
+    const entries = await TimeEntry.find({ userId, clientId: { $in: clientIds } }, { clientId: 1 }).lean();
+    return entries.map(entry => entry.clientId);
+  },
+
+  // Updated entry, or null if the user has none with this id
+  async update(userId, id, changes) {
+    return toPlain(await TimeEntry.findOneAndUpdate(
+      { _id: id, userId },
+      toUpdate(changes),
+      { new: true, runValidators: true }
+    ).lean());
+  },
+
+  // Number of entries changed
+  async updateMany(filter, changes) {
+    const result = await TimeEntry.updateMany(entryQuery(filter), toUpdate(changes));
+    return result.modifiedCount;
+  },
+
+  async delete(userId, id) {
+    return toPlain(await TimeEntry.findOneAndDelete({ _id: id, userId }).lean());
+  },
+
+  // Apply [{ _id, category }] changes
+  async setCategories(changes) {
+    if (!changes.length) return;
+    await TimeEntry.bulkWrite(changes.map(({ _id, category }) => ({
+      updateOne: { filter: { _id }, update: { category, updatedAt: new Date() } }
+    })), { ordered: false });
+  },
+
+  // Move every entry of the user to its day under new settings; returns the number moved
+  async rebucket(userId, settings) {
+    const result = await TimeEntry.updateMany({ userId }, [
+      { $set: { ...settings, day: dayExpression('$timestamp', settings) } }
+    ]);
+    return result.modifiedCount;
+  },
+
+  // Summed durations per combination of `keys` (category, hostname, userId, project, manual,
+  // device, day, weekday, hour) as [{ ...keys, totalTime, entryCount }]. Days of entries stored without one
+  // use `daySettings`; weekday (0 is Sunday) and hour are when entries started, in `timezone`.
+  async totals(filter, keys, { daySettings = DEFAULT_DAY_SETTINGS, timezone = daySettings.timezone } = {}) {
+    const group = Object.fromEntries(keys.map(key => [key, GROUP_KEYS[key]({ daySettings, timezone })]));
+    const byClock = keys.includes('weekday') || keys.includes('hour');
+    const rows = await TimeEntry.aggregate([
+      { $match: entryQuery(filter) },
+      ...(byClock ? hourParts(timezone) : []),
+      { $group: { _id: group, totalTime: { $sum: '$duration' }, entryCount: { $sum: 1 } } }
+    ]);
+    return rows.map(({ _id, totalTime, entryCount }) => ({ ..._id, totalTime, entryCount }));
+  }
+};
+
+const rollups = {
+  // Add [{ userId, day, hostname, category, project, manual, device, totalTime, entryCount }] deltas;
+  // rows left without entries are dropped
+  async increment(deltas) {
+    if (!deltas.length) return;
+    await DailyRollup.bulkWrite(deltas.map(({ totalTime, entryCount, ...key }) => ({
+      updateOne: { filter: key, update: { $inc: { totalTime, entryCount } }, upsert: true }
+    })), { ordered: false });
+    const userIds = [...new Set(deltas.map(delta => delta.userId))];
+    await DailyRollup.deleteMany({ userId: { $in: userIds }, entryCount: { $lte: 0 } });
+  },
+
+  // Replace the user's rollups of some days (every day when `days` is null) with `rows`
+  async replace(userId, days, rows) {
+    await DailyRollup.deleteMany(days ? { userId, day: { $in: days } } : { userId });
+    if (rows.length) await DailyRollup.insertMany(rows.map(row => ({ ...row, userId })));
+  },
+
+  // Summed rollups per combination of `keys`, like timeEntries.totals
+  async totals(filter, keys) {
+    const group = Object.fromEntries(keys.map(key => [key, `$${key}`]));
+    const rows = await DailyRollup.aggregate([
+      { $match: rollupQuery(filter) },
+      { $group: { _id: group, totalTime: { $sum: '$totalTime' }, entryCount: { $sum: '$entryCount' } } }
+    ]);
+    return rows.map(({ _id, totalTime, entryCount }) => ({ ..._id, totalTime, entryCount }));
+  }
+};
+
+const categories = {
+  forUser(userId) {
+    return Category.forUser(userId);
+  },
+
+  async exists(userId, key) {
+    return Boolean(await Category.exists({ userId, key, deletedAt: null }));
+  },
+
+  // Every stored definition, deleted ones (with deletedAt) included
+  async definitions(userId) {
+    return toPlainList(await Category.find({ userId }).sort({ createdAt: 1 }).lean());
+  },
+
+  // Create or change the user's definition of a key; a null value removes the field
+  async put(userId, key, fields) {
+    return toPlain(await translateErrors(() => Category.findOneAndUpdate(
+      { userId, key },
+      toUpdate(fields),
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean()));
+  }
+};
+
+const devices = {
+  async forUser(userId) {
+    return toPlainList(await Device.find({ userId }).sort({ createdAt: 1 }).lean());
+  },
+
+  // Register a device or update its name, browser and lastSeenAt
+  async upsert(userId, deviceId, fields) {
+    return toPlain(await translateErrors(() => Device.findOneAndUpdate(
+      { userId, deviceId },
+      toUpdate(fields),
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean()));
+  },
+
+  async delete(userId, deviceId) {
+    return toPlain(await Device.findOneAndDelete({ userId, deviceId }).lean());
+  }
+};
+
+// Ordered lists (category rules, time limits) that are always saved as a whole
+const orderedList = Model => ({
+  forUser(userId) {
+    return Model.forUser(userId);
+  },
+
+  async replace(userId, items) {
+    await Model.deleteMany({ userId });
+    if (items.length) {
+      await Model.insertMany(items.map((item, position) => ({ ...item, userId, position })));
+    }
+  }
+});
+
+const projects = {
+  async forUser(userId) {
+    return toPlainList(await Project.forUser(userId));
+  },
+
+  async create(project) {
+    return toPlain((await translateErrors(() => Project.create(project))).toObject());
+  },
+
+  async update(userId, id, changes) {
+    return toPlain(await translateErrors(() => Project.findOneAndUpdate(
+      { _id: id, userId },
+      changes,
+      { new: true, runValidators: true }
+    ).lean()));
+  },
+
+  async delete(userId, id) {
+    return toPlain(await Project.findOneAndDelete({ _id: id, userId }).lean());
+  }
+};
+
+// Filter { userId, startDate, endDate, status } on when sessions started
+const focusQuery = ({ userId, status, ...range }) => {
+  const query = { userId, ...rangeQuery('startedAt', range) };
+  if (status) query.status = status;
+  return query;
+};
+
+const focusSessions = {
+  // Sessions newest first
+  async find(filter, { limit } = {}) {
+    const query = FocusSession.find(focusQuery(filter)).sort({ startedAt: -1 });
+    if (limit) query.limit(limit);
+    return toPlainList(await query.lean());
+  },
+
+  // [{ status, sessions, focusTime, completedCycles, blockedAttempts }]
+  async totalsByStatus(filter) {
+    const rows = await FocusSession.aggregate([
+      { $match: focusQuery(filter) },
+      {
+        $group: {
+          _id: '$status',
+          sessions: { $sum: 1 },
+          focusTime: { $sum: '$focusTime' },
+          completedCycles: { $sum: '$completedCycles' },
+          blockedAttempts: { $sum: '$blockedAttempts' }
+        }
+      }
+    ]);
+    return rows.map(({ _id, ...totals }) => ({ status: _id, ...totals }));
+  },
+
+  async findByClientId(userId, clientId) {
+    return toPlain(await FocusSession.findOne({ userId, clientId }).lean());
+  },
+
+  async create(session) {
+    return toPlain((await translateErrors(() => FocusSession.create(session))).toObject());
+  },
+
+  async delete(userId, id) {
+    return toPlain(await FocusSession.findOneAndDelete({ _id: id, userId }).lean());
+  }
+};
+
+const recategorizeJobs = {
+  async create(job) {
+    return toPlain((await RecategorizeJob.create(job)).toObject());
+  },
+
+  async findOne(userId, id) {
+    return toPlain(await RecategorizeJob.findOne({ _id: id, userId }).lean());
+  },
+
+  async findRunning(userId) {
+    return toPlain(await RecategorizeJob.findOne({ userId, status: 'running' }).lean());
+  },
+
+  // Mark running jobs without progress since `before` as failed
+  async failStale(userId, before) {
+    await RecategorizeJob.updateMany(
+      { userId, status: 'running', updatedAt: { $lt: before } },
+      { status: 'failed', error: 'Job stopped responding', finishedAt: new Date() }
+    );
+  },
+
+  async update(id, changes) {
+    await RecategorizeJob.updateOne({ _id: id }, changes);
+  }
+};
+
+const teams = {
+  async create(team) {
+    return toPlain((await translateErrors(() => Team.create(team))).toObject());
+  },
+
+  async findById(id) {
+    return toPlain(await Team.findById(id).lean());
+  },
+
+  async findByIds(ids) {
+    return toPlainList(await Team.find({ _id: { $in: ids } }).lean());
+  },
+
+  async findByInviteCode(inviteCode) {
+    return toPlain(await Team.findOne({ inviteCode }).lean());
+  },
+
+  async update(id, changes) {
+    return toPlain(await translateErrors(() => Team.findByIdAndUpdate(id, changes, { new: true, runValidators: true }).lean()));
+  },
+
+  async delete(id) {
+    await Team.deleteOne({ _id: id });
+  }
+};
+
+const memberships = {
+  // The user's membership of a team, or null
+  async of(teamId, userId) {
+    return toPlain(await Membership.findOne({ teamId, userId }).lean());
+  },
+
+  async forUser(userId) {
+    return toPlainList(await Membership.find({ userId }).lean());
+  },
+
+  // Members in the order they joined
+  async forTeam(teamId) {
+    return toPlainList(await Membership.find({ teamId }).sort({ createdAt: 1 }).lean());
+  },
+
+  async create(membership) {
+    return toPlain((await translateErrors(() => Membership.create(membership))).toObject());
+  },
+
+  async update(id, changes) {
+    return toPlain(await Membership.findByIdAndUpdate(id, changes, { new: true, runValidators: true }).lean());
+  },
+
+  async delete(id) {
+    await Membership.deleteOne({ _id: id });
+  },
+
+  async deleteForTeam(teamId) {
+    await Membership.deleteMany({ teamId });
+  }
+};
+
+async function connect() {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+}
+
+function disconnect() {
+  return mongoose.disconnect();
+}
+
+module.exports = {
+  connect,
+  disconnect,
+  users,
+  timeEntries,
+  rollups,
+  categories,
+  devices,
+  rules: orderedList(CategoryRule),
+  limits: orderedList(TimeLimit),
+  projects,
+  focusSessions,
+  recategorizeJobs,
+  teams,
+  memberships
+};
@@ -0,0 +1,212 @@
+// Daily rollups – time entry totals per user, day, hostname, category, project,
+// manual flag and device, so analytics over long ranges don't scan every entry.
+//
+// withRollups() wraps a store's timeEntries: every write also adjusts the
+// rollups, and totals() answers whole past days from them, reading raw entries
+// only for the current day and for the partial days at the edges of a range.
+// Days are the entries' stored `day`, which follows the timezone and day start
+// each entry was sent with (PUT /api/settings re-buckets them all to the user's),
+// so an entry near a day boundary can be rolled up under a day its timestamp
+// doesn't fall on; raw reads skip the entries rollups already count. rebuild()
+// recomputes a user's rollups from raw entries; `npm run rollups:rebuild` runs
+// it for every user.
+
+const { dayKey, dayStart, addDays } = require('../utils/days');
+
+const ROLLUP_KEYS = ['userId', 'day', 'hostname', 'category', 'project', 'manual', 'device'];
+const ROLLUP_FILTERS = ['userId', 'startDate', 'endDate', 'hostname', 'category', 'project', 'manual', 'device'];
+
+// No two timezones and day start hours put one instant on days further apart than
+// this (a 26 hour offset spread plus up to 23 hours of day start), so entries rolled
+// up outside a span of days lie within it of the span's edges
+const DAY_SKEW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// The earlier or later of a date and an optional bound
+const earliest = (date, bound) => (bound && new Date(bound) < date ? new Date(bound) : date);
+const latest = (date, bound) => (bound && new Date(bound) > date ? new Date(bound) : date);
+
+// Rows with the same keys summed into one
+const sumRows = (rows, keys) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const id = JSON.stringify(keys.map(key => row[key]));
+    const group = groups.get(id) || { ...Object.fromEntries(keys.map(key => [key, row[key]])), totalTime: 0, entryCount: 0 };
+    group.totalTime += row.totalTime;
+    group.entryCount += row.entryCount;
+    groups.set(id, group);
+  });
+  return [...groups.values()];
+};
+
+// Whether rollups hold every dimension a totals() call groups and filters by
+const canUseRollups = (filter, keys) =>
+  keys.every(key => ROLLUP_KEYS.includes(key)) &&
+  Object.keys(filter).every(key => filter[key] === undefined || ROLLUP_FILTERS.includes(key));
+
+// Whole days of a range that rollups can answer – those inside it and before today – as
+// { firstDay, lastDay, from, to } with `from`/`to` the instants they span, or null
+const rollupSpan = ({ startDate, endDate }, settings, now = new Date()) => {
+  let firstDay = null;
+  if (startDate) {
+    const day = dayKey(startDate, settings);
+    firstDay = dayStart(day, settings).getTime() === new Date(startDate).getTime() ? day : addDays(day, 1);
+  }
+
+  let lastDay = addDays(dayKey(now, settings), -1);
+  if (endDate) {
+    // endDate is inclusive: days that end by the instant after it are whole
+    const endDay = addDays(dayKey(new Date(new Date(endDate).getTime() + 1), settings), -1);
+    if (endDay < lastDay) lastDay = endDay;
+  }
+
+  if (firstDay && firstDay > lastDay) return null;
+  return {
+    firstDay,
+    lastDay,
+    from: firstDay ? dayStart(firstDay, settings) : null,
+    to: dayStart(addDays(lastDay, 1), settings)
+  };
+};
+
+function withRollups(store) {
+  const entries = store.timeEntries;
+
+  // Rollup change of adding (sign 1) or removing (sign -1) entries
+  const deltasOf = async (list, sign) => {
+    const settings = new Map();
+    const deltas = [];
+    for (const entry of list) {
+      let { day } = entry;
+      if (!day) {
+        // Entries stored before days were recorded count on their day under the user's settings
+        if (!settings.has(entry.userId)) settings.set(entry.userId, await store.users.daySettings(entry.userId));
+        day = dayKey(entry.timestamp, settings.get(entry.userId));
+      }
+      deltas.push({
+        userId: entry.userId,
+        day,
+        hostname: entry.hostname,
+        category: entry.category,
+        project: entry.project || null,
+        manual: entry.manual === true,
+        device: entry.device || null,
+        totalTime: sign * entry.duration,
+        entryCount: sign
+      });
+    }
+    return deltas;
+  };
+
+  // Move entries from their old to their new rollups
+  const replaceInRollups = async (before, after) => {
+    await store.rollups.increment([...await deltasOf(before, -1), ...await deltasOf(after, 1)]);
+  };
+
+  // Entry with changes applied the way the stores apply them (null removes a field)
+  const applyChanges = (entry, changes) => {
+    const changed = { ...entry };
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null) delete changed[key];
+      else if (value !== undefined) changed[key] = value;
+    });
+    return changed;
+  };
+
+  // Totals of one user: rollups for whole past days, raw entries for the rest of the range.
+  // Raw reads cover the edges of the span widened by DAY_SKEW_MS and skip entries whose
+  // day the rollups hold, so each entry counts once whatever timezone it was sent with.
+  const userTotals = async (filter, keys, options) => {
+    const span = rollupSpan(filter, await store.users.daySettings(filter.userId));
+    if (!span) return entries.totals(filter, keys, options);
+
+    const { startDate, endDate, ...rest } = filter;
+    const early = span.from && { startDate, endDate: earliest(new Date(span.from.getTime() + DAY_SKEW_MS), endDate) };
+    const late = { startDate: latest(new Date(span.to.getTime() - DAY_SKEW_MS), startDate), endDate };
+    // The windows of a short span overlap; read the whole range once then
+    const windows = !early ? [late] : early.endDate >= late.startDate ? [{ startDate, endDate }] : [early, late];
+
+    const parts = [
+      store.rollups.totals({ ...rest, firstDay: span.firstDay, lastDay: span.lastDay }, keys),
+      ...windows.map(window => entries.totals({ ...rest, ...window, skipDays: span }, keys, options))
+    ];
+    return sumRows((await Promise.all(parts)).flat(), keys);
+  };
+
+  // Recompute a user's rollups from raw entries, for some days or (days omitted) all of them
+  const rebuild = async (userId, days = null) => {
+    const daySettings = await store.users.daySettings(userId);
+    const rows = days
+      ? (await Promise.all(days.map(day => entries.totals({ userId, day }, ROLLUP_KEYS, { daySettings })))).flat()
+      : await entries.totals({ userId }, ROLLUP_KEYS, { daySettings });
+    await store.rollups.replace(userId, days, rows);
+  };
+
+  const timeEntries = {
+    ...entries,
+
+    async create(entry) {
+      const created = await entries.create(entry);
+      await replaceInRollups([], [created]);
+      return created;
+    },
+
+    async insertNew(list) {
+      const inserted = await entries.insertNew(list);
+      await replaceInRollups([], inserted);
+      return inserted;
+    },
+
+    async update(userId, id, changes) {
+      const before = await entries.findOne(userId, id);
+      const updated = await entries.update(userId, id, changes);
+      if (before && updated) await replaceInRollups([before], [updated]);
+      return updated;
+    },
+
+    async updateMany(filter, changes) {
+      const before = await entries.find(filter);
+      const modified = await entries.updateMany(filter, changes);
+      if (modified) await replaceInRollups(before, before.map(entry => applyChanges(entry, changes)));
+      return modified;
+    },
+
+    async delete(userId, id) {
+      const deleted = await entries.delete(userId, id);
+      if (deleted) await replaceInRollups([deleted], []);
+      return deleted;
+    },
+
+    async setCategories(changes) {
+      if (!changes.length) return;
+      const before = await entries.findByIds(changes.map(change => change._id));
+      const categories = new Map(changes.map(({ _id, category }) => [String(_id), category]));
+      await entries.setCategories(changes);
+      await replaceInRollups(before, before.map(entry => ({ ...entry, category: categories.get(entry._id) })));
+    },
+
+    async rebucket(userId, settings) {
+      const modified = await entries.rebucket(userId, settings);
+      await rebuild(userId);
+      return modified;
+    },
+
+    async totals(filter, keys, options = {}) {
+      if (!canUseRollups(filter, keys)) return entries.totals(filter, keys, options);
+      const userIds = Array.isArray(filter.userId) ? filter.userId : [filter.userId];
+      const parts = await Promise.all(userIds.map(userId => userTotals({ ...filter, userId }, keys, options)));
+      return sumRows(parts.flat(), keys);
+    }
+  };
+
+  return {
+    ...store,
+    timeEntries,
+    rollups: { ...store.rollups, rebuild }
+  };
+}
+
+module.exports = {
+  ROLLUP_KEYS,
+  withRollups,
+  rollupSpan
+};
@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startServer, resetStore } = require('./helpers');
+const store = require('../storage');
+
+describe('account', () => {
+  let server;
+  let ada;
+  let bob;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com', 'Ada');
+    bob = await server.signUp('bob@example.com', 'Bob');
+    for (const client of [ada, bob]) {
+      await client.post('/api/time-entries/bulk', {
+        entries: [
+          { hostname: 'github.com', duration: 3600, category: 'productive', endedAt: '2024-03-06T11:00:00.000Z' },
+          { hostname: 'reddit.com', duration: 600, category: 'unproductive', endedAt: '2024-03-07T12:00:00.000Z' }
+        ]
+      });
+    }
+    await ada.post('/api/projects', { name: 'Acme', color: '#123456' });
+    await ada.put('/api/rules', { rules: [{ type: 'domain', pattern: 'github.com', category: 'productive' }] });
+  });
+
+  // Token for DELETE /api/me
+  const confirmationToken = async (client) => (await client.post('/api/me/deletion-token')).body.confirmationToken;
+
+  it('exports everything stored for the user as one archive', async () => {
+    const { status, headers, body } = await ada.get('/api/me/export');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /attachment; filename="productivity-account-.*\.json"/);
+
+    assert.equal(body.user.email, 'ada@example.com');
+    assert.equal(body.user.password, undefined);
+    assert.deepEqual(body.settings, { timezone: 'UTC', dayStartHour: 0 });
+    assert.ok(body.categories.some(category => category.key === 'productive'));
+    assert.equal(body.rules.length, 1);
+    assert.deepEqual(body.projects.map(project => project.name), ['Acme']);
+    assert.deepEqual(body.timeEntries.map(entry => entry.hostname), ['github.com', 'reddit.com']);
+    assert.ok(body.timeEntries.every(entry => entry.userId === ada.user.id));
+  });
+
+  it('needs a fresh confirmation token of the same user to delete an account', async () => {
+    assert.equal((await ada.delete('/api/me', {})).status, 400);
+    assert.equal((await ada.delete('/api/me', { confirmationToken: ada.accessToken })).status, 403);
+    assert.equal((await ada.delete('/api/me', { confirmationToken: await confirmationToken(bob) })).status, 403);
+    assert.equal((await ada.get('/api/time-entries')).body.entries.length, 2);
+  });
+
+  it('deletes the account and all of its data, and nobody else\'s', async () => {
+    const { status, body } = await ada.delete('/api/me', { confirmationToken: await confirmationToken(ada) });
+    assert.equal(status, 200);
+    assert.equal(body.removed.timeEntries, 2);
+    assert.equal(body.removed.projects, 1);
+    assert.equal(body.removed.rules, 1);
+
+    assert.equal(await store.users.findById(ada.user.id), null);
+    assert.equal(await store.timeEntries.count({ userId: ada.user.id }), 0);
+    assert.deepEqual(await store.rollups.totals({ userId: ada.user.id }, ['day']), []);
+    const login = await server.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+    assert.equal(login.status, 401);
+
+    // The access token from before the deletion is refused, so nothing is written for the user
+    const write = await ada.post('/api/time-entries', { hostname: 'github.com', duration: 60 });
+    assert.equal(write.status, 401);
+    assert.equal(await store.timeEntries.count({ userId: ada.user.id }), 0);
+
+    assert.equal((await bob.get('/api/time-entries')).body.entries.length, 2);
+  });
+
+  it('keeps teams from being left without an owner', async () => {
+    const shared = (await ada.post('/api/teams', { name: 'Shared' })).body.team;
+    const solo = (await ada.post('/api/teams', { name: 'Solo' })).body.team;
+    await bob.post('/api/teams/join', { inviteCode: shared.inviteCode });
+
+    const token = await confirmationToken(ada);
+    assert.deepEqual((await ada.post('/api/me/deletion-token')).body.blockingTeams, [shared.id]);
+    assert.equal((await ada.delete('/api/me', { confirmationToken: token })).status, 409);
+
+    await ada.put(`/api/teams/${shared.id}/members/${bob.user.id}`, { role: 'owner' });
+    const { body } = await ada.delete('/api/me', { confirmationToken: token });
+    assert.equal(body.removed.teams, 1);
+    assert.equal(await store.teams.findById(solo.id), null);
+    const team = await bob.get(`/api/teams/${shared.id}`);
+    assert.deepEqual(team.body.team.members.map(member => member.name), ['Bob']);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('analytics', () => {
+  let server;
+  let ada;
+  let project;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+    project = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        // Wednesday 2024-03-06, 10:00 UTC
+        { hostname: 'github.com', duration: 3600, category: 'productive', startedAt: '2024-03-06T10:00:00.000Z', endedAt: '2024-03-06T11:00:00.000Z' },
+        { hostname: 'github.com', duration: 1800, category: 'productive', startedAt: '2024-03-06T23:30:00.000Z', endedAt: '2024-03-07T00:00:00.000Z' },
+        { hostname: 'reddit.com', duration: 1200, category: 'unproductive', startedAt: '2024-03-07T12:00:00.000Z', endedAt: '2024-03-07T12:20:00.000Z' },
+        { hostname: 'example.com', duration: 600, category: 'neutral', startedAt: '2024-03-07T13:00:00.000Z', endedAt: '2024-03-07T13:10:00.000Z' }
+      ]
+    });
+    await ada.post('/api/time-entries', {
+      manual: true,
+      category: 'productive',
+      project: project._id,
+      startedAt: '2024-03-07T09:00:00.000Z',
+      endedAt: '2024-03-07T10:00:00.000Z'
+    });
+  });
+
+  it('summarizes time per category with a weighted score', async () => {
+    const { status, body } = await ada.get('/api/analytics/summary');
+    assert.equal(status, 200);
+
+    const { summary } = body;
+    assert.equal(summary.totalTime, 3600 + 1800 + 1200 + 600 + 3600);
+    assert.equal(summary.categoryBreakdown.productive.totalTime, 9000);
+    assert.equal(summary.categoryBreakdown.productive.entryCount, 3);
+    assert.equal(summary.categoryBreakdown.productive.uniqueWebsiteCount, 2);
+    assert.equal(summary.productiveTime, 9000);
+    // Neutral time is not scored: 9000 / (9000 + 1200)
+    assert.equal(summary.productivityScore, 88);
+    assert.deepEqual(summary.topWebsites[0], { hostname: 'github.com', category: 'productive', totalTime: 5400, entryCount: 2 });
+
+    const tracked = await ada.get('/api/analytics/summary?manual=exclude');
+    assert.equal(tracked.body.summary.totalTime, 7200);
+    const ranged = await ada.get('/api/analytics/summary?startDate=2024-03-07T06:00:00.000Z');
+    assert.equal(ranged.body.summary.totalTime, 1200 + 600 + 3600);
+  });
+
+  it('groups time by day in the user\'s timezone', async () => {
+    const utc = await ada.get('/api/analytics/daily');
+    assert.deepEqual(utc.body.dailyData.map(day => day.date), ['2024-03-06', '2024-03-07']);
+
+    // Moving to UTC+1 re-buckets the entry that ended at midnight UTC
+    await ada.put('/api/settings', { timezone: 'Europe/Berlin' });
+    const berlin = await ada.get('/api/analytics/daily?manual=exclude');
+    const march6 = berlin.body.dailyData.find(day => day.date === '2024-03-06');
+    const productive = march6.categories.find(item => item.category === 'productive');
+    assert.equal(productive.totalTime, 3600);
+  });
+
+  it('reports time per project, with untagged time as null', async () => {
+    const { body } = await ada.get('/api/analytics/projects');
+    const acme = body.projects.find(item => item.project);
+    const untagged = body.projects.find(item => !item.project);
+    assert.deepEqual(acme.project, { id: project._id, name: 'Acme', color: '#123456' });
+    assert.equal(acme.totalTime, 3600);
+    assert.equal(untagged.totalTime, 7200);
+
+    const only = await ada.get(`/api/analytics/projects?project=${project._id}`);
+    assert.equal(only.body.projects.length, 1);
+  });
+
+  it('builds a weekday × hour heatmap by category or site', async () => {
+    const { body } = await ada.get('/api/analytics/heatmap');
+    assert.equal(body.heatmap.timezone, 'UTC');
+    // Wednesday is weekday 3
+    assert.equal(body.heatmap.total[3][10], 3600);
+    assert.equal(body.heatmap.total[3][23], 1800);
+    assert.equal(body.heatmap.total[4][12], 1200);
+
+    const sites = await ada.get('/api/analytics/heatmap?by=hostname&limit=2&timezone=Asia/Tokyo');
+    assert.deepEqual(sites.body.heatmap.series.map(item => item.hostname), ['github.com', 'manual']);
+    // 23:30 UTC Wednesday is 08:30 Thursday in Tokyo
+    assert.equal(sites.body.heatmap.series[0].grid[4][8], 1800);
+  });
+
+  it('splits sessions across the hours they span and totals every site', async () => {
+    // Friday 2024-03-08, 09:40 to 12:40 UTC
+    await ada.post('/api/time-entries', {
+      hostname: 'meet.google.com',
+      duration: 10800,
+      category: 'neutral',
+      startedAt: '2024-03-08T09:40:00.000Z',
+      endedAt: '2024-03-08T12:40:00.000Z'
+    });
+
+    const { body } = await ada.get('/api/analytics/heatmap');
+    assert.deepEqual(body.heatmap.total[5].slice(9, 14), [1200, 3600, 3600, 2400, 0]);
+
+    // 15:10 to 18:10 in India, half an hour off UTC
+    const india = await ada.get('/api/analytics/heatmap?timezone=Asia/Kolkata');
+    assert.deepEqual(india.body.heatmap.total[5].slice(15, 19), [3000, 3600, 3600, 600]);
+
+    const sites = await ada.get('/api/analytics/heatmap?by=hostname&limit=1');
+    assert.equal(sites.body.heatmap.series.length, 1);
+    assert.deepEqual(sites.body.heatmap.total, body.heatmap.total);
+  });
+});
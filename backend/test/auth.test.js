@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startServer, resetStore } = require('./helpers');
+
+describe('auth', () => {
+  let server;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(resetStore);
+
+  it('reports health without a token', async () => {
+    const { status, body } = await server.request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'OK');
+  });
+
+  it('registers an account and never returns the password', async () => {
+    const { status, body } = await server.request('POST', '/api/auth/register', {
+      body: { email: 'Ada@Example.com', password: PASSWORD, name: 'Ada' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.user.email, 'ada@example.com');
+    assert.equal(body.user.password, undefined);
+    assert.deepEqual(body.user.settings, { timezone: 'UTC', dayStartHour: 0 });
+    assert.ok(body.accessToken && body.refreshToken);
+  });
+
+  it('rejects duplicate emails and invalid input', async () => {
+    await server.signUp('ada@example.com');
+    const duplicate = await server.request('POST', '/api/auth/register', { body: { email: 'ada@example.com', password: PASSWORD } });
+    assert.equal(duplicate.status, 409);
+
+    const invalid = await server.request('POST', '/api/auth/register', { body: { email: 'not-an-email', password: 'short' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Validation failed');
+  });
+
+  it('logs in with the right password only', async () => {
+    await server.signUp('ada@example.com', 'Ada');
+    const ok = await server.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.name, 'Ada');
+
+    const wrong = await server.request('POST', '/api/auth/login', { body: { email: 'ada@example.com', password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+    const unknown = await server.request('POST', '/api/auth/login', { body: { email: 'bob@example.com', password: PASSWORD } });
+    assert.equal(unknown.status, 401);
+  });
+
+  it('exchanges refresh tokens, but not access tokens', async () => {
+    const ada = await server.signUp('ada@example.com');
+    const refreshed = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: ada.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.user.id, ada.user.id);
+
+    const wrongType = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: ada.accessToken } });
+    assert.equal(wrongType.status, 401);
+  });
+
+  it('requires a valid bearer token for the API', async () => {
+    assert.equal((await server.request('GET', '/api/rules')).status, 401);
+    assert.equal((await server.request('GET', '/api/rules', { token: 'garbage' })).status, 401);
+
+    const ada = await server.signUp('ada@example.com');
+    assert.equal((await server.request('GET', '/api/rules', { token: ada.refreshToken })).status, 401);
+    assert.equal((await ada.get('/api/rules')).status, 200);
+  });
+
+  it('answers unknown paths with 404', async () => {
+    const { status, body } = await server.request('GET', '/nope');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Not Found');
+  });
+});
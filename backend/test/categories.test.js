@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('categories, rules and limits', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+
+  it('lists the built-in categories', async () => {
+    const { body } = await ada.get('/api/categories');
+    assert.deepEqual(body.categories.map(category => category.key), ['productive', 'unproductive', 'neutral']);
+  });
+
+  it('creates, edits and deletes custom categories', async () => {
+    const created = await ada.post('/api/categories', { name: 'Deep Work', color: '#000000', weight: 1 });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.category.key, 'deep-work');
+    assert.equal((await ada.post('/api/categories', { name: 'Deep Work', color: '#000000' })).status, 409);
+    assert.equal((await ada.post('/api/categories', { name: 'Productive', color: '#000000' })).status, 409);
+
+    const updated = await ada.put('/api/categories/deep-work', { color: '#ffffff' });
+    assert.equal(updated.body.category.color, '#ffffff');
+    assert.equal(updated.body.category.name, 'Deep Work');
+
+    const deleted = await ada.delete('/api/categories/deep-work');
+    assert.equal(deleted.body.message, 'Deleted successfully');
+    assert.equal((await ada.delete('/api/categories/deep-work')).status, 404);
+    assert.equal((await ada.put('/api/categories/missing', { color: '#ffffff' })).status, 404);
+  });
+
+  it('overrides and resets built-in categories', async () => {
+    const updated = await ada.put('/api/categories/neutral', { weight: 0.5 });
+    assert.equal(updated.body.category.weight, 0.5);
+
+    const reset = await ada.delete('/api/categories/neutral');
+    assert.equal(reset.body.message, 'Reset to default');
+    assert.equal(reset.body.categories.find(category => category.key === 'neutral').weight, null);
+  });
+
+  it('replaces and tests category rules', async () => {
+    const rules = [
+      { type: 'subdomain', pattern: 'google.com', category: 'neutral' },
+      { type: 'path', pattern: 'google.com/maps', category: 'productive', priority: 1 },
+      { type: 'title', pattern: 'meme', domain: 'reddit.com', category: 'unproductive' }
+    ];
+    const saved = await ada.put('/api/rules', { rules });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.rules, [
+      { type: 'subdomain', pattern: 'google.com', category: 'neutral', priority: 0 },
+      { type: 'path', pattern: 'google.com/maps', category: 'productive', priority: 1 },
+      { type: 'title', pattern: 'meme', domain: 'reddit.com', category: 'unproductive', priority: 0 }
+    ]);
+    assert.equal((await ada.get('/api/rules')).body.rules.length, 3);
+
+    const maps = await ada.post('/api/rules/test', { url: 'https://www.google.com/maps/place' });
+    assert.equal(maps.body.category, 'productive');
+    const adHoc = await ada.post('/api/rules/test', {
+      hostname: 'github.com',
+      rules: [{ type: 'domain', pattern: 'github.com', category: 'productive' }]
+    });
+    assert.equal(adHoc.body.category, 'productive');
+
+    const invalid = await ada.put('/api/rules', { rules: [{ type: 'regex', pattern: '([', category: 'neutral' }] });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('refuses regex rules and pages that could stall matching', async () => {
+    const nested = await ada.post('/api/rules/test', {
+      url: `https://${'a'.repeat(27)}!`,
+      rules: [{ type: 'regex', pattern: '^https://(a+)+$', category: 'neutral' }]
+    });
+    assert.equal(nested.status, 400);
+
+    const longUrl = await ada.post('/api/rules/test', { url: `https://example.com/${'a'.repeat(2048)}` });
+    assert.equal(longUrl.status, 400);
+
+    const started = Date.now();
+    const polynomial = await ada.post('/api/rules/test', {
+      url: `https://${'a'.repeat(2000)}!`,
+      rules: [{ type: 'regex', pattern: 'a.*a.*a.*b', category: 'productive' }]
+    });
+    assert.equal(polynomial.body.category, 'neutral');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('replaces daily limits', async () => {
+    const saved = await ada.put('/api/limits', {
+      limits: [
+        { type: 'site', target: 'www.YouTube.com', minutes: 30, block: true },
+        { type: 'category', target: 'unproductive', minutes: 60 }
+      ]
+    });
+    assert.equal(saved.status, 200);
+    assert.deepEqual((await ada.get('/api/limits')).body.limits, [
+      { type: 'site', target: 'youtube.com', minutes: 30, block: true },
+      { type: 'category', target: 'unproductive', minutes: 60, block: false }
+    ]);
+
+    const invalid = await ada.put('/api/limits', { limits: [{ type: 'category', target: 'Not A Key', minutes: 10 }] });
+    assert.equal(invalid.status, 400);
+  });
+});
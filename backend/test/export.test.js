@@ -0,0 +1,62 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('export', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+    const project = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'docs.github.com', duration: 60, category: 'productive', startedAt: '2024-03-01T09:59:00.000Z', endedAt: '2024-03-01T10:00:00.000Z', clientId: 'c1' },
+        { hostname: 'github.com', duration: 120, category: 'productive', startedAt: '2024-03-01T10:58:00.000Z', endedAt: '2024-03-01T11:00:00.000Z' },
+        { hostname: 'reddit.com', duration: 30, category: 'unproductive', endedAt: '2024-03-01T09:00:00.000Z' }
+      ]
+    });
+    await ada.post('/api/time-entries/assign-project', { project: project._id, hostname: 'github.com' });
+  });
+
+  it('streams CSV oldest first with project names', async () => {
+    const { status, headers, text } = await ada.get('/api/export/csv');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="productivity-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = text.trim().split(/\r?\n/);
+    assert.equal(lines.length, 4);
+    assert.match(lines[1], /reddit\.com/);
+    assert.match(lines[3], /github\.com.*Acme/);
+  });
+
+  it('filters NDJSON by site, category and project', async () => {
+    const parse = text => text.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    const site = parse((await ada.get('/api/export/ndjson?hostname=www.github.com')).text);
+    assert.deepEqual(site.map(entry => entry.hostname), ['docs.github.com', 'github.com']);
+    assert.equal(site[0].clientId, 'c1');
+
+    const unproductive = parse((await ada.get('/api/export/ndjson?category=unproductive,neutral')).text);
+    assert.deepEqual(unproductive.map(entry => entry.hostname), ['reddit.com']);
+
+    const untagged = parse((await ada.get('/api/export/ndjson?project=none')).text);
+    assert.equal(untagged.length, 2);
+  });
+
+  it('writes a calendar of sessions', async () => {
+    const { status, text } = await ada.get('/api/export/ics?startDate=2024-03-01T09:30:00.000Z');
+    assert.equal(status, 200);
+    assert.match(text, /^BEGIN:VCALENDAR/);
+    assert.equal(text.match(/BEGIN:VEVENT/g).length, 2);
+    assert.match(text, /END:VCALENDAR\s*$/);
+  });
+
+  it('rejects unknown formats', async () => {
+    assert.equal((await ada.get('/api/export/xml')).status, 400);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+const session = (clientId, startedAt, status = 'completed') => ({
+  clientId,
+  startedAt,
+  endedAt: startedAt + 25 * 60 * 1000,
+  status,
+  focusMinutes: 25,
+  breakMinutes: 5,
+  cycles: 2,
+  completedCycles: status === 'completed' ? 2 : 1,
+  focusTime: status === 'completed' ? 3000 : 1500,
+  blockedAttempts: 1
+});
+
+describe('focus sessions', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+
+  it('records sessions once per clientId', async () => {
+    const first = await ada.post('/api/focus-sessions', session('s1', Date.UTC(2024, 2, 1, 9)));
+    assert.equal(first.status, 201);
+    assert.equal(first.body.session.breakMinutes, 5);
+
+    const replay = await ada.post('/api/focus-sessions', session('s1', Date.UTC(2024, 2, 1, 9)));
+    assert.equal(replay.status, 200);
+
+    const backwards = await ada.post('/api/focus-sessions', { ...session('s2', Date.UTC(2024, 2, 1, 9)), endedAt: 0 });
+    assert.equal(backwards.status, 400);
+  });
+
+  it('lists, summarizes and deletes sessions', async () => {
+    await ada.post('/api/focus-sessions', session('s1', Date.UTC(2024, 2, 1, 9)));
+    await ada.post('/api/focus-sessions', session('s2', Date.UTC(2024, 2, 2, 9), 'abandoned'));
+    await ada.post('/api/focus-sessions', session('s3', Date.UTC(2024, 2, 3, 9)));
+
+    const all = await ada.get('/api/focus-sessions');
+    assert.deepEqual(all.body.sessions.map(item => item.clientId), ['s3', 's2', 's1']);
+    const limited = await ada.get('/api/focus-sessions?status=completed&limit=1');
+    assert.deepEqual(limited.body.sessions.map(item => item.clientId), ['s3']);
+
+    const summary = await ada.get('/api/focus-sessions/summary?endDate=2024-03-02T23:59:59.000Z');
+    assert.deepEqual(summary.body, {
+      completed: 1,
+      abandoned: 1,
+      focusTime: 4500,
+      completedCycles: 3,
+      blockedAttempts: 2,
+      completionRate: 50
+    });
+
+    const bob = await server.signUp('bob@example.com');
+    const target = all.body.sessions[0]._id;
+    assert.equal((await bob.delete(`/api/focus-sessions/${target}`)).status, 404);
+    assert.equal((await ada.delete(`/api/focus-sessions/${target}`)).status, 200);
+    assert.equal((await ada.get('/api/focus-sessions')).body.sessions.length, 2);
+  });
+});
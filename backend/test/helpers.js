@@ -0,0 +1,70 @@
+// Integration test helpers: the real app on a random port, backed by the in-memory store
+
+process.env.STORAGE = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.RATE_LIMIT_MAX = '100000';
+process.env.BCRYPT_ROUNDS = '4';
+
+const app = require('../app');
+const store = require('../storage');
+
+const PASSWORD = 'correct-horse';
+
+// Start the app; returns helpers bound to it. Call close() when the file's tests are done.
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, text, body } of a request; body is the parsed JSON response, if any
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, text, body: isJson ? JSON.parse(text) : undefined };
+  };
+
+  // Register an account; the returned client sends requests as that user
+  const signUp = async (email, name) => {
+    const { status, body } = await request('POST', '/api/auth/register', { body: { email, password: PASSWORD, name } });
+    if (status !== 201) throw new Error(`Could not register ${email}: ${status}`);
+
+    const as = method => (path, data) => request(method, path, { token: body.accessToken, body: data });
+    return {
+      user: body.user,
+      accessToken: body.accessToken,
+      refreshToken: body.refreshToken,
+      get: as('GET'),
+      post: as('POST'),
+      put: as('PUT'),
+      delete: as('DELETE')
+    };
+  };
+
+  return {
+    baseUrl,
+    request,
+    signUp,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Forget every stored document
+function resetStore() {
+  store.reset();
+}
+
+module.exports = {
+  PASSWORD,
+  startServer,
+  resetStore
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('projects', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+
+  it('creates projects with unique names per user', async () => {
+    const created = await ada.post('/api/projects', {
+      name: 'Acme',
+      color: '#123456',
+      rules: [{ type: 'path', pattern: 'github.com/acme' }]
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.project.rules, [{ type: 'path', pattern: 'github.com/acme', priority: 0 }]);
+    assert.equal((await ada.post('/api/projects', { name: 'Acme', color: '#000000' })).status, 409);
+
+    const bob = await server.signUp('bob@example.com');
+    assert.equal((await bob.post('/api/projects', { name: 'Acme', color: '#000000' })).status, 201);
+    assert.equal((await ada.get('/api/projects')).body.projects.length, 1);
+  });
+
+  it('assigns new entries to projects by their rules', async () => {
+    const project = (await ada.post('/api/projects', {
+      name: 'Acme',
+      color: '#123456',
+      rules: [{ type: 'path', pattern: 'github.com/acme' }]
+    })).body.project;
+
+    const matched = await ada.post('/api/time-entries', { hostname: 'github.com', url: 'https://github.com/acme/app', duration: 60 });
+    assert.equal(matched.body.entry.project, project._id);
+    const other = await ada.post('/api/time-entries', { hostname: 'github.com', url: 'https://github.com/other', duration: 60 });
+    assert.equal(other.body.entry.project, undefined);
+  });
+
+  it('updates projects and refuses taken names', async () => {
+    const acme = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+    await ada.post('/api/projects', { name: 'Globex', color: '#654321' });
+
+    const renamed = await ada.put(`/api/projects/${acme._id}`, { name: 'Acme Corp', color: '#111111' });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.project.name, 'Acme Corp');
+    assert.equal((await ada.put(`/api/projects/${acme._id}`, { name: 'Globex', color: '#111111' })).status, 409);
+
+    const bob = await server.signUp('bob@example.com');
+    assert.equal((await bob.put(`/api/projects/${acme._id}`, { name: 'Mine', color: '#111111' })).status, 404);
+  });
+
+  it('leaves entries without a project when it is deleted', async () => {
+    const project = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+    const entry = (await ada.post('/api/time-entries', { hostname: 'a.com', duration: 60, project: project._id })).body.entry;
+    assert.equal(entry.project, project._id);
+
+    assert.equal((await ada.delete(`/api/projects/${project._id}`)).status, 200);
+    assert.equal((await ada.delete(`/api/projects/${project._id}`)).status, 404);
+    const { body } = await ada.get('/api/time-entries?project=none');
+    assert.equal(body.entries.length, 1);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+// Poll a job until it stops running
+const waitForJob = async (client, id) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const { body } = await client.get(`/api/recategorize/${id}`);
+    if (body.job.status !== 'running') return body.job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Job did not finish');
+};
+
+describe('recategorize', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 100, category: 'neutral', endedAt: '2024-03-01T10:00:00.000Z' },
+        { hostname: 'github.com', duration: 50, category: 'neutral', endedAt: '2024-03-05T10:00:00.000Z' },
+        { hostname: 'reddit.com', duration: 30, category: 'neutral', endedAt: '2024-03-01T11:00:00.000Z' }
+      ]
+    });
+    await ada.put('/api/rules', { rules: [{ type: 'domain', pattern: 'github.com', category: 'productive' }] });
+  });
+
+  it('previews how totals would change', async () => {
+    const { body } = await ada.post('/api/recategorize/preview', { endDate: '2024-03-02T00:00:00.000Z' });
+    assert.deepEqual(body.preview, {
+      scanned: 2,
+      before: { neutral: 130 },
+      after: { productive: 100, neutral: 30 },
+      changes: [{ hostname: 'github.com', from: 'neutral', to: 'productive', duration: 100, entries: 1 }]
+    });
+  });
+
+  it('re-applies the rules in a background job', async () => {
+    const started = await ada.post('/api/recategorize', {});
+    assert.equal(started.status, 202);
+
+    const job = await waitForJob(ada, started.body.job._id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.scanned, 3);
+    assert.equal(job.updated, 2);
+
+    const productive = await ada.get('/api/time-entries?category=productive');
+    assert.equal(productive.body.entries.length, 2);
+  });
+
+  it('leaves manual entries in the category they were logged with', async () => {
+    await ada.post('/api/time-entries', {
+      manual: true,
+      category: 'productive',
+      startedAt: '2024-03-01T12:00:00.000Z',
+      endedAt: '2024-03-01T12:10:00.000Z'
+    });
+
+    const preview = await ada.post('/api/recategorize/preview', { endDate: '2024-03-02T00:00:00.000Z' });
+    assert.equal(preview.body.preview.scanned, 2);
+    assert.ok(preview.body.preview.changes.every(change => change.hostname !== 'manual'));
+
+    const started = await ada.post('/api/recategorize', {});
+    const job = await waitForJob(ada, started.body.job._id);
+    assert.equal(job.scanned, 3);
+    const manual = await ada.get('/api/time-entries?manual=only');
+    assert.equal(manual.body.entries[0].category, 'productive');
+  });
+
+  it('hides other users\' jobs', async () => {
+    const started = await ada.post('/api/recategorize', {});
+    await waitForJob(ada, started.body.job._id);
+    const bob = await server.signUp('bob@example.com');
+    assert.equal((await bob.get(`/api/recategorize/${started.body.job._id}`)).status, 404);
+  });
+});
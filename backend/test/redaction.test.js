@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+const POLICY_VARIABLES = ['REDACT_QUERY_STRINGS', 'REDACT_TITLES', 'REDACTED_DOMAINS', 'EXCLUDED_DOMAINS'];
+
+describe('redaction policy', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+  afterEach(() => {
+    POLICY_VARIABLES.forEach(name => delete process.env[name]);
+  });
+
+  const entry = (hostname, extra = {}) => ({
+    hostname,
+    duration: 60,
+    category: 'neutral',
+    url: `https://${hostname}/search?q=secret#results`,
+    title: 'Secret search',
+    endedAt: '2024-03-06T11:00:00.000Z',
+    ...extra
+  });
+
+  it('strips query strings and fragments by default', async () => {
+    const { status, body } = await ada.post('/api/time-entries', entry('example.com'));
+    assert.equal(status, 201);
+    assert.equal(body.entry.url, 'https://example.com/search');
+    assert.equal(body.entry.title, 'Secret search');
+
+    process.env.REDACT_QUERY_STRINGS = 'false';
+    const kept = await ada.post('/api/time-entries', entry('example.com'));
+    assert.equal(kept.body.entry.url, 'https://example.com/search?q=secret#results');
+  });
+
+  it('keeps only the time of redacted sites and drops titles when asked', async () => {
+    process.env.REDACTED_DOMAINS = 'mail.example.com, bank.test';
+    const { body } = await ada.post('/api/time-entries/bulk', {
+      entries: [entry('mail.example.com'), entry('www.online.bank.test'), entry('example.com')]
+    });
+    const [mail, bank, other] = body.entries;
+    assert.equal(mail.url, undefined);
+    assert.equal(mail.title, undefined);
+    assert.equal(mail.duration, 60);
+    assert.equal(bank.url, undefined);
+    assert.equal(other.url, 'https://example.com/search');
+
+    process.env.REDACT_TITLES = 'true';
+    const titled = await ada.post('/api/time-entries', entry('example.com', { clientId: 'untitled' }));
+    assert.equal(titled.body.entry.title, undefined);
+  });
+
+  it('does not store entries of excluded sites', async () => {
+    process.env.EXCLUDED_DOMAINS = 'secret.example.com';
+    const single = await ada.post('/api/time-entries', entry('app.secret.example.com'));
+    assert.equal(single.status, 200);
+    assert.equal(single.body.entry, null);
+
+    const bulk = await ada.post('/api/time-entries/bulk', {
+      entries: [entry('secret.example.com'), entry('example.com')]
+    });
+    assert.equal(bulk.body.excluded, 1);
+    assert.equal(bulk.body.entries.length, 1);
+
+    const { body } = await ada.get('/api/time-entries');
+    assert.deepEqual(body.entries.map(item => item.hostname), ['example.com']);
+  });
+
+  it('redacts changes to stored entries', async () => {
+    const created = (await ada.post('/api/time-entries', entry('example.com'))).body.entry;
+
+    process.env.REDACTED_DOMAINS = 'private.example.com';
+    const moved = await ada.put(`/api/time-entries/${created._id}`, { url: 'https://example.com/page?token=abc', title: 'Page' });
+    assert.equal(moved.body.entry.url, 'https://example.com/page');
+    assert.equal(moved.body.entry.title, 'Page');
+
+    const renamed = await ada.put(`/api/time-entries/${created._id}`, { hostname: 'private.example.com', title: 'Private' });
+    assert.equal(renamed.body.entry.hostname, 'private.example.com');
+    assert.equal(renamed.body.entry.url, undefined);
+    assert.equal(renamed.body.entry.title, undefined);
+
+    process.env.EXCLUDED_DOMAINS = 'excluded.example.com';
+    const excluded = await ada.put(`/api/time-entries/${created._id}`, { hostname: 'excluded.example.com' });
+    assert.equal(excluded.status, 400);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+const store = require('../storage');
+const { ROLLUP_KEYS, rollupSpan } = require('../storage/rollups');
+
+// A user's rollups in a stable order
+const rollupsOf = async (userId) => {
+  const rows = await store.rollups.totals({ userId }, ROLLUP_KEYS);
+  return rows.map(row => JSON.stringify(row)).sort();
+};
+
+// Rollups kept up on write must equal ones rebuilt from the raw entries
+const assertRollupsCurrent = async (userId) => {
+  const maintained = await rollupsOf(userId);
+  await store.rollups.rebuild(userId);
+  assert.deepEqual(maintained, await rollupsOf(userId));
+};
+
+describe('rollups', () => {
+  let server;
+  let ada;
+  let userId;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+    userId = ada.user.id;
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 3600, category: 'productive', endedAt: '2024-03-06T11:00:00.000Z' },
+        { hostname: 'github.com', duration: 1800, category: 'productive', endedAt: '2024-03-07T00:00:00.000Z' },
+        { hostname: 'reddit.com', duration: 1200, category: 'unproductive', endedAt: '2024-03-07T12:20:00.000Z' }
+      ]
+    });
+  });
+
+  it('sums entries per day, site, category, project and manual flag', async () => {
+    await ada.post('/api/time-entries', {
+      manual: true,
+      category: 'productive',
+      startedAt: '2024-03-07T09:00:00.000Z',
+      endedAt: '2024-03-07T10:00:00.000Z'
+    });
+
+    const rows = await store.rollups.totals({ userId }, ['day', 'hostname', 'manual']);
+    assert.deepEqual(rows.sort((a, b) => a.day.localeCompare(b.day) || a.hostname.localeCompare(b.hostname)), [
+      { day: '2024-03-06', hostname: 'github.com', manual: false, totalTime: 3600, entryCount: 1 },
+      { day: '2024-03-07', hostname: 'github.com', manual: false, totalTime: 1800, entryCount: 1 },
+      { day: '2024-03-07', hostname: 'manual', manual: true, totalTime: 3600, entryCount: 1 },
+      { day: '2024-03-07', hostname: 'reddit.com', manual: false, totalTime: 1200, entryCount: 1 }
+    ]);
+  });
+
+  it('follows updates, deletes, project assignment and recategorizing', async () => {
+    const { body } = await ada.get('/api/time-entries');
+    const reddit = body.entries.find(entry => entry.hostname === 'reddit.com');
+    const project = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+
+    await ada.put(`/api/time-entries/${reddit._id}`, { category: 'neutral', duration: 600 });
+    await assertRollupsCurrent(userId);
+
+    await ada.post('/api/time-entries/assign-project', { hostname: 'github.com', project: project._id });
+    await assertRollupsCurrent(userId);
+
+    await ada.delete(`/api/projects/${project._id}`);
+    await assertRollupsCurrent(userId);
+
+    await ada.put('/api/rules', { rules: [{ type: 'domain', pattern: 'reddit.com', category: 'productive' }] });
+    const job = (await ada.post('/api/recategorize', {})).body.job;
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      if ((await ada.get(`/api/recategorize/${job._id}`)).body.job.status !== 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await assertRollupsCurrent(userId);
+
+    await ada.delete(`/api/time-entries/${reddit._id}`);
+    await assertRollupsCurrent(userId);
+    const rows = await store.rollups.totals({ userId }, ['hostname']);
+    assert.deepEqual(rows, [{ hostname: 'github.com', totalTime: 5400, entryCount: 2 }]);
+  });
+
+  it('re-buckets days when the day settings change', async () => {
+    await ada.put('/api/settings', { timezone: 'Europe/Berlin' });
+    await assertRollupsCurrent(userId);
+
+    const rows = await store.rollups.totals({ userId }, ['day']);
+    assert.deepEqual(rows.map(row => row.day).sort(), ['2024-03-06', '2024-03-07']);
+    assert.equal(rows.find(row => row.day === '2024-03-06').totalTime, 3600);
+  });
+
+  it('adds today\'s entries from raw data to rollup totals', async () => {
+    await ada.post('/api/time-entries/bulk', {
+      entries: [{ hostname: 'github.com', duration: 60, category: 'productive' }]
+    });
+
+    const { body } = await ada.get('/api/analytics/summary');
+    assert.equal(body.summary.totalTime, 3600 + 1800 + 1200 + 60);
+    assert.equal(body.summary.topWebsites[0].totalTime, 3600 + 1800 + 60);
+
+    // Rollups that drifted from the entries show up in past days only
+    await store.rollups.increment([{ userId, day: '2024-03-06', hostname: 'github.com', category: 'productive', project: null, manual: false, totalTime: 1, entryCount: 1 }]);
+    const past = await ada.get('/api/analytics/summary?endDate=2024-03-06T23:59:59.999Z');
+    assert.equal(past.body.summary.totalTime, 3601);
+  });
+
+  it('counts entries sent with another timezone once near day boundaries', async () => {
+    // Rolled up under 2024-03-06 (New York) but timestamped on 2024-03-07 (UTC), and the reverse
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'docs.google.com', duration: 60, category: 'productive', endedAt: '2024-03-07T00:01:00.000Z', timezone: 'America/New_York' },
+        { hostname: 'calendar.google.com', duration: 60, category: 'productive', endedAt: '2024-03-06T03:00:00.000Z', timezone: 'America/New_York' }
+      ]
+    });
+    const range = await ada.get('/api/analytics/summary?startDate=2024-03-06T00:00:00.000Z&endDate=2024-03-07T12:00:00.000Z');
+    assert.equal(range.body.summary.totalTime, 3600 + 1800 + 60 + 60);
+    const sites = Object.fromEntries(range.body.summary.topWebsites.map(site => [site.hostname, site.totalTime]));
+    assert.equal(sites['docs.google.com'], 60);
+    assert.equal(sites['calendar.google.com'], 60);
+
+    // Yesterday in New York, today in UTC: in the rollups and the raw read of today
+    const todayStart = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`).getTime();
+    const endedAt = new Date(Math.min(Date.now(), todayStart + 60 * 1000)).toISOString();
+    await ada.post('/api/time-entries/bulk', {
+      entries: [{ hostname: 'news.ycombinator.com', duration: 60, category: 'unproductive', endedAt, timezone: 'America/New_York' }]
+    });
+    const all = await ada.get('/api/analytics/summary');
+    assert.equal(all.body.summary.totalTime, 3600 + 1800 + 1200 + 60 + 60 + 60);
+    assert.equal(all.body.summary.topWebsites.find(site => site.hostname === 'news.ycombinator.com').totalTime, 60);
+  });
+
+  it('reads whole days from rollups and partial days from entries', () => {
+    const utc = { timezone: 'UTC', dayStartHour: 0 };
+    const now = new Date('2024-03-10T12:00:00.000Z');
+
+    assert.deepEqual(rollupSpan({ startDate: '2024-03-06T00:00:00.000Z', endDate: '2024-03-07T23:59:59.999Z' }, utc, now), {
+      firstDay: '2024-03-06',
+      lastDay: '2024-03-07',
+      from: new Date('2024-03-06T00:00:00.000Z'),
+      to: new Date('2024-03-08T00:00:00.000Z')
+    });
+    // Partial first day and the current day are left to raw entries
+    const open = rollupSpan({ startDate: '2024-03-06T06:00:00.000Z' }, utc, now);
+    assert.equal(open.firstDay, '2024-03-07');
+    assert.equal(open.lastDay, '2024-03-09');
+    // Days start at 04:00 in Berlin with dayStartHour 4
+    const berlin = rollupSpan({ startDate: '2024-03-06T03:00:00.000Z' }, { timezone: 'Europe/Berlin', dayStartHour: 4 }, now);
+    assert.equal(berlin.firstDay, '2024-03-06');
+    assert.equal(rollupSpan({ startDate: '2024-03-10T00:00:00.000Z' }, utc, now), null);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('settings', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+
+  it('returns the default day settings', async () => {
+    const { body } = await ada.get('/api/settings');
+    assert.deepEqual(body.settings, { timezone: 'UTC', dayStartHour: 0 });
+  });
+
+  it('moves entries to their day under new settings', async () => {
+    await ada.post('/api/time-entries', { hostname: 'a.com', duration: 60, endedAt: '2024-03-02T02:00:00.000Z' });
+    await ada.post('/api/time-entries', { hostname: 'b.com', duration: 60, endedAt: '2024-03-02T12:00:00.000Z' });
+
+    const { status, body } = await ada.put('/api/settings', { dayStartHour: 4 });
+    assert.equal(status, 200);
+    assert.deepEqual(body.settings, { timezone: 'UTC', dayStartHour: 4 });
+    assert.equal(body.rebucketed, 2);
+
+    const entries = (await ada.get('/api/time-entries')).body.entries;
+    assert.deepEqual(entries.map(entry => entry.day), ['2024-03-02', '2024-03-01']);
+    assert.deepEqual((await ada.get('/api/settings')).body.settings, { timezone: 'UTC', dayStartHour: 4 });
+  });
+
+  it('rejects unknown timezones', async () => {
+    assert.equal((await ada.put('/api/settings', { timezone: 'Mars/Olympus' })).status, 400);
+  });
+});
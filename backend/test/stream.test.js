@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('live stream', () => {
+  let server;
+  let ada;
+  let bob;
+  const open = [];
+
+  const closeStreams = () => open.splice(0).forEach(stream => stream.close());
+
+  before(async () => { server = await startServer(); });
+  after(() => {
+    closeStreams();
+    return server.close();
+  });
+  beforeEach(async () => {
+    closeStreams();
+    resetStore();
+    ada = await server.signUp('ada@example.com', 'Ada');
+    bob = await server.signUp('bob@example.com', 'Bob');
+  });
+
+  // Open GET /api/stream as a client; next(event) resolves with the data of the next event of that name
+  const connect = async (client) => {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/api/stream`, {
+      headers: { Authorization: `Bearer ${client.accessToken}` },
+      signal: controller.signal
+    });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const received = [];
+    let buffer = '';
+
+    const next = async (name) => {
+      for (;;) {
+        const index = received.findIndex(event => event.event === name);
+        if (index !== -1) return received.splice(index, 1)[0].data;
+
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`Stream ended before a ${name} event`);
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+          if (fields.event) received.push({ event: fields.event, data: JSON.parse(fields.data) });
+        });
+      }
+    };
+
+    const stream = { response, next, received, close: () => controller.abort() };
+    open.push(stream);
+    await next('ready');
+    return stream;
+  };
+
+  it('needs authentication', async () => {
+    const { status } = await server.request('GET', '/api/stream');
+    assert.equal(status, 401);
+  });
+
+  it('pushes created entries and their summary deltas to the user only', async () => {
+    const adaStream = await connect(ada);
+    const bobStream = await connect(bob);
+    assert.match(adaStream.response.headers.get('content-type'), /^text\/event-stream/);
+
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 600, category: 'productive', endedAt: '2024-03-06T11:00:00.000Z' },
+        { hostname: 'gitlab.com', duration: 300, category: 'productive', endedAt: '2024-03-06T12:00:00.000Z' }
+      ]
+    });
+
+    const { type, entries } = await adaStream.next('entries');
+    assert.equal(type, 'created');
+    assert.deepEqual(entries.map(entry => entry.hostname), ['github.com', 'gitlab.com']);
+    assert.deepEqual((await adaStream.next('summary')).deltas, [
+      { day: '2024-03-06', category: 'productive', totalTime: 900, entryCount: 2 }
+    ]);
+
+    await bob.post('/api/time-entries', { hostname: 'news.ycombinator.com', duration: 60, category: 'unproductive' });
+    assert.equal((await bobStream.next('entries')).entries[0].hostname, 'news.ycombinator.com');
+    assert.ok(adaStream.received.every(event => event.event !== 'entries'));
+  });
+
+  it('pushes updates and deletions with what they changed', async () => {
+    const { body } = await ada.post('/api/time-entries', {
+      hostname: 'github.com', duration: 600, category: 'productive', endedAt: '2024-03-06T11:00:00.000Z'
+    });
+    const stream = await connect(ada);
+
+    await ada.put(`/api/time-entries/${body.entry._id}`, { category: 'neutral' });
+    const updated = await stream.next('entries');
+    assert.equal(updated.type, 'updated');
+    assert.equal(updated.entries[0].category, 'neutral');
+    assert.deepEqual((await stream.next('summary')).deltas, [
+      { day: '2024-03-06', category: 'productive', totalTime: -600, entryCount: -1 },
+      { day: '2024-03-06', category: 'neutral', totalTime: 600, entryCount: 1 }
+    ]);
+
+    await ada.delete(`/api/time-entries/${body.entry._id}`);
+    const deleted = await stream.next('entries');
+    assert.equal(deleted.type, 'deleted');
+    assert.equal(deleted.entries[0]._id, body.entry._id);
+    assert.deepEqual((await stream.next('summary')).deltas, [
+      { day: '2024-03-06', category: 'neutral', totalTime: -600, entryCount: -1 }
+    ]);
+  });
+
+  it('asks clients to reload after changes to many entries', async () => {
+    await ada.post('/api/time-entries', { hostname: 'github.com', duration: 600, category: 'productive' });
+    const stream = await connect(ada);
+
+    await ada.put('/api/settings', { timezone: 'Europe/Berlin' });
+    assert.deepEqual(await stream.next('refresh'), { reason: 'settings' });
+  });
+
+  it('does not push duplicates of entries that were already stored', async () => {
+    const entry = { hostname: 'github.com', duration: 600, category: 'productive', clientId: 'abc' };
+    await ada.post('/api/time-entries', entry);
+    const stream = await connect(ada);
+
+    await ada.post('/api/time-entries', entry);
+    await ada.post('/api/time-entries/bulk', { entries: [entry] });
+    await ada.post('/api/time-entries', { ...entry, clientId: 'def' });
+    assert.equal((await stream.next('entries')).entries[0].clientId, 'def');
+  });
+});
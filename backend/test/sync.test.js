@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('devices and preference sync', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com', 'Ada');
+  });
+
+  const laptop = { id: 'laptop-1', name: 'Laptop', browser: 'Chrome 126' };
+  const desktop = { id: 'desktop-1', name: 'Desktop', browser: 'Edge 126' };
+  const learning = (color, modifiedAt, extra = {}) => ({ key: 'learning', name: 'Learning', color, weight: 0.5, modifiedAt, ...extra });
+
+  it('registers devices as they sync', async () => {
+    const { status, body } = await ada.post('/api/sync', { device: laptop });
+    assert.equal(status, 200);
+    assert.equal(body.device.name, 'Laptop');
+    assert.deepEqual(body.categories, []);
+    assert.deepEqual(body.settings, {});
+
+    await ada.post('/api/sync', { device: { ...laptop, name: 'Work laptop' } });
+    await ada.post('/api/sync', { device: desktop });
+    const { devices } = (await ada.get('/api/devices')).body;
+    assert.deepEqual(devices.map(device => [device.deviceId, device.name, device.browser]), [
+      ['laptop-1', 'Work laptop', 'Chrome 126'],
+      ['desktop-1', 'Desktop', 'Edge 126']
+    ]);
+
+    assert.equal((await ada.delete('/api/devices/desktop-1')).status, 200);
+    assert.equal((await ada.delete('/api/devices/desktop-1')).status, 404);
+    assert.equal((await ada.post('/api/sync', { device: { id: 'not valid!', name: 'x' } })).status, 400);
+  });
+
+  it('keeps the category change made last', async () => {
+    await ada.post('/api/sync', { device: laptop, categories: [learning('#111111', '2024-03-06T10:00:00.000Z')] });
+
+    // An older edit from another device loses
+    let { body } = await ada.post('/api/sync', { device: desktop, categories: [learning('#222222', '2024-03-06T09:00:00.000Z')] });
+    assert.equal(body.categories[0].color, '#111111');
+
+    ({ body } = await ada.post('/api/sync', { device: desktop, categories: [learning('#333333', '2024-03-06T11:00:00.000Z')] }));
+    assert.equal(body.categories[0].color, '#333333');
+
+    // A later deletion wins over an earlier edit, and is sent on to other devices
+    await ada.post('/api/sync', { device: laptop, categories: [learning('#333333', '2024-03-06T12:00:00.000Z', { deleted: true })] });
+    ({ body } = await ada.post('/api/sync', { device: desktop, categories: [learning('#444444', '2024-03-06T11:30:00.000Z')] }));
+    assert.equal(body.categories[0].deleted, true);
+    const { categories } = (await ada.get('/api/categories')).body;
+    assert.ok(!categories.some(category => category.key === 'learning'));
+  });
+
+  it('tells devices about categories changed through the category routes', async () => {
+    await ada.post('/api/categories', { name: 'Learning', color: '#111111' });
+    await ada.delete('/api/categories/learning');
+    await ada.put('/api/categories/productive', { color: '#000000' });
+
+    const { body } = await ada.post('/api/sync', { device: laptop });
+    const byKey = Object.fromEntries(body.categories.map(category => [category.key, category]));
+    assert.equal(byKey.learning.deleted, true);
+    assert.equal(byKey.productive.color, '#000000');
+    assert.equal(byKey.productive.deleted, false);
+
+    // Defining a deleted key again brings it back
+    assert.equal((await ada.post('/api/categories', { name: 'Learning', color: '#222222' })).status, 201);
+    const { categories } = (await ada.get('/api/categories')).body;
+    assert.equal(categories.find(category => category.key === 'learning').color, '#222222');
+  });
+
+  it('merges settings one by one, the latest change winning', async () => {
+    await ada.post('/api/sync', {
+      device: laptop,
+      settings: {
+        idleThreshold: { value: 60, modifiedAt: '2024-03-06T10:00:00.000Z' },
+        excludedDomains: { value: ['bank.test'], modifiedAt: '2024-03-06T10:00:00.000Z' }
+      }
+    });
+    const { body } = await ada.post('/api/sync', {
+      device: desktop,
+      settings: {
+        idleThreshold: { value: 120, modifiedAt: '2024-03-06T09:00:00.000Z' },
+        excludedDomains: { value: [], modifiedAt: '2024-03-06T11:00:00.000Z' }
+      }
+    });
+    assert.equal(body.settings.idleThreshold.value, 60);
+    assert.deepEqual(body.settings.excludedDomains.value, []);
+
+    // Settings dated in the future count as changed now
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const synced = await ada.post('/api/sync', { device: laptop, settings: { retentionDays: { value: 90, modifiedAt: future } } });
+    assert.ok(new Date(synced.body.settings.retentionDays.modifiedAt) <= new Date());
+
+    const invalid = [
+      { backendUrl: { value: 'http://evil.test', modifiedAt: future } },
+      { idleThreshold: { value: 5, modifiedAt: future } },
+      { idleThreshold: { value: 60 } }
+    ];
+    for (const settings of invalid) {
+      assert.equal((await ada.post('/api/sync', { device: laptop, settings })).status, 400);
+    }
+  });
+
+  it('breaks time down by the device entries came from', async () => {
+    await ada.post('/api/sync', { device: laptop });
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 600, category: 'productive', device: 'laptop-1', endedAt: '2024-03-06T11:00:00.000Z' },
+        { hostname: 'github.com', duration: 300, category: 'productive', device: 'desktop-1', endedAt: '2024-03-06T12:00:00.000Z' },
+        { hostname: 'reddit.com', duration: 120, category: 'unproductive', endedAt: '2024-03-06T13:00:00.000Z' }
+      ]
+    });
+
+    const { body } = await ada.get('/api/analytics/devices');
+    assert.deepEqual(body.devices.map(device => [device.device, device.name, device.totalTime]), [
+      ['laptop-1', 'Laptop', 600],
+      ['desktop-1', null, 300],
+      [null, null, 120]
+    ]);
+    assert.deepEqual(
+      body.totals.find(row => row.device === 'desktop-1'),
+      { device: 'desktop-1', day: '2024-03-06', hostname: 'github.com', category: 'productive', project: null, totalTime: 300, entryCount: 1 }
+    );
+
+    const entries = (await ada.get('/api/time-entries?device=laptop-1')).body.entries;
+    assert.deepEqual(entries.map(entry => entry.duration), [600]);
+    assert.equal((await ada.get('/api/time-entries?device=none')).body.entries[0].hostname, 'reddit.com');
+    const summary = (await ada.get('/api/analytics/summary?device=desktop-1')).body.summary;
+    assert.equal(summary.totalTime, 300);
+    assert.equal((await ada.get('/api/time-entries?device=bad!')).status, 400);
+  });
+});
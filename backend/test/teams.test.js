@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('teams', () => {
+  let server;
+  let owner;
+  let member;
+  let team;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    owner = await server.signUp('owner@example.com', 'Olive');
+    member = await server.signUp('member@example.com', 'Max');
+    team = (await owner.post('/api/teams', { name: 'Platform' })).body.team;
+    await member.post('/api/teams/join', { inviteCode: team.inviteCode });
+  });
+
+  it('creates a team and lets members join with its invite code', async () => {
+    assert.equal(team.role, 'owner');
+    assert.ok(team.inviteCode);
+
+    const again = await member.post('/api/teams/join', { inviteCode: team.inviteCode });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.team.inviteCode, undefined);
+    assert.equal((await member.post('/api/teams/join', { inviteCode: 'nope' })).status, 404);
+
+    const { body } = await member.get('/api/teams');
+    assert.deepEqual(body.teams.map(item => [item.name, item.role]), [['Platform', 'member']]);
+  });
+
+  it('shows member emails to managers only', async () => {
+    const asOwner = await owner.get(`/api/teams/${team.id}`);
+    assert.deepEqual(asOwner.body.team.members.map(item => item.email), ['owner@example.com', 'member@example.com']);
+
+    const asMember = await member.get(`/api/teams/${team.id}`);
+    assert.deepEqual(asMember.body.team.members.map(item => item.name), ['Olive', 'Max']);
+    assert.ok(asMember.body.team.members.every(item => item.email === undefined));
+
+    const outsider = await server.signUp('outsider@example.com');
+    assert.equal((await outsider.get(`/api/teams/${team.id}`)).status, 404);
+  });
+
+  it('lets managers rename the team and replace the invite code', async () => {
+    assert.equal((await member.put(`/api/teams/${team.id}`, { name: 'Mine' })).status, 403);
+    const renamed = await owner.put(`/api/teams/${team.id}`, { name: 'Core' });
+    assert.equal(renamed.body.team.name, 'Core');
+
+    const replaced = await owner.post(`/api/teams/${team.id}/invite-code`);
+    assert.notEqual(replaced.body.team.inviteCode, team.inviteCode);
+    const late = await server.signUp('late@example.com');
+    assert.equal((await late.post('/api/teams/join', { inviteCode: team.inviteCode })).status, 404);
+    assert.equal((await late.post('/api/teams/join', { inviteCode: replaced.body.team.inviteCode })).status, 201);
+  });
+
+  it('changes roles but always keeps an owner', async () => {
+    const ownerId = owner.user.id;
+    const memberId = member.user.id;
+    assert.equal((await member.put(`/api/teams/${team.id}/members/${ownerId}`, { role: 'member' })).status, 403);
+    assert.equal((await owner.put(`/api/teams/${team.id}/members/${ownerId}`, { role: 'admin' })).status, 409);
+    assert.equal((await owner.delete(`/api/teams/${team.id}/members/${ownerId}`)).status, 409);
+
+    const promoted = await owner.put(`/api/teams/${team.id}/members/${memberId}`, { role: 'owner' });
+    assert.deepEqual(promoted.body.member, { userId: memberId, role: 'owner' });
+    assert.equal((await owner.delete(`/api/teams/${team.id}/members/${ownerId}`)).body.message, 'Left team');
+    assert.equal((await owner.get(`/api/teams/${team.id}`)).status, 404);
+  });
+
+  it('lets admins remove members but not owners', async () => {
+    const third = await server.signUp('third@example.com');
+    await third.post('/api/teams/join', { inviteCode: team.inviteCode });
+    await owner.put(`/api/teams/${team.id}/members/${member.user.id}`, { role: 'admin' });
+
+    assert.equal((await member.delete(`/api/teams/${team.id}/members/${owner.user.id}`)).status, 403);
+    const removed = await member.delete(`/api/teams/${team.id}/members/${third.user.id}`);
+    assert.equal(removed.body.message, 'Member removed');
+    assert.equal((await third.get('/api/teams')).body.teams.length, 0);
+  });
+
+  it('aggregates analytics and lists only members who share detail', async () => {
+    await owner.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', url: 'https://github.com/secret', duration: 300, category: 'productive' },
+        { hostname: 'reddit.com', duration: 100, category: 'unproductive' }
+      ]
+    });
+    await member.post('/api/time-entries', { hostname: 'docs.python.org', duration: 600, category: 'productive' });
+    await member.put(`/api/teams/${team.id}/sharing`, { shareDetail: true });
+
+    const { status, body } = await owner.get(`/api/teams/${team.id}/analytics`);
+    assert.equal(status, 200);
+    const { analytics } = body;
+    assert.equal(analytics.memberCount, 2);
+    assert.equal(analytics.activeMembers, 2);
+    assert.equal(analytics.totalTime, 1000);
+    assert.equal(analytics.productivityScore, 90);
+    assert.deepEqual(analytics.categories.map(item => [item.key, item.totalTime]), [['productive', 900], ['unproductive', 100]]);
+
+    assert.equal(analytics.members.length, 1);
+    assert.equal(analytics.members[0].name, 'Max');
+    assert.deepEqual(analytics.members[0].topSites, [{ hostname: 'docs.python.org', totalTime: 600 }]);
+    assert.doesNotMatch(JSON.stringify(body), /secret/);
+  });
+
+  it('lets only owners delete the team', async () => {
+    assert.equal((await member.delete(`/api/teams/${team.id}`)).status, 403);
+    assert.equal((await owner.delete(`/api/teams/${team.id}`)).status, 200);
+    assert.equal((await member.get('/api/teams')).body.teams.length, 0);
+  });
+});
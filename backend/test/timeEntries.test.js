@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, resetStore } = require('./helpers');
+
+describe('time entries', () => {
+  let server;
+  let ada;
+
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+  beforeEach(async () => {
+    resetStore();
+    ada = await server.signUp('ada@example.com');
+  });
+
+  it('creates entries, categorizing them with the user\'s rules', async () => {
+    await ada.put('/api/rules', { rules: [{ type: 'domain', pattern: 'github.com', category: 'productive' }] });
+
+    const { status, body } = await ada.post('/api/time-entries', {
+      hostname: 'github.com',
+      url: 'https://github.com/acme/app',
+      duration: 120,
+      startedAt: '2024-03-01T10:00:00.000Z',
+      endedAt: '2024-03-01T10:02:00.000Z'
+    });
+    assert.equal(status, 201);
+    assert.equal(body.entry.category, 'productive');
+    assert.equal(body.entry.day, '2024-03-01');
+    assert.equal(body.entry.userId, ada.user.id);
+  });
+
+  it('records an entry with a clientId only once', async () => {
+    const entry = { hostname: 'example.com', duration: 30, clientId: 'abc-1' };
+    assert.equal((await ada.post('/api/time-entries', entry)).status, 201);
+    const replay = await ada.post('/api/time-entries', entry);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.message, 'Time entry already recorded');
+
+    const { body } = await ada.get('/api/time-entries');
+    assert.equal(body.pagination.totalEntries, 1);
+  });
+
+  it('rejects entries without a hostname or duration', async () => {
+    const { status } = await ada.post('/api/time-entries', { hostname: 'example.com' });
+    assert.equal(status, 400);
+  });
+
+  it('times manual entries by their start and end', async () => {
+    const { status, body } = await ada.post('/api/time-entries', {
+      manual: true,
+      startedAt: '2024-03-01T09:00:00.000Z',
+      endedAt: '2024-03-01T09:30:00.000Z',
+      description: 'Standup',
+      category: 'productive'
+    });
+    assert.equal(status, 201);
+    assert.equal(body.entry.hostname, 'manual');
+    assert.equal(body.entry.duration, 1800);
+    assert.equal(body.entry.description, 'Standup');
+
+    const backwards = await ada.post('/api/time-entries', {
+      manual: true,
+      startedAt: '2024-03-01T10:00:00.000Z',
+      endedAt: '2024-03-01T09:00:00.000Z'
+    });
+    assert.equal(backwards.status, 400);
+  });
+
+  it('lists entries newest first with filters and pagination', async () => {
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 60, category: 'productive', endedAt: '2024-03-01T10:00:00.000Z', clientId: 'a' },
+        { hostname: 'news.ycombinator.com', duration: 90, category: 'unproductive', endedAt: '2024-03-02T10:00:00.000Z' },
+        { hostname: 'docs.github.com', duration: 30, category: 'productive', endedAt: '2024-03-03T10:00:00.000Z' }
+      ]
+    });
+    await ada.post('/api/time-entries', {
+      manual: true, startedAt: '2024-03-04T09:00:00.000Z', endedAt: '2024-03-04T10:00:00.000Z'
+    });
+
+    const all = await ada.get('/api/time-entries?limit=2');
+    assert.equal(all.body.pagination.totalEntries, 4);
+    assert.equal(all.body.pagination.totalPages, 2);
+    assert.equal(all.body.pagination.hasNext, true);
+    assert.deepEqual(all.body.entries.map(entry => entry.hostname), ['manual', 'docs.github.com']);
+
+    const github = await ada.get('/api/time-entries?hostname=github');
+    assert.equal(github.body.entries.length, 2);
+    const productive = await ada.get('/api/time-entries?category=productive&endDate=2024-03-02T00:00:00.000Z');
+    assert.deepEqual(productive.body.entries.map(entry => entry.hostname), ['github.com']);
+    const tracked = await ada.get('/api/time-entries?manual=exclude');
+    assert.equal(tracked.body.entries.length, 3);
+    const manual = await ada.get('/api/time-entries?manual=only');
+    assert.equal(manual.body.entries.length, 1);
+    const byClientId = await ada.get('/api/time-entries?clientId=a');
+    assert.equal(byClientId.body.entries[0].hostname, 'github.com');
+  });
+
+  it('bulk uploads skip entries already stored by clientId', async () => {
+    const entries = [
+      { hostname: 'a.com', duration: 10, clientId: 'one' },
+      { hostname: 'b.com', duration: 20, clientId: 'two' }
+    ];
+    const first = await ada.post('/api/time-entries/bulk', { entries });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.entries.length, 2);
+
+    const second = await ada.post('/api/time-entries/bulk', {
+      entries: [...entries, { hostname: 'c.com', duration: 30, clientId: 'three' }]
+    });
+    assert.equal(second.body.entries.length, 1);
+    assert.equal(second.body.duplicates, 2);
+
+    const existing = await ada.post('/api/time-entries/existing', { clientIds: ['one', 'three', 'four'] });
+    assert.deepEqual(existing.body.existing.sort(), ['one', 'three']);
+  });
+
+  it('assigns and clears the project of a site\'s entries', async () => {
+    const project = (await ada.post('/api/projects', { name: 'Acme', color: '#123456' })).body.project;
+    await ada.post('/api/time-entries/bulk', {
+      entries: [
+        { hostname: 'github.com', duration: 60, endedAt: '2024-03-01T10:00:00.000Z' },
+        { hostname: 'github.com', duration: 60, endedAt: '2024-03-02T10:00:00.000Z' },
+        { hostname: 'gitlab.com', duration: 60, endedAt: '2024-03-01T10:00:00.000Z' }
+      ]
+    });
+
+    const assigned = await ada.post('/api/time-entries/assign-project', { project: project._id, hostname: 'github.com', day: '2024-03-01' });
+    assert.equal(assigned.body.updated, 1);
+    const tagged = await ada.get(`/api/time-entries?project=${project._id}`);
+    assert.equal(tagged.body.entries.length, 1);
+
+    const cleared = await ada.post('/api/time-entries/assign-project', { project: null, hostname: 'github.com' });
+    assert.equal(cleared.body.updated, 1);
+    const untagged = await ada.get('/api/time-entries?project=none');
+    assert.equal(untagged.body.entries.length, 3);
+
+    const foreign = await ada.post('/api/time-entries/assign-project', { project: 'aaaaaaaaaaaaaaaaaaaaaaaa', hostname: 'github.com' });
+    assert.equal(foreign.status, 404);
+  });
+
+  it('updates entries, moving only manual ones in time', async () => {
+    const tracked = (await ada.post('/api/time-entries', { hostname: 'a.com', duration: 60 })).body.entry;
+    const manual = (await ada.post('/api/time-entries', {
+      manual: true, startedAt: '2024-03-01T09:00:00.000Z', endedAt: '2024-03-01T09:30:00.000Z'
+    })).body.entry;
+
+    const renamed = await ada.put(`/api/time-entries/${tracked._id}`, { category: 'productive', title: 'Docs' });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.entry.category, 'productive');
+    assert.equal(renamed.body.entry.title, 'Docs');
+
+    const refused = await ada.put(`/api/time-entries/${tracked._id}`, { endedAt: '2024-03-01T10:00:00.000Z' });
+    assert.equal(refused.status, 400);
+
+    const moved = await ada.put(`/api/time-entries/${manual._id}`, { endedAt: '2024-03-02T01:00:00.000Z' });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.entry.duration, 16 * 60 * 60);
+    assert.equal(moved.body.entry.day, '2024-03-02');
+  });
+
+  it('keeps users\' entries apart', async () => {
+    const entry = (await ada.post('/api/time-entries', { hostname: 'a.com', duration: 60 })).body.entry;
+    const bob = await server.signUp('bob@example.com');
+
+    assert.equal((await bob.get('/api/time-entries')).body.entries.length, 0);
+    assert.equal((await bob.put(`/api/time-entries/${entry._id}`, { title: 'Mine' })).status, 404);
+    assert.equal((await bob.delete(`/api/time-entries/${entry._id}`)).status, 404);
+
+    const deleted = await ada.delete(`/api/time-entries/${entry._id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal((await ada.get('/api/time-entries')).body.entries.length, 0);
+  });
+});
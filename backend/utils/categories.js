@@ -0,0 +1,64 @@
+// Category definitions – the same defaults and scoring as extension/shared/categories.js.
+//
+// A category is { key, name, color, weight }. `weight` is how much an hour in
+// the category counts towards the productivity score (0–1); null leaves the
+// category out of the score entirely, as neutral browsing is by default.
+
+const DEFAULT_CATEGORIES = [
+  { key: 'productive', name: 'Productive', color: '#4CAF50', weight: 1 },
+  { key: 'unproductive', name: 'Unproductive', color: '#ff6b6b', weight: 0 },
+  { key: 'neutral', name: 'Neutral', color: '#ffa726', weight: null }
+];
+
+const CATEGORY_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+function isDefaultCategory(key) {
+  return DEFAULT_CATEGORIES.some(category => category.key === key);
+}
+
+// Defaults overridden by, then followed by, the user's own definitions
+function mergeCategories(custom = []) {
+  const byKey = new Map(DEFAULT_CATEGORIES.map(category => [category.key, { ...category, builtIn: true }]));
+  custom.forEach(({ key, name, color, weight }) => {
+    byKey.set(key, { ...byKey.get(key), key, name, color, weight: weight === undefined ? null : weight });
+  });
+  return [...byKey.values()];
+}
+
+// Weighted share of scored time, 0–100; `totals` maps category key → seconds
+function productivityScore(totals, categories) {
+  const weights = new Map(categories.map(category => [category.key, category.weight]));
+  let scoredTime = 0;
+  let weightedTime = 0;
+
+  Object.entries(totals).forEach(([key, time]) => {
+    const weight = weights.get(key);
+    if (weight === null || weight === undefined) return;
+    scoredTime += time;
+    weightedTime += time * weight;
+  });
+
+  return {
+    scoredTime,
+    weightedTime,
+    score: scoredTime > 0 ? Math.round((weightedTime / scoredTime) * 100) : 0
+  };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  CATEGORY_KEY_PATTERN,
+  slugify,
+  isDefaultCategory,
+  mergeCategories,
+  productivityScore
+};
@@ -0,0 +1,75 @@
+// Day boundaries – the same rules as the extension's storage.js.
+//
+// A day is a calendar day in the user's IANA timezone that begins at
+// `dayStartHour`, so 1am with a 4am day start still counts towards the day
+// before. Entries are assigned to the day they ended on.
+
+const DEFAULT_DAY_SETTINGS = { timezone: 'UTC', dayStartHour: 0 };
+const HOUR_MS = 60 * 60 * 1000;
+
+// IANA timezone names such as "Europe/Berlin"
+function isTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isDayStartHour(value) {
+  return Number.isInteger(value) && value >= 0 && value < 24;
+}
+
+// YYYY-MM-DD of the day a time falls on
+function dayKey(date, { timezone, dayStartHour } = DEFAULT_DAY_SETTINGS) {
+  const shifted = new Date(new Date(date).getTime() - dayStartHour * HOUR_MS);
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(shifted);
+}
+
+// Offset (ms) of a timezone from UTC at a time
+function offsetAt(time, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(time).map(part => [part.type, Number(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(time / 60000) * 60000;
+}
+
+// First instant of the day with the given key: dayStartHour hours after its midnight, as in dayKey
+function dayStart(day, { timezone, dayStartHour } = DEFAULT_DAY_SETTINGS) {
+  const [year, month, date] = day.split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, date);
+  // Checked twice to land on the right side of DST changes
+  const guess = midnight - offsetAt(midnight, timezone);
+  return new Date(midnight - offsetAt(guess, timezone) + dayStartHour * HOUR_MS);
+}
+
+// Key of the day `days` after (or, when negative, before) a day key
+function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+}
+
+// Aggregation expression for the day key of a date expression
+function dayExpression(date, { timezone, dayStartHour } = DEFAULT_DAY_SETTINGS) {
+  return {
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: { $subtract: [date, dayStartHour * HOUR_MS] },
+      timezone
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DAY_SETTINGS,
+  isTimeZone,
+  isDayStartHour,
+  dayKey,
+  dayStart,
+  addDays,
+  dayExpression
+};
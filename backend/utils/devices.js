@@ -0,0 +1,9 @@
+// Devices – the browsers a user syncs from. Each extension install picks a
+// random id once and sends it with every entry (`device`) and every POST
+// /api/sync, which records the device's name and browser in the registry.
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+module.exports = {
+  DEVICE_ID_PATTERN
+};
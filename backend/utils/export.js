@@ -0,0 +1,136 @@
+// Formatters for streamed exports of time entries (CSV, NDJSON, iCalendar)
+
+// Write each document of a store cursor as it arrives, pausing while the client's buffer is full
+const streamCursor = async (res, cursor, format) => {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    cursor.close().catch(() => {});
+  });
+
+  for await (const doc of cursor) {
+    if (closed) return;
+    if (!res.write(format(doc))) {
+      await new Promise(resolve => {
+        const resume = () => {
+          res.off('drain', resume);
+          res.off('close', resume);
+          resolve();
+        };
+        res.on('drain', resume);
+        res.on('close', resume);
+      });
+    }
+  }
+};
+
+// `project` is the project's name; the export route swaps it in for the id
+const CSV_COLUMNS = ['startedAt', 'endedAt', 'hostname', 'url', 'title', 'duration', 'category', 'project', 'manual', 'description', 'clientId'];
+
+// Start and end of a session; entries saved without them end at `timestamp` and last `duration` seconds
+const sessionBounds = entry => {
+  if (entry.startedAt && entry.endedAt) {
+    return { startedAt: new Date(entry.startedAt), endedAt: new Date(entry.endedAt) };
+  }
+  const endedAt = new Date(entry.timestamp);
+  return { startedAt: new Date(endedAt.getTime() - entry.duration * 1000), endedAt };
+};
+
+// Quote fields that need it; a leading =, +, - or @ is neutralised so spreadsheets don't run it as a formula
+const csvField = value => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+const toCsvRow = entry => {
+  const row = { ...entry, ...sessionBounds(entry) };
+  return `${CSV_COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`;
+};
+
+const toNdjsonLine = entry => {
+  const { _id, hostname, url, title, duration, category, project, manual = false, description, clientId } = entry;
+  const { startedAt, endedAt } = sessionBounds(entry);
+  return `${JSON.stringify({ id: String(_id), startedAt, endedAt, hostname, url, title, duration, category, project, manual, description, clientId })}\n`;
+};
+
+// RFC 5545 text escaping
+const escapeIcsText = value => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldIcsLine = line => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const icsDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsLines = lines => lines.map(foldIcsLine).join('\r\n') + '\r\n';
+
+const icsHeader = () => icsLines([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Productivity Tracker//Time Export//EN',
+  'CALSCALE:GREGORIAN',
+  'X-WR-CALNAME:Productivity Tracker'
+]);
+
+const icsFooter = () => icsLines(['END:VCALENDAR']);
+
+// One VEVENT per tracked session; manual entries are named after their description
+const toIcsEvent = entry => {
+  const { startedAt, endedAt } = sessionBounds(entry);
+  const description = [entry.title, entry.url].filter(Boolean).join('\n');
+  const summary = entry.manual && entry.description ? entry.description : entry.hostname;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.clientId || entry._id}@productivity-tracker`,
+    `DTSTAMP:${icsDate(new Date(entry.createdAt || endedAt))}`,
+    `DTSTART:${icsDate(startedAt)}`,
+    `DTEND:${icsDate(endedAt)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `CATEGORIES:${[entry.category, entry.project].filter(Boolean).map(escapeIcsText).join(',')}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (entry.url) lines.push(`URL:${entry.url.replace(/[\r\n]/g, '')}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return icsLines(lines);
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', header: csvHeader, format: toCsvRow },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson', format: toNdjsonLine },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', header: icsHeader, format: toIcsEvent, footer: icsFooter }
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_FORMATS,
+  streamCursor,
+  sessionBounds,
+  toCsvRow,
+  toNdjsonLine,
+  toIcsEvent,
+  escapeIcsText,
+  foldIcsLine
+};
@@ -0,0 +1,63 @@
+// Live events – what GET /api/stream pushes to a user's open connections.
+//
+//   entries      { type: 'created' | 'updated' | 'deleted', entries }
+//   summary      { deltas: [{ day, category, totalTime, entryCount }] }, the
+//                change the entries made to each day's category totals
+//                (negative when time was taken away)
+//   refresh      { reason }, after changes too broad to send entry by entry
+//                (re-bucketed days, recategorized history, assigned projects)
+//   preferences  { device }, after a device's sync changed the shared
+//                categories or settings (see routes/sync.js)
+//
+// Events go to connections served by this process only; behind several
+// instances a client misses writes that another instance handled.
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+// One listener per open stream
+bus.setMaxListeners(0);
+
+// Call listener(event, data) for each event of a user until the returned function is called
+function subscribe(userId, listener) {
+  const channel = String(userId);
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+}
+
+function publish(userId, event, data) {
+  bus.emit(String(userId), event, data);
+}
+
+// Change to each day's category totals from replacing the `before` entries with the `after` ones
+function summaryDeltas(before, after) {
+  const deltas = new Map();
+  const add = (entry, sign) => {
+    const id = `${entry.day}|${entry.category}`;
+    const delta = deltas.get(id) || { day: entry.day, category: entry.category, totalTime: 0, entryCount: 0 };
+    delta.totalTime += sign * entry.duration;
+    delta.entryCount += sign;
+    deltas.set(id, delta);
+  };
+  before.forEach(entry => add(entry, -1));
+  after.forEach(entry => add(entry, 1));
+  return [...deltas.values()].filter(delta => delta.totalTime !== 0 || delta.entryCount !== 0);
+}
+
+// Publish entries that were created, updated or deleted, with the summary deltas they cause
+function publishEntries(userId, type, entries, previous = []) {
+  if (!entries.length) return;
+  publish(userId, 'entries', { type, entries });
+
+  const deltas = type === 'deleted'
+    ? summaryDeltas(entries, [])
+    : summaryDeltas(previous, entries);
+  if (deltas.length) publish(userId, 'summary', { deltas });
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  summaryDeltas,
+  publishEntries
+};
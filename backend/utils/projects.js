@@ -0,0 +1,44 @@
+// Project rules – URL rules in the category rule format (see categoryRules.js)
+// whose match assigns a project instead of a category, e.g. a `path` rule
+// "github.com/acme" for the "Acme" project. extension/shared/storage.js applies
+// the same rules locally.
+
+const mongoose = require('mongoose');
+const { validateRule, findMatchingRule } = require('./categoryRules');
+
+// Error message for an invalid project rule, or null
+function validateProjectRule(rule) {
+  // The category rule checks, minus the category: a project rule's target is its project
+  return validateRule({ ...rule, category: 'project' });
+}
+
+// Every project's rules as category rules that "categorize" a page as the project id
+function toCategoryRules(projects) {
+  return projects.flatMap(project =>
+    (project.rules || []).map(({ type, pattern, domain, priority }) => ({
+      type,
+      pattern,
+      domain,
+      priority,
+      category: String(project._id || project.id)
+    }))
+  );
+}
+
+// Id of the project whose rules match a page, or null
+function matchProject(page, projects) {
+  const rule = findMatchingRule(page, toCategoryRules(projects));
+  return rule ? rule.category : null;
+}
+
+// Whether a value is the id of one of the given projects
+function isProjectOf(id, projects) {
+  return mongoose.isValidObjectId(id) && projects.some(project => String(project._id) === String(id));
+}
+
+module.exports = {
+  validateProjectRule,
+  toCategoryRules,
+  matchProject,
+  isProjectOf
+};
@@ -0,0 +1,72 @@
+// Redaction policy – what the server keeps of the entries it receives, whatever
+// the client sent. Read from the environment on every request:
+//
+//   REDACT_QUERY_STRINGS  "false" keeps URLs' query strings and #fragments,
+//                         which are stripped by default
+//   REDACT_TITLES         "true" drops every page title
+//   REDACTED_DOMAINS      comma-separated sites whose entries keep their time
+//                         but lose URL and title
+//   EXCLUDED_DOMAINS      comma-separated sites whose entries are not stored
+//
+// Sites include their subdomains. The extension applies its own privacy
+// settings before uploading (see extension/shared/privacy.js).
+
+const domainList = value => String(value || '')
+  .split(',')
+  .map(site => site.trim().toLowerCase().replace(/^www\./, ''))
+  .filter(Boolean);
+
+function redactionPolicy(env = process.env) {
+  return {
+    stripQueryStrings: env.REDACT_QUERY_STRINGS !== 'false',
+    dropTitles: env.REDACT_TITLES === 'true',
+    redactedDomains: domainList(env.REDACTED_DOMAINS),
+    excludedDomains: domainList(env.EXCLUDED_DOMAINS)
+  };
+}
+
+function matchesDomain(hostname, sites) {
+  const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+  return sites.some(site => host === site || host.endsWith(`.${site}`));
+}
+
+// URL without its query string and fragment
+function stripUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+// Whether entries for a hostname may be stored at all
+function isExcluded(hostname, policy = redactionPolicy()) {
+  return matchesDomain(hostname, policy.excludedDomains);
+}
+
+// Whether entries for a hostname are stored without URL and title
+function isRedacted(hostname, policy = redactionPolicy()) {
+  return matchesDomain(hostname, policy.redactedDomains);
+}
+
+// Entry (or entry changes) with `url` and `title` redacted or left out; `hostname` is the
+// site they belong to
+function redactEntry(entry, hostname = entry.hostname, policy = redactionPolicy()) {
+  const { url, title, ...redacted } = entry;
+  if (isRedacted(hostname, policy)) return redacted;
+
+  if (url) redacted.url = policy.stripQueryStrings ? stripUrl(url) : url;
+  if (title !== undefined && !policy.dropTitles) redacted.title = title;
+  return redacted;
+}
+
+module.exports = {
+  redactionPolicy,
+  stripUrl,
+  isExcluded,
+  isRedacted,
+  redactEntry
+};
@@ -0,0 +1,59 @@
+// Preference sync – categories and extension settings shared by a user's
+// devices, merged last-writer-wins.
+//
+// Every category definition and every synced setting carries `modifiedAt`, the
+// time it was last changed on whichever device changed it. POST /api/sync takes
+// a device's copy and keeps, item by item, whichever side changed it last; on a
+// tie the server's copy stays. Deleted categories are kept with `deletedAt` so
+// the deletion can win over an older edit. Times from a device's clock that lie
+// in the future are taken as now, so a fast clock can't win every later merge.
+
+const isInteger = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+const isSiteList = value => Array.isArray(value) && value.length <= 500 &&
+  value.every(site => typeof site === 'string' && site.length <= 253);
+
+// Settings the extension syncs, with what a valid value is
+const SYNCED_SETTINGS = {
+  idleThreshold: isInteger(10, 3600),
+  retentionDays: isInteger(1, 3650),
+  privateDomains: isSiteList,
+  excludedDomains: isSiteList,
+  focusMinutes: isInteger(1, 180),
+  breakMinutes: isInteger(1, 180),
+  focusCycles: isInteger(1, 12),
+  focusAllowlist: isSiteList
+};
+
+// A device's modifiedAt as a Date, no later than now
+function clampTime(value, now = new Date()) {
+  const time = new Date(value);
+  return time > now ? now : time;
+}
+
+// Whether the incoming copy was changed after the current one (either may be missing)
+function isNewer(incoming, current) {
+  if (!incoming) return false;
+  if (!current) return true;
+  return new Date(incoming.modifiedAt) > new Date(current.modifiedAt);
+}
+
+// Synced settings after merging a device's { name: { value, modifiedAt } } into the stored ones;
+// `changed` is false when the stored ones win everywhere
+function mergeSettings(current, incoming, now = new Date()) {
+  const merged = { ...current };
+  let changed = false;
+  Object.entries(incoming).forEach(([name, setting]) => {
+    const candidate = { value: setting.value, modifiedAt: clampTime(setting.modifiedAt, now) };
+    if (!isNewer(candidate, current[name])) return;
+    merged[name] = candidate;
+    changed = true;
+  });
+  return { settings: merged, changed };
+}
+
+module.exports = {
+  SYNCED_SETTINGS,
+  clampTime,
+  isNewer,
+  mergeSettings
+};
@@ -0,0 +1,72 @@
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+const DELETION_TOKEN_TTL = '10m';
+
+function getSecret(name) {
+  const secret = process.env[name];
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return `dev-${name.toLowerCase()}`;
+}
+
+// Short-lived token sent with every API request
+function signAccessToken(user) {
+  return jwt.sign({ sub: String(user._id), type: 'access' }, getSecret('JWT_SECRET'), {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+// Long-lived token that can only be exchanged for a new access token
+function signRefreshToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), type: 'refresh', ver: user.tokenVersion },
+    getSecret('JWT_REFRESH_SECRET'),
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+}
+
+function issueTokens(user) {
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Confirms, for a few minutes, that the user asked to delete their account (DELETE /api/me)
+function signDeletionToken(userId) {
+  return jwt.sign({ sub: String(userId), type: 'account-deletion' }, getSecret('JWT_SECRET'), {
+    expiresIn: DELETION_TOKEN_TTL
+  });
+}
+
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+  if (payload.type !== 'access') throw new jwt.JsonWebTokenError('Wrong token type');
+  return payload;
+}
+
+function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+  if (payload.type !== 'refresh') throw new jwt.JsonWebTokenError('Wrong token type');
+  return payload;
+}
+
+function verifyDeletionToken(token) {
+  const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+  if (payload.type !== 'account-deletion') throw new jwt.JsonWebTokenError('Wrong token type');
+  return payload;
+}
+
+module.exports = {
+  DELETION_TOKEN_TTL,
+  issueTokens,
+  signDeletionToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  verifyDeletionToken
+};
@@ -0,0 +1,23 @@
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+// bcrypt hash stored in place of the password
+function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+function checkPassword(user, candidate) {
+  return bcrypt.compare(candidate, user.password);
+}
+
+// A user as the API returns it; the password hash never leaves the server
+function toUserJSON({ _id, email, name, createdAt, settings }) {
+  return { id: _id, email, name, createdAt, settings };
+}
+
+module.exports = {
+  hashPassword,
+  checkPassword,
+  toUserJSON
+};
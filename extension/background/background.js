@@ -1,8 +1,49 @@
 // background.js – Productivity Tracker Extension
 
+importScripts('../shared/rules.js', '../shared/privacy.js', '../shared/categories.js', '../shared/limits.js', '../shared/storage.js', '../shared/api.js');
+
 let currentTab = null;
 let startTime = null;
 let isTracking = false;
+let trackingState = 'stopped'; // 'tracking' | 'idle' | 'stopped'
+let idleSince = null;
+
+const SYNC_ALARM = 'syncQueue';
+const SYNC_BATCH_SIZE = 100; // the bulk route accepts at most 100 entries
+const SYNC_BASE_DELAY = 30 * 1000; // first retry after 30 seconds
+const SYNC_MAX_DELAY = 60 * 60 * 1000; // back off to at most one hour
+const SYNC_MAX_URL_LENGTH = 2048; // the backend rejects longer URLs and titles
+const SYNC_MAX_TITLE_LENGTH = 1000;
+
+let syncQueueLock = Promise.resolve();
+let isFlushing = false;
+
+const FOCUS_ALARM = 'focusPhase';
+const BLOCKED_PAGE = chrome.runtime.getURL('focus/blocked.html');
+
+let focusLock = Promise.resolve();
+
+const LIMIT_ALARM = 'limitCheck';
+
+const PREFERENCES_ALARM = 'syncPreferences';
+let preferencesSync = null; // the running preference sync
+let preferencesResync = null; // the one queued behind it, shared by callers that came meanwhile
+
+const HEARTBEAT_ALARM = 'heartbeat';
+const CRASH_GAP = 2 * 60 * 1000; // no heartbeat for this long means the worker or browser wasn't running
+const workerStartedAt = Date.now();
+let lastHeartbeat = null;
+
+const LIVE_PORT = 'live'; // dashboards connect on this port for live updates
+const LIVE_RETRY_DELAY = 5000;
+const OWN_CLIENT_IDS_MAX = 2000;
+const liveClients = new Set();
+let liveStream = null; // AbortController of the open /stream request
+let liveDropped = false; // the stream closed unexpectedly, so events may have been missed
+const ownClientIds = new Set(); // entries this browser sent, echoed back by the stream
+
+// MV3 stops the worker when idle; pick up the session it was tracking before handling any event
+const sessionReady = restoreSession().catch(err => console.error('Session restore failed:', err));
 
 // Initial setup
 chrome.runtime.onInstalled.addListener(() => {
@@ -10,37 +51,18 @@ chrome.runtime.onInstalled.addListener(() => {
   initializeStorage();
 });
 
-// Default categories
+chrome.runtime.onStartup.addListener(() => {
+  TrackerStorage.migrate().catch(err => console.error('Migration failed:', err));
+});
+
+// Seed defaults, migrate data stored under the old dashboard keys and give this browser its device id
 async function initializeStorage() {
-  const defaultCategories = {
-    productive: [
-      'github.com',
-      'stackoverflow.com',
-      'docs.google.com',
-      'notion.so',
-      'trello.com',
-      'asana.com',
-      'slack.com',
-      'zoom.us',
-      'figma.com',
-      'codepen.io',
-      'developer.mozilla.org',
-      'w3schools.com'
-    ],
-    unproductive: [
-      'facebook.com',
-      'twitter.com',
-      'instagram.com',
-      'youtube.com',
-      'reddit.com',
-      'tiktok.com',
-      'netflix.com',
-      'twitch.tv',
-      'pinterest.com',
-      'snapchat.com'
-    ]
-  };
-  await chrome.storage.local.set({ categories: defaultCategories });
+  try {
+    await TrackerStorage.initialize();
+    await TrackerStorage.getDevice();
+  } catch (err) {
+    console.error('Storage initialization failed:', err);
+  }
 }
 
 // Event Listeners
@@ -49,12 +71,17 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 });
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    const blocked = await enforceFocus(tabId, changeInfo.url, tab.title);
+    if (!blocked) await enforceLimits(tabId, changeInfo.url, tab.title);
+  }
   if (changeInfo.status === 'complete' && tab.active) {
     await handleTabChange(tabId);
   }
 });
 
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await sessionReady;
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
     await stopTracking(); // browser lost focus
   } else {
@@ -66,9 +93,10 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
 // Handle tab switch
 async function handleTabChange(tabId) {
   try {
+    await sessionReady;
     await stopTracking();
     const tab = await chrome.tabs.get(tabId);
-    if (tab && tab.url && !tab.url.startsWith('chrome://')) {
+    if (tab && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith(BLOCKED_PAGE) && await canTrack(tab)) {
       await startTracking(tab);
     }
   } catch (err) {
@@ -76,97 +104,584 @@ async function handleTabChange(tabId) {
   }
 }
 
+// Incognito tabs and excluded sites are never tracked
+async function canTrack(tab) {
+  return TrackerPrivacy.isTrackable(tab, await TrackerStorage.getSettings());
+}
+
 // Start tracking
 async function startTracking(tab) {
   currentTab = tab;
   startTime = Date.now();
   isTracking = true;
+  trackingState = 'tracking';
+  idleSince = null;
+  await checkpointSession();
   console.log('🔵 Tracking started:', getDomain(tab.url));
 }
 
-// Stop tracking and save time
-async function stopTracking() {
+// Stop tracking and save time (or the idle gap, if the session was paused)
+async function stopTracking(endTime = Date.now()) {
+  if (trackingState === 'idle') {
+    await closeIdleGap(endTime);
+  } else {
+    await saveCurrentSession(endTime);
+  }
+
+  isTracking = false;
+  trackingState = 'stopped';
+  currentTab = null;
+  startTime = null;
+  idleSince = null;
+  await checkpointSession();
+}
+
+// Pause the current session when the user goes idle, keeping the tab so it can resume
+async function pauseTracking(lastActivity) {
+  if (trackingState !== 'tracking') return;
+
+  const endTime = Math.max(startTime, Math.min(lastActivity || Date.now(), Date.now()));
+  await saveCurrentSession(endTime);
+
+  isTracking = false;
+  trackingState = 'idle';
+  startTime = null;
+  idleSince = endTime;
+  await checkpointSession();
+  console.log('⏸️ Tracking paused (idle):', getDomain(currentTab.url));
+}
+
+// Resume tracking the paused tab once the user is active again
+async function resumeTracking() {
+  if (trackingState !== 'idle' || !currentTab) return;
+
+  const tab = currentTab;
+  await closeIdleGap(Date.now());
+  await startTracking(tab);
+}
+
+// Save the active session up to endTime
+async function saveCurrentSession(endTime) {
   if (!isTracking || !currentTab || !startTime) return;
 
-  const endTime = Date.now();
-  const timeSpentMs = endTime - startTime;
-  const timeSpent = Math.floor(timeSpentMs / 1000); // convert ms → seconds
+  const timeSpent = Math.floor((endTime - startTime) / 1000); // convert ms → seconds
   const domain = getDomain(currentTab.url);
 
   if (timeSpent > 1) {
-    await saveTimeEntry(domain, timeSpent, currentTab.url, currentTab.title);
+    await saveTimeEntry(domain, timeSpent, currentTab.url, currentTab.title, {
+      startedAt: startTime,
+      endedAt: endTime,
+      tabId: currentTab.id,
+      windowId: currentTab.windowId
+    });
   }
+}
 
-  isTracking = false;
-  currentTab = null;
-  startTime = null;
+// Record the idle gap that started at idleSince
+async function closeIdleGap(endTime) {
+  if (!currentTab || !idleSince) return;
+
+  const idleTime = Math.floor((endTime - idleSince) / 1000);
+  if (idleTime > 1) {
+    await saveIdleTime(getDomain(currentTab.url), idleTime, currentTab.url, currentTab.title);
+  }
+  idleSince = null;
 }
 
-// Save to local + backend
-async function saveTimeEntry(domain, timeSpent, url, title) {
-  try {
-    const today = new Date().toISOString().split('T')[0];
-    const storageKey = `timeData_${today}`;
-    const result = await chrome.storage.local.get([storageKey]);
-    const timeData = result[storageKey] || {};
+// Persist the live session to chrome.storage.session so a restarted worker can pick it up
+async function checkpointSession() {
+  lastHeartbeat = Date.now();
+  if (trackingState === 'stopped' || !currentTab) {
+    await chrome.storage.session.remove(['liveSession']);
+    return;
+  }
 
-    if (!timeData[domain]) {
-      timeData[domain] = {
-        totalTime: 0,
-        visits: 0,
-        category: await getWebsiteCategory(domain),
-        lastVisit: Date.now(),
-        title: title || domain
-      };
+  const { id, windowId, url, title } = currentTab;
+  await chrome.storage.session.set({
+    liveSession: {
+      tab: { id, windowId, url, title },
+      trackingState,
+      startTime,
+      idleSince,
+      heartbeatAt: lastHeartbeat
     }
+  });
+}
+
+// Reload the checkpointed session into a fresh worker. If the worker was gone for
+// longer than CRASH_GAP, or the tab moved on meanwhile, the session is closed at
+// its last heartbeat instead, so the downtime isn't counted.
+async function restoreSession() {
+  const { liveSession } = await chrome.storage.session.get(['liveSession']);
+  if (!liveSession || currentTab) return;
+
+  currentTab = liveSession.tab;
+  trackingState = liveSession.trackingState;
+  isTracking = trackingState === 'tracking';
+  startTime = liveSession.startTime;
+  idleSince = liveSession.idleSince;
+  lastHeartbeat = liveSession.heartbeatAt;
+
+  const now = Date.now();
+  const gap = now - liveSession.heartbeatAt;
+  const tab = await chrome.tabs.get(liveSession.tab.id).catch(() => null);
+  const tabUnchanged = Boolean(tab && tab.active && tab.url === liveSession.tab.url);
+
+  if (gap <= CRASH_GAP && tabUnchanged) {
+    await recordRecovery(liveSession, { outcome: 'resumed', gap });
+    console.log('♻️ Session resumed after worker restart:', getDomain(currentTab.url));
+    return;
+  }
 
-    timeData[domain].totalTime += timeSpent;
-    timeData[domain].visits += 1;
-    timeData[domain].lastVisit = Date.now();
+  await stopTracking(liveSession.heartbeatAt);
+  await recordRecovery(liveSession, {
+    outcome: 'closed',
+    gap,
+    endedAt: liveSession.heartbeatAt,
+    reason: tabUnchanged ? 'Worker was not running' : 'Tab changed or closed while the worker was not running'
+  });
+  console.log('🩹 Session closed at last heartbeat:', getDomain(liveSession.tab.url));
+  if (tab && tab.active && await canTrack(tab)) await startTracking(tab);
+}
+
+// Checkpoint the session; a late heartbeat means the machine slept or hung, so close the session before the gap
+async function heartbeat() {
+  await sessionReady;
 
-    await chrome.storage.local.set({ [storageKey]: timeData });
+  const now = Date.now();
+  if (trackingState !== 'stopped' && currentTab && lastHeartbeat && now - lastHeartbeat > CRASH_GAP) {
+    const snapshot = { tab: currentTab, trackingState, startTime, idleSince, heartbeatAt: lastHeartbeat };
+    const tabId = currentTab.id;
+    await stopTracking(lastHeartbeat);
+    await recordRecovery(snapshot, {
+      outcome: 'closed',
+      gap: now - snapshot.heartbeatAt,
+      endedAt: snapshot.heartbeatAt,
+      reason: 'Heartbeat missed (sleep or hang)'
+    });
+    await handleTabChange(tabId);
+    return;
+  }
 
-    // Send to backend
-    await sendToBackend({
+  await checkpointSession();
+}
+
+// Log a recovered session for the dashboard's diagnostics view
+async function recordRecovery(liveSession, { outcome, gap, endedAt = null, reason = null }) {
+  try {
+    await TrackerStorage.recordRecovery({
+      id: `${liveSession.tab.id}-${liveSession.startTime || liveSession.idleSince}`,
+      hostname: getDomain(liveSession.tab.url),
+      state: liveSession.trackingState,
+      startedAt: liveSession.startTime || liveSession.idleSince,
+      lastHeartbeatAt: liveSession.heartbeatAt,
+      recoveredAt: Date.now(),
+      gapSeconds: Math.round(gap / 1000),
+      outcome,
+      endedAt,
+      reason
+    });
+  } catch (err) {
+    console.error('Recovery log error:', err);
+  }
+}
+
+// Worker and session state for the diagnostics view
+async function getDiagnostics() {
+  await sessionReady;
+  const { liveSession = null } = await chrome.storage.session.get(['liveSession']);
+  return {
+    workerStartedAt,
+    lastHeartbeat,
+    state: trackingState,
+    liveSession,
+    recoveries: await TrackerStorage.getRecoveryLog()
+  };
+}
+
+// Save to local + backend; session is { startedAt, endedAt, tabId, windowId } with times in ms.
+// Rules see the whole page, but only its redacted URL and title are stored or synced.
+async function saveTimeEntry(domain, timeSpent, url, title, session) {
+  try {
+    const category = await getWebsiteCategory({ url, hostname: domain, title });
+    const project = TrackerStorage.projectFor({ url, hostname: domain, title }, await TrackerStorage.getProjects());
+    const settings = await TrackerStorage.getSettings();
+    const page = TrackerPrivacy.redact({ url, title, hostname: domain }, settings);
+    await TrackerStorage.addTime(domain, timeSpent, { category, project, title: page.title, url: page.url, ...session });
+    notifyLive({ type: 'local' });
+    checkLimits();
+    const { timezone, dayStartHour } = settings;
+
+    // Queue for the backend
+    await queueForSync({
       hostname: domain,
       duration: timeSpent,
-      url,
-      title,
-      category: await getWebsiteCategory(domain)
+      url: page.url,
+      title: page.title,
+      category,
+      project,
+      startedAt: new Date(session.startedAt).toISOString(),
+      endedAt: new Date(session.endedAt).toISOString(),
+      tabId: session.tabId,
+      windowId: session.windowId,
+      timezone,
+      dayStartHour
     });
   } catch (err) {
     console.error('Save error:', err);
   }
 }
 
-// Send to backend API
-async function sendToBackend(entry) {
+// Save an idle gap to the day's bucket, separately from tracked time
+async function saveIdleTime(domain, idleTime, url, title) {
+  try {
+    const category = await getWebsiteCategory({ url, hostname: domain, title });
+    await TrackerStorage.addIdleTime(domain, idleTime, { category });
+    notifyLive({ type: 'local' });
+    console.log('💤 Idle gap recorded:', domain, idleTime);
+  } catch (err) {
+    console.error('Idle save error:', err);
+  }
+}
+
+// Backend copy of a manual entry; its session id doubles as the clientId
+async function manualSyncEntry(session) {
+  const { timezone, dayStartHour } = await TrackerStorage.getSettings();
+  return {
+    hostname: session.hostname,
+    duration: session.duration,
+    title: session.description,
+    description: session.description,
+    category: session.category,
+    project: session.project,
+    manual: true,
+    startedAt: new Date(session.startedAt).toISOString(),
+    endedAt: new Date(session.endedAt).toISOString(),
+    timezone,
+    dayStartHour,
+    clientId: session.id
+  };
+}
+
+// Log time spent away from the browser (meetings, calls) and queue it for the backend
+async function logManualEntry(entry) {
+  const error = TrackerStorage.validateManualEntry(entry);
+  if (error) return { success: false, error };
+
+  try {
+    const session = await TrackerStorage.addManualEntry(entry);
+    notifyLive({ type: 'local' });
+    checkLimits();
+    await queueForSync(await manualSyncEntry(session));
+    return { success: true, session };
+  } catch (err) {
+    console.error('Manual entry error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+// Change a manual entry here and in its backend copy: one still in the outbox is
+// replaced there, one already uploaded is updated through PUT /time-entries/:id
+async function updateManualEntry(session, changes) {
+  const error = TrackerStorage.validateManualEntry({ ...session, ...changes });
+  if (error) return { success: false, error };
+
   try {
-    const response = await fetch('http://localhost:3000/api/time-entries', {
+    const updated = await TrackerStorage.updateManualEntry(session, changes);
+    if (!updated) return { success: false, error: 'Entry not found' };
+    notifyLive({ type: 'local' });
+
+    const entry = await manualSyncEntry(updated);
+    const queued = await replaceQueuedEntry(updated.id, entry);
+    const synced = queued || await changeSyncedEntry(updated.id, 'PUT', {
+      startedAt: entry.startedAt,
+      endedAt: entry.endedAt,
+      title: entry.title,
+      description: entry.description,
+      category: entry.category,
+      project: entry.project
+    });
+    return { success: true, session: updated, synced };
+  } catch (err) {
+    console.error('Manual entry error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+async function deleteManualEntry(session) {
+  try {
+    const removed = await TrackerStorage.deleteManualEntry(session);
+    if (!removed) return { success: false, error: 'Entry not found' };
+    notifyLive({ type: 'local' });
+
+    const queued = await replaceQueuedEntry(removed.id, null);
+    const synced = queued || await changeSyncedEntry(removed.id, 'DELETE');
+    return { success: true, synced };
+  } catch (err) {
+    console.error('Manual entry error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+// Replace (or, with null, drop) an entry still waiting in the outbox; false if it has been sent
+async function replaceQueuedEntry(clientId, entry) {
+  let found = false;
+  await withSyncQueue(queue => {
+    found = queue.some(item => item.clientId === clientId);
+    if (!found) return null;
+    return entry
+      ? queue.map(item => (item.clientId === clientId ? { ...entry, timestamp: entry.endedAt } : item))
+      : queue.filter(item => item.clientId !== clientId);
+  });
+  return found;
+}
+
+// Update or delete the backend copy of an uploaded entry, found by its clientId
+async function changeSyncedEntry(clientId, method, body) {
+  if (!(await canSync())) return false;
+
+  const params = new URLSearchParams({ clientId, limit: '1' });
+  const response = await TrackerApi.request(`/time-entries?${params}`);
+  if (!response.ok) return false;
+  const { entries } = await response.json();
+  if (!entries.length) return false;
+
+  rememberOwnEntries([clientId]);
+  const result = await TrackerApi.request(`/time-entries/${entries[0]._id}`, { method, body });
+  if (!result.ok) console.warn(`❗Backend rejected the change to ${clientId} (${result.status})`);
+  return result.ok;
+}
+
+// Run queue mutations one at a time so enqueue and flush never overwrite each other
+function withSyncQueue(fn) {
+  const run = syncQueueLock.then(async () => {
+    const result = await chrome.storage.local.get(['syncQueue']);
+    const queue = result.syncQueue || [];
+    const updated = await fn(queue);
+    if (updated) await chrome.storage.local.set({ syncQueue: updated });
+    return updated || queue;
+  });
+  syncQueueLock = run.catch(() => {});
+  return run;
+}
+
+// Add an entry to the durable outbox and try to flush it
+async function queueForSync(entry) {
+  try {
+    const device = await TrackerStorage.getDevice();
+    await withSyncQueue(queue => [...queue, {
+      ...entry,
+      url: entry.url ? entry.url.slice(0, SYNC_MAX_URL_LENGTH) : entry.url,
+      title: entry.title ? entry.title.slice(0, SYNC_MAX_TITLE_LENGTH) : entry.title,
+      device: device.id,
+      clientId: entry.clientId || crypto.randomUUID(),
+      timestamp: entry.endedAt || new Date().toISOString()
+    }]);
+    await flushSyncQueue();
+  } catch (err) {
+    console.error('Queue error:', err);
+  }
+}
+
+// Upload queued entries in batches, backing off while the backend is unreachable
+async function flushSyncQueue({ force = false } = {}) {
+  if (isFlushing) return;
+  isFlushing = true;
+
+  try {
+    // With sync switched off, entries stay queued until it is switched back on
+    if (!(await TrackerStorage.getSettings()).syncEnabled) return;
+
+    const { syncState = {} } = await chrome.storage.local.get(['syncState']);
+    if (!force && syncState.nextAttemptAt && Date.now() < syncState.nextAttemptAt) return;
+
+    let queue = await withSyncQueue(() => null);
+    while (queue.length) {
+      const { done, retry } = await uploadBatch(queue.slice(0, SYNC_BATCH_SIZE));
+      const sent = new Set(done.map(entry => entry.clientId));
+      queue = await withSyncQueue(current => current.filter(entry => !sent.has(entry.clientId)));
+
+      if (retry) {
+        await scheduleSyncRetry(syncState.failures || 0);
+        return;
+      }
+    }
+
+    await chrome.storage.local.set({ syncState: { failures: 0, nextAttemptAt: null, lastSyncAt: Date.now() } });
+  } catch (err) {
+    console.error('Sync error:', err);
+  } finally {
+    isFlushing = false;
+  }
+}
+
+// Exponential backoff: 30s, 1m, 2m, … capped at SYNC_MAX_DELAY
+async function scheduleSyncRetry(previousFailures) {
+  const failures = previousFailures + 1;
+  const delay = Math.min(SYNC_BASE_DELAY * 2 ** (failures - 1), SYNC_MAX_DELAY);
+  await chrome.storage.local.set({ syncState: { failures, nextAttemptAt: Date.now() + delay } });
+  console.warn(`⏳ Sync failed, retrying in ${Math.round(delay / 1000)}s`);
+}
+
+// Upload a batch. The bulk route rejects a whole batch when one entry is invalid, so a
+// rejected batch is split in halves until the entries at fault are found and dropped on
+// their own. Returns { done, retry }: the entries uploaded or dropped, and whether the
+// rest must wait for a retry.
+async function uploadBatch(batch) {
+  const result = await sendToBackend(batch);
+  if (result.ok) return { done: batch, retry: false };
+  if (result.retryable) return { done: [], retry: true };
+  if (batch.length === 1) {
+    console.warn('❗Discarding a time entry the backend rejects:', batch[0].hostname);
+    return { done: batch, retry: false };
+  }
+
+  const half = Math.ceil(batch.length / 2);
+  const first = await uploadBatch(batch.slice(0, half));
+  if (first.retry) return first;
+  const second = await uploadBatch(batch.slice(half));
+  return { done: [...first.done, ...second.done], retry: second.retry };
+}
+
+// Send a batch to the backend API as the signed-in user
+async function sendToBackend(entries) {
+  try {
+    if (!(await TrackerApi.isLoggedIn())) {
+      console.log('🔒 Not signed in, keeping', entries.length, 'entries queued');
+      return { ok: false, retryable: true };
+    }
+
+    rememberOwnEntries(entries.map(entry => entry.clientId));
+    const response = await TrackerApi.request('/time-entries/bulk', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(entry)
+      body: { entries }
     });
 
     if (!response.ok) {
-      console.warn('❗Backend rejected time entry');
-    } else {
-      console.log('✅ Synced with backend:', entry.hostname, entry.duration);
+      const retryable = isRetryableStatus(response.status);
+      console.warn(`❗Backend rejected ${entries.length} time entries (${response.status})`);
+      return { ok: false, retryable };
     }
+
+    console.log('✅ Synced with backend:', entries.length, 'entries');
+    return { ok: true };
   } catch (err) {
     console.warn('❌ Could not reach backend:', err.message);
+    return { ok: false, retryable: true };
   }
 }
 
-// Category checker
-async function getWebsiteCategory(domain) {
+// Server errors, throttling and expired sessions are worth retrying; validation errors are not
+function isRetryableStatus(status) {
+  return status >= 500 || status === 401 || status === 408 || status === 429;
+}
+
+// Uploads need a signed-in user and sync switched on in the options
+async function canSync() {
+  const { syncEnabled } = await TrackerStorage.getSettings();
+  return syncEnabled && (await TrackerApi.isLoggedIn());
+}
+
+// Send a message to every connected dashboard:
+//   { type: 'local' }                     this browser's data changed
+//   { type: 'entries', change, entries }  entries stored on the backend by other devices
+//   { type: 'preferences' }               categories or settings changed on another device
+//   { type: 'refresh' }                   reload everything
+function notifyLive(message) {
+  liveClients.forEach(port => {
+    try {
+      port.postMessage(message);
+    } catch (err) {
+      liveClients.delete(port); // disconnected
+    }
+  });
+}
+
+// clientIds of entries this browser uploaded or changed, so the stream's echo of them is ignored
+function rememberOwnEntries(clientIds) {
+  clientIds.forEach(clientId => {
+    if (!clientId) return;
+    ownClientIds.delete(clientId);
+    ownClientIds.add(clientId);
+  });
+  while (ownClientIds.size > OWN_CLIENT_IDS_MAX) ownClientIds.delete(ownClientIds.values().next().value);
+}
+
+// Follow the backend's /stream while a dashboard is open and sync is possible; reconnect when it drops
+async function openLiveStream() {
+  if (liveStream || !liveClients.size || !(await canSync())) return;
+
+  const controller = new AbortController();
+  liveStream = controller;
   try {
-    const result = await chrome.storage.local.get(['categories']);
-    const categories = result.categories || { productive: [], unproductive: [] };
+    const response = await TrackerApi.request('/stream', {
+      headers: { Accept: 'text/event-stream' },
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`Stream refused (${response.status})`);
+    await readServerEvents(response.body, handleLiveEvent);
+  } catch (err) {
+    if (!controller.signal.aborted) console.warn('Live stream closed:', err.message);
+  } finally {
+    if (liveStream === controller) liveStream = null;
+  }
 
-    if (categories.productive.some(site => domain.includes(site))) return 'productive';
-    if (categories.unproductive.some(site => domain.includes(site))) return 'unproductive';
-    return 'neutral';
+  if (!controller.signal.aborted) {
+    liveDropped = true;
+    setTimeout(openLiveStream, LIVE_RETRY_DELAY);
+  }
+}
+
+function closeLiveStream() {
+  if (!liveStream) return;
+  liveStream.abort();
+  liveStream = null;
+}
+
+// Call onEvent(event, data) for each Server-Sent Event in a response body until it ends
+async function readServerEvents(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')));
+    });
+  }
+}
+
+// Pass other devices' entries on to the dashboards; summary events aren't needed here
+function handleLiveEvent(event, data) {
+  if (event === 'ready' && liveDropped) {
+    liveDropped = false;
+    notifyLive({ type: 'refresh' });
+  } else if (event === 'entries') {
+    const entries = data.entries.filter(entry => !ownClientIds.has(entry.clientId));
+    if (entries.length) notifyLive({ type: 'entries', change: data.type, entries });
+  } else if (event === 'refresh') {
+    notifyLive({ type: 'refresh' });
+  } else if (event === 'preferences') {
+    TrackerStorage.getDevice().then(device => {
+      if (data.device !== device.id) syncPreferences();
+    });
+  }
+}
+
+// Category checker: evaluates the stored rules against { url, hostname, title }
+async function getWebsiteCategory(page) {
+  try {
+    const rules = await TrackerStorage.getRules();
+    return TrackerStorage.categorize(page, rules);
   } catch (err) {
     console.error('Category check failed:', err);
     return 'neutral';
@@ -183,59 +698,678 @@ function getDomain(url) {
   }
 }
 
-// Listen to messages from popup
+// Dashboards hold a port open while they show live data; its pings keep the worker alive
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LIVE_PORT || !port.sender || port.sender.id !== chrome.runtime.id) return;
+  liveClients.add(port);
+  port.onDisconnect.addListener(() => {
+    liveClients.delete(port);
+    if (!liveClients.size) closeLiveStream();
+  });
+  openLiveStream();
+});
+
+// Listen to messages from popup and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getCurrentStatus') {
-    sendResponse({
+    sessionReady.then(() => sendResponse({
       isTracking,
+      state: trackingState,
       currentSite: currentTab ? getDomain(currentTab.url) : null,
-      startTime
-    });
+      startTime,
+      idleSince
+    }));
+    return true;
+  } else if (request.action === 'getDiagnostics') {
+    getDiagnostics().then(sendResponse);
+    return true;
+  } else if (request.action === 'clearDiagnostics') {
+    TrackerStorage.clearRecoveryLog().then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'logManualEntry') {
+    logManualEntry(request.entry).then(sendResponse);
+    return true;
+  } else if (request.action === 'updateManualEntry') {
+    updateManualEntry(request.session, request.changes).then(sendResponse);
+    return true;
+  } else if (request.action === 'deleteManualEntry') {
+    deleteManualEntry(request.session).then(sendResponse);
+    return true;
   } else if (request.action === 'getTimeData') {
     getTimeDataForDate(request.date).then(sendResponse);
     return true;
-  } else if (request.action === 'updateCategories') {
-    chrome.storage.local.set({ categories: request.categories });
-    sendResponse({ success: true });
+  } else if (request.action === 'updateRules') {
+    TrackerStorage.setRules(request.rules).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'getSyncStatus') {
+    getSyncStatus().then(sendResponse);
+    return true;
+  } else if (request.action === 'syncNow') {
+    flushSyncQueue({ force: true }).then(getSyncStatus).then(sendResponse);
+    return true;
+  } else if (request.action === 'updateSettings') {
+    updateSettings(request.settings).then(sendResponse);
+    return true;
+  } else if (request.action === 'syncPreferences') {
+    syncPreferences().then(sendResponse);
+    return true;
+  } else if (request.action === 'getDevice') {
+    TrackerStorage.getDevice().then(sendResponse);
+    return true;
+  } else if (request.action === 'updateDevice') {
+    updateDevice(request.device || {}).then(sendResponse);
+    return true;
+  } else if (request.action === 'deleteServerAccount') {
+    deleteServerAccount().then(sendResponse);
+    return true;
+  } else if (request.action === 'getFocusStatus') {
+    getFocusStatus().then(sendResponse);
+    return true;
+  } else if (request.action === 'startFocus') {
+    startFocus(request.options).then(sendResponse);
+    return true;
+  } else if (request.action === 'skipFocusPhase') {
+    advanceFocusPhase().then(getFocusStatus).then(sendResponse);
+    return true;
+  } else if (request.action === 'stopFocus') {
+    finishFocus('abandoned').then(getFocusStatus).then(sendResponse);
+    return true;
+  } else if (request.action === 'updateLimits') {
+    TrackerStorage.setLimits(request.limits).then(checkLimits).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (request.action === 'userActivity') {
+    handleUserActivity(request, sender);
+  } else if (request.action === 'urlChanged') {
+    handleUrlChange(request, sender);
+  } else if (request.action === 'pageLoaded') {
+    handlePageLoaded(request, sender);
   }
 });
 
+// Only the tab being tracked may pause, resume or split the session
+function isCurrentTab(sender) {
+  return Boolean(sender.tab && currentTab && sender.tab.id === currentTab.id);
+}
+
+// Pause on idle, resume on activity
+async function handleUserActivity(request, sender) {
+  await sessionReady;
+  if (!isCurrentTab(sender)) return;
+
+  try {
+    if (request.active) {
+      await resumeTracking();
+    } else {
+      await pauseTracking(request.lastActivity || request.timestamp);
+    }
+  } catch (err) {
+    console.error('Activity handling error:', err);
+  }
+}
+
+// SPA navigation: close the session for the old URL and start one for the new URL
+async function handleUrlChange(request, sender) {
+  await sessionReady;
+  if (!isCurrentTab(sender) || request.url === currentTab.url) return;
+
+  try {
+    const tab = { ...currentTab, url: request.url, title: sender.tab.title };
+    if (!(await canTrack(tab))) {
+      await stopTracking(request.timestamp || Date.now());
+      return;
+    }
+    if (trackingState === 'tracking') {
+      await stopTracking(request.timestamp || Date.now());
+      await startTracking(tab);
+    } else {
+      currentTab = tab;
+      await checkpointSession();
+    }
+  } catch (err) {
+    console.error('URL change error:', err);
+  }
+}
+
+// Keep the session title in sync with the loaded page
+async function handlePageLoaded(request, sender) {
+  await sessionReady;
+  if (!isCurrentTab(sender)) return;
+  if (request.url === currentTab.url && request.title) {
+    currentTab = { ...currentTab, title: request.title };
+    await checkpointSession();
+  }
+}
+
+// Pending entries, backoff state and whether sync is on, for the popup
+async function getSyncStatus() {
+  const { syncQueue = [], syncState = {} } = await chrome.storage.local.get(['syncQueue', 'syncState']);
+  const { syncEnabled } = await TrackerStorage.getSettings();
+  return { enabled: syncEnabled, pending: syncQueue.length, ...syncState };
+}
+
+// Merge and persist settings; a new timezone or day start moves stored time to its new days,
+// and a new server signs the user out, since their tokens were issued by the old one
+async function updateSettings(changes) {
+  try {
+    if ('backendUrl' in changes) {
+      const backendUrl = TrackerApi.normalizeServerUrl(changes.backendUrl);
+      if (!backendUrl) return { success: false, error: 'Server URL must start with http:// or https://' };
+      changes = { ...changes, backendUrl };
+    }
+    if ('syncEnabled' in changes && typeof changes.syncEnabled !== 'boolean') {
+      return { success: false, error: 'Sync must be on or off' };
+    }
+    if ('idleThreshold' in changes && !(Number.isInteger(changes.idleThreshold) && changes.idleThreshold >= 10 && changes.idleThreshold <= 3600)) {
+      return { success: false, error: 'Idle threshold must be 10 to 3600 seconds' };
+    }
+    if ('retentionDays' in changes && !(Number.isInteger(changes.retentionDays) && changes.retentionDays >= 1 && changes.retentionDays <= 3650)) {
+      return { success: false, error: 'Local data must be kept for 1 to 3650 days' };
+    }
+    for (const list of ['privateDomains', 'excludedDomains']) {
+      if (!(list in changes)) continue;
+      if (!Array.isArray(changes[list])) return { success: false, error: 'Site lists must be arrays' };
+      changes = { ...changes, [list]: TrackerPrivacy.normalizeDomains(changes[list]) };
+    }
+    if ('timezone' in changes && !TrackerStorage.isTimeZone(changes.timezone)) {
+      return { success: false, error: 'Unknown timezone' };
+    }
+    if ('dayStartHour' in changes && !(Number.isInteger(changes.dayStartHour) && changes.dayStartHour >= 0 && changes.dayStartHour < 24)) {
+      return { success: false, error: 'Day start must be an hour from 0 to 23' };
+    }
+
+    const previous = await TrackerStorage.getSettings();
+    const settings = await TrackerStorage.updateSettings(changes);
+    if (settings.timezone !== previous.timezone || settings.dayStartHour !== previous.dayStartHour) {
+      await TrackerStorage.rebucket();
+      await syncDaySettings(settings);
+    }
+    if (settings.backendUrl !== previous.backendUrl) {
+      await TrackerApi.logout();
+      await chrome.storage.local.set({ syncState: { failures: 0, nextAttemptAt: null } });
+      closeLiveStream();
+    }
+    if (settings.syncEnabled && !previous.syncEnabled) {
+      flushSyncQueue({ force: true });
+      syncFocusSessions();
+      syncPreferences();
+      openLiveStream();
+    } else if (!settings.syncEnabled) {
+      closeLiveStream();
+    } else if (Object.keys(changes).some(name => TrackerStorage.SYNCED_SETTINGS.includes(name))) {
+      syncPreferences();
+    }
+    await applySettingEffects(previous, settings);
+    return { success: true, settings };
+  } catch (err) {
+    console.error('Settings update failed:', err);
+    return { success: false };
+  }
+}
+
+// Clean up right away after a lower retention, and stop at once if the site being tracked
+// was just excluded; settings may change here or on another device
+async function applySettingEffects(previous, settings) {
+  if (settings.retentionDays < previous.retentionDays) {
+    await cleanupOldData();
+  }
+  await sessionReady;
+  if (currentTab && !TrackerPrivacy.isTrackable(currentTab, settings)) {
+    await stopTracking();
+  }
+}
+
+// Send this device's categories and synced settings to the backend (POST /api/sync), which
+// registers the device and merges them with other devices' copies, the latest change winning;
+// keep whatever came back newer than the copy here
+function syncPreferences() {
+  // Changes made while a sync runs may have missed it, so they go out in one more after it
+  if (preferencesSync) {
+    if (!preferencesResync) {
+      preferencesResync = preferencesSync.then(() => {
+        preferencesResync = null;
+        return syncPreferences();
+      });
+    }
+    return preferencesResync;
+  }
+  preferencesSync = runPreferenceSync().finally(() => {
+    preferencesSync = null;
+  });
+  return preferencesSync;
+}
+
+async function runPreferenceSync() {
+  try {
+    if (!(await canSync())) return { success: false, error: 'Sync is off or you are not signed in' };
+
+    const definitions = await TrackerStorage.getCategoryDefinitions();
+    const response = await TrackerApi.request('/sync', {
+      method: 'POST',
+      body: {
+        device: await TrackerStorage.getDevice(),
+        categories: definitions.map(({ key, name, color, weight = null, modifiedAt = 0, deleted = false }) => ({
+          key, name, color, weight, deleted, modifiedAt: new Date(modifiedAt).toISOString()
+        })),
+        settings: await TrackerStorage.getSyncedSettings()
+      }
+    });
+    if (!response.ok) {
+      console.warn(`❗Backend rejected the preference sync (${response.status})`);
+      return { success: false, error: `Sync failed (${response.status})` };
+    }
+
+    const { categories, settings } = await response.json();
+    const categoriesChanged = await TrackerStorage.applySyncedCategories(categories);
+    const previous = await TrackerStorage.getSettings();
+    const settingsChanged = await TrackerStorage.applySyncedSettings(settings);
+    if (settingsChanged.length) await applySettingEffects(previous, await TrackerStorage.getSettings());
+    if (categoriesChanged || settingsChanged.length) notifyLive({ type: 'preferences' });
+    return { success: true, categoriesChanged, settingsChanged };
+  } catch (err) {
+    console.warn('❌ Could not sync preferences:', err.message);
+    return { success: false, error: 'Could not reach the server' };
+  }
+}
+
+// Rename this device; the name is shown in every device's dashboard after the next sync
+async function updateDevice({ name }) {
+  if (typeof name !== 'string' || !name.trim()) return { success: false, error: 'Device name must not be empty' };
+  const device = await TrackerStorage.setDeviceName(name);
+  syncPreferences();
+  return { success: true, device };
+}
+
+// Delete the account and all of its data on the server (DELETE /api/me with a fresh
+// confirmation token), then sign out and drop entries still waiting to be uploaded
+async function deleteServerAccount() {
+  try {
+    if (!(await TrackerApi.isLoggedIn())) return { success: false, error: 'Not signed in' };
+
+    const issued = await TrackerApi.request('/me/deletion-token', { method: 'POST' });
+    if (!issued.ok) return { success: false, error: `Could not confirm the deletion (${issued.status})` };
+    const { confirmationToken, blockingTeams } = await issued.json();
+    if (blockingTeams.length) {
+      return { success: false, error: 'You are the only owner of a team with other members. Hand it over or delete it first.' };
+    }
+
+    const response = await TrackerApi.request('/me', { method: 'DELETE', body: { confirmationToken } });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) return { success: false, error: result.error || `Deletion failed (${response.status})` };
+
+    await withSyncQueue(() => []);
+    await chrome.storage.local.set({ syncState: { failures: 0, nextAttemptAt: null } });
+    await TrackerApi.logout();
+    closeLiveStream();
+    return { success: true, removed: result.removed };
+  } catch (err) {
+    console.error('Account deletion failed:', err);
+    return { success: false, error: 'Could not reach the server' };
+  }
+}
+
+// Send the timezone and day start to the backend, which re-buckets its entries to match
+async function syncDaySettings({ timezone, dayStartHour }) {
+  try {
+    if (!(await canSync())) return;
+    const response = await TrackerApi.request('/settings', { method: 'PUT', body: { timezone, dayStartHour } });
+    if (!response.ok) console.warn(`❗Backend rejected day settings (${response.status})`);
+  } catch (err) {
+    console.warn('❌ Could not sync day settings:', err.message);
+  }
+}
+
 // Get all time data by date
 async function getTimeDataForDate(date) {
   try {
-    const result = await chrome.storage.local.get([`timeData_${date}`]);
-    return result[`timeData_${date}`] || {};
+    return await TrackerStorage.getDayData(date);
   } catch (err) {
     console.error('Failed to get date data:', err);
     return {};
   }
 }
 
-// Clean up older than 30 days
+// Focus mode: focus phases block unproductive sites, break phases don't
+async function getFocusStatus() {
+  const focus = await TrackerStorage.getFocusState();
+  return { active: Boolean(focus), focus };
+}
+
+// Run focus state changes one at a time so phase changes and block counts never overwrite each other
+function withFocusState(fn) {
+  const run = focusLock.then(async () => fn(await TrackerStorage.getFocusState()));
+  focusLock = run.catch(() => {});
+  return run;
+}
+
+async function startFocus(options = {}) {
+  try {
+    const settings = await TrackerStorage.getSettings();
+    const focusMinutes = clampMinutes(options.focusMinutes, settings.focusMinutes);
+    const breakMinutes = clampMinutes(options.breakMinutes, settings.breakMinutes);
+    const cycles = Math.min(Math.max(parseInt(options.cycles, 10) || settings.focusCycles, 1), 12);
+
+    const focus = await withFocusState(async current => {
+      if (current) return null;
+
+      const now = Date.now();
+      return TrackerStorage.setFocusState({
+        clientId: crypto.randomUUID(),
+        startedAt: now,
+        focusMinutes,
+        breakMinutes,
+        cycles,
+        cycle: 1,
+        phase: 'focus',
+        phaseStartedAt: now,
+        phaseEndsAt: now + focusMinutes * 60 * 1000,
+        focusTime: 0,
+        blockedAttempts: 0
+      });
+    });
+    if (!focus) return { success: false, error: 'A focus session is already running' };
+
+    await TrackerStorage.updateSettings({ focusMinutes, breakMinutes, focusCycles: cycles });
+    chrome.alarms.create(FOCUS_ALARM, { when: focus.phaseEndsAt });
+    await blockOpenTabs();
+    console.log('🎯 Focus session started:', focusMinutes, 'min ×', cycles);
+    return { success: true, active: true, focus };
+  } catch (err) {
+    console.error('Focus start error:', err);
+    return { success: false, error: 'Could not start focus session' };
+  }
+}
+
+function clampMinutes(value, fallback) {
+  const minutes = parseInt(value, 10);
+  return Math.min(Math.max(Number.isNaN(minutes) ? fallback : minutes, 1), 180);
+}
+
+// Seconds of the current focus phase up to `until`
+function focusedSeconds(focus, until) {
+  return Math.max(0, Math.round((Math.min(until, focus.phaseEndsAt) - focus.phaseStartedAt) / 1000));
+}
+
+// Move to the next phase: focus → break → focus …, finishing after the last focus phase
+async function advanceFocusPhase() {
+  const result = await withFocusState(async focus => {
+    if (!focus) return null;
+
+    const now = Date.now();
+    if (focus.phase === 'focus' && focus.cycle >= focus.cycles) {
+      return { finished: await recordFocus(focus, now >= focus.phaseEndsAt ? 'completed' : 'abandoned') };
+    }
+
+    if (focus.phase === 'focus') {
+      focus.focusTime += focusedSeconds(focus, now);
+      focus.phase = 'break';
+      focus.phaseEndsAt = now + focus.breakMinutes * 60 * 1000;
+    } else {
+      focus.phase = 'focus';
+      focus.cycle += 1;
+      focus.phaseEndsAt = now + focus.focusMinutes * 60 * 1000;
+    }
+    focus.phaseStartedAt = now;
+    return { focus: await TrackerStorage.setFocusState(focus) };
+  });
+
+  if (!result) return;
+  if (result.finished) {
+    await syncFocusSessions();
+    return;
+  }
+
+  const { focus } = result;
+  chrome.alarms.create(FOCUS_ALARM, { when: focus.phaseEndsAt });
+  if (focus.phase === 'focus') await blockOpenTabs();
+  console.log(`🎯 Focus ${focus.phase} phase, round ${focus.cycle}/${focus.cycles}`);
+}
+
+// End the running session early
+async function finishFocus(status) {
+  try {
+    const finished = await withFocusState(focus => focus && recordFocus(focus, status));
+    if (finished) await syncFocusSessions();
+  } catch (err) {
+    console.error('Focus finish error:', err);
+  }
+}
+
+// Record the session as completed or abandoned and lift the block
+async function recordFocus(focus, status) {
+  const endedAt = Date.now();
+  if (focus.phase === 'focus') focus.focusTime += focusedSeconds(focus, endedAt);
+
+  await chrome.alarms.clear(FOCUS_ALARM);
+  await TrackerStorage.setFocusState(null);
+  const session = await TrackerStorage.addFocusSession({
+    clientId: focus.clientId,
+    startedAt: focus.startedAt,
+    endedAt,
+    focusMinutes: focus.focusMinutes,
+    breakMinutes: focus.breakMinutes,
+    cycles: focus.cycles,
+    completedCycles: status === 'completed' ? focus.cycles : focus.cycle - 1,
+    focusTime: focus.focusTime,
+    blockedAttempts: focus.blockedAttempts,
+    status,
+    synced: false
+  });
+  console.log(`🏁 Focus session ${status}`);
+  return session;
+}
+
+// Sites in an unproductive category are blocked unless allowlisted
+async function isBlockedDuringFocus(url, title) {
+  if (!/^https?:/.test(url)) return false;
+
+  const hostname = getDomain(url);
+  const { focusAllowlist = [] } = await TrackerStorage.getSettings();
+  const allowed = focusAllowlist.some(site => {
+    const base = CategoryRules.normalizeHostname(site);
+    return hostname === base || hostname.endsWith(`.${base}`);
+  });
+  if (allowed) return false;
+
+  const categories = await TrackerStorage.getCategories();
+  const category = await getWebsiteCategory({ url, hostname, title });
+  return TrackerCategories.isUnproductive(TrackerCategories.find(categories, category));
+}
+
+// Redirect a tab to the "stay focused" page if it is on a blocked site
+async function enforceFocus(tabId, url, title) {
+  try {
+    const focus = await TrackerStorage.getFocusState();
+    if (!focus || focus.phase !== 'focus') return false;
+    if (!(await isBlockedDuringFocus(url, title))) return false;
+
+    await chrome.tabs.update(tabId, { url: `${BLOCKED_PAGE}?url=${encodeURIComponent(url)}` });
+    await withFocusState(current => {
+      if (!current) return null;
+      current.blockedAttempts += 1;
+      return TrackerStorage.setFocusState(current);
+    });
+    console.log('🚫 Blocked during focus:', getDomain(url));
+    return true;
+  } catch (err) {
+    console.error('Focus block error:', err);
+    return false;
+  }
+}
+
+async function blockOpenTabs() {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (tab.url) await enforceFocus(tab.id, tab.url, tab.title);
+  }
+}
+
+// Upload finished focus sessions; the backend ignores ones it already has
+async function syncFocusSessions() {
+  try {
+    if (!(await canSync())) return;
+
+    const pending = (await TrackerStorage.getFocusSessions()).filter(session => !session.synced);
+    const synced = [];
+    for (const { synced: _synced, ...session } of pending) {
+      const response = await TrackerApi.request('/focus-sessions', { method: 'POST', body: session });
+      if (response.ok || !isRetryableStatus(response.status)) synced.push(session.clientId);
+    }
+    if (synced.length) await TrackerStorage.markFocusSessionsSynced(synced);
+  } catch (err) {
+    console.warn('❌ Could not sync focus sessions:', err.message);
+  }
+}
+
+// Daily limits: warn at 80% and 100% of each budget, and block once it is used up if asked to
+async function checkLimits() {
+  try {
+    const limits = await TrackerStorage.getLimits();
+    if (!limits.length) return;
+
+    await TrackerStorage.ready();
+    const today = TrackerStorage.dateKey();
+    const bucket = await TrackerStorage.getDayData(today);
+    const live = await getLiveSession();
+    const { limitAlerts = {} } = await chrome.storage.local.get(['limitAlerts']);
+    const sent = limitAlerts.date === today ? limitAlerts.sent : [];
+    const newAlerts = [];
+
+    for (const limit of limits) {
+      const counted = live && TrackerLimits.appliesTo(limit, live);
+      const seconds = TrackerLimits.usage(limit, bucket) + (counted ? live.seconds : 0);
+      const state = TrackerLimits.status(limit, seconds);
+      if (!state) continue;
+
+      const alertKey = `${TrackerLimits.limitKey(limit)}@${state}`;
+      if (!sent.includes(alertKey)) {
+        await notifyLimit(limit, state);
+        newAlerts.push(alertKey);
+      }
+      if (state === 'exceeded' && limit.block && counted) {
+        await blockForLimit(live.tabId, live.url, limit);
+      }
+    }
+
+    if (newAlerts.length) {
+      await chrome.storage.local.set({ limitAlerts: { date: today, sent: [...sent, ...newAlerts] } });
+    }
+  } catch (err) {
+    console.error('Limit check error:', err);
+  }
+}
+
+// The running session's page and unsaved seconds, or null
+async function getLiveSession() {
+  await sessionReady;
+  if (trackingState !== 'tracking' || !currentTab || !startTime) return null;
+
+  const hostname = getDomain(currentTab.url);
+  return {
+    tabId: currentTab.id,
+    url: currentTab.url,
+    hostname,
+    category: await getWebsiteCategory({ url: currentTab.url, hostname, title: currentTab.title }),
+    seconds: Math.floor((Date.now() - startTime) / 1000)
+  };
+}
+
+async function notifyLimit(limit, state) {
+  const categories = await TrackerStorage.getCategories();
+  const name = limit.type === 'category' ? TrackerCategories.find(categories, limit.target).name : limit.target;
+  const exceeded = state === 'exceeded';
+
+  chrome.notifications.create(`limit:${TrackerLimits.limitKey(limit)}:${state}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: exceeded ? 'Daily limit reached' : 'Daily limit almost reached',
+    message: exceeded
+      ? `You have used your ${TrackerLimits.describeLimit(limit, name)}.${limit.block ? ' It is blocked until tomorrow.' : ''}`
+      : `${Math.round(TrackerLimits.WARNING_RATIO * 100)}% of your ${TrackerLimits.describeLimit(limit, name)} is used.`
+  });
+}
+
+// Redirect a tab to the blocked page if it is on a site whose blocking limit is used up
+async function enforceLimits(tabId, url, title) {
+  try {
+    if (!/^https?:/.test(url)) return false;
+
+    const limits = (await TrackerStorage.getLimits()).filter(limit => limit.block);
+    if (!limits.length) return false;
+
+    const hostname = getDomain(url);
+    const page = { hostname, category: await getWebsiteCategory({ url, hostname, title }) };
+    const bucket = await TrackerStorage.getDayData();
+    const limit = limits.find(candidate =>
+      TrackerLimits.appliesTo(candidate, page) &&
+      TrackerLimits.status(candidate, TrackerLimits.usage(candidate, bucket)) === 'exceeded'
+    );
+    if (!limit) return false;
+
+    await blockForLimit(tabId, url, limit);
+    return true;
+  } catch (err) {
+    console.error('Limit block error:', err);
+    return false;
+  }
+}
+
+async function blockForLimit(tabId, url, limit) {
+  const categories = await TrackerStorage.getCategories();
+  const name = limit.type === 'category' ? TrackerCategories.find(categories, limit.target).name : limit.target;
+  const resetsAt = TrackerStorage.dayStart(TrackerStorage.addDays(TrackerStorage.dateKey(), 1));
+  const params = new URLSearchParams({
+    reason: 'limit',
+    limit: TrackerLimits.describeLimit(limit, name),
+    until: String(resetsAt),
+    url
+  });
+
+  await chrome.tabs.update(tabId, { url: `${BLOCKED_PAGE}?${params}` });
+  console.log('⛔ Daily limit reached, blocked:', getDomain(url));
+}
+
+// Clean up data older than the retention period, retry pending syncs, advance focus phases, check limits and checkpoint the session
 chrome.alarms.create('cleanup', { periodInMinutes: 1440 }); // Daily
+chrome.alarms.create(HEARTBEAT_ALARM, { periodInMinutes: 0.5 });
+chrome.alarms.create(SYNC_ALARM, { periodInMinutes: 1 });
+chrome.alarms.create(LIMIT_ALARM, { periodInMinutes: 1 });
+chrome.alarms.create(PREFERENCES_ALARM, { periodInMinutes: 15 });
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'cleanup') {
     cleanupOldData();
+  } else if (alarm.name === SYNC_ALARM) {
+    flushSyncQueue();
+    syncFocusSessions();
+  } else if (alarm.name === FOCUS_ALARM) {
+    advanceFocusPhase().catch(err => console.error('Focus phase error:', err));
+  } else if (alarm.name === LIMIT_ALARM) {
+    checkLimits();
+  } else if (alarm.name === PREFERENCES_ALARM) {
+    syncPreferences();
+  } else if (alarm.name === HEARTBEAT_ALARM) {
+    heartbeat().catch(err => console.error('Heartbeat error:', err));
   }
 });
 
-async function cleanupOldData() {
-  try {
-    const all = await chrome.storage.local.get(null);
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - 30);
+chrome.runtime.onStartup.addListener(() => {
+  flushSyncQueue();
+  syncPreferences();
+  resumeFocus();
+});
 
-    const toRemove = Object.keys(all).filter(key => {
-      if (key.startsWith('timeData_')) {
-        const date = new Date(key.replace('timeData_', ''));
-        return date < cutoff;
-      }
-      return false;
-    });
+// Alarms may not survive a browser restart; re-arm the running focus phase
+async function resumeFocus() {
+  const focus = await TrackerStorage.getFocusState();
+  if (focus) chrome.alarms.create(FOCUS_ALARM, { when: Math.max(focus.phaseEndsAt, Date.now() + 1000) });
+}
 
-    if (toRemove.length) {
-      await chrome.storage.local.remove(toRemove);
-      console.log('🧹 Removed old data:', toRemove.length);
+// Drop local data older than settings.retentionDays
+async function cleanupOldData() {
+  try {
+    const { retentionDays } = await TrackerStorage.getSettings();
+    const removed = await TrackerStorage.removeOlderThan(retentionDays);
+    if (removed.length) {
+      console.log('🧹 Removed old data:', removed.length);
     }
   } catch (err) {
     console.error('Cleanup error:', err);
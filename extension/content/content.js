@@ -2,6 +2,26 @@
 let lastActivity = Date.now();
 let isUserActive = true;
 let activityCheckInterval;
+let inactiveThreshold = 30000; // overridden by settings.idleThreshold (seconds)
+
+// Load the configurable idle threshold and follow later changes
+function applySettings(settings) {
+  if (settings && settings.idleThreshold > 0) {
+    inactiveThreshold = settings.idleThreshold * 1000;
+  }
+}
+
+chrome.storage.local.get(['settings']).then(result => {
+  applySettings(result.settings);
+}).catch(() => {
+  console.log('Could not load tracker settings');
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.settings) {
+    applySettings(changes.settings.newValue);
+  }
+});
 
 // Track user activity
 function trackActivity() {
@@ -19,22 +39,22 @@ document.addEventListener('scroll', trackActivity, { passive: true });
 document.addEventListener('click', trackActivity, { passive: true });
 document.addEventListener('touchstart', trackActivity, { passive: true });
 
-// Check for inactivity every 30 seconds
+// Check for inactivity every 5 seconds
 activityCheckInterval = setInterval(() => {
   const timeSinceLastActivity = Date.now() - lastActivity;
-  const inactiveThreshold = 30000; // 30 seconds
   
   if (timeSinceLastActivity > inactiveThreshold && isUserActive) {
     isUserActive = false;
     notifyBackgroundOfActivity(false);
   }
-}, 30000);
+}, 5000);
 
 // Notify background script of activity changes
 function notifyBackgroundOfActivity(active) {
   chrome.runtime.sendMessage({
     action: 'userActivity',
     active: active,
+    lastActivity: lastActivity,
     timestamp: Date.now()
   }).catch(() => {
     // Handle case where background script is not available
@@ -45,6 +65,7 @@ function notifyBackgroundOfActivity(active) {
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
+    lastActivity = Date.now(); // leaving the page ends the session now
     isUserActive = false;
     notifyBackgroundOfActivity(false);
   } else {
@@ -1,16 +1,104 @@
+const HOUR_MS = 60 * 60 * 1000;
+const TIMELINE_ZOOM_LEVELS = [20, 40, 80, 160, 320, 640]; // pixels per hour
+const TIMELINE_LABEL_WIDTH = 140; // matches .timeline-label in dashboard.css
+const LIVE_PING_MS = 20 * 1000; // keeps the background worker, and its stream, alive
+const LIVE_REFRESH_DELAY = 1000; // bursts of changes are redrawn once
+const HISTORY_MAX_PAGES = 10000; // pages read from the browser history per import
+
 class ProductivityDashboard {
     constructor() {
         this.charts = {};
         this.currentTimeRange = 'today';
+        this.categories = TrackerCategories.DEFAULT_CATEGORIES;
+        this.projects = [];
+        this.includeManual = true;
+        this.manualEntries = [];
+        this.editingManual = null; // manual entry being edited in the Log Time form
+        this.focusSessions = [];
+        this.timelineDay = null; // date key; today once the day settings have loaded
+        this.timelineZoom = 1;
+        this.device = null; // this browser's { id, name, browser }
+        this.devices = new Map(); // device id -> { name, browser } of the user's registered devices
+        this.otherDeviceRows = []; // other devices' time in the range, per day, site, category and project
+        this.remoteEntries = new Map(); // backend id -> row, for entries other devices sent while open
+        this.liveRefresh = null;
         this.init();
     }
 
     async init() {
+        await TrackerStorage.ready();
+        this.timezone = (await TrackerStorage.getSettings()).timezone;
+        this.timelineDay = TrackerStorage.dateKey();
+        this.device = await chrome.runtime.sendMessage({ action: 'getDevice' });
+        await this.loadCategories();
+        await this.loadProjects();
         await this.loadData();
         this.setupEventListeners();
+        await this.loadDiagnostics();
         this.renderCharts();
         this.updateStats();
         this.populateActivityTable();
+        this.connectLive();
+    }
+
+    // Live updates from the background worker: this browser's new time and, when signed in,
+    // entries other devices upload; the worker restarts when idle, so reconnect when it does
+    connectLive() {
+        const port = chrome.runtime.connect({ name: 'live' });
+        const ping = setInterval(() => port.postMessage({ type: 'ping' }), LIVE_PING_MS);
+        port.onMessage.addListener(message => this.handleLiveMessage(message));
+        port.onDisconnect.addListener(() => {
+            clearInterval(ping);
+            setTimeout(() => this.connectLive(), LIVE_REFRESH_DELAY);
+        });
+    }
+
+    handleLiveMessage(message) {
+        if (message.type === 'refresh') {
+            this.loadData();
+            return;
+        }
+        if (message.type === 'preferences') {
+            this.loadCategories().then(() => this.loadData());
+            return;
+        }
+        if (message.type === 'entries') {
+            message.entries.forEach(entry => {
+                if (message.change === 'deleted') this.remoteEntries.delete(entry._id);
+                else this.remoteEntries.set(entry._id, this.remoteRow(entry));
+            });
+        }
+        clearTimeout(this.liveRefresh);
+        this.liveRefresh = setTimeout(() => this.refreshEntries(), LIVE_REFRESH_DELAY);
+    }
+
+    // Activity-table row of an entry received from the backend
+    remoteRow(entry) {
+        return {
+            id: entry._id,
+            remote: true,
+            date: entry.day,
+            hostname: entry.hostname,
+            duration: entry.duration,
+            idleTime: 0,
+            visits: 1,
+            category: entry.category,
+            project: entry.project || null,
+            device: entry.device || null,
+            manual: entry.manual === true,
+            title: entry.title,
+            lastVisit: new Date(entry.timestamp).getTime()
+        };
+    }
+
+    // Redraw stats, charts and the activity table with fresh entries, keeping the table filters
+    async refreshEntries() {
+        try {
+            await this.loadEntries();
+            this.filterTable();
+        } catch (error) {
+            console.error('Error refreshing data:', error);
+        }
     }
 
     setupEventListeners() {
@@ -19,6 +107,48 @@ class ProductivityDashboard {
             this.loadData();
         });
 
+        const timelineDate = document.getElementById('timelineDate');
+        timelineDate.value = this.timelineDay;
+        timelineDate.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.timelineDay = e.target.value;
+            this.loadTimeline();
+        });
+
+        document.getElementById('timelineZoomIn').addEventListener('click', () => {
+            this.zoomTimeline(1);
+        });
+
+        document.getElementById('timelineZoomOut').addEventListener('click', () => {
+            this.zoomTimeline(-1);
+        });
+
+        document.getElementById('timeline').addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            this.zoomTimeline(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+
+        document.getElementById('heatmapCategory').addEventListener('change', () => {
+            this.loadHeatmap();
+        });
+
+        document.getElementById('includeManual').addEventListener('change', (e) => {
+            this.includeManual = e.target.checked;
+            this.loadData();
+        });
+
+        this.resetManualForm();
+
+        document.getElementById('manualForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveManualEntry();
+        });
+
+        document.getElementById('manualCancelBtn').addEventListener('click', () => {
+            this.resetManualForm();
+        });
+
         document.getElementById('exportBtn').addEventListener('click', () => {
             this.exportData();
         });
@@ -38,93 +168,525 @@ class ProductivityDashboard {
         document.getElementById('typeFilter').addEventListener('change', () => {
             this.filterTable();
         });
+
+        document.getElementById('projectFilter').addEventListener('change', () => {
+            this.filterTable();
+        });
+
+        document.getElementById('deviceFilter').addEventListener('change', () => {
+            this.filterTable();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.previewImport(e.target.files[0]);
+        });
+
+        document.getElementById('importHistoryBtn').addEventListener('click', () => {
+            this.previewHistoryImport();
+        });
+
+        document.getElementById('confirmImportBtn').addEventListener('click', () => {
+            this.commitImport();
+        });
+
+        document.getElementById('cancelImportBtn').addEventListener('click', () => {
+            this.resetImport();
+        });
+
+        document.getElementById('recategorizeStart').value = TrackerStorage.addDays(this.timelineDay, -29);
+        document.getElementById('recategorizeEnd').value = this.timelineDay;
+
+        document.getElementById('previewRecategorizeBtn').addEventListener('click', () => {
+            this.previewRecategorize();
+        });
+
+        document.getElementById('applyRecategorizeBtn').addEventListener('click', () => {
+            this.applyRecategorize();
+        });
+
+        document.getElementById('cancelRecategorizeBtn').addEventListener('click', () => {
+            document.getElementById('recategorizePreview').style.display = 'none';
+        });
+
+        document.getElementById('refreshDiagnosticsBtn').addEventListener('click', () => {
+            this.loadDiagnostics();
+        });
+
+        document.getElementById('clearDiagnosticsBtn').addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ action: 'clearDiagnostics' });
+            await this.loadDiagnostics();
+        });
+
+        document.getElementById('categoryForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCategoryFromForm();
+        });
+
+        document.getElementById('projectForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProjectFromForm();
+        });
     }
 
-    async loadData() {
+    // Categories are kept in local storage; when signed in, the background worker first merges
+    // them with the other devices' copies
+    async loadCategories() {
         try {
-            const result = await chrome.storage.local.get(['timeEntries', 'websiteCategories']);
-            this.timeEntries = result.timeEntries || [];
-            this.websiteCategories = result.websiteCategories || this.getDefaultCategories();
+            await chrome.runtime.sendMessage({ action: 'syncPreferences' });
+        } catch (error) {
+            console.warn('Could not sync categories:', error.message);
+        }
 
-            this.filteredEntries = this.filterEntriesByTimeRange(this.timeEntries);
+        this.categories = await TrackerStorage.getCategories();
+        this.renderCategoryManager();
+        this.populateTypeFilter();
+    }
 
-            this.updateStats();
-            this.renderCharts();
+    getCategory(key) {
+        return TrackerCategories.find(this.categories, key);
+    }
+
+    populateTypeFilter() {
+        const select = document.getElementById('typeFilter');
+        const current = select.value;
+        const options = this.categories.map(category => `
+            <option value="${this.escapeHtml(category.key)}">${this.escapeHtml(category.name)}</option>
+        `).join('');
+        select.innerHTML = '<option value="all">All Types</option>' + options;
+        select.value = this.categories.some(category => category.key === current) ? current : 'all';
+
+        const manualSelect = document.getElementById('manualCategory');
+        const manualCurrent = manualSelect.value;
+        manualSelect.innerHTML = options;
+        manualSelect.value = this.categories.some(category => category.key === manualCurrent) ? manualCurrent : 'productive';
+
+        const heatmapSelect = document.getElementById('heatmapCategory');
+        const heatmapCurrent = heatmapSelect.value;
+        heatmapSelect.innerHTML = select.innerHTML;
+        heatmapSelect.value = this.categories.some(category => category.key === heatmapCurrent) ? heatmapCurrent : 'all';
+    }
+
+    renderCategoryManager() {
+        const container = document.getElementById('categoryList');
+        container.innerHTML = this.categories.map(category => `
+            <div class="category-row">
+                <span class="category-swatch" style="background: ${this.escapeHtml(category.color)}"></span>
+                <span class="category-name">${this.escapeHtml(category.name)}</span>
+                <span class="category-weight">${TrackerCategories.isScored(category) ? `weight ${category.weight}` : 'not scored'}</span>
+                <button class="btn btn-danger btn-small" data-key="${this.escapeHtml(category.key)}">
+                    ${category.builtIn ? 'Reset' : 'Delete'}
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('button[data-key]').forEach(button => {
+            button.addEventListener('click', () => this.deleteCategory(button.dataset.key));
+        });
+    }
+
+    // Create a category, or update the one with the same name
+    async saveCategoryFromForm() {
+        const name = document.getElementById('categoryName').value.trim();
+        const color = document.getElementById('categoryColor').value;
+        const weightValue = document.getElementById('categoryWeight').value;
+        const weight = weightValue === '' ? null : parseFloat(weightValue);
+        const existing = this.categories.find(category => category.name.toLowerCase() === name.toLowerCase());
+        const key = existing ? existing.key : TrackerCategories.slugify(name);
+
+        if (!TrackerCategories.KEY_PATTERN.test(key)) {
+            alert('Category name must contain letters or digits');
+            return;
+        }
+
+        try {
+            const definitions = this.categories.filter(category => category.key !== key);
+            await TrackerStorage.setCategories([...definitions, { key, name, color, weight }]);
+
+            document.getElementById('categoryForm').reset();
+            await this.loadCategories();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error saving category:', error);
+            alert(error.message);
+        }
+    }
+
+    async deleteCategory(key) {
+        const category = this.getCategory(key);
+        const action = category.builtIn ? 'reset' : 'delete';
+        if (!confirm(`Are you sure you want to ${action} "${category.name}"? Tracked time keeps its category key.`)) return;
+
+        try {
+            await TrackerStorage.setCategories(this.categories.filter(item => item.key !== key));
+            await this.loadCategories();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            alert(error.message);
+        }
+    }
+
+    // Projects come from the backend when signed in, else from local storage
+    async loadProjects() {
+        try {
+            if (await TrackerApi.isLoggedIn()) {
+                const response = await TrackerApi.request('/projects');
+                if (response.ok) {
+                    const { projects } = await response.json();
+                    await TrackerStorage.setProjects(projects.map(project => ({ ...project, id: project._id })));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load projects from backend:', error.message);
+        }
+
+        this.projects = await TrackerStorage.getProjects();
+        this.renderProjectManager();
+        this.populateProjectFilter();
+    }
+
+    // Project for an id, or null; entries may carry ids of since-deleted projects
+    getProject(id) {
+        return this.projects.find(project => project.id === id) || null;
+    }
+
+    populateProjectFilter() {
+        const select = document.getElementById('projectFilter');
+        const current = select.value;
+        select.innerHTML = '<option value="all">All Projects</option><option value="none">No Project</option>' +
+            this.projects.map(project => `
+                <option value="${this.escapeHtml(project.id)}">${this.escapeHtml(project.name)}</option>
+            `).join('');
+        select.value = current === 'none' || this.getProject(current) ? current : 'all';
+
+        const manualSelect = document.getElementById('manualProject');
+        const manualCurrent = manualSelect.value;
+        manualSelect.innerHTML = '<option value="">No project</option>' + this.projects.map(project => `
+            <option value="${this.escapeHtml(project.id)}">${this.escapeHtml(project.name)}</option>
+        `).join('');
+        manualSelect.value = this.getProject(manualCurrent) ? manualCurrent : '';
+    }
+
+    // Projects with their URL patterns and the time assigned to them in the current range
+    renderProjectManager() {
+        const totals = {};
+        (this.timeEntries || []).forEach(entry => {
+            if (entry.project) totals[entry.project] = (totals[entry.project] || 0) + entry.duration;
+        });
+
+        const container = document.getElementById('projectList');
+        if (this.projects.length === 0) {
+            container.innerHTML = '<div class="no-data">No projects yet</div>';
+            return;
+        }
+
+        container.innerHTML = this.projects.map(project => `
+            <div class="category-row">
+                <span class="category-swatch" style="background: ${this.escapeHtml(project.color)}"></span>
+                <span class="category-name">${this.escapeHtml(project.name)}</span>
+                <span class="category-weight">${this.escapeHtml(project.rules.map(rule => CategoryRules.describeRule(rule)).join(', ') || 'assigned by hand')}</span>
+                <span class="category-weight">${this.formatTime(totals[project.id] || 0)}</span>
+                <button class="btn btn-danger btn-small" data-id="${this.escapeHtml(project.id)}">Delete</button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('button[data-id]').forEach(button => {
+            button.addEventListener('click', () => this.deleteProject(button.dataset.id));
+        });
+    }
+
+    // Create a project, or update the one with the same name. Patterns with a
+    // path become path rules, others match the site and its subdomains.
+    async saveProjectFromForm() {
+        const name = document.getElementById('projectName').value.trim();
+        const color = document.getElementById('projectColor').value;
+        const rules = document.getElementById('projectPatterns').value
+            .split(',')
+            .map(pattern => pattern.trim().replace(/^https?:\/\//, ''))
+            .filter(Boolean)
+            .map(pattern => ({ type: pattern.includes('/') ? 'path' : 'subdomain', pattern, priority: 0 }));
+        const existing = this.projects.find(project => project.name.toLowerCase() === name.toLowerCase());
+
+        try {
+            if (await TrackerApi.isLoggedIn()) {
+                const response = existing
+                    ? await TrackerApi.request(`/projects/${existing.id}`, { method: 'PUT', body: { name, color, rules } })
+                    : await TrackerApi.request('/projects', { method: 'POST', body: { name, color, rules } });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to save project');
+            } else {
+                const id = existing ? existing.id : crypto.randomUUID();
+                const others = this.projects.filter(project => project.id !== id);
+                await TrackerStorage.setProjects([...others, { id, name, color, rules }]);
+            }
+
+            document.getElementById('projectForm').reset();
+            await this.loadProjects();
             this.populateActivityTable();
-            this.updateWebsiteLists();
         } catch (error) {
-            console.error('Error loading data:', error);
+            console.error('Error saving project:', error);
+            alert(error.message);
         }
     }
 
-    getDefaultCategories() {
-        return {
-            'github.com': 'productive',
-            'stackoverflow.com': 'productive',
-            'developer.mozilla.org': 'productive',
-            'docs.google.com': 'productive',
-            'codepen.io': 'productive',
-            'medium.com': 'productive',
-            'linkedin.com': 'productive',
-            'coursera.org': 'productive',
-            'udemy.com': 'productive',
-            'khan-academy.org': 'productive',
-            'w3schools.com': 'productive',
-            'freecodecamp.org': 'productive',
-            'facebook.com': 'unproductive',
-            'instagram.com': 'unproductive',
-            'twitter.com': 'unproductive',
-            'youtube.com': 'unproductive',
-            'netflix.com': 'unproductive',
-            'tiktok.com': 'unproductive',
-            'reddit.com': 'unproductive',
-            'twitch.tv': 'unproductive',
-            'pinterest.com': 'unproductive',
-            'snapchat.com': 'unproductive'
-        };
+    async deleteProject(id) {
+        const project = this.getProject(id);
+        if (!project || !confirm(`Are you sure you want to delete "${project.name}"? Its time is kept without a project.`)) return;
+
+        try {
+            if (await TrackerApi.isLoggedIn()) {
+                const response = await TrackerApi.request(`/projects/${id}`, { method: 'DELETE' });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to delete project');
+            } else {
+                await TrackerStorage.setProjects(this.projects.filter(item => item.id !== id));
+            }
+
+            await this.loadProjects();
+            this.populateActivityTable();
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            alert(error.message);
+        }
     }
 
-    filterEntriesByTimeRange(entries) {
-        const now = new Date();
-        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const startOfWeek = new Date(startOfDay);
-        startOfWeek.setDate(startOfDay.getDate() - startOfDay.getDay());
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-        return entries.filter(entry => {
-            const entryDate = new Date(entry.date);
-            switch (this.currentTimeRange) {
-                case 'today':
-                    return entryDate >= startOfDay;
-                case 'week':
-                    return entryDate >= startOfWeek;
-                case 'month':
-                    return entryDate >= startOfMonth;
-                default:
-                    return true;
+    // Assign a row's time to a project (or none), locally and on the backend
+    async assignProject(index, projectId) {
+        const entry = this.filteredEntries[index];
+        if (!entry) return;
+        const project = projectId || null;
+
+        try {
+            await TrackerStorage.assignProject(entry.date, entry.hostname, entry.category, project);
+            if (await TrackerApi.isLoggedIn()) {
+                const response = await TrackerApi.request('/time-entries/assign-project', {
+                    method: 'POST',
+                    body: { project, hostname: entry.hostname, day: entry.date, category: entry.category }
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to assign project');
             }
+
+            entry.project = project;
+            this.renderProjectManager();
+        } catch (error) {
+            console.error('Error assigning project:', error);
+            alert(error.message);
+        }
+    }
+
+    // Time logged by hand, newest first
+    async loadManualEntries() {
+        const sessions = await TrackerStorage.getSessions(this.getRangeStart(), new Date());
+        this.manualEntries = sessions.filter(session => session.manual).reverse();
+        this.renderManualEntries();
+    }
+
+    renderManualEntries() {
+        const tbody = document.getElementById('manualTableBody');
+        if (this.manualEntries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No time logged in this period</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.manualEntries.map((entry, index) => {
+            const category = this.getCategory(entry.category);
+            const project = this.getProject(entry.project);
+            return `
+                <tr>
+                    <td>${this.escapeHtml(TrackerStorage.toWallClock(entry.startedAt).replace('T', ' '))}</td>
+                    <td>${this.escapeHtml(TrackerStorage.toWallClock(entry.endedAt).replace('T', ' '))}</td>
+                    <td>${this.escapeHtml(entry.description || '')}</td>
+                    <td><span class="type-badge" style="background: ${this.withAlpha(category.color, 0.15)}; color: ${this.escapeHtml(category.color)}">${this.escapeHtml(category.name)}</span></td>
+                    <td>${project ? this.escapeHtml(project.name) : '-'}</td>
+                    <td>${this.formatTime(entry.duration)}</td>
+                    <td>
+                        <button class="btn btn-primary btn-small" data-edit="${index}">Edit</button>
+                        <button class="btn btn-danger btn-small" data-delete="${index}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        tbody.querySelectorAll('button[data-edit]').forEach(button => {
+            button.addEventListener('click', () => this.editManualEntry(Number(button.dataset.edit)));
+        });
+        tbody.querySelectorAll('button[data-delete]').forEach(button => {
+            button.addEventListener('click', () => this.deleteManualEntry(Number(button.dataset.delete)));
         });
     }
 
-    categorizeWebsite(hostname) {
-        if (this.websiteCategories[hostname]) {
-            return this.websiteCategories[hostname];
+    // Empty the Log Time form, defaulting to the last hour
+    resetManualForm() {
+        const now = Date.now();
+        this.editingManual = null;
+        document.getElementById('manualStart').value = TrackerStorage.toWallClock(now - HOUR_MS);
+        document.getElementById('manualEnd').value = TrackerStorage.toWallClock(now);
+        document.getElementById('manualDescription').value = '';
+        document.getElementById('manualSubmitBtn').textContent = 'Log Time';
+        document.getElementById('manualCancelBtn').style.display = 'none';
+    }
+
+    editManualEntry(index) {
+        const entry = this.manualEntries[index];
+        if (!entry) return;
+
+        this.editingManual = entry;
+        document.getElementById('manualStart').value = TrackerStorage.toWallClock(entry.startedAt);
+        document.getElementById('manualEnd').value = TrackerStorage.toWallClock(entry.endedAt);
+        document.getElementById('manualDescription').value = entry.description || '';
+        document.getElementById('manualCategory').value = entry.category;
+        document.getElementById('manualProject').value = this.getProject(entry.project) ? entry.project : '';
+        document.getElementById('manualSubmitBtn').textContent = 'Save Changes';
+        document.getElementById('manualCancelBtn').style.display = '';
+    }
+
+    // Times in the form are wall-clock times in the tracker's timezone
+    async saveManualEntry() {
+        const entry = {
+            startedAt: TrackerStorage.fromWallClock(document.getElementById('manualStart').value),
+            endedAt: TrackerStorage.fromWallClock(document.getElementById('manualEnd').value),
+            description: document.getElementById('manualDescription').value.trim(),
+            category: document.getElementById('manualCategory').value,
+            project: document.getElementById('manualProject').value || null
+        };
+
+        try {
+            const response = this.editingManual
+                ? await chrome.runtime.sendMessage({ action: 'updateManualEntry', session: this.editingManual, changes: entry })
+                : await chrome.runtime.sendMessage({ action: 'logManualEntry', entry });
+            if (!response || !response.success) throw new Error((response && response.error) || 'Failed to save entry');
+
+            this.resetManualForm();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error saving manual entry:', error);
+            alert(error.message);
+        }
+    }
+
+    async deleteManualEntry(index) {
+        const entry = this.manualEntries[index];
+        if (!entry || !confirm(`Delete "${entry.description || 'manual entry'}"?`)) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'deleteManualEntry', session: entry });
+            if (!response || !response.success) throw new Error((response && response.error) || 'Failed to delete entry');
+            if (this.editingManual && this.editingManual.id === entry.id) this.resetManualForm();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error deleting manual entry:', error);
+            alert(error.message);
         }
+    }
+
+    // Manual entries are left out of the analytics when "Manual time" is unchecked
+    isCounted(item) {
+        return this.includeManual || (item.hostname !== TrackerStorage.MANUAL_HOSTNAME && !item.manual);
+    }
 
-        const productiveKeywords = ['docs', 'learn', 'education', 'tutorial', 'course', 'study', 'work'];
-        const unproductiveKeywords = ['social', 'entertainment', 'game', 'video', 'stream'];
+    // This browser's entries in the selected range, plus other devices' time: what they had sent
+    // when the data was loaded, and what they sent since while the dashboard was open
+    async loadEntries() {
+        const rangeStart = this.getRangeStart();
+        const entries = (await TrackerStorage.getEntries(rangeStart, new Date()))
+            .map(entry => ({ ...entry, device: this.device.id }));
+        const firstDay = TrackerStorage.dateKey(rangeStart);
+        const remote = [...this.remoteEntries.values()].filter(entry => entry.date >= firstDay);
+        this.timeEntries = [...entries, ...this.otherDeviceRows, ...remote].filter(entry => this.isCounted(entry));
+    }
 
-        const lowerHostname = hostname.toLowerCase();
+    // Registered devices, and time other devices sent in the selected range, when signed in
+    async loadDevices() {
+        this.otherDeviceRows = [];
+        this.remoteEntries.clear();
+        try {
+            if (await TrackerApi.isLoggedIn()) {
+                const params = new URLSearchParams({ startDate: this.getRangeStart().toISOString() });
+                const response = await TrackerApi.request(`/analytics/devices?${params}`);
+                if (response.ok) {
+                    const { devices, totals } = await response.json();
+                    this.devices = new Map(devices.filter(device => device.device)
+                        .map(device => [device.device, { name: device.name, browser: device.browser }]));
+                    this.otherDeviceRows = totals
+                        .filter(row => row.device && row.device !== this.device.id)
+                        .map(row => ({
+                            remote: true,
+                            date: row.day,
+                            hostname: row.hostname,
+                            duration: row.totalTime,
+                            idleTime: 0,
+                            visits: row.entryCount,
+                            category: row.category,
+                            project: row.project || null,
+                            device: row.device
+                        }));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load devices from backend:', error.message);
+        }
+        this.populateDeviceFilter();
+    }
+
+    // Name of a device id; time sent before devices were registered has none
+    getDeviceName(id) {
+        if (!id) return 'Unknown device';
+        if (this.device && id === this.device.id) return `${this.device.name} (this browser)`;
+        const device = this.devices.get(id);
+        return device && device.name ? device.name : 'Unknown device';
+    }
+
+    populateDeviceFilter() {
+        const select = document.getElementById('deviceFilter');
+        const current = select.value;
+        const ids = [this.device.id, ...[...this.devices.keys()].filter(id => id !== this.device.id)];
+        select.innerHTML = '<option value="all">All Devices</option>' + ids.map(id => `
+            <option value="${this.escapeHtml(id)}">${this.escapeHtml(this.getDeviceName(id))}</option>
+        `).join('');
+        select.value = ids.includes(current) ? current : 'all';
+    }
+
+    async loadData() {
+        try {
+            await this.loadDevices();
+            await this.loadEntries();
+            this.filteredEntries = [...this.timeEntries];
+            this.focusSessions = await TrackerStorage.getFocusSessions(this.getRangeStart(), new Date());
 
-        if (productiveKeywords.some(keyword => lowerHostname.includes(keyword))) {
-            return 'productive';
+            this.updateStats();
+            this.renderCharts();
+            this.populateActivityTable();
+            this.updateWebsiteLists();
+            this.updateFocusSessions();
+            this.renderDeviceBreakdown();
+            this.renderProjectManager();
+            await this.loadManualEntries();
+            await this.loadHeatmap();
+            await this.loadTimeline();
+        } catch (error) {
+            console.error('Error loading data:', error);
         }
+    }
 
-        if (unproductiveKeywords.some(keyword => lowerHostname.includes(keyword))) {
-            return 'unproductive';
+    // Start of today, this week (from Sunday) or this month, by the day settings
+    getRangeStart() {
+        const today = TrackerStorage.dateKey();
+        switch (this.currentTimeRange) {
+            case 'week': {
+                const weekday = new Date(`${today}T12:00:00Z`).getUTCDay();
+                return new Date(TrackerStorage.dayStart(TrackerStorage.addDays(today, -weekday)));
+            }
+            case 'month':
+                return new Date(TrackerStorage.dayStart(`${today.slice(0, 8)}01`));
+            default:
+                return new Date(TrackerStorage.dayStart(today));
         }
+    }
 
-        return 'neutral';
+    // Category recorded by the background worker when the time was tracked
+    categorizeWebsite(entry) {
+        return entry.category || 'neutral';
     }
 
     updateStats() {
@@ -133,17 +695,17 @@ class ProductivityDashboard {
         const uniqueWebsites = new Set();
 
         this.filteredEntries.forEach(entry => {
-            const category = this.categorizeWebsite(entry.hostname);
-            if (category === 'productive') {
+            const category = this.getCategory(this.categorizeWebsite(entry));
+            if (TrackerCategories.isProductive(category)) {
                 totalProductiveTime += entry.duration;
-            } else if (category === 'unproductive') {
+            } else if (TrackerCategories.isUnproductive(category)) {
                 totalUnproductiveTime += entry.duration;
             }
             uniqueWebsites.add(entry.hostname);
         });
 
-        const totalTime = totalProductiveTime + totalUnproductiveTime;
-        const productivityScore = totalTime > 0 ? Math.round((totalProductiveTime / totalTime) * 100) : 0;
+        const totals = TrackerCategories.totalsByCategory(this.filteredEntries);
+        const productivityScore = TrackerCategories.productivityScore(totals, this.categories).score;
 
         document.getElementById('totalProductiveTime').textContent = this.formatTime(totalProductiveTime);
         document.getElementById('totalUnproductiveTime').textContent = this.formatTime(totalUnproductiveTime);
@@ -152,6 +714,10 @@ class ProductivityDashboard {
     }
 
     renderCharts() {
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js is not available; skipping charts');
+            return;
+        }
         this.renderPieChart();
         this.renderLineChart();
     }
@@ -160,22 +726,16 @@ class ProductivityDashboard {
         const ctx = document.getElementById('pieChart').getContext('2d');
         if (this.charts.pie) this.charts.pie.destroy();
 
-        let productiveTime = 0, unproductiveTime = 0, neutralTime = 0;
-
-        this.filteredEntries.forEach(entry => {
-            const category = this.categorizeWebsite(entry.hostname);
-            if (category === 'productive') productiveTime += entry.duration;
-            else if (category === 'unproductive') unproductiveTime += entry.duration;
-            else neutralTime += entry.duration;
-        });
+        const totals = TrackerCategories.totalsByCategory(this.filteredEntries);
+        const categories = Object.keys(totals).map(key => this.getCategory(key));
 
         this.charts.pie = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['Productive', 'Unproductive', 'Neutral'],
+                labels: categories.map(category => category.name),
                 datasets: [{
-                    data: [productiveTime, unproductiveTime, neutralTime],
-                    backgroundColor: ['#4CAF50', '#ff6b6b', '#ffa726']
+                    data: categories.map(category => totals[category.key]),
+                    backgroundColor: categories.map(category => category.color)
                 }]
             },
             options: {
@@ -193,37 +753,29 @@ class ProductivityDashboard {
 
         const dailyData = {};
         this.filteredEntries.forEach(entry => {
-            const date = new Date(entry.date).toDateString();
-            if (!dailyData[date]) dailyData[date] = { productive: 0, unproductive: 0 };
-            const category = this.categorizeWebsite(entry.hostname);
-            if (category === 'productive') dailyData[date].productive += entry.duration;
-            else if (category === 'unproductive') dailyData[date].unproductive += entry.duration;
+            const date = entry.date;
+            const category = this.categorizeWebsite(entry);
+            if (!dailyData[date]) dailyData[date] = {};
+            dailyData[date][category] = (dailyData[date][category] || 0) + entry.duration;
         });
 
         const dates = Object.keys(dailyData).sort();
-        const productiveData = dates.map(date => dailyData[date].productive / 3600);
-        const unproductiveData = dates.map(date => dailyData[date].unproductive / 3600);
+        const categoryKeys = [...new Set(this.filteredEntries.map(entry => this.categorizeWebsite(entry)))];
 
         this.charts.line = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: dates.map(date => new Date(date).toLocaleDateString()),
-                datasets: [
-                    {
-                        label: 'Productive Hours',
-                        data: productiveData,
-                        borderColor: '#4CAF50',
-                        backgroundColor: 'rgba(76, 175, 80, 0.1)',
+                labels: dates,
+                datasets: categoryKeys.map(key => {
+                    const category = this.getCategory(key);
+                    return {
+                        label: `${category.name} Hours`,
+                        data: dates.map(date => (dailyData[date][key] || 0) / 3600),
+                        borderColor: category.color,
+                        backgroundColor: this.withAlpha(category.color, 0.1),
                         tension: 0.4
-                    },
-                    {
-                        label: 'Unproductive Hours',
-                        data: unproductiveData,
-                        borderColor: '#ff6b6b',
-                        backgroundColor: 'rgba(255, 107, 107, 0.1)',
-                        tension: 0.4
-                    }
-                ]
+                    };
+                })
             },
             options: {
                 responsive: true,
@@ -243,22 +795,25 @@ class ProductivityDashboard {
     updateWebsiteLists() {
         const websiteStats = {};
         this.filteredEntries.forEach(entry => {
-            if (!websiteStats[entry.hostname]) {
-                websiteStats[entry.hostname] = {
+            const category = this.categorizeWebsite(entry);
+            const key = `${category}|${entry.hostname}`;
+            if (!websiteStats[key]) {
+                websiteStats[key] = {
+                    hostname: entry.hostname,
                     duration: 0,
-                    category: this.categorizeWebsite(entry.hostname)
+                    category
                 };
             }
-            websiteStats[entry.hostname].duration += entry.duration;
+            websiteStats[key].duration += entry.duration;
         });
 
         const productiveWebsites = Object.entries(websiteStats)
-            .filter(([, stats]) => stats.category === 'productive')
+            .filter(([, stats]) => TrackerCategories.isProductive(this.getCategory(stats.category)))
             .sort(([, a], [, b]) => b.duration - a.duration)
             .slice(0, 5);
 
         const unproductiveWebsites = Object.entries(websiteStats)
-            .filter(([, stats]) => stats.category === 'unproductive')
+            .filter(([, stats]) => TrackerCategories.isUnproductive(this.getCategory(stats.category)))
             .sort(([, a], [, b]) => b.duration - a.duration)
             .slice(0, 5);
 
@@ -270,96 +825,750 @@ class ProductivityDashboard {
         const container = document.getElementById(containerId);
         container.innerHTML = websites.length === 0
             ? '<div class="no-data">No data available</div>'
-            : websites.map(([hostname, stats]) => `
-                <div class="website-item ${type}">
-                    <span class="website-name">${hostname}</span>
+            : websites.map(([, stats]) => `
+                <div class="website-item ${type}" style="border-left-color: ${this.escapeHtml(this.getCategory(stats.category).color)}">
+                    <span class="website-name">${this.escapeHtml(stats.hostname)}</span>
                     <span class="website-time">${this.formatTime(stats.duration)}</span>
                 </div>
               `).join('');
     }
 
+    // Completed and abandoned focus sessions in the selected range
+    updateFocusSessions() {
+        const sessions = [...this.focusSessions].sort((a, b) => b.startedAt - a.startedAt);
+        const completed = sessions.filter(session => session.status === 'completed').length;
+        const focusTime = sessions.reduce((sum, session) => sum + session.focusTime, 0);
+        const blocked = sessions.reduce((sum, session) => sum + session.blockedAttempts, 0);
+
+        document.getElementById('focusCompleted').textContent = completed;
+        document.getElementById('focusAbandoned').textContent = sessions.length - completed;
+        document.getElementById('focusTime').textContent = this.formatTime(focusTime);
+        document.getElementById('focusBlocked').textContent = blocked;
+
+        const container = document.getElementById('focusSessionList');
+        container.innerHTML = sessions.length === 0
+            ? '<div class="no-data">No focus sessions yet</div>'
+            : sessions.slice(0, 10).map(session => `
+                <div class="website-item ${session.status === 'completed' ? 'productive' : 'unproductive'}">
+                    <span class="website-name">${new Date(session.startedAt).toLocaleString()}</span>
+                    <span class="website-time">
+                        ${session.completedCycles}/${session.cycles} rounds · ${this.formatTime(session.focusTime)} · ${session.status}
+                    </span>
+                </div>
+            `).join('');
+    }
+
+    // Time per device in the selected range, following the table filters
+    renderDeviceBreakdown() {
+        const totals = new Map();
+        this.filteredEntries.forEach(entry => {
+            const id = entry.device || null;
+            totals.set(id, (totals.get(id) || 0) + entry.duration);
+        });
+        const rows = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+
+        const container = document.getElementById('deviceList');
+        container.innerHTML = rows.length === 0
+            ? '<div class="no-data">No data available</div>'
+            : rows.map(([id, time]) => {
+                const device = id === this.device.id ? this.device : this.devices.get(id);
+                const browser = device && device.browser ? ` · ${this.escapeHtml(device.browser)}` : '';
+                return `
+                    <div class="website-item">
+                        <span class="website-name">${this.escapeHtml(this.getDeviceName(id))}${browser}</span>
+                        <span class="website-time">${this.formatTime(time)}</span>
+                    </div>
+                `;
+            }).join('');
+    }
+
     populateActivityTable() {
         const tbody = document.getElementById('activityTableBody');
         tbody.innerHTML = '';
 
         if (this.filteredEntries.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" class="no-data">No activity data available</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="6" class="no-data">No activity data available</td></tr>';
             return;
         }
 
         this.filteredEntries.forEach((entry, index) => {
-            const category = this.categorizeWebsite(entry.hostname);
+            const category = this.getCategory(this.categorizeWebsite(entry));
             const formattedTime = this.formatTime(entry.duration);
-            const entryDate = new Date(entry.date).toLocaleDateString();
+            const entryDate = entry.date;
+            const project = this.getProject(entry.project);
+            const projectOptions = this.projects.map(item => `
+                <option value="${this.escapeHtml(item.id)}" ${project && project.id === item.id ? 'selected' : ''}>${this.escapeHtml(item.name)}</option>
+            `).join('');
 
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td>${entry.hostname}</td>
-                <td><span class="type-badge ${category}">${category}</span></td>
+                <td>${this.escapeHtml(entry.hostname)}</td>
+                <td><span class="type-badge" style="background: ${this.withAlpha(category.color, 0.15)}; color: ${this.escapeHtml(category.color)}">${this.escapeHtml(category.name)}</span></td>
+                <td>
+                    <select class="project-select" data-index="${index}">
+                        <option value="">No project</option>${projectOptions}
+                    </select>
+                </td>
                 <td>${formattedTime}</td>
                 <td>${entryDate}</td>
-                <td><button class="btn btn-danger" onclick="dashboard.deleteEntry(${index})">Delete</button></td>
+                <td>${entry.remote && !entry.id ? '' : `<button class="btn btn-danger" data-index="${index}">Delete</button>`}</td>
             `;
             tbody.appendChild(tr);
         });
+
+        // Inline handlers are blocked by the extension pages' content security policy
+        tbody.querySelectorAll('select[data-index]').forEach(select => {
+            select.addEventListener('change', () => this.assignProject(Number(select.dataset.index), select.value));
+        });
+        tbody.querySelectorAll('button[data-index]').forEach(button => {
+            button.addEventListener('click', () => this.deleteEntry(Number(button.dataset.index)));
+        });
     }
 
     filterTable() {
         const dateValue = document.getElementById('dateFilter').value;
         const typeValue = document.getElementById('typeFilter').value;
+        const projectValue = document.getElementById('projectFilter').value;
+        const deviceValue = document.getElementById('deviceFilter').value;
 
-        this.filteredEntries = this.filterEntriesByTimeRange(this.timeEntries).filter(entry => {
-            const matchesDate = !dateValue || new Date(entry.date).toDateString() === new Date(dateValue).toDateString();
-            const matchesType = typeValue === 'all' || this.categorizeWebsite(entry.hostname) === typeValue;
-            return matchesDate && matchesType;
+        this.filteredEntries = this.timeEntries.filter(entry => {
+            const matchesDate = !dateValue || entry.date === dateValue;
+            const matchesType = typeValue === 'all' || this.categorizeWebsite(entry) === typeValue;
+            const project = this.getProject(entry.project);
+            const matchesProject = projectValue === 'all' ||
+                (projectValue === 'none' ? !project : Boolean(project) && project.id === projectValue);
+            const matchesDevice = deviceValue === 'all' || entry.device === deviceValue;
+            return matchesDate && matchesType && matchesProject && matchesDevice;
         });
 
         this.updateStats();
         this.renderCharts();
         this.updateWebsiteLists();
+        this.renderDeviceBreakdown();
         this.populateActivityTable();
     }
 
-    exportData() {
-        const blob = new Blob([JSON.stringify(this.filteredEntries, null, 2)], { type: 'application/json' });
+    // JSON is exported from local data; CSV, NDJSON and .ics come from the backend's /export endpoints
+    async exportData() {
+        const format = document.getElementById('exportFormat').value;
+        if (format === 'json') {
+            const blob = new Blob([JSON.stringify(this.filteredEntries, null, 2)], { type: 'application/json' });
+            this.download(blob, 'productivity_data.json');
+            return;
+        }
+
+        try {
+            if (!(await TrackerApi.isLoggedIn())) {
+                alert('Sign in from the popup to export CSV, NDJSON or calendar files.');
+                return;
+            }
+
+            const params = new URLSearchParams({ startDate: this.getRangeStart().toISOString() });
+            const category = document.getElementById('typeFilter').value;
+            if (category !== 'all') params.set('category', category);
+            const project = document.getElementById('projectFilter').value;
+            if (project !== 'all') params.set('project', project);
+
+            const response = await TrackerApi.request(`/export/${format}?${params}`);
+            if (!response.ok) throw new Error('Export failed');
+            this.download(await response.blob(), `productivity_data.${format}`);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert(error.message);
+        }
+    }
+
+    download(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'productivity_data.json';
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
     generateWeeklyReport() {
-        const total = this.filteredEntries.reduce((acc, entry) => {
-            const type = this.categorizeWebsite(entry.hostname);
-            acc[type] = (acc[type] || 0) + entry.duration;
-            return acc;
-        }, {});
+        const totals = TrackerCategories.totalsByCategory(this.filteredEntries);
+        const total = { productive: 0, unproductive: 0 };
+        Object.entries(totals).forEach(([key, time]) => {
+            const category = this.getCategory(key);
+            if (TrackerCategories.isProductive(category)) total.productive += time;
+            else if (TrackerCategories.isUnproductive(category)) total.unproductive += time;
+        });
 
-        const totalTime = (total.productive || 0) + (total.unproductive || 0);
-        const score = totalTime > 0 ? Math.round((total.productive || 0) / totalTime * 100) : 0;
+        const score = TrackerCategories.productivityScore(totals, this.categories).score;
 
         document.getElementById('reportSummary').innerHTML = `
-            <p>You spent <strong>${this.formatTime(total.productive || 0)}</strong> on productive sites and 
-            <strong>${this.formatTime(total.unproductive || 0)}</strong> on unproductive sites this week.</p>
+            <p>You spent <strong>${this.formatTime(total.productive)}</strong> on productive sites and 
+            <strong>${this.formatTime(total.unproductive)}</strong> on unproductive sites this week.</p>
             <p>Your productivity score: <strong>${score}%</strong></p>
         `;
     }
 
     clearAllData() {
         if (confirm('Are you sure you want to clear all activity data?')) {
-            chrome.storage.local.set({ timeEntries: [] }, () => {
-                this.loadData();
-            });
+            TrackerStorage.clearTimeData().then(() => this.loadData());
         }
     }
 
-    deleteEntry(index) {
-        this.timeEntries.splice(index, 1);
-        chrome.storage.local.set({ timeEntries: this.timeEntries }, () => {
-            this.loadData();
+    async deleteEntry(index) {
+        const entry = this.filteredEntries[index];
+        if (!entry) return;
+        if (!entry.remote) {
+            TrackerStorage.deleteEntry(entry.date, entry.hostname, entry.category).then(() => this.loadData());
+            return;
+        }
+
+        // Another device's entry only exists on the backend
+        try {
+            const response = await TrackerApi.request(`/time-entries/${entry.id}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) throw new Error(`Failed to delete entry (${response.status})`);
+            this.remoteEntries.delete(entry.id);
+            await this.refreshEntries();
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            alert(error.message);
+        }
+    }
+
+    // Imported entries follow the privacy settings: excluded sites are left out, URLs and titles redacted
+    applyPrivacy(rows, settings) {
+        return rows.map(row => {
+            if (!row.entry) return row;
+            if (TrackerPrivacy.matchesDomain(row.entry.hostname, settings.excludedDomains)) {
+                return { source: row.source, error: 'Site is excluded from tracking' };
+            }
+            
+            const { url: _url, title: _title, ...entry } = row.entry;
+            const { url, title } = TrackerPrivacy.redact(row.entry, settings);
+            if (url) entry.url = url;
+            if (title) entry.title = title;
+            return { ...row, entry };
+        });
+    }
+
+    // Parse a file and preview its entries
+    async previewImport(file) {
+        try {
+            const parsed = TrackerImporter.parse(await file.text(), file.name);
+            if (parsed.error) throw new Error(parsed.error);
+            await this.previewRows(parsed);
+        } catch (err) {
+            console.error('Error reading import file:', err);
+            alert(err.message);
+            this.resetImport();
+        }
+    }
+
+    // Backfill from the browser history, which needs the optional "history" permission.
+    // Visits become sessions; sites whose day already has tracked time here are skipped.
+    async previewHistoryImport() {
+        try {
+            // Asked first, while the click still counts as a user gesture
+            const granted = await chrome.permissions.request({ permissions: ['history'] });
+            if (!granted) {
+                alert('Importing history needs access to your browsing history.');
+                return;
+            }
+
+            const days = parseInt(document.getElementById('historyDays').value, 10);
+            const startTime = Date.now() - days * 24 * HOUR_MS;
+            const pages = await chrome.history.search({ text: '', startTime, maxResults: HISTORY_MAX_PAGES });
+            const visits = [];
+            for (const page of pages) {
+                (await chrome.history.getVisits({ url: page.url }))
+                    .filter(visit => visit.visitTime >= startTime && !/subframe/.test(visit.transition))
+                    .forEach(visit => visits.push({ url: page.url, title: page.title, visitTime: visit.visitTime }));
+            }
+
+            await this.previewRows(TrackerImporter.parseHistory(visits, await TrackerStorage.getRules()));
+        } catch (err) {
+            console.error('Error reading browser history:', err);
+            alert(err.message);
+            this.resetImport();
+        }
+    }
+
+    // Mark each parsed entry as new, a duplicate, invalid, or already present locally or on the backend
+    async previewRows(parsed) {
+        const { format } = parsed;
+        const rows = this.applyPrivacy(parsed.rows, await TrackerStorage.getSettings());
+
+        const entries = rows.filter(row => row.entry && !row.duplicate).map(row => row.entry);
+        const [onDevice, onServer] = await Promise.all([
+            this.findLocalConflicts(entries),
+            this.findServerConflicts(entries)
+        ]);
+
+        rows.forEach(row => {
+            if (!row.entry || row.duplicate) return;
+            row.onDevice = onDevice.has(row.entry.clientId);
+            row.onServer = onServer.has(row.entry.clientId);
         });
+
+        this.importRows = rows;
+        this.importFormat = format;
+        this.renderImportPreview();
+    }
+
+    // Entries whose day, site and category already have time on this device
+    async findLocalConflicts(entries) {
+        if (entries.length === 0) return new Set();
+
+        const times = entries.map(entry => entry.timestamp).sort();
+        const local = await TrackerStorage.getEntries(times[0], times[times.length - 1]);
+        const existing = new Set(local.map(row => `${row.date}|${row.hostname}|${row.category}`));
+        return new Set(entries
+            .filter(entry => existing.has(`${TrackerStorage.dateKey(entry.timestamp)}|${entry.hostname}|${entry.category}`))
+            .map(entry => entry.clientId));
+    }
+
+    // Entries the backend already has, by clientId
+    async findServerConflicts(entries) {
+        if (entries.length === 0 || !(await TrackerApi.isLoggedIn())) return new Set();
+
+        const existing = new Set();
+        for (let i = 0; i < entries.length; i += 5000) {
+            const clientIds = entries.slice(i, i + 5000).map(entry => entry.clientId);
+            const response = await TrackerApi.request('/time-entries/existing', { method: 'POST', body: { clientIds } });
+            if (!response.ok) throw new Error('Could not check the backend for existing entries');
+            (await response.json()).existing.forEach(id => existing.add(id));
+        }
+        return existing;
+    }
+
+    importStatus(row) {
+        if (row.error) return { label: row.error, type: 'skipped' };
+        if (row.duplicate) return { label: 'Duplicate in file', type: 'skipped' };
+        if (row.onDevice && row.onServer) return { label: 'Already imported', type: 'skipped' };
+        if (row.onDevice) return { label: 'Already on this device', type: 'conflict' };
+        if (row.onServer) return { label: 'Already on backend', type: 'conflict' };
+        return { label: 'New', type: 'new' };
+    }
+
+    async renderImportPreview() {
+        const rows = this.importRows;
+        const loggedIn = await TrackerApi.isLoggedIn();
+        const toDevice = rows.filter(row => row.entry && !row.duplicate && !row.onDevice).length;
+        const toServer = loggedIn ? rows.filter(row => row.entry && !row.duplicate && !row.onServer).length : 0;
+        const invalid = rows.filter(row => row.error).length;
+        const duplicates = rows.filter(row => row.duplicate).length;
+        const conflicts = rows.filter(row => row.onDevice || row.onServer).length;
+
+        document.getElementById('importSummary').innerHTML = `
+            <p>Read <strong>${rows.length}</strong> entries (${this.escapeHtml(this.importFormat)} format):
+            <strong>${toDevice}</strong> will be added to this device${loggedIn ? ` and <strong>${toServer}</strong> uploaded` : ''}.</p>
+            <p>${conflicts} already present, ${duplicates} duplicates in the file, ${invalid} invalid.
+            ${loggedIn ? '' : 'Sign in from the popup to upload them to the backend as well.'}</p>
+            ${conflicts ? '<p>Entries already present are skipped where they exist, so nothing is counted twice.</p>' : ''}
+        `;
+
+        const shown = rows.slice(0, 500);
+        document.getElementById('importTableBody').innerHTML = shown.map(row => {
+            const entry = row.entry || {};
+            const status = this.importStatus(row);
+            const category = entry.category ? this.getCategory(entry.category).name : '-';
+            return `
+                <tr>
+                    <td>${this.escapeHtml(row.source || '-')}</td>
+                    <td>${this.escapeHtml(entry.hostname || '-')}</td>
+                    <td>${this.escapeHtml(category)}</td>
+                    <td>${entry.duration ? this.formatTime(entry.duration) : '-'}</td>
+                    <td>${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '-'}</td>
+                    <td><span class="import-status ${status.type}">${this.escapeHtml(status.label)}</span></td>
+                </tr>
+            `;
+        }).join('') + (rows.length > shown.length
+            ? `<tr><td colspan="6" class="no-data">…and ${rows.length - shown.length} more</td></tr>`
+            : '');
+
+        const button = document.getElementById('confirmImportBtn');
+        button.disabled = toDevice === 0 && toServer === 0;
+        button.textContent = 'Import';
+        document.getElementById('importPreview').style.display = 'block';
+    }
+
+    // Add new entries locally and upload the ones the backend lacks through /time-entries/bulk
+    async commitImport() {
+        const rows = (this.importRows || []).filter(row => row.entry && !row.duplicate);
+        const button = document.getElementById('confirmImportBtn');
+        button.disabled = true;
+        button.textContent = 'Importing…';
+
+        try {
+            const toDevice = rows.filter(row => !row.onDevice).map(row => row.entry);
+            await TrackerStorage.addEntries(toDevice);
+
+            let uploaded = 0;
+            let uploadError = null;
+            if (await TrackerApi.isLoggedIn()) {
+                const toServer = rows.filter(row => !row.onServer).map(row => row.entry);
+                for (let i = 0; i < toServer.length; i += 100) {
+                    const response = await TrackerApi.request('/time-entries/bulk', {
+                        method: 'POST',
+                        body: { entries: toServer.slice(i, i + 100) }
+                    });
+                    if (!response.ok) {
+                        uploadError = `Upload stopped after ${uploaded} of ${toServer.length} entries. Import the file again to retry; entries already uploaded are skipped.`;
+                        break;
+                    }
+                    uploaded += Math.min(100, toServer.length - i);
+                }
+            }
+
+            alert(`Imported ${toDevice.length} entries to this device` +
+                (uploaded ? ` and uploaded ${uploaded} to the backend.` : '.') +
+                (uploadError ? `\n\n${uploadError}` : ''));
+            this.resetImport();
+            await this.loadData();
+        } catch (error) {
+            console.error('Error importing data:', error);
+            alert('Import failed: ' + error.message);
+            button.disabled = false;
+            button.textContent = 'Import';
+        }
+    }
+
+    resetImport() {
+        this.importRows = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').style.display = 'none';
+    }
+
+    // Weekday × hour totals for the selected range: from the backend when signed
+    // in, else from the local sessions. A session is split across the hours it spans.
+    async loadHeatmap() {
+        const category = document.getElementById('heatmapCategory').value;
+        try {
+            if (await TrackerApi.isLoggedIn()) {
+                const params = new URLSearchParams({
+                    startDate: this.getRangeStart().toISOString(),
+                    timezone: this.timezone
+                });
+                if (category !== 'all') params.set('category', category);
+                if (!this.includeManual) params.set('manual', 'exclude');
+                const response = await TrackerApi.request(`/analytics/heatmap?${params}`);
+                if (response.ok) {
+                    const { heatmap } = await response.json();
+                    this.renderHeatmap(heatmap.total, category);
+                    return;
+                }
+            }
+
+            const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+            const sessions = await TrackerStorage.getSessions(this.getRangeStart(), new Date());
+            sessions
+                .filter(session => this.isCounted(session))
+                .filter(session => category === 'all' || session.category === category)
+                .forEach(session => {
+                    let at = new Date(session.startedAt).getTime();
+                    let remaining = session.duration;
+                    while (remaining > 0) {
+                        const { weekday, hour, minute } = TrackerStorage.zonedParts(at);
+                        const length = Math.min(remaining, 3600 - minute * 60 - new Date(at).getUTCSeconds());
+                        grid[weekday][hour] += length;
+                        at += length * 1000;
+                        remaining -= length;
+                    }
+                });
+            this.renderHeatmap(grid, category);
+        } catch (error) {
+            console.error('Error loading heatmap:', error);
+        }
+    }
+
+    renderHeatmap(grid, category) {
+        const container = document.getElementById('heatmap');
+        const max = Math.max(...grid.flat());
+        if (max === 0) {
+            container.innerHTML = '<div class="no-data">No data available</div>';
+            return;
+        }
+
+        const color = category === 'all' ? '#667eea' : this.getCategory(category).color;
+        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const hours = Array.from({ length: 24 }, (_, hour) => hour);
+
+        // Rows from Monday; grid rows are indexed from Sunday
+        const rows = days.map((day, index) => {
+            const cells = grid[(index + 1) % 7].map((seconds, hour) => {
+                const style = seconds > 0 ? ` style="background: ${this.withAlpha(color, (0.15 + 0.85 * seconds / max).toFixed(2))}"` : '';
+                return `<td title="${day} ${String(hour).padStart(2, '0')}:00 · ${this.formatTime(seconds)}"${style}></td>`;
+            }).join('');
+            return `<tr><th class="heatmap-day">${day}</th>${cells}</tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th></th>${hours.map(hour => `<th>${hour % 3 === 0 ? hour : ''}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Sessions of the selected day, one lane per category
+    async loadTimeline() {
+        try {
+            const start = TrackerStorage.dayStart(this.timelineDay);
+            const end = TrackerStorage.dayStart(TrackerStorage.addDays(this.timelineDay, 1));
+            this.timelineRange = { start, end };
+            const sessions = await TrackerStorage.getSessions(new Date(start), new Date(end));
+            this.timelineSessions = sessions.filter(session => this.isCounted(session));
+            this.renderTimeline();
+        } catch (error) {
+            console.error('Error loading timeline:', error);
+        }
+    }
+
+    // Zoom around the time in the middle of the visible part
+    zoomTimeline(step) {
+        const zoom = Math.max(0, Math.min(TIMELINE_ZOOM_LEVELS.length - 1, this.timelineZoom + step));
+        if (zoom === this.timelineZoom) return;
+
+        const container = document.getElementById('timeline');
+        const oldWidth = HOUR_MS * 24 / this.timelineScale();
+        const center = (container.scrollLeft + (container.clientWidth - TIMELINE_LABEL_WIDTH) / 2) / oldWidth;
+        this.timelineZoom = zoom;
+        this.renderTimeline();
+        const newWidth = HOUR_MS * 24 / this.timelineScale();
+        container.scrollLeft = center * newWidth - (container.clientWidth - TIMELINE_LABEL_WIDTH) / 2;
+    }
+
+    // Milliseconds per pixel at the current zoom level
+    timelineScale() {
+        return HOUR_MS / TIMELINE_ZOOM_LEVELS[this.timelineZoom];
+    }
+
+    renderTimeline() {
+        const container = document.getElementById('timeline');
+        const pixelsPerHour = TIMELINE_ZOOM_LEVELS[this.timelineZoom];
+        document.getElementById('timelineZoomLabel').textContent = `${pixelsPerHour} px / hour`;
+
+        const sessions = this.timelineSessions || [];
+        if (sessions.length === 0) {
+            container.innerHTML = '<div class="no-data">No sessions recorded on this day</div>';
+            return;
+        }
+
+        const { start, end } = this.timelineRange;
+        const scale = this.timelineScale();
+        const width = Math.round((end - start) / scale);
+        const tickHours = pixelsPerHour >= 60 ? 1 : pixelsPerHour >= 30 ? 2 : 3;
+
+        const ticks = [];
+        for (let time = start; time < end; time += tickHours * HOUR_MS) {
+            const label = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: this.timezone });
+            ticks.push(`<div class="timeline-tick" style="left: ${Math.round((time - start) / scale)}px">${label}</div>`);
+        }
+
+        const lanes = {};
+        sessions.forEach(session => {
+            (lanes[session.category] = lanes[session.category] || []).push(session);
+        });
+        const categoryKeys = this.categories.map(category => category.key)
+            .filter(key => lanes[key])
+            .concat(Object.keys(lanes).filter(key => !this.categories.some(category => category.key === key)));
+
+        const rows = categoryKeys.map(key => {
+            const category = this.getCategory(key);
+            const bars = lanes[key].map(session => {
+                const from = Math.max(session.startedAt, start);
+                const to = Math.min(session.endedAt, end);
+                const clock = { timeZone: this.timezone };
+                const time = `${new Date(session.startedAt).toLocaleTimeString([], clock)} – ${new Date(session.endedAt).toLocaleTimeString([], clock)}`;
+                const tooltip = `${session.title || session.hostname}\n${session.hostname} · ${time} (${this.formatTime(session.duration)})`;
+                return `
+                    <div class="timeline-bar" title="${this.escapeHtml(tooltip)}"
+                        style="left: ${Math.round((from - start) / scale)}px; width: ${Math.round((to - from) / scale)}px; background: ${category.color}">
+                        ${this.escapeHtml(session.hostname)}
+                    </div>
+                `;
+            }).join('');
+            return `
+                <div class="timeline-row">
+                    <div class="timeline-label">${this.escapeHtml(category.name)}</div>
+                    <div class="timeline-lane" style="width: ${width}px">${bars}</div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="timeline-row timeline-axis">
+                <div class="timeline-label"></div>
+                <div class="timeline-lane" style="width: ${width}px">${ticks.join('')}</div>
+            </div>
+            ${rows}
+        `;
+    }
+
+    // Range of the recategorize form as date keys and as ISO times for the backend
+    getRecategorizeRange() {
+        const start = document.getElementById('recategorizeStart').value;
+        const end = document.getElementById('recategorizeEnd').value;
+        if (!start || !end || start > end) return null;
+        return {
+            start,
+            end,
+            body: {
+                startDate: new Date(TrackerStorage.dayStart(start)).toISOString(),
+                endDate: new Date(TrackerStorage.dayStart(TrackerStorage.addDays(end, 1)) - 1).toISOString()
+            }
+        };
+    }
+
+    // What re-applying the rules would change, locally and (when signed in) on the backend
+    async previewRecategorize() {
+        const range = this.getRecategorizeRange();
+        if (!range) {
+            alert('Choose a start date on or before the end date.');
+            return;
+        }
+
+        try {
+            const rules = await TrackerStorage.getRules();
+            const preview = await TrackerStorage.recategorize(range.start, range.end, rules);
+
+            let serverNote = '';
+            if (await TrackerApi.isLoggedIn()) {
+                const response = await TrackerApi.request('/recategorize/preview', { method: 'POST', body: range.body });
+                if (response.ok) {
+                    const { preview: server } = await response.json();
+                    const changed = server.changes.reduce((sum, change) => sum + change.entries, 0);
+                    serverNote = ` On the backend, ${changed} of ${server.scanned} entries would change category.`;
+                } else {
+                    serverNote = ' The backend preview is unavailable.';
+                }
+            }
+
+            const movedTime = preview.changes.reduce((sum, change) => sum + change.duration, 0);
+            document.getElementById('recategorizeSummary').textContent = preview.changes.length === 0
+                ? `The current rules already match every entry on this device.${serverNote}`
+                : `${this.formatTime(movedTime)} on this device moves to another category.${serverNote}`;
+
+            const keys = [...new Set([...Object.keys(preview.before), ...Object.keys(preview.after)])];
+            document.getElementById('recategorizeTotalsBody').innerHTML = keys.length === 0
+                ? '<tr><td colspan="4" class="no-data">No data in this range</td></tr>'
+                : keys.map(key => {
+                    const before = preview.before[key] || 0;
+                    const after = preview.after[key] || 0;
+                    const delta = after - before;
+                    const deltaClass = delta > 0 ? 'up' : delta < 0 ? 'down' : '';
+                    return `
+                        <tr>
+                            <td>${this.escapeHtml(this.getCategory(key).name)}</td>
+                            <td>${this.formatTime(before)}</td>
+                            <td>${this.formatTime(after)}</td>
+                            <td class="recategorize-delta ${deltaClass}">${delta === 0 ? '-' : `${delta > 0 ? '+' : '−'}${this.formatTime(Math.abs(delta))}`}</td>
+                        </tr>
+                    `;
+                }).join('');
+
+            document.getElementById('recategorizeChangesBody').innerHTML = preview.changes.length === 0
+                ? '<tr><td colspan="4" class="no-data">No changes</td></tr>'
+                : preview.changes.map(change => `
+                    <tr>
+                        <td>${this.escapeHtml(change.hostname)}</td>
+                        <td>${this.escapeHtml(this.getCategory(change.from).name)}</td>
+                        <td>${this.escapeHtml(this.getCategory(change.to).name)}</td>
+                        <td>${this.formatTime(change.duration)}</td>
+                    </tr>
+                `).join('');
+
+            document.getElementById('recategorizePreview').style.display = 'block';
+        } catch (error) {
+            console.error('Error previewing recategorization:', error);
+            alert('Could not preview the changes.');
+        }
+    }
+
+    // Rewrite local history, then run the backend job and wait for it
+    async applyRecategorize() {
+        const range = this.getRecategorizeRange();
+        if (!range) return;
+
+        const button = document.getElementById('applyRecategorizeBtn');
+        const summary = document.getElementById('recategorizeSummary');
+        button.disabled = true;
+        try {
+            const rules = await TrackerStorage.getRules();
+            await TrackerStorage.recategorize(range.start, range.end, rules, { apply: true });
+            summary.textContent = 'History on this device was updated.';
+
+            if (await TrackerApi.isLoggedIn()) {
+                const response = await TrackerApi.request('/recategorize', { method: 'POST', body: range.body });
+                const { job, error } = await response.json();
+                if (!response.ok) throw new Error(error || `HTTP ${response.status}`);
+                const finished = await this.waitForRecategorizeJob(job._id, summary);
+                summary.textContent = finished.status === 'completed'
+                    ? `History updated on this device and on the backend (${finished.updated} of ${finished.scanned} entries changed).`
+                    : `History on this device was updated, but the backend job failed: ${finished.error || 'unknown error'}`;
+            }
+
+            await this.loadData();
+        } catch (error) {
+            console.error('Error applying recategorization:', error);
+            summary.textContent = `History on this device may have been updated, but the backend could not be: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async waitForRecategorizeJob(id, summary) {
+        for (;;) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const response = await TrackerApi.request(`/recategorize/${id}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { job } = await response.json();
+            if (job.status !== 'running') return job;
+            summary.textContent = `Updating the backend… ${job.scanned} entries checked, ${job.updated} changed.`;
+        }
+    }
+
+    // Background worker state and the sessions it recovered after restarts
+    async loadDiagnostics() {
+        try {
+            const diagnostics = await chrome.runtime.sendMessage({ action: 'getDiagnostics' });
+            const heartbeat = diagnostics.lastHeartbeat ? new Date(diagnostics.lastHeartbeat).toLocaleTimeString() : 'none yet';
+            document.getElementById('workerStatus').textContent =
+                `Worker running since ${new Date(diagnostics.workerStartedAt).toLocaleTimeString()} · ` +
+                `state: ${diagnostics.state} · last checkpoint: ${heartbeat}`;
+
+            const recoveries = [...diagnostics.recoveries].reverse();
+            document.getElementById('recoveryTableBody').innerHTML = recoveries.length === 0
+                ? '<tr><td colspan="5" class="no-data">No sessions have needed recovery</td></tr>'
+                : recoveries.map(recovery => {
+                    const outcome = recovery.outcome === 'resumed'
+                        ? `Resumed${recovery.restarts > 1 ? ` (${recovery.restarts} restarts)` : ''}`
+                        : `Closed at ${new Date(recovery.endedAt).toLocaleTimeString()}, ${this.formatTime(recovery.gapSeconds)} gap not counted`;
+                    return `
+                        <tr>
+                            <td>${this.escapeHtml(recovery.hostname)}${recovery.state === 'idle' ? ' (idle)' : ''}</td>
+                            <td>${recovery.startedAt ? new Date(recovery.startedAt).toLocaleString() : '-'}</td>
+                            <td>${new Date(recovery.lastHeartbeatAt).toLocaleString()}</td>
+                            <td>${new Date(recovery.recoveredAt).toLocaleString()}</td>
+                            <td title="${this.escapeHtml(recovery.reason || '')}">${this.escapeHtml(outcome)}</td>
+                        </tr>
+                    `;
+                }).join('');
+        } catch (error) {
+            console.error('Error loading diagnostics:', error);
+        }
+    }
+
+    // #rrggbb → rgba() with the given opacity
+    withAlpha(hex, alpha) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return `rgba(158, 158, 158, ${alpha})`;
+        const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
 
     formatTime(seconds) {
@@ -0,0 +1,107 @@
+// "Stay focused" page shown in place of sites blocked by a focus session or a used-up daily limit
+const params = new URLSearchParams(location.search);
+const requestedUrl = params.get('url') || '';
+const blockedUrl = /^https?:\/\//i.test(requestedUrl) ? requestedUrl : null;
+const reason = params.get('reason') === 'limit' ? 'limit' : 'focus';
+let focus = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('blockedSite').textContent = getHostname(blockedUrl) || 'This site';
+    
+    document.getElementById('closeTab').addEventListener('click', closeTab);
+    document.getElementById('continueBtn').addEventListener('click', continueToSite);
+    document.getElementById('endFocus').addEventListener('click', endFocus);
+    
+    const status = await chrome.runtime.sendMessage({ action: 'getFocusStatus' });
+    focus = status.focus;
+    render();
+    setInterval(render, 1000);
+});
+
+// Follow phase changes made by the background worker or the popup
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.focusState) {
+        focus = changes.focusState.newValue || null;
+        render();
+    }
+});
+
+function render() {
+    if (reason === 'limit') {
+        renderLimit();
+        return;
+    }
+    
+    const heading = document.getElementById('heading');
+    const countdown = document.getElementById('countdown');
+    const phaseText = document.getElementById('phaseText');
+    const continueBtn = document.getElementById('continueBtn');
+    const endFocusBtn = document.getElementById('endFocus');
+    
+    if (!focus) {
+        heading.textContent = 'Focus session over';
+        countdown.textContent = '00:00';
+        phaseText.textContent = 'Nothing is blocked any more';
+        continueBtn.style.display = blockedUrl ? '' : 'none';
+        endFocusBtn.style.display = 'none';
+        return;
+    }
+    
+    const remaining = Math.max(0, Math.ceil((focus.phaseEndsAt - Date.now()) / 1000));
+    countdown.textContent = formatCountdown(remaining);
+    
+    if (focus.phase === 'break') {
+        heading.textContent = 'Break time';
+        phaseText.textContent = `Break before round ${focus.cycle + 1} of ${focus.cycles}`;
+        continueBtn.style.display = blockedUrl ? '' : 'none';
+    } else {
+        heading.textContent = 'Stay focused';
+        phaseText.textContent = `Focus round ${focus.cycle} of ${focus.cycles}`;
+        continueBtn.style.display = 'none';
+    }
+}
+
+// Blocked until the day's totals reset
+function renderLimit() {
+    const resetsAt = parseInt(params.get('until'), 10) || 0;
+    const remaining = Math.max(0, Math.ceil((resetsAt - Date.now()) / 1000));
+    
+    document.getElementById('heading').textContent = 'Daily limit reached';
+    document.querySelector('.blocked-site').textContent =
+        `${getHostname(blockedUrl) || 'This site'} is over your limit of ${params.get('limit') || 'time for today'}.`;
+    document.getElementById('countdown').textContent = formatCountdown(remaining);
+    document.getElementById('phaseText').textContent = 'until the limit resets';
+    document.getElementById('endFocus').style.display = 'none';
+    document.getElementById('continueBtn').style.display = remaining === 0 && blockedUrl ? '' : 'none';
+}
+
+async function closeTab() {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab) chrome.tabs.remove(tab.id);
+}
+
+function continueToSite() {
+    if (blockedUrl) location.replace(blockedUrl);
+}
+
+async function endFocus() {
+    if (!confirm('End this focus session early? It will be recorded as abandoned.')) return;
+    await chrome.runtime.sendMessage({ action: 'stopFocus' });
+    continueToSite();
+}
+
+function formatCountdown(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    const clock = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
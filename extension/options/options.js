@@ -0,0 +1,118 @@
+// Options page: backend server, sync and this device's name, idle threshold, privacy and how long
+// local data is kept
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('testConnection').addEventListener('click', testConnection);
+    document.getElementById('optionsForm').addEventListener('submit', saveOptions);
+    
+    try {
+        displayOptions(await TrackerStorage.getSettings());
+        displayDevice(await chrome.runtime.sendMessage({ action: 'getDevice' }));
+    } catch (error) {
+        console.error('Error loading options:', error);
+        showStatus('saveStatus', 'Could not load the options', false);
+    }
+});
+
+function displayOptions(settings) {
+    document.getElementById('backendUrl').value = settings.backendUrl;
+    document.getElementById('syncEnabled').checked = settings.syncEnabled;
+    document.getElementById('idleThreshold').value = settings.idleThreshold;
+    document.getElementById('retentionDays').value = settings.retentionDays;
+    document.getElementById('privateDomains').value = settings.privateDomains.join('\n');
+    document.getElementById('excludedDomains').value = settings.excludedDomains.join('\n');
+}
+
+function displayDevice(device) {
+    document.getElementById('deviceName').value = device.name;
+    document.getElementById('deviceInfo').textContent = `${device.browser} · device id ${device.id}`;
+}
+
+// Sites of a one-per-line list
+function siteList(id) {
+    return document.getElementById(id).value.split('\n').map(site => site.trim()).filter(Boolean);
+}
+
+function showStatus(id, message, ok) {
+    const element = document.getElementById(id);
+    element.textContent = message;
+    element.className = `status ${ok ? 'ok' : 'error'}`;
+}
+
+// Call /health on the entered URL, without saving it
+async function testConnection() {
+    const serverUrl = TrackerApi.normalizeServerUrl(document.getElementById('backendUrl').value);
+    if (!serverUrl) {
+        showStatus('connectionStatus', 'Enter a URL starting with http:// or https://', false);
+        return;
+    }
+    
+    showStatus('connectionStatus', 'Testing…', true);
+    const result = await TrackerApi.checkHealth(serverUrl);
+    showStatus('connectionStatus', result.ok ? `Connected, server up for ${formatUptime(result.uptime)}` : result.error, result.ok);
+}
+
+function formatUptime(seconds) {
+    const minutes = Math.floor((seconds || 0) / 60);
+    if (minutes < 1) return 'less than a minute';
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Access to a server the manifest doesn't already cover; the user may refuse
+function requestHostPermission(serverUrl) {
+    const origin = TrackerApi.originPattern(serverUrl);
+    if (chrome.runtime.getManifest().host_permissions.includes(origin)) return Promise.resolve(true);
+    return chrome.permissions.request({ origins: [origin] }).catch(error => {
+        console.warn('Host permission request failed:', error);
+        return false;
+    });
+}
+
+async function saveOptions(event) {
+    event.preventDefault();
+    
+    const serverUrl = TrackerApi.normalizeServerUrl(document.getElementById('backendUrl').value);
+    if (!serverUrl) {
+        showStatus('saveStatus', 'Enter a server URL starting with http:// or https://', false);
+        return;
+    }
+    // Asked first, while the click still counts as a user gesture
+    const granted = await requestHostPermission(serverUrl);
+    
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            settings: {
+                backendUrl: serverUrl,
+                syncEnabled: document.getElementById('syncEnabled').checked,
+                idleThreshold: parseInt(document.getElementById('idleThreshold').value),
+                retentionDays: parseInt(document.getElementById('retentionDays').value),
+                privateDomains: siteList('privateDomains'),
+                excludedDomains: siteList('excludedDomains')
+            }
+        });
+        if (!response || !response.success) {
+            showStatus('saveStatus', (response && response.error) || 'Failed to save options', false);
+            return;
+        }
+        
+        const deviceResponse = await chrome.runtime.sendMessage({
+            action: 'updateDevice',
+            device: { name: document.getElementById('deviceName').value }
+        });
+        if (!deviceResponse || !deviceResponse.success) {
+            showStatus('saveStatus', (deviceResponse && deviceResponse.error) || 'Failed to rename this device', false);
+            return;
+        }
+        
+        displayOptions(response.settings);
+        displayDevice(deviceResponse.device);
+        showStatus('saveStatus', granted
+            ? 'Options saved'
+            : 'Options saved. Without access to this server, it must accept requests from the extension (CORS).', true);
+    } catch (error) {
+        console.error('Error saving options:', error);
+        showStatus('saveStatus', 'Failed to save options', false);
+    }
+}
@@ -5,6 +5,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
 let currentStatus = null;
 let sessionTimer = null;
+let focusStatus = null;
+let categories = TrackerCategories.DEFAULT_CATEGORIES;
 
 // Initialize popup interface
 async function initializePopup() {
@@ -15,6 +17,12 @@ async function initializePopup() {
         // Load current status
         await loadCurrentStatus();
         
+        // Load focus session
+        await loadFocusStatus();
+        
+        // Load category definitions
+        categories = await TrackerStorage.getCategories();
+        
         // Load today's data
         await loadTodayData();
         
@@ -24,6 +32,12 @@ async function initializePopup() {
         // Load settings
         await loadSettings();
         
+        // Fill the Log Time form
+        await displayManualForm();
+        
+        // Load account state
+        await loadAccount();
+        
         // Set up event listeners
         setupEventListeners();
         
@@ -78,6 +92,10 @@ function updateStatusDisplay() {
         statusDot.style.background = '#4CAF50';
         statusText.textContent = 'Tracking';
         currentSite.textContent = currentStatus.currentSite || 'Unknown';
+    } else if (currentStatus.state === 'idle') {
+        statusDot.style.background = '#ff9800';
+        statusText.textContent = 'Paused (idle)';
+        currentSite.textContent = currentStatus.currentSite || '-';
     } else {
         statusDot.style.background = '#f44336';
         statusText.textContent = 'Idle';
@@ -89,46 +107,119 @@ function updateStatusDisplay() {
 function startSessionTimer() {
     sessionTimer = setInterval(() => {
         if (currentStatus && currentStatus.isTracking && currentStatus.startTime) {
-            const elapsed = Date.now() - currentStatus.startTime;
+            const elapsed = Math.floor((Date.now() - currentStatus.startTime) / 1000);
             const sessionTime = document.getElementById('sessionTime');
             sessionTime.textContent = formatTime(elapsed);
         }
+        updateFocusDisplay();
     }, 1000);
 }
 
+// Load the running focus session, if any
+async function loadFocusStatus() {
+    try {
+        focusStatus = await chrome.runtime.sendMessage({ action: 'getFocusStatus' });
+        updateFocusDisplay();
+    } catch (error) {
+        console.error('Error loading focus status:', error);
+    }
+}
+
+// Show the setup fields, or the countdown while a session runs
+function updateFocusDisplay() {
+    const focus = focusStatus && focusStatus.focus;
+    const toggleBtn = document.getElementById('toggleBtn');
+    const pauseBtn = document.getElementById('pauseBtn');
+    
+    document.getElementById('focusSetup').style.display = focus ? 'none' : 'flex';
+    document.getElementById('focusRunning').style.display = focus ? 'flex' : 'none';
+    toggleBtn.textContent = focus ? 'End Focus' : 'Start Focus';
+    toggleBtn.classList.toggle('active', Boolean(focus));
+    
+    if (!focus) {
+        pauseBtn.style.display = 'none';
+        return;
+    }
+    
+    const remaining = Math.max(0, Math.ceil((focus.phaseEndsAt - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    document.getElementById('focusCountdown').textContent =
+        `${String(minutes).padStart(2, '0')}:${String(remaining % 60).padStart(2, '0')}`;
+    document.getElementById('focusPhase').textContent = focus.phase === 'break'
+        ? `Break · next round ${focus.cycle + 1}/${focus.cycles}`
+        : `Focus · round ${focus.cycle}/${focus.cycles}`;
+    
+    const isLastRound = focus.phase === 'focus' && focus.cycle >= focus.cycles;
+    pauseBtn.style.display = isLastRound ? 'none' : '';
+    pauseBtn.textContent = focus.phase === 'break' ? 'Back to focus' : 'Take a break';
+}
+
+// Start a focus session with the entered durations, or end the running one
+async function toggleFocus() {
+    try {
+        if (focusStatus && focusStatus.active) {
+            if (!confirm('End this focus session early? It will be recorded as abandoned.')) return;
+            focusStatus = await chrome.runtime.sendMessage({ action: 'stopFocus' });
+        } else {
+            const response = await chrome.runtime.sendMessage({
+                action: 'startFocus',
+                options: {
+                    focusMinutes: document.getElementById('focusMinutes').value,
+                    breakMinutes: document.getElementById('breakMinutes').value,
+                    cycles: document.getElementById('focusCycles').value
+                }
+            });
+            if (!response.success) throw new Error(response.error);
+            focusStatus = response;
+        }
+        updateFocusDisplay();
+    } catch (error) {
+        console.error('Error toggling focus:', error);
+        showError(error.message || 'Failed to update focus session');
+    }
+}
+
+// Start the break early, or end it early
+async function skipFocusPhase() {
+    try {
+        focusStatus = await chrome.runtime.sendMessage({ action: 'skipFocusPhase' });
+        updateFocusDisplay();
+    } catch (error) {
+        console.error('Error skipping focus phase:', error);
+    }
+}
+
 // Load today's data
 async function loadTodayData() {
     try {
-        const today = new Date().toISOString().split('T')[0];
-        const timeData = await chrome.runtime.sendMessage({ 
-            action: 'getTimeData', 
-            date: today 
-        });
+        await TrackerStorage.ready();
+        const today = TrackerStorage.dateKey();
+        const entries = await TrackerStorage.getEntries(today, today);
         
-        displayTodayData(timeData);
+        displayTodayData(entries);
     } catch (error) {
         console.error('Error loading today data:', error);
     }
 }
 
-// Display today's data
-function displayTodayData(timeData) {
+// Display today's data (one entry per website and category)
+function displayTodayData(entries) {
     let productiveTime = 0;
     let unproductiveTime = 0;
-    let totalTime = 0;
     
-    const websites = Object.entries(timeData).map(([domain, data]) => {
-        totalTime += data.totalTime;
+    const websites = entries.map(entry => {
+        const category = TrackerCategories.find(categories, entry.category);
         
-        if (data.category === 'productive') {
-            productiveTime += data.totalTime;
-        } else if (data.category === 'unproductive') {
-            unproductiveTime += data.totalTime;
+        if (TrackerCategories.isProductive(category)) {
+            productiveTime += entry.duration;
+        } else if (TrackerCategories.isUnproductive(category)) {
+            unproductiveTime += entry.duration;
         }
         
         return {
-            domain,
-            ...data
+            domain: entry.hostname,
+            category,
+            totalTime: entry.duration
         };
     });
     
@@ -139,8 +230,9 @@ function displayTodayData(timeData) {
     document.getElementById('productiveTime').textContent = formatTime(productiveTime);
     document.getElementById('unproductiveTime').textContent = formatTime(unproductiveTime);
     
-    // Update productivity score
-    const productivityScore = totalTime > 0 ? Math.round((productiveTime / totalTime) * 100) : 0;
+    // Update productivity score (weighted by category)
+    const totals = TrackerCategories.totalsByCategory(entries);
+    const productivityScore = TrackerCategories.productivityScore(totals, categories).score;
     document.getElementById('productivityScore').textContent = productivityScore + '%';
     document.getElementById('scoreFill').style.width = productivityScore + '%';
     
@@ -164,10 +256,10 @@ function displayWebsiteList(websites) {
     }
     
     websiteList.innerHTML = websites.slice(0, 5).map(website => `
-        <div class="website-item ${website.category}">
+        <div class="website-item ${escapeHtml(website.category.key)}" style="border-left-color: ${escapeHtml(website.category.color)}">
             <div class="website-info">
-                <div class="website-name">${website.domain}</div>
-                <div class="website-category">${website.category}</div>
+                <div class="website-name">${escapeHtml(website.domain)}</div>
+                <div class="website-category">${escapeHtml(website.category.name)}</div>
             </div>
             <div class="website-time">${formatTime(website.totalTime)}</div>
         </div>
@@ -187,35 +279,35 @@ async function loadWeeklyData() {
 // Get weekly data
 async function getWeeklyData() {
     const weekData = [];
-    const today = new Date();
+    await TrackerStorage.ready();
+    const today = TrackerStorage.dateKey();
     
     for (let i = 6; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = TrackerStorage.addDays(today, -i);
+        // Noon UTC of the day key, so the weekday name doesn't depend on the browser's timezone
+        const date = new Date(`${dateStr}T12:00:00Z`);
         
-        const dayData = await chrome.runtime.sendMessage({ 
-            action: 'getTimeData', 
-            date: dateStr 
-        });
+        const dayEntries = await TrackerStorage.getEntries(dateStr, dateStr);
         
         let productiveTime = 0;
         let unproductiveTime = 0;
         
-        Object.values(dayData).forEach(data => {
-            if (data.category === 'productive') {
-                productiveTime += data.totalTime;
-            } else if (data.category === 'unproductive') {
-                unproductiveTime += data.totalTime;
+        dayEntries.forEach(entry => {
+            const category = TrackerCategories.find(categories, entry.category);
+            if (TrackerCategories.isProductive(category)) {
+                productiveTime += entry.duration;
+            } else if (TrackerCategories.isUnproductive(category)) {
+                unproductiveTime += entry.duration;
             }
         });
         
         weekData.push({
             date: dateStr,
-            day: date.toLocaleDateString('en-US', { weekday: 'short' }),
+            day: date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }),
             productiveTime,
             unproductiveTime,
-            totalTime: productiveTime + unproductiveTime
+            totalTime: productiveTime + unproductiveTime,
+            totals: TrackerCategories.totalsByCategory(dayEntries)
         });
     }
     
@@ -229,7 +321,13 @@ function displayWeeklyData(weekData) {
     const totalProductiveTime = weekData.reduce((sum, day) => sum + day.productiveTime, 0);
     const totalUnproductiveTime = weekData.reduce((sum, day) => sum + day.unproductiveTime, 0);
     const totalTime = totalProductiveTime + totalUnproductiveTime;
-    const avgProductivityScore = totalTime > 0 ? Math.round((totalProductiveTime / totalTime) * 100) : 0;
+    const weekTotals = {};
+    weekData.forEach(day => {
+        Object.entries(day.totals).forEach(([key, time]) => {
+            weekTotals[key] = (weekTotals[key] || 0) + time;
+        });
+    });
+    const avgProductivityScore = TrackerCategories.productivityScore(weekTotals, categories).score;
     
     weekStats.innerHTML = `
         <div class="week-stat">
@@ -292,64 +390,265 @@ function drawWeeklyChart(weekData) {
 // Load settings
 async function loadSettings() {
     try {
-        const result = await chrome.storage.local.get(['categories']);
-        const categories = result.categories || { productive: [], unproductive: [] };
+        const rules = await TrackerStorage.getRules();
+        const settings = await TrackerStorage.getSettings();
         
-        displayCategories(categories);
+        displayCategoryOptions();
+        displayRules(rules);
+        displayFocusSettings(settings);
+        displayDaySettings(settings);
+        await displayLimits(await TrackerStorage.getLimits());
     } catch (error) {
         console.error('Error loading settings:', error);
     }
 }
 
-// Display categories
-function displayCategories(categories) {
-    const productiveList = document.getElementById('productiveList');
-    const unproductiveList = document.getElementById('unproductiveList');
+// Fill the rule and limit forms' category selects
+function displayCategoryOptions() {
+    const options = categories.map(category => `
+        <option value="${escapeHtml(category.key)}">${escapeHtml(category.name)}</option>
+    `).join('');
+    document.getElementById('ruleCategory').innerHTML = options;
+    document.getElementById('limitCategory').innerHTML = options;
+}
+
+// Display category rules in evaluation order
+function displayRules(rules) {
+    const ruleList = document.getElementById('ruleList');
+    const ordered = CategoryRules.sortRules(rules);
     
-    productiveList.innerHTML = categories.productive.map(site => `
-        <div class="category-item">
-            <span>${site}</span>
-            <button class="remove-btn" data-category="productive" data-site="${site}">Remove</button>
+    if (ordered.length === 0) {
+        ruleList.innerHTML = '<div class="category-item"><span>No rules yet</span></div>';
+        return;
+    }
+    
+    ruleList.innerHTML = ordered.map(rule => {
+        const category = TrackerCategories.find(categories, rule.category);
+        return `
+        <div class="category-item rule-item" style="border-left: 3px solid ${escapeHtml(category.color)}">
+            <span class="rule-description" title="${escapeHtml(rule.type)}">${escapeHtml(CategoryRules.describeRule(rule))}</span>
+            <span class="rule-meta">${escapeHtml(category.name)} · ${rule.priority || 0}</span>
+            <button class="remove-btn" data-index="${rules.indexOf(rule)}">Remove</button>
         </div>
+    `;
+    }).join('');
+    
+    // Add event listeners for remove buttons
+    ruleList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeRule(Number(btn.dataset.index));
+        });
+    });
+}
+
+// Display daily limits with today's usage
+async function displayLimits(limits) {
+    const limitList = document.getElementById('limitList');
+    
+    if (limits.length === 0) {
+        limitList.innerHTML = '<div class="category-item"><span>No limits yet</span></div>';
+        return;
+    }
+    
+    const today = await TrackerStorage.getDayData();
+    limitList.innerHTML = limits.map((limit, index) => {
+        const name = limit.type === 'category' ? TrackerCategories.find(categories, limit.target).name : null;
+        const used = TrackerLimits.usage(limit, today);
+        const state = TrackerLimits.status(limit, used) || '';
+        return `
+        <div class="category-item rule-item">
+            <span class="rule-description">${escapeHtml(TrackerLimits.describeLimit(limit, name))}${limit.block ? ' 🔒' : ''}</span>
+            <span class="limit-usage ${state}">${formatTime(used)} used</span>
+            <button class="remove-btn" data-index="${index}">Remove</button>
+        </div>
+    `;
+    }).join('');
+    
+    limitList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeLimit(Number(btn.dataset.index));
+        });
+    });
+}
+
+async function addLimitFromForm() {
+    const type = document.getElementById('limitType').value;
+    const limit = {
+        type,
+        target: type === 'site'
+            ? TrackerLimits.normalizeSite(document.getElementById('limitSite').value)
+            : document.getElementById('limitCategory').value,
+        minutes: parseInt(document.getElementById('limitMinutes').value, 10),
+        block: document.getElementById('limitBlock').checked
+    };
+    
+    const error = TrackerLimits.validateLimit(limit);
+    if (error) {
+        showError(error);
+        return;
+    }
+    
+    try {
+        // One limit per site or category; adding it again replaces the old budget
+        const limits = (await TrackerStorage.getLimits())
+            .filter(existing => TrackerLimits.limitKey(existing) !== TrackerLimits.limitKey(limit));
+        await saveLimits([...limits, limit]);
+        document.getElementById('limitSite').value = '';
+    } catch (error) {
+        console.error('Error adding limit:', error);
+    }
+}
+
+async function removeLimit(index) {
+    try {
+        const limits = await TrackerStorage.getLimits();
+        limits.splice(index, 1);
+        await saveLimits(limits);
+    } catch (error) {
+        console.error('Error removing limit:', error);
+    }
+}
+
+// Store limits through the background worker and push them to the backend when signed in
+async function saveLimits(limits) {
+    await chrome.runtime.sendMessage({ action: 'updateLimits', limits });
+    await displayLimits(limits);
+    
+    if (await TrackerApi.isLoggedIn()) {
+        TrackerApi.request('/limits', { method: 'PUT', body: { limits } })
+            .catch(error => console.warn('Could not sync limits:', error.message));
+    }
+}
+
+// Fill the focus durations and the allowlist
+// Timezone and day start used to split time into days
+function displayDaySettings(settings) {
+    const timezoneSelect = document.getElementById('timezoneSelect');
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!zones.includes(settings.timezone)) zones.unshift(settings.timezone);
+    timezoneSelect.innerHTML = zones.map(zone => `
+        <option value="${escapeHtml(zone)}">${escapeHtml(zone.replace(/_/g, ' '))}</option>
+    `).join('');
+    timezoneSelect.value = settings.timezone;
+    
+    const hourSelect = document.getElementById('dayStartHour');
+    hourSelect.innerHTML = Array.from({ length: 24 }, (_, hour) => `
+        <option value="${hour}">${String(hour).padStart(2, '0')}:00</option>
     `).join('');
+    hourSelect.value = String(settings.dayStartHour);
+}
+
+async function saveDaySettings() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            settings: {
+                timezone: document.getElementById('timezoneSelect').value,
+                dayStartHour: parseInt(document.getElementById('dayStartHour').value)
+            }
+        });
+        if (!response || !response.success) {
+            showError((response && response.error) || 'Failed to save day settings');
+            return;
+        }
+        
+        await loadTodayData();
+        await loadWeeklyData();
+        showSuccess('Day settings saved');
+    } catch (error) {
+        console.error('Error saving day settings:', error);
+        showError('Failed to save day settings');
+    }
+}
+
+function displayFocusSettings(settings) {
+    document.getElementById('focusMinutes').value = settings.focusMinutes;
+    document.getElementById('breakMinutes').value = settings.breakMinutes;
+    document.getElementById('focusCycles').value = settings.focusCycles;
+    
+    const allowList = document.getElementById('allowList');
+    if (settings.focusAllowlist.length === 0) {
+        allowList.innerHTML = '<div class="category-item"><span>Nothing allowlisted</span></div>';
+        return;
+    }
     
-    unproductiveList.innerHTML = categories.unproductive.map(site => `
+    allowList.innerHTML = settings.focusAllowlist.map(site => `
         <div class="category-item">
-            <span>${site}</span>
-            <button class="remove-btn" data-category="unproductive" data-site="${site}">Remove</button>
+            <span>${escapeHtml(site)}</span>
+            <button class="remove-btn" data-site="${escapeHtml(site)}">Remove</button>
         </div>
     `).join('');
     
-    // Add event listeners for remove buttons
-    document.querySelectorAll('.remove-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            removeWebsiteFromCategory(btn.dataset.category, btn.dataset.site);
-        });
+    allowList.querySelectorAll('.remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => removeAllowedSite(btn.dataset.site));
     });
 }
 
+async function addAllowedSite() {
+    const input = document.getElementById('allowInput');
+    const site = CategoryRules.normalizeHostname(input.value.trim().replace(/^https?:\/\//, '').split('/')[0]);
+    if (!site) return;
+    
+    try {
+        const { focusAllowlist } = await TrackerStorage.getSettings();
+        if (!focusAllowlist.includes(site)) {
+            await chrome.runtime.sendMessage({
+                action: 'updateSettings',
+                settings: { focusAllowlist: [...focusAllowlist, site] }
+            });
+        }
+        input.value = '';
+        displayFocusSettings(await TrackerStorage.getSettings());
+    } catch (error) {
+        console.error('Error updating allowlist:', error);
+        showError('Failed to update allowlist');
+    }
+}
+
+async function removeAllowedSite(site) {
+    try {
+        const { focusAllowlist } = await TrackerStorage.getSettings();
+        await chrome.runtime.sendMessage({
+            action: 'updateSettings',
+            settings: { focusAllowlist: focusAllowlist.filter(item => item !== site) }
+        });
+        displayFocusSettings(await TrackerStorage.getSettings());
+    } catch (error) {
+        console.error('Error updating allowlist:', error);
+        showError('Failed to update allowlist');
+    }
+}
+
 // Setup event listeners
 function setupEventListeners() {
-    // Add productive website
-    document.getElementById('addProductive').addEventListener('click', () => {
-        const input = document.getElementById('productiveInput');
-        const website = input.value.trim();
-        if (website) {
-            addWebsiteToCategory('productive', website);
-            input.value = '';
-        }
+    // Focus mode
+    document.getElementById('toggleBtn').addEventListener('click', toggleFocus);
+    document.getElementById('pauseBtn').addEventListener('click', skipFocusPhase);
+    document.getElementById('addAllow').addEventListener('click', addAllowedSite);
+    document.getElementById('saveDaySettings').addEventListener('click', saveDaySettings);
+    document.getElementById('allowInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addAllowedSite();
     });
     
-    // Add unproductive website
-    document.getElementById('addUnproductive').addEventListener('click', () => {
-        const input = document.getElementById('unproductiveInput');
-        const website = input.value.trim();
-        if (website) {
-            addWebsiteToCategory('unproductive', website);
-            input.value = '';
-        }
+    // Add category rule
+    document.getElementById('addRule').addEventListener('click', addRuleFromForm);
+    
+    // Daily limits
+    document.getElementById('addLimit').addEventListener('click', addLimitFromForm);
+    document.getElementById('limitType').addEventListener('change', (e) => {
+        const isSite = e.target.value === 'site';
+        document.getElementById('limitSite').style.display = isSite ? '' : 'none';
+        document.getElementById('limitCategory').style.display = isSite ? 'none' : '';
     });
     
+    // Manual time
+    document.getElementById('logManual').addEventListener('click', logManualEntry);
+    
+    // Account
+    document.getElementById('loginBtn').addEventListener('click', () => signIn('login'));
+    document.getElementById('registerBtn').addEventListener('click', () => signIn('register'));
+    document.getElementById('logoutBtn').addEventListener('click', signOut);
+    
     // Export data
     document.getElementById('exportData').addEventListener('click', exportData);
     
@@ -359,61 +658,181 @@ function setupEventListeners() {
     // Open dashboard
     document.getElementById('openDashboard').addEventListener('click', openDashboard);
     
+    // Server, sync, idle and retention options
+    document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    
     // Handle Enter key in inputs
-    document.getElementById('productiveInput').addEventListener('keypress', (e) => {
+    document.getElementById('rulePattern').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            document.getElementById('addProductive').click();
+            document.getElementById('addRule').click();
         }
     });
+}
+
+// Fill the Log Time form's selects and default it to the last hour
+async function displayManualForm() {
+    const projects = await TrackerStorage.getProjects();
+    document.getElementById('manualCategory').innerHTML = categories.map(category => `
+        <option value="${escapeHtml(category.key)}">${escapeHtml(category.name)}</option>
+    `).join('');
+    document.getElementById('manualCategory').value = 'productive';
+    document.getElementById('manualProject').innerHTML = '<option value="">No project</option>' + projects.map(project => `
+        <option value="${escapeHtml(project.id)}">${escapeHtml(project.name)}</option>
+    `).join('');
     
-    document.getElementById('unproductiveInput').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            document.getElementById('addUnproductive').click();
-        }
-    });
+    const now = Date.now();
+    document.getElementById('manualStart').value = TrackerStorage.toWallClock(now - 60 * 60 * 1000);
+    document.getElementById('manualEnd').value = TrackerStorage.toWallClock(now);
+    document.getElementById('manualDescription').value = '';
 }
 
-// Add website to category
-async function addWebsiteToCategory(category, website) {
+// Log time spent away from the browser; times are wall-clock times in the tracker's timezone
+async function logManualEntry() {
     try {
-        const result = await chrome.storage.local.get(['categories']);
-        const categories = result.categories || { productive: [], unproductive: [] };
-        
-        // Remove from other category if exists
-        const otherCategory = category === 'productive' ? 'unproductive' : 'productive';
-        categories[otherCategory] = categories[otherCategory].filter(site => site !== website);
-        
-        // Add to specified category if not already present
-        if (!categories[category].includes(website)) {
-            categories[category].push(website);
+        const response = await chrome.runtime.sendMessage({
+            action: 'logManualEntry',
+            entry: {
+                startedAt: TrackerStorage.fromWallClock(document.getElementById('manualStart').value),
+                endedAt: TrackerStorage.fromWallClock(document.getElementById('manualEnd').value),
+                description: document.getElementById('manualDescription').value.trim(),
+                category: document.getElementById('manualCategory').value,
+                project: document.getElementById('manualProject').value || null
+            }
+        });
+        if (!response || !response.success) {
+            showError((response && response.error) || 'Failed to log time');
+            return;
         }
         
-        await chrome.runtime.sendMessage({ action: 'updateCategories', categories });
-        displayCategories(categories);
+        await displayManualForm();
+        await loadTodayData();
+        await loadWeeklyData();
+        showSuccess(`Logged ${formatTime(response.session.duration)}`);
     } catch (error) {
-        console.error('Error adding website to category:', error);
+        console.error('Error logging time:', error);
+        showError('Failed to log time');
     }
 }
 
-// Remove website from category
-async function removeWebsiteFromCategory(category, website) {
+// Add a rule from the form
+async function addRuleFromForm() {
+    const rule = {
+        type: document.getElementById('ruleType').value,
+        pattern: document.getElementById('rulePattern').value.trim(),
+        category: document.getElementById('ruleCategory').value,
+        priority: parseInt(document.getElementById('rulePriority').value, 10) || 0
+    };
+    const domain = document.getElementById('ruleDomain').value.trim();
+    if (domain) rule.domain = domain;
+    
+    const error = CategoryRules.validateRule(rule);
+    if (error) {
+        showError(error);
+        return;
+    }
+    
     try {
-        const result = await chrome.storage.local.get(['categories']);
-        const categories = result.categories || { productive: [], unproductive: [] };
-        
-        categories[category] = categories[category].filter(site => site !== website);
+        const rules = await TrackerStorage.getRules();
+        await saveRules([...rules, rule]);
+        document.getElementById('rulePattern').value = '';
+        document.getElementById('ruleDomain').value = '';
+    } catch (error) {
+        console.error('Error adding rule:', error);
+    }
+}
+
+// Remove a rule by its index in storage
+async function removeRule(index) {
+    try {
+        const rules = await TrackerStorage.getRules();
+        rules.splice(index, 1);
+        await saveRules(rules);
+    } catch (error) {
+        console.error('Error removing rule:', error);
+    }
+}
+
+// Store rules locally and push them to the backend when signed in
+async function saveRules(rules) {
+    await TrackerStorage.setRules(rules);
+    displayRules(rules);
+    
+    if (await TrackerApi.isLoggedIn()) {
+        TrackerApi.request('/rules', { method: 'PUT', body: { rules } })
+            .catch(error => console.warn('Could not sync rules:', error.message));
+    }
+}
+
+// Load account state
+async function loadAccount() {
+    try {
+        const auth = await TrackerApi.getAuth();
+        document.getElementById('accountSignedIn').style.display = auth ? 'block' : 'none';
+        document.getElementById('accountSignedOut').style.display = auth ? 'none' : 'flex';
         
-        await chrome.runtime.sendMessage({ action: 'updateCategories', categories });
-        displayCategories(categories);
+        if (auth) {
+            document.getElementById('accountEmail').textContent = auth.user ? auth.user.email : '-';
+            const syncStatus = await chrome.runtime.sendMessage({ action: 'getSyncStatus' });
+            displaySyncStatus(syncStatus);
+        }
+    } catch (error) {
+        console.error('Error loading account:', error);
+    }
+}
+
+// Display pending uploads
+function displaySyncStatus(syncStatus) {
+    const element = document.getElementById('syncStatus');
+    if (!syncStatus) {
+        element.textContent = '';
+    } else if (!syncStatus.enabled) {
+        element.textContent = `Sync is off${syncStatus.pending > 0 ? `, ${syncStatus.pending} entries kept on this device` : ''}`;
+    } else if (syncStatus.pending > 0) {
+        element.textContent = `${syncStatus.pending} entries waiting to sync`;
+    } else {
+        element.textContent = 'All entries synced';
+    }
+}
+
+// Sign in or register, then upload anything queued while signed out
+async function signIn(mode) {
+    const email = document.getElementById('emailInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
+    if (!email || !password) {
+        showError('Enter your email and password');
+        return;
+    }
+    
+    try {
+        if (mode === 'register') {
+            await TrackerApi.register(email, password);
+        } else {
+            await TrackerApi.login(email, password);
+        }
+        document.getElementById('passwordInput').value = '';
+        await chrome.runtime.sendMessage({ action: 'syncNow' });
+        await chrome.runtime.sendMessage({ action: 'syncPreferences' });
+        await loadAccount();
     } catch (error) {
-        console.error('Error removing website from category:', error);
+        console.error('Error signing in:', error);
+        showError(error.message);
+    }
+}
+
+// Sign out
+async function signOut() {
+    try {
+        await TrackerApi.logout();
+        await loadAccount();
+    } catch (error) {
+        console.error('Error signing out:', error);
     }
 }
 
 // Export data
 async function exportData() {
     try {
-        const allData = await chrome.storage.local.get(null);
+        const { auth, ...allData } = await chrome.storage.local.get(null);
         const exportData = {
             exportDate: new Date().toISOString(),
             data: allData
@@ -435,16 +854,33 @@ async function exportData() {
 }
 
 // Clear all data
+// Clear this device's tracking data; when signed in, offer to delete the server copy as well
 async function clearAllData() {
-    if (confirm('Are you sure you want to clear all tracking data? This cannot be undone.')) {
-        try {
-            await chrome.storage.local.clear();
-            await initializePopup();
-            showSuccess('All data cleared successfully');
-        } catch (error) {
-            console.error('Error clearing data:', error);
-            showError('Failed to clear data');
-        }
+    if (!confirm('Are you sure you want to clear all tracking data on this device? This cannot be undone.')) return;
+    
+    try {
+        await TrackerStorage.clearTimeData();
+        await loadTodayData();
+        await loadWeeklyData();
+    } catch (error) {
+        console.error('Error clearing data:', error);
+        showError('Failed to clear data');
+        return;
+    }
+    
+    const auth = await TrackerApi.getAuth();
+    const account = auth && auth.user ? auth.user.email : 'your account';
+    if (!auth || !confirm(`Also delete ${account} and everything stored for it on the server? This cannot be undone either.`)) {
+        showSuccess('All data cleared successfully');
+        return;
+    }
+    
+    const response = await chrome.runtime.sendMessage({ action: 'deleteServerAccount' });
+    await loadAccount();
+    if (response && response.success) {
+        showSuccess('All data cleared here and on the server');
+    } else {
+        showError(`Local data was cleared, but the server copy was not: ${(response && response.error) || 'unknown error'}`);
     }
 }
 
@@ -455,9 +891,9 @@ function openDashboard() {
     });
 }
 
-// Utility functions
-function formatTime(milliseconds) {
-    const seconds = Math.floor(milliseconds / 1000);
+// Utility functions (times are stored in seconds)
+function formatTime(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
     
@@ -470,6 +906,12 @@ function formatTime(milliseconds) {
     }
 }
 
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 function showError(message) {
     // Simple error display - you could enhance this with a proper notification system
     console.error(message);
@@ -482,6 +924,15 @@ function showSuccess(message) {
     alert('Success: ' + message);
 }
 
+// Follow focus phase changes made while the popup is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.focusState) {
+        const focus = changes.focusState.newValue || null;
+        focusStatus = { active: Boolean(focus), focus };
+        updateFocusDisplay();
+    }
+});
+
 // Cleanup on popup close
 window.addEventListener('beforeunload', () => {
     if (sessionTimer) {
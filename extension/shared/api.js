@@ -0,0 +1,151 @@
+// api.js – authenticated access to the backend API
+//
+// Tokens from /api/auth are kept under `auth` in chrome.storage.local as
+// { accessToken, refreshToken, user }. request() attaches the access token and
+// refreshes it once when the backend answers 401.
+// The server is `settings.backendUrl` (see the options page); its API lives
+// under /api and its health check at /health.
+// storage.js must be loaded first.
+
+const TrackerApi = (() => {
+  const HEALTH_TIMEOUT = 5000; // ms before a connection test gives up
+
+  let refreshing = null;
+
+  // http(s) server URL without query, fragment or trailing slashes; null if invalid
+  function normalizeServerUrl(value) {
+    try {
+      const url = new URL(String(value).trim());
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // Host permission pattern covering a server, e.g. https://tracker.example.com/*
+  function originPattern(serverUrl) {
+    return `${new URL(serverUrl).origin}/*`;
+  }
+
+  async function getServerUrl() {
+    const { backendUrl } = await TrackerStorage.getSettings();
+    return normalizeServerUrl(backendUrl) || TrackerStorage.DEFAULT_SETTINGS.backendUrl;
+  }
+
+  async function apiUrl(path) {
+    return `${await getServerUrl()}/api${path}`;
+  }
+
+  // Call a server's /health endpoint: { ok, status?, uptime?, error? }
+  async function checkHealth(serverUrl) {
+    try {
+      const response = await fetch(`${serverUrl}/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT) });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) return { ok: false, status: response.status, error: `Server answered ${response.status}` };
+      if (data.status !== 'OK') return { ok: false, status: response.status, error: 'Not a Productivity Tracker server' };
+      return { ok: true, status: response.status, uptime: data.uptime };
+    } catch (err) {
+      return { ok: false, error: err.name === 'TimeoutError' ? 'No answer within 5 seconds' : 'Could not reach the server' };
+    }
+  }
+
+  async function getAuth() {
+    const result = await chrome.storage.local.get(['auth']);
+    return result.auth || null;
+  }
+
+  async function setAuth({ accessToken, refreshToken, user }) {
+    const auth = { accessToken, refreshToken, user };
+    await chrome.storage.local.set({ auth });
+    return auth;
+  }
+
+  async function logout() {
+    await chrome.storage.local.remove(['auth']);
+  }
+
+  async function isLoggedIn() {
+    return Boolean(await getAuth());
+  }
+
+  // POST credentials to an /auth route and store the returned tokens
+  async function authenticate(path, credentials) {
+    const response = await fetch(await apiUrl(`/auth/${path}`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return setAuth(data);
+  }
+
+  function register(email, password, name) {
+    return authenticate('register', { email, password, name });
+  }
+
+  function login(email, password) {
+    return authenticate('login', { email, password });
+  }
+
+  // Swap the refresh token for a new pair; concurrent callers share one request
+  async function refresh() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const auth = await getAuth();
+        if (!auth || !auth.refreshToken) return null;
+        try {
+          return await authenticate('refresh', { refreshToken: auth.refreshToken });
+        } catch (err) {
+          if (err.status === 401) await logout(); // refresh token revoked or expired
+          return null;
+        }
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  async function send(path, { method = 'GET', body, headers = {}, signal }, auth) {
+    return fetch(await apiUrl(path), {
+      method,
+      signal,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(auth ? { Authorization: `Bearer ${auth.accessToken}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  }
+
+  // fetch() against the API with the stored access token
+  async function request(path, options = {}) {
+    const auth = await getAuth();
+    const response = await send(path, options, auth);
+    if (response.status !== 401 || !auth) return response;
+
+    const renewed = await refresh();
+    return renewed ? send(path, options, renewed) : response;
+  }
+
+  return {
+    normalizeServerUrl,
+    originPattern,
+    getServerUrl,
+    checkHealth,
+    getAuth,
+    isLoggedIn,
+    register,
+    login,
+    logout,
+    refresh,
+    request
+  };
+})();
@@ -0,0 +1,98 @@
+// categories.js – category definitions and productivity scoring
+//
+// A category is { key, name, color, weight }. `weight` is how much an hour in
+// the category counts towards the productivity score (0–1); null leaves the
+// category out of the score, as neutral browsing is by default. The defaults
+// and scoring match backend/utils/categories.js.
+
+const TrackerCategories = (() => {
+  const DEFAULT_CATEGORIES = [
+    { key: 'productive', name: 'Productive', color: '#4CAF50', weight: 1 },
+    { key: 'unproductive', name: 'Unproductive', color: '#ff6b6b', weight: 0 },
+    { key: 'neutral', name: 'Neutral', color: '#ffa726', weight: null }
+  ];
+
+  const KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+  const UNKNOWN_COLOR = '#9e9e9e';
+
+  function slugify(name) {
+    return String(name)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40);
+  }
+
+  function isDefault(key) {
+    return DEFAULT_CATEGORIES.some(category => category.key === key);
+  }
+
+  // Defaults overridden by, then followed by, the user's own definitions
+  function merge(custom = []) {
+    const byKey = new Map(DEFAULT_CATEGORIES.map(category => [category.key, { ...category, builtIn: true }]));
+    custom.forEach(({ key, name, color, weight }) => {
+      byKey.set(key, { ...byKey.get(key), key, name, color, weight: weight === undefined ? null : weight });
+    });
+    return [...byKey.values()];
+  }
+
+  // Definition for a key; entries may carry keys of since-deleted categories
+  function find(categories, key) {
+    return categories.find(category => category.key === key) ||
+      { key, name: key, color: UNKNOWN_COLOR, weight: null };
+  }
+
+  function isScored(category) {
+    return category.weight !== null && category.weight !== undefined;
+  }
+
+  function isProductive(category) {
+    return isScored(category) && category.weight >= 0.5;
+  }
+
+  function isUnproductive(category) {
+    return isScored(category) && category.weight < 0.5;
+  }
+
+  // { categoryKey: seconds } from rows with { category, duration }
+  function totalsByCategory(entries) {
+    return entries.reduce((totals, entry) => {
+      totals[entry.category] = (totals[entry.category] || 0) + entry.duration;
+      return totals;
+    }, {});
+  }
+
+  // Weighted share of scored time, 0–100
+  function productivityScore(totals, categories) {
+    let scoredTime = 0;
+    let weightedTime = 0;
+
+    Object.entries(totals).forEach(([key, time]) => {
+      const category = find(categories, key);
+      if (!isScored(category)) return;
+      scoredTime += time;
+      weightedTime += time * category.weight;
+    });
+
+    return {
+      scoredTime,
+      weightedTime,
+      score: scoredTime > 0 ? Math.round((weightedTime / scoredTime) * 100) : 0
+    };
+  }
+
+  return {
+    DEFAULT_CATEGORIES,
+    KEY_PATTERN,
+    slugify,
+    isDefault,
+    merge,
+    find,
+    isScored,
+    isProductive,
+    isUnproductive,
+    totalsByCategory,
+    productivityScore
+  };
+})();
@@ -0,0 +1,261 @@
+// importer.js – parse exported files back into time entries
+//
+// Accepted formats:
+//   popup      the popup's JSON export, { exportDate, data: { timeData_<date>: bucket, … } }
+//   dashboard  the dashboard's JSON export, [{ date, hostname, duration, category, … }]
+//   ndjson     the backend's /api/export/ndjson output
+//   csv        a header row naming at least hostname and duration, plus endedAt,
+//              timestamp or date (the backend's /api/export/csv layout works as is)
+//   history    visits from chrome.history (see parseHistory)
+// Every entry gets a stable clientId so importing the same file twice is caught
+// as a duplicate here, locally and by the backend. rules.js, categories.js and
+// storage.js must be loaded first.
+
+const TrackerImporter = (() => {
+  const TIME_DATA_PREFIX = 'timeData_';
+  const MAX_DURATION = 24 * 60 * 60;
+  const HISTORY_MAX_VISIT = 5 * 60; // seconds a history visit counts for at most
+
+  // Small deterministic string hash (cyrb53), used for clientIds of imported entries
+  function hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  // Undo the export's formula guard ('=…)
+  function unguard(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+  }
+
+  // Bucket entries were saved without a time; use the last visit if it fell on that day, else midday
+  function bucketTimestamp(date, lastVisit) {
+    if (lastVisit && TrackerStorage.dateKey(lastVisit) === date) return lastVisit;
+    return new Date(TrackerStorage.dayStart(date) + 12 * 60 * 60 * 1000).toISOString();
+  }
+
+  function fromPopupExport(data) {
+    const raw = [];
+    Object.entries(data).forEach(([key, bucket]) => {
+      if (!key.startsWith(TIME_DATA_PREFIX) || !bucket || typeof bucket !== 'object') return;
+      const date = key.slice(TIME_DATA_PREFIX.length);
+
+      Object.entries(bucket).forEach(([hostname, site]) => {
+        const byCategory = site.byCategory || { [site.category || 'neutral']: { totalTime: site.totalTime } };
+        Object.entries(byCategory).forEach(([category, part]) => {
+          raw.push({
+            hostname,
+            duration: part.totalTime,
+            category,
+            title: site.title,
+            timestamp: bucketTimestamp(date, site.lastVisit),
+            source: `${key} · ${hostname}`
+          });
+        });
+      });
+    });
+    // Exports made before the day buckets still carry the old dashboard list
+    (Array.isArray(data.timeEntries) ? data.timeEntries : []).forEach((entry, index) => {
+      raw.push({ ...entry, timestamp: entry.date, source: `timeEntries[${index}]` });
+    });
+    return raw;
+  }
+
+  function fromDashboardExport(rows) {
+    return rows.map((row, index) => ({
+      ...row,
+      timestamp: /^\d{4}-\d{2}-\d{2}$/.test(row.date || '') ? bucketTimestamp(row.date, row.lastVisit) : row.date,
+      source: `row ${index + 1}`
+    }));
+  }
+
+  function fromNdjson(text) {
+    return text.split(/\r?\n/).map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        const row = JSON.parse(line);
+        return { ...row, timestamp: row.endedAt || row.timestamp, source: `line ${index + 1}` };
+      } catch {
+        return { error: 'Not valid JSON', source: `line ${index + 1}` };
+      }
+    }).filter(Boolean);
+  }
+
+  function fromCsv(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+    const columns = header.map(name => name.trim());
+
+    return rows.map((cells, index) => {
+      const row = {};
+      columns.forEach((column, i) => { row[column] = unguard((cells[i] || '').trim()); });
+      return {
+        ...row,
+        timestamp: row.endedAt || row.timestamp || row.date,
+        source: `line ${index + 2}`
+      };
+    });
+  }
+
+  // Browser-history visits ({ url, title, visitTime }) as sessions. History doesn't
+  // record how long a page was open, so a visit lasts until the next one, at most
+  // HISTORY_MAX_VISIT; visits left within a second (redirects, reloads) are dropped.
+  function fromHistory(visits, rules) {
+    const sorted = visits
+      .filter(visit => /^https?:\/\//i.test(visit.url || '') && Number.isFinite(visit.visitTime))
+      .sort((a, b) => a.visitTime - b.visitTime);
+
+    const raw = [];
+    sorted.forEach((visit, index) => {
+      const next = sorted[index + 1];
+      const gap = next ? Math.floor((next.visitTime - visit.visitTime) / 1000) : HISTORY_MAX_VISIT;
+      const duration = Math.min(gap, HISTORY_MAX_VISIT);
+      if (duration < 1) return;
+
+      const page = { url: visit.url, hostname: CategoryRules.normalizeHostname(new URL(visit.url).hostname), title: visit.title || '' };
+      raw.push({
+        ...page,
+        duration,
+        category: CategoryRules.categorize(page, rules),
+        startedAt: new Date(visit.visitTime).toISOString(),
+        timestamp: new Date(visit.visitTime + duration * 1000).toISOString(),
+        clientId: `history-${hash(`${visit.url}|${visit.visitTime}`)}`,
+        source: `history · ${new Date(visit.visitTime).toLocaleString()}`
+      });
+    });
+    return raw;
+  }
+
+  function detectFormat(text, filename = '') {
+    const trimmed = text.trim();
+    if (/\.csv$/i.test(filename)) return 'csv';
+    if (/\.ndjson$/i.test(filename)) return 'ndjson';
+    if (trimmed.startsWith('[')) return 'dashboard';
+    if (trimmed.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        return parsed && parsed.data && typeof parsed.data === 'object' ? 'popup' : 'ndjson';
+      } catch {
+        return 'ndjson';
+      }
+    }
+    return 'csv';
+  }
+
+  // A valid entry for /time-entries/bulk, or an error message
+  function normalize(raw) {
+    if (raw.error) return { error: raw.error };
+
+    const hostname = String(raw.hostname || '').trim().toLowerCase().replace(/^www\./, '');
+    if (!hostname || hostname.length > 253 || /\s/.test(hostname)) return { error: 'Missing or invalid hostname' };
+
+    const duration = Math.round(Number(raw.duration));
+    if (!Number.isFinite(duration) || duration < 1) return { error: 'Duration must be at least 1 second' };
+    if (duration > MAX_DURATION) return { error: 'Duration is longer than a day' };
+
+    const category = raw.category ? String(raw.category).trim() : 'neutral';
+    if (!TrackerCategories.KEY_PATTERN.test(category)) return { error: `Invalid category "${category}"` };
+
+    const time = new Date(raw.timestamp);
+    if (!raw.timestamp || Number.isNaN(time.getTime())) return { error: 'Missing or invalid date' };
+    if (time.getTime() > Date.now() + 60 * 1000) return { error: 'Date is in the future' };
+    const timestamp = time.toISOString();
+
+    const entry = { hostname, duration, category, timestamp };
+    const startedAt = raw.startedAt && new Date(raw.startedAt);
+    if (startedAt && startedAt < time) entry.startedAt = startedAt.toISOString();
+    if (raw.title) entry.title = String(raw.title).slice(0, 500);
+    if (raw.url && /^https?:\/\//i.test(raw.url)) entry.url = String(raw.url).slice(0, 2048);
+    entry.clientId = raw.clientId && String(raw.clientId).length <= 64
+      ? String(raw.clientId)
+      : `import-${hash(`${timestamp}|${hostname}|${category}|${duration}`)}`;
+    return { entry };
+  }
+
+  // Parse a file into rows of { source, entry } or { source, error }, with duplicates within the file flagged
+  function parse(text, filename) {
+    const format = detectFormat(text, filename);
+    let raw;
+    try {
+      if (format === 'popup') raw = fromPopupExport(JSON.parse(text).data);
+      else if (format === 'dashboard') raw = fromDashboardExport(JSON.parse(text));
+      else if (format === 'ndjson') raw = fromNdjson(text);
+      else raw = fromCsv(text);
+    } catch (error) {
+      return { format, rows: [], error: `Could not read file: ${error.message}` };
+    }
+    return { format, rows: toRows(raw) };
+  }
+
+  // Browser-history visits as rows like parse()'s, categorized by the rules
+  function parseHistory(visits, rules) {
+    return { format: 'history', rows: toRows(fromHistory(visits, rules)) };
+  }
+
+  // Rows of { source, entry } or { source, error }, with duplicates flagged
+  function toRows(raw) {
+    const seen = new Set();
+    return raw.map(item => {
+      const { entry, error } = normalize(item || {});
+      if (error) return { source: item && item.source, error };
+      if (seen.has(entry.clientId)) return { source: item.source, entry, duplicate: true };
+      seen.add(entry.clientId);
+      return { source: item.source, entry };
+    });
+  }
+
+  return {
+    parse,
+    parseHistory,
+    parseCsv,
+    detectFormat,
+    normalize
+  };
+})();
@@ -0,0 +1,87 @@
+// limits.js – daily time budgets per site or category
+//
+// A limit is { type, target, minutes, block }:
+//   site      target is a hostname, counted with its subdomains  "reddit.com"
+//   category  target is a category key                          "unproductive"
+// Usage is the day's tracked time from the `timeData_<date>` bucket. A warning
+// is due at WARNING_RATIO of the budget and another once it is used up; with
+// `block` set, matching pages are blocked for the rest of the day.
+
+const TrackerLimits = (() => {
+  const LIMIT_TYPES = ['site', 'category'];
+  const WARNING_RATIO = 0.8;
+  const MAX_MINUTES = 24 * 60;
+
+  function normalizeSite(site) {
+    return CategoryRules.normalizeHostname(String(site || '').trim().replace(/^https?:\/\//, '').split('/')[0]);
+  }
+
+  // Identifies a limit across edits, e.g. for de-duplicating notifications
+  function limitKey(limit) {
+    return `${limit.type}:${limit.target}`;
+  }
+
+  // Error message for an invalid limit, or null
+  function validateLimit(limit) {
+    if (!limit || !LIMIT_TYPES.includes(limit.type)) return 'Unknown limit type';
+    if (typeof limit.target !== 'string' || !limit.target.trim()) return 'Site or category is required';
+    const minutes = Number(limit.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MINUTES) return 'Minutes must be between 1 and 1440';
+    return null;
+  }
+
+  function siteMatches(hostname, site) {
+    const host = CategoryRules.normalizeHostname(hostname);
+    return host === site || host.endsWith(`.${site}`);
+  }
+
+  // Whether time on a page ({ hostname, category }) counts towards the limit
+  function appliesTo(limit, { hostname, category }) {
+    return limit.type === 'site'
+      ? siteMatches(hostname, limit.target)
+      : category === limit.target;
+  }
+
+  // Seconds counted towards the limit in a day bucket
+  function usage(limit, bucket) {
+    return Object.entries(bucket || {}).reduce((total, [hostname, data]) => {
+      if (limit.type === 'site') {
+        return siteMatches(hostname, limit.target) ? total + (data.totalTime || 0) : total;
+      }
+      const byCategory = data.byCategory || { [data.category]: { totalTime: data.totalTime } };
+      return total + ((byCategory[limit.target] || {}).totalTime || 0);
+    }, 0);
+  }
+
+  // 'exceeded', 'warning' or null for the given usage in seconds
+  function status(limit, seconds) {
+    const budget = limit.minutes * 60;
+    if (seconds >= budget) return 'exceeded';
+    if (seconds >= budget * WARNING_RATIO) return 'warning';
+    return null;
+  }
+
+  function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    if (hours && minutes % 60) return `${hours}h ${minutes % 60}m`;
+    return hours ? `${hours}h` : `${minutes}m`;
+  }
+
+  function describeLimit(limit, categoryName) {
+    const target = limit.type === 'category' ? `${categoryName || limit.target} total` : limit.target;
+    return `${formatMinutes(limit.minutes)} of ${target} per day`;
+  }
+
+  return {
+    LIMIT_TYPES,
+    WARNING_RATIO,
+    normalizeSite,
+    limitKey,
+    validateLimit,
+    appliesTo,
+    usage,
+    status,
+    formatMinutes,
+    describeLimit
+  };
+})();
@@ -0,0 +1,64 @@
+// privacy.js – what the tracker may record about a page
+//
+// Incognito tabs are never tracked. Settings hold two site lists, each site
+// counted with its subdomains:
+//   excludedDomains  not tracked at all
+//   privateDomains   time is tracked, but no URL or title is stored or synced
+// Every other URL is stored without its query string and fragment, which often
+// carry tokens and search terms.
+// rules.js must be loaded first.
+
+const TrackerPrivacy = (() => {
+  // Hostname from a site as typed: "https://www.Example.com/path" -> "example.com"
+  function normalizeDomain(site) {
+    return CategoryRules.normalizeHostname(String(site || '').trim().replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0]);
+  }
+
+  // Normalized, de-duplicated sites of a list, without blanks
+  function normalizeDomains(sites) {
+    return [...new Set((sites || []).map(normalizeDomain).filter(Boolean))];
+  }
+
+  // Whether a hostname is one of the sites or a subdomain of one
+  function matchesDomain(hostname, sites) {
+    const host = CategoryRules.normalizeHostname(hostname);
+    return (sites || []).some(site => host === site || host.endsWith(`.${site}`));
+  }
+
+  // URL without its query string and fragment
+  function stripUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.search = '';
+      parsed.hash = '';
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+
+  // Whether a tab ({ url, incognito }) may be tracked under the settings
+  function isTrackable(tab, { excludedDomains = [] } = {}) {
+    if (!tab || tab.incognito) return false;
+    try {
+      return !matchesDomain(new URL(tab.url).hostname, excludedDomains);
+    } catch {
+      return true;
+    }
+  }
+
+  // { url, title } of a page ({ url, title, hostname }) as they may be stored
+  function redact({ url, title, hostname }, { privateDomains = [] } = {}) {
+    if (matchesDomain(hostname, privateDomains)) return { url: undefined, title: undefined };
+    return { url: url && stripUrl(url), title };
+  }
+
+  return {
+    normalizeDomain,
+    normalizeDomains,
+    matchesDomain,
+    stripUrl,
+    isTrackable,
+    redact
+  };
+})();
@@ -0,0 +1,202 @@
+// rules.js – category rules engine
+//
+// A rule is { type, pattern, category, priority, domain? }:
+//   domain     exact hostname            "github.com"
+//   subdomain  hostname or any subdomain "*.google.com" (the "*." is optional)
+//   path       hostname + path prefix    "youtube.com/shorts"
+//   regex      tested against the URL    "^https://[^/]+/r/programming"
+//   title      keyword in the page title "conference"
+// `domain` optionally restricts regex and title rules to one site and its
+// subdomains. The highest priority match wins; ties go to the more specific
+// rule type, then to the earlier rule. backend/utils/categoryRules.js
+// implements the same format and must be kept in step with this file.
+
+const CategoryRules = (() => {
+  const RULE_TYPES = ['domain', 'subdomain', 'path', 'regex', 'title'];
+  const TYPE_SPECIFICITY = { path: 4, domain: 3, regex: 2, title: 2, subdomain: 1 };
+  const MAX_PATTERN_LENGTH = 200;
+  const MAX_CACHED_REGEXES = 500;
+  const regexCache = new Map();
+
+  function normalizeHostname(hostname) {
+    return String(hostname || '').toLowerCase().replace(/^www\./, '');
+  }
+
+  function stripWildcard(pattern) {
+    return normalizeHostname(String(pattern).trim().replace(/^\*\./, ''));
+  }
+
+  // Page context from a URL and title; hostname is used if the URL can't be parsed
+  function toContext({ url, hostname, title } = {}) {
+    try {
+      const parsed = new URL(url);
+      return {
+        url: parsed.href,
+        hostname: normalizeHostname(parsed.hostname),
+        pathname: parsed.pathname,
+        title: title || ''
+      };
+    } catch {
+      return { url: url || '', hostname: normalizeHostname(hostname || url), pathname: '/', title: title || '' };
+    }
+  }
+
+  function hostMatches(hostname, base) {
+    return hostname === base || hostname.endsWith(`.${base}`);
+  }
+
+  function getRegex(pattern) {
+    if (!regexCache.has(pattern)) {
+      if (regexCache.size >= MAX_CACHED_REGEXES) regexCache.clear();
+      let regex = null;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch {
+        regex = null;
+      }
+      regexCache.set(pattern, regex);
+    }
+    return regexCache.get(pattern);
+  }
+
+  // Whether a pattern can backtrack catastrophically: a backreference, or a
+  // repeated group that contains a quantifier or an alternation, like (a+)+
+  function isUnsafeRegex(pattern) {
+    const groups = []; // per open group: whether it has a quantifier or |
+    let inClass = false;
+    let afterAmbiguousGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const ambiguousGroup = afterAmbiguousGroup;
+      afterAmbiguousGroup = false;
+
+      if (char === '\\') {
+        if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return true;
+        i++;
+      } else if (inClass) {
+        if (char === ']') inClass = false;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        const prefix = pattern.slice(i).match(/^\(\?(?::|=|!|<=|<!|<[^>]*>)/);
+        if (prefix) i += prefix[0].length - 1;
+        groups.push(false);
+      } else if (char === ')') {
+        afterAmbiguousGroup = groups.pop() || false;
+        if (afterAmbiguousGroup && groups.length) groups[groups.length - 1] = true;
+      } else if (char === '|') {
+        if (groups.length) groups[groups.length - 1] = true;
+      } else if ('*+?{'.includes(char)) {
+        const bounds = char === '{' ? pattern.slice(i).match(/^\{(\d+)(?:(,)(\d*))?\}/) : null;
+        if (char === '{' && !bounds) continue;
+
+        let max = char === '?' ? 1 : Infinity;
+        if (bounds) {
+          max = bounds[2] && !bounds[3] ? Infinity : Number(bounds[3] || bounds[1]);
+          i += bounds[0].length - 1;
+        }
+        if (max > 1 && ambiguousGroup) return true;
+        if (groups.length) groups[groups.length - 1] = true;
+        if (pattern[i + 1] === '?') i++;
+      }
+    }
+    return false;
+  }
+
+  function matches(rule, context) {
+    if (rule.domain && !hostMatches(context.hostname, stripWildcard(rule.domain))) return false;
+
+    switch (rule.type) {
+      case 'domain':
+        return context.hostname === normalizeHostname(rule.pattern);
+      case 'subdomain':
+        return hostMatches(context.hostname, stripWildcard(rule.pattern));
+      case 'path': {
+        const slash = rule.pattern.indexOf('/');
+        if (slash === -1) return hostMatches(context.hostname, stripWildcard(rule.pattern));
+        const host = stripWildcard(rule.pattern.slice(0, slash));
+        const path = rule.pattern.slice(slash).toLowerCase();
+        return hostMatches(context.hostname, host) && context.pathname.toLowerCase().startsWith(path);
+      }
+      case 'regex': {
+        const regex = getRegex(rule.pattern);
+        return Boolean(regex && regex.test(context.url || context.hostname));
+      }
+      case 'title':
+        return Boolean(context.title) && context.title.toLowerCase().includes(rule.pattern.toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  // Rules in evaluation order
+  function sortRules(rules) {
+    return rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) =>
+        (b.rule.priority || 0) - (a.rule.priority || 0) ||
+        (TYPE_SPECIFICITY[b.rule.type] || 0) - (TYPE_SPECIFICITY[a.rule.type] || 0) ||
+        a.index - b.index
+      )
+      .map(({ rule }) => rule);
+  }
+
+  // First matching rule for a page, or null
+  function findMatchingRule(page, rules) {
+    const context = toContext(page);
+    return sortRules(rules || []).find(rule => matches(rule, context)) || null;
+  }
+
+  function categorize(page, rules) {
+    const rule = findMatchingRule(page, rules);
+    return rule ? rule.category : 'neutral';
+  }
+
+  // Error message for an invalid rule, or null
+  function validateRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) return 'Unknown rule type';
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'Pattern is required';
+    if (rule.pattern.length > MAX_PATTERN_LENGTH) return 'Pattern is too long';
+    if (typeof rule.category !== 'string' || !rule.category.trim()) return 'Category is required';
+    if (rule.priority !== undefined && !Number.isInteger(Number(rule.priority))) return 'Priority must be an integer';
+    if (rule.type === 'regex' && !getRegex(rule.pattern)) return 'Invalid regular expression';
+    if (rule.type === 'regex' && isUnsafeRegex(rule.pattern)) return 'Regular expression could take too long to match';
+    return null;
+  }
+
+  // Rules equivalent to the old { productive: [...], unproductive: [...] } lists
+  function fromCategoryLists(categories) {
+    return Object.entries(categories || {}).flatMap(([category, sites]) =>
+      (sites || []).map(site => ({
+        type: site.includes('/') ? 'path' : 'subdomain',
+        pattern: site,
+        category,
+        priority: 0
+      }))
+    );
+  }
+
+  function describeRule(rule) {
+    const scope = rule.domain ? ` on ${rule.domain}` : '';
+    switch (rule.type) {
+      case 'domain': return rule.pattern;
+      case 'subdomain': return `*.${stripWildcard(rule.pattern)}`;
+      case 'path': return rule.pattern;
+      case 'regex': return `/${rule.pattern}/${scope}`;
+      case 'title': return `title contains "${rule.pattern}"${scope}`;
+      default: return rule.pattern;
+    }
+  }
+
+  return {
+    RULE_TYPES,
+    normalizeHostname,
+    findMatchingRule,
+    categorize,
+    sortRules,
+    validateRule,
+    fromCategoryLists,
+    describeRule
+  };
+})();
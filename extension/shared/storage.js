@@ -0,0 +1,1138 @@
+// storage.js – shared data access for the background worker, popup and dashboard
+//
+// Time is kept in per-day buckets under `timeData_YYYY-MM-DD`, each mapping a
+// hostname to { totalTime, idleTime, visits, category, lastVisit, title,
+// byCategory } with times in seconds. `byCategory` splits the totals when rules
+// put pages of one site in different categories. The individual sessions
+// behind those totals ({ id, hostname, url, title, category, startedAt,
+// endedAt, duration, tabId, windowId }, times in ms) are listed under
+// `sessions_YYYY-MM-DD`, by the day they ended. Category rules (see
+// rules.js) live under `categoryRules`, user-defined categories (see
+// categories.js) under `categoryDefinitions` and settings under `settings`.
+// The running focus session is kept under `focusState`, finished ones under
+// `focusSessions` and daily limits (see limits.js) under `timeLimits`.
+// Sessions recovered after a service-worker restart are logged under
+// `recoveryLog` for the dashboard's diagnostics view.
+// Projects ({ id, name, color, rules }) are kept under `projects`; their
+// rules use the category rule format, and the matching project's id is stored
+// on sessions and on the `byCategory` parts of a bucket as `project`.
+// Time logged by hand (meetings, calls) is stored as sessions with `manual`
+// and a `description`, filed under the MANUAL_HOSTNAME pseudo-site.
+// Days are calendar days in `settings.timezone` that begin at
+// `settings.dayStartHour`, so 1am with a 4am day start still counts towards
+// the day before.
+// This browser's identity ({ id, name, browser }) is kept under `device`; the
+// id goes with every uploaded entry. Category definitions and the settings in
+// SYNCED_SETTINGS carry when they were last changed (`modifiedAt` on each
+// definition, `settingsModifiedAt` per setting) so devices can merge them
+// last-writer-wins through the backend; deleted definitions stay behind with
+// `deleted: true` until the deletion has synced.
+// rules.js and categories.js must be loaded first.
+
+const TrackerStorage = (() => {
+  const TIME_DATA_PREFIX = 'timeData_';
+  const SESSIONS_PREFIX = 'sessions_';
+  const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const HOUR_MS = 60 * 60 * 1000;
+  const MANUAL_HOSTNAME = 'manual';
+  const MAX_DESCRIPTION_LENGTH = 500;
+
+  const DEFAULT_CATEGORIES = {
+    productive: [
+      'github.com',
+      'stackoverflow.com',
+      'docs.google.com',
+      'notion.so',
+      'trello.com',
+      'asana.com',
+      'slack.com',
+      'zoom.us',
+      'figma.com',
+      'codepen.io',
+      'developer.mozilla.org',
+      'w3schools.com'
+    ],
+    unproductive: [
+      'facebook.com',
+      'twitter.com',
+      'instagram.com',
+      'youtube.com',
+      'reddit.com',
+      'tiktok.com',
+      'netflix.com',
+      'twitch.tv',
+      'pinterest.com',
+      'snapchat.com'
+    ]
+  };
+
+  const MAX_FOCUS_SESSIONS = 500;
+  const MAX_RECOVERY_LOG = 100;
+
+  const DEFAULT_SETTINGS = {
+    idleThreshold: 30, // seconds without input before a session is paused
+    retentionDays: 30, // days of local data kept before the daily cleanup removes it
+    backendUrl: 'http://localhost:3000', // server the extension syncs with; the API is under /api
+    syncEnabled: true, // upload tracked time to the server while signed in
+    privateDomains: [], // sites tracked without storing URLs or titles (see privacy.js)
+    excludedDomains: [], // sites never tracked
+    focusMinutes: 25,
+    breakMinutes: 5,
+    focusCycles: 4,
+    focusAllowlist: [], // hostnames never blocked during focus sessions
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC', // IANA name days are counted in
+    dayStartHour: 0 // hour (0–23) at which a new day begins
+  };
+
+  // Settings shared by the user's devices; the server URL, sync switch and day settings stay per device
+  const SYNCED_SETTINGS = [
+    'idleThreshold',
+    'retentionDays',
+    'privateDomains',
+    'excludedDomains',
+    'focusMinutes',
+    'breakMinutes',
+    'focusCycles',
+    'focusAllowlist'
+  ];
+
+  // Timezone and day start hour in use; kept in step with the stored settings
+  let dayBoundary = { timezone: DEFAULT_SETTINGS.timezone, dayStartHour: 0 };
+  const formatters = new Map();
+
+  function isTimeZone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function setDayBoundary({ timezone, dayStartHour }) {
+    dayBoundary = {
+      timezone: isTimeZone(timezone) ? timezone : 'UTC',
+      dayStartHour: Number.isInteger(dayStartHour) && dayStartHour >= 0 && dayStartHour < 24 ? dayStartHour : 0
+    };
+  }
+
+  const boundaryReady = chrome.storage.local.get(['settings'])
+    .then(result => setDayBoundary({ ...DEFAULT_SETTINGS, ...result.settings }))
+    .catch(err => console.error('Failed to load day settings:', err));
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.settings && changes.settings.newValue) {
+      setDayBoundary({ ...DEFAULT_SETTINGS, ...changes.settings.newValue });
+    }
+  });
+
+  // Resolves once the stored day settings are in use
+  function ready() {
+    return boundaryReady;
+  }
+
+  // Wall-clock { year, month, day, hour, minute, weekday } of a time in the timezone; weekday 0 is Sunday
+  function zonedParts(date, timezone = dayBoundary.timezone) {
+    if (!formatters.has(timezone)) {
+      formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  // YYYY-MM-DD key of the day a time falls on; date keys are returned as they are
+  function dateKey(date = new Date()) {
+    if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) return date;
+    const { year, month, day } = zonedParts(new Date(date).getTime() - dayBoundary.dayStartHour * HOUR_MS);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  function addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  // Time (ms) of a wall-clock time ("YYYY-MM-DDTHH:MM", as in datetime-local inputs) in the timezone
+  function fromWallClock(value) {
+    const [date, time = '00:00'] = value.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // Offset of the timezone at a time, checked twice to land on the right side of DST changes
+    const offsetAt = at => {
+      const parts = zonedParts(at);
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(at / 60000) * 60000;
+    };
+    const guess = wallClock - offsetAt(wallClock);
+    return wallClock - offsetAt(guess);
+  }
+
+  // "YYYY-MM-DDTHH:MM" wall-clock time of a time in the timezone
+  function toWallClock(date) {
+    const { year, month, day, hour, minute } = zonedParts(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+  }
+
+  // Time (ms) at which the day with the given key begins
+  function dayStart(key) {
+    return fromWallClock(`${dateKey(key)}T${String(dayBoundary.dayStartHour).padStart(2, '0')}:00`);
+  }
+
+  function bucketKey(date) {
+    return `${TIME_DATA_PREFIX}${dateKey(date)}`;
+  }
+
+  function sessionsKey(date) {
+    return bucketKey(date).replace(TIME_DATA_PREFIX, SESSIONS_PREFIX);
+  }
+
+  // Date keys from start to end inclusive
+  function dateRange(startDate, endDate) {
+    const dates = [];
+    const last = dateKey(endDate);
+    for (let key = dateKey(startDate); key <= last; key = addDays(key, 1)) {
+      dates.push(key);
+    }
+    return dates;
+  }
+
+  async function getDayData(date = new Date()) {
+    await boundaryReady;
+    const key = bucketKey(date);
+    const result = await chrome.storage.local.get([key]);
+    return result[key] || {};
+  }
+
+  // { date: bucket } for every day in the range that has data
+  async function getRangeData(startDate, endDate) {
+    await boundaryReady;
+    const dates = dateRange(startDate, endDate);
+    const result = await chrome.storage.local.get(dates.map(bucketKey));
+    const days = {};
+    dates.forEach(date => {
+      const bucket = result[bucketKey(date)];
+      if (bucket) days[date] = bucket;
+    });
+    return days;
+  }
+
+  // Per-category totals for one hostname in a bucket
+  function categoryBreakdown(data) {
+    return data.byCategory || {
+      [data.category || 'neutral']: { totalTime: data.totalTime, visits: data.visits }
+    };
+  }
+
+  // Flatten the day buckets into one row per hostname and category per day
+  async function getEntries(startDate, endDate) {
+    const days = await getRangeData(startDate, endDate);
+    return Object.entries(days).flatMap(([date, bucket]) =>
+      Object.entries(bucket).flatMap(([hostname, data]) =>
+        Object.entries(categoryBreakdown(data)).map(([category, part]) => ({
+          date,
+          hostname,
+          duration: part.totalTime,
+          idleTime: category === data.category ? data.idleTime || 0 : 0,
+          visits: part.visits,
+          category,
+          project: part.project || null,
+          title: data.title,
+          lastVisit: data.lastVisit
+        }))
+      )
+    );
+  }
+
+  async function updateDay(date, updater) {
+    await boundaryReady;
+    const key = bucketKey(date);
+    const result = await chrome.storage.local.get([key]);
+    const bucket = updater(result[key] || {});
+    await chrome.storage.local.set({ [key]: bucket });
+    return bucket;
+  }
+
+  function ensureSite(bucket, domain, category, title) {
+    if (!bucket[domain]) {
+      bucket[domain] = {
+        totalTime: 0,
+        visits: 0,
+        category,
+        lastVisit: Date.now(),
+        title: title || domain
+      };
+    }
+    return bucket[domain];
+  }
+
+  function addToSite(bucket, domain, seconds, { category = 'neutral', project, title, visitedAt = Date.now() }) {
+    const isNew = !bucket[domain];
+    const site = ensureSite(bucket, domain, category, title);
+    const byCategory = categoryBreakdown(site);
+    const part = byCategory[category] || { totalTime: 0, visits: 0 };
+
+    part.totalTime += seconds;
+    part.visits += 1;
+    if (project) part.project = project;
+    site.byCategory = { ...byCategory, [category]: part };
+    site.totalTime += seconds;
+    site.visits += 1;
+    site.category = category;
+    site.lastVisit = isNew ? visitedAt : Math.max(site.lastVisit, visitedAt);
+    if (title) site.title = title;
+  }
+
+  // Add a tracked session to the bucket of the day it ended, and to that
+  // day's session list when its start and end are known
+  async function addTime(domain, seconds, { id, category = 'neutral', project, title, url, startedAt, endedAt, tabId, windowId, manual, description } = {}) {
+    await boundaryReady;
+    const day = endedAt || new Date();
+    const key = bucketKey(day);
+    const listKey = sessionsKey(day);
+    const result = await chrome.storage.local.get([key, listKey]);
+    const bucket = result[key] || {};
+    addToSite(bucket, domain, seconds, { category, project, title, visitedAt: endedAt || Date.now() });
+
+    if (!startedAt || !endedAt) {
+      await chrome.storage.local.set({ [key]: bucket });
+      return bucket;
+    }
+
+    const session = {
+      id: id || `${tabId}-${startedAt}`,
+      hostname: domain,
+      url,
+      title,
+      category,
+      project: project || null,
+      startedAt,
+      endedAt,
+      duration: seconds,
+      tabId,
+      windowId
+    };
+    if (manual) Object.assign(session, { manual: true, description });
+    await chrome.storage.local.set({ [key]: bucket, [listKey]: [...(result[listKey] || []), session] });
+    return bucket;
+  }
+
+  // Error message for an invalid manual entry ({ startedAt, endedAt, description, category }), or null
+  function validateManualEntry(entry) {
+    if (!entry || !Number.isFinite(entry.startedAt) || !Number.isFinite(entry.endedAt)) return 'Start and end are required';
+    if (entry.endedAt <= entry.startedAt) return 'End must be after start';
+    if (entry.endedAt - entry.startedAt < 1000) return 'Entries must last at least a second';
+    if (entry.description && entry.description.length > MAX_DESCRIPTION_LENGTH) return 'Description is too long';
+    if (typeof entry.category !== 'string' || !entry.category) return 'Category is required';
+    return null;
+  }
+
+  // Log time spent away from the browser; returns the stored session
+  async function addManualEntry({ id, startedAt, endedAt, description, category, project }) {
+    const duration = Math.round((endedAt - startedAt) / 1000);
+    const session = {
+      id: id || `manual-${crypto.randomUUID()}`,
+      category,
+      project: project || null,
+      title: description,
+      startedAt,
+      endedAt,
+      manual: true,
+      description
+    };
+    await addTime(MANUAL_HOSTNAME, duration, session);
+    return { ...session, hostname: MANUAL_HOSTNAME, duration };
+  }
+
+  // Remove one session and its time from the day it was filed under
+  async function removeSession(session) {
+    await boundaryReady;
+    const key = bucketKey(session.endedAt);
+    const listKey = sessionsKey(session.endedAt);
+    const result = await chrome.storage.local.get([key, listKey]);
+    const sessions = result[listKey] || [];
+    const stored = sessions.find(item => item.id === session.id);
+    if (!stored) return null;
+
+    const bucket = result[key] || {};
+    const site = bucket[stored.hostname];
+    if (site) {
+      const byCategory = categoryBreakdown(site);
+      const part = byCategory[stored.category];
+      if (part) {
+        part.totalTime -= stored.duration;
+        part.visits -= 1;
+        if (part.totalTime <= 0) delete byCategory[stored.category];
+      }
+      site.totalTime -= stored.duration;
+      site.visits -= 1;
+      site.byCategory = byCategory;
+      if (!byCategory[site.category]) site.category = Object.keys(byCategory)[0] || site.category;
+      if (site.totalTime <= 0 && !site.idleTime) delete bucket[stored.hostname];
+    }
+
+    await chrome.storage.local.set({
+      [key]: bucket,
+      [listKey]: sessions.filter(item => item.id !== session.id)
+    });
+    return stored;
+  }
+
+  // Change a manual entry, moving its time to another day if its end moved
+  async function updateManualEntry(session, changes) {
+    const removed = await removeSession(session);
+    if (!removed) return null;
+    return addManualEntry({ ...removed, ...changes, id: removed.id });
+  }
+
+  async function deleteManualEntry(session) {
+    return removeSession(session);
+  }
+
+  // Sessions that overlap the range, oldest first
+  async function getSessions(startDate, endDate = new Date()) {
+    await boundaryReady;
+    const from = new Date(startDate).getTime();
+    const to = new Date(endDate).getTime();
+    // A session is listed on the day it ended, which can be after the range
+    const dates = dateRange(startDate, new Date(to + 24 * 60 * 60 * 1000));
+    const result = await chrome.storage.local.get(dates.map(sessionsKey));
+    return dates
+      .flatMap(date => result[sessionsKey(date)] || [])
+      .filter(session => session.endedAt > from && session.startedAt < to)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  // Add imported entries ({ hostname, duration, category, title, url, timestamp, clientId })
+  // to their days' buckets; those with a startedAt also become sessions, once per clientId
+  async function addEntries(entries) {
+    await boundaryReady;
+    const byDay = {};
+    entries.forEach(entry => {
+      const key = bucketKey(entry.timestamp);
+      (byDay[key] = byDay[key] || []).push(entry);
+    });
+
+    const listKeys = Object.values(byDay).map(dayEntries => sessionsKey(dayEntries[0].timestamp));
+    const existing = await chrome.storage.local.get([...Object.keys(byDay), ...listKeys]);
+    const updated = {};
+    Object.entries(byDay).forEach(([key, dayEntries]) => {
+      const bucket = existing[key] || {};
+      const listKey = sessionsKey(dayEntries[0].timestamp);
+      const sessions = existing[listKey] || [];
+      const ids = new Set(sessions.map(session => session.id));
+      dayEntries.forEach(entry => {
+        addToSite(bucket, entry.hostname, entry.duration, {
+          category: entry.category,
+          title: entry.title,
+          visitedAt: new Date(entry.timestamp).getTime()
+        });
+        if (!entry.startedAt || ids.has(entry.clientId)) return;
+        ids.add(entry.clientId);
+        sessions.push({
+          id: entry.clientId,
+          hostname: entry.hostname,
+          url: entry.url,
+          title: entry.title,
+          category: entry.category,
+          project: null,
+          startedAt: new Date(entry.startedAt).getTime(),
+          endedAt: new Date(entry.timestamp).getTime(),
+          duration: entry.duration,
+          imported: true
+        });
+      });
+      updated[key] = bucket;
+      if (sessions.length) updated[listKey] = sessions;
+    });
+
+    await chrome.storage.local.set(updated);
+    return entries.length;
+  }
+
+  // Add an idle gap to today's bucket, separately from tracked time
+  async function addIdleTime(domain, seconds, { category } = {}) {
+    return updateDay(new Date(), bucket => {
+      const site = ensureSite(bucket, domain, category);
+      site.idleTime = (site.idleTime || 0) + seconds;
+      return bucket;
+    });
+  }
+
+  // Delete a hostname's time (and sessions) for a day, or only the part in one category
+  async function deleteEntry(date, hostname, category) {
+    await boundaryReady;
+    const listKey = sessionsKey(date);
+    const { [listKey]: sessions } = await chrome.storage.local.get([listKey]);
+    if (sessions) {
+      await chrome.storage.local.set({
+        [listKey]: sessions.filter(session =>
+          session.hostname !== hostname || (category && session.category !== category)
+        )
+      });
+    }
+
+    return updateDay(date, bucket => {
+      const site = bucket[hostname];
+      if (!site) return bucket;
+
+      const byCategory = categoryBreakdown(site);
+      if (!category || !byCategory[category] || Object.keys(byCategory).length === 1) {
+        delete bucket[hostname];
+        return bucket;
+      }
+
+      site.totalTime -= byCategory[category].totalTime;
+      site.visits -= byCategory[category].visits;
+      delete byCategory[category];
+      site.byCategory = byCategory;
+      if (site.category === category) site.category = Object.keys(byCategory)[0];
+      return bucket;
+    });
+  }
+
+  // Assign a project (or none, with null) to a hostname's time for a day,
+  // or only to the part in one category
+  async function assignProject(date, hostname, category, project) {
+    await boundaryReady;
+    const listKey = sessionsKey(date);
+    const { [listKey]: sessions } = await chrome.storage.local.get([listKey]);
+    if (sessions) {
+      await chrome.storage.local.set({
+        [listKey]: sessions.map(session =>
+          session.hostname === hostname && (!category || session.category === category)
+            ? { ...session, project }
+            : session
+        )
+      });
+    }
+
+    return updateDay(date, bucket => {
+      const site = bucket[hostname];
+      if (!site) return bucket;
+
+      const byCategory = categoryBreakdown(site);
+      Object.keys(byCategory).forEach(key => {
+        if (category && key !== category) return;
+        byCategory[key] = { ...byCategory[key], project };
+        if (!project) delete byCategory[key].project;
+      });
+      site.byCategory = byCategory;
+      return bucket;
+    });
+  }
+
+  // Re-apply category rules to the stored days in a range. Sessions know their
+  // URL and title, so every rule applies to them; time without sessions (imported
+  // or recorded before sessions were kept) is matched on the hostname and the
+  // site's last title only. Manual time keeps the category it was logged with and
+  // is left out. Returns { before, after, changes } (seconds per category, and
+  // [{ hostname, from, to, duration }]); only writes when apply is set.
+  async function recategorize(startDate, endDate, rules, { apply = false } = {}) {
+    await boundaryReady;
+    const dates = dateRange(startDate, endDate);
+    const keys = dates.flatMap(date => [bucketKey(date), sessionsKey(date)]);
+    const result = await chrome.storage.local.get(keys);
+    const before = {};
+    const after = {};
+    const changes = new Map();
+    const updated = {};
+
+    const count = (hostname, from, to, duration) => {
+      before[from] = (before[from] || 0) + duration;
+      after[to] = (after[to] || 0) + duration;
+      if (from === to) return;
+      const key = `${hostname}|${from}|${to}`;
+      const change = changes.get(key) || { hostname, from, to, duration: 0 };
+      change.duration += duration;
+      changes.set(key, change);
+    };
+
+    dates.forEach(date => {
+      const bucket = result[bucketKey(date)];
+      if (!bucket) return;
+      const sessions = result[sessionsKey(date)] || [];
+
+      const newSessions = sessions.map(session =>
+        session.manual ? session : { ...session, category: categorize(session, rules) });
+      const newBucket = {};
+      Object.entries(bucket).forEach(([hostname, site]) => {
+        if (hostname === MANUAL_HOSTNAME) {
+          newBucket[hostname] = site;
+          return;
+        }
+        const byCategory = {};
+        const add = (category, totalTime, visits, project) => {
+          const part = byCategory[category] || { totalTime: 0, visits: 0 };
+          byCategory[category] = { ...part, totalTime: part.totalTime + totalTime, visits: part.visits + visits };
+          if (project) byCategory[category].project = project;
+        };
+
+        // Whatever the site's sessions don't account for is left per old category
+        const rest = Object.fromEntries(Object.entries(categoryBreakdown(site)).map(([category, part]) => [category, { ...part }]));
+        let lastSession = null;
+        sessions.forEach((session, index) => {
+          if (session.hostname !== hostname) return;
+          const newCategory = newSessions[index].category;
+          count(hostname, session.category, newCategory, session.duration);
+          add(newCategory, session.duration, 1, session.project);
+          if (rest[session.category]) {
+            rest[session.category].totalTime -= session.duration;
+            rest[session.category].visits -= 1;
+          }
+          lastSession = newSessions[index];
+        });
+
+        const siteCategory = categorize({ hostname, title: site.title }, rules);
+        Object.entries(rest).forEach(([category, part]) => {
+          if (part.totalTime <= 0) return;
+          count(hostname, category, siteCategory, part.totalTime);
+          add(siteCategory, part.totalTime, Math.max(part.visits, 0), part.project);
+        });
+        if (!Object.keys(byCategory).length) add(siteCategory, 0, 0); // idle time only
+
+        newBucket[hostname] = {
+          ...site,
+          byCategory,
+          category: lastSession ? lastSession.category : siteCategory
+        };
+      });
+      updated[bucketKey(date)] = newBucket;
+      if (sessions.length) updated[sessionsKey(date)] = newSessions;
+    });
+
+    if (apply && Object.keys(updated).length) await chrome.storage.local.set(updated);
+    return {
+      before,
+      after,
+      changes: [...changes.values()].sort((a, b) => b.duration - a.duration)
+    };
+  }
+
+  // Combine a site's totals from another bucket into this one
+  function mergeSite(bucket, hostname, data) {
+    const site = bucket[hostname];
+    if (!site) {
+      bucket[hostname] = data;
+      return;
+    }
+
+    const byCategory = categoryBreakdown(site);
+    Object.entries(categoryBreakdown(data)).forEach(([category, part]) => {
+      const existing = byCategory[category] || { totalTime: 0, visits: 0 };
+      byCategory[category] = { ...existing, totalTime: existing.totalTime + part.totalTime, visits: existing.visits + part.visits };
+      if (part.project && (!existing.project || data.lastVisit > site.lastVisit)) byCategory[category].project = part.project;
+    });
+    site.byCategory = byCategory;
+    site.totalTime += data.totalTime;
+    site.visits += data.visits;
+    if (data.idleTime) site.idleTime = (site.idleTime || 0) + data.idleTime;
+    if (data.lastVisit > site.lastVisit) {
+      site.lastVisit = data.lastVisit;
+      site.category = data.category;
+      if (data.title) site.title = data.title;
+    }
+  }
+
+  // Move stored time to the days it falls on under the current timezone and day
+  // start. Sessions move by their end time; a bucket only knows each site's last
+  // visit, so a site's totals for a day move together, to the day of that visit.
+  async function rebucket() {
+    await boundaryReady;
+    const all = await chrome.storage.local.get(null);
+    const oldKeys = Object.keys(all).filter(key => key.startsWith(TIME_DATA_PREFIX) || key.startsWith(SESSIONS_PREFIX));
+    const updated = {};
+
+    oldKeys.forEach(key => {
+      if (key.startsWith(SESSIONS_PREFIX)) {
+        all[key].forEach(session => {
+          const target = sessionsKey(session.endedAt);
+          updated[target] = [...(updated[target] || []), session];
+        });
+        return;
+      }
+
+      const date = key.slice(TIME_DATA_PREFIX.length);
+      Object.entries(all[key]).forEach(([hostname, site]) => {
+        const target = bucketKey(site.lastVisit ? site.lastVisit : date);
+        updated[target] = updated[target] || {};
+        mergeSite(updated[target], hostname, site);
+      });
+    });
+
+    Object.keys(updated)
+      .filter(key => key.startsWith(SESSIONS_PREFIX))
+      .forEach(key => updated[key].sort((a, b) => a.startedAt - b.startedAt));
+
+    const stale = oldKeys.filter(key => !updated[key]);
+    if (stale.length) await chrome.storage.local.remove(stale);
+    await chrome.storage.local.set(updated);
+    return Object.keys(updated).length;
+  }
+
+  async function getTimeDataKeys() {
+    const all = await chrome.storage.local.get(null);
+    return Object.keys(all).filter(key => key.startsWith(TIME_DATA_PREFIX) || key.startsWith(SESSIONS_PREFIX));
+  }
+
+  async function clearTimeData() {
+    const keys = await getTimeDataKeys();
+    if (keys.length) await chrome.storage.local.remove(keys);
+  }
+
+  // Remove day buckets older than the given number of days
+  async function removeOlderThan(days) {
+    await boundaryReady;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days);
+    const cutoffKey = dateKey(cutoff);
+
+    const toRemove = (await getTimeDataKeys()).filter(key =>
+      key.replace(TIME_DATA_PREFIX, '').replace(SESSIONS_PREFIX, '') < cutoffKey
+    );
+    if (toRemove.length) await chrome.storage.local.remove(toRemove);
+
+    const sessions = await getFocusSessions();
+    const kept = sessions.filter(session => session.endedAt >= cutoff.getTime());
+    if (kept.length !== sessions.length) await chrome.storage.local.set({ focusSessions: kept });
+
+    return toRemove;
+  }
+
+  // The running focus session, or null
+  async function getFocusState() {
+    const result = await chrome.storage.local.get(['focusState']);
+    return result.focusState || null;
+  }
+
+  async function setFocusState(state) {
+    if (state) {
+      await chrome.storage.local.set({ focusState: state });
+    } else {
+      await chrome.storage.local.remove(['focusState']);
+    }
+    return state;
+  }
+
+  // Finished focus sessions, optionally only those that started in a date range
+  async function getFocusSessions(startDate, endDate) {
+    const result = await chrome.storage.local.get(['focusSessions']);
+    const sessions = result.focusSessions || [];
+    if (!startDate) return sessions;
+
+    await boundaryReady;
+    const from = dayStart(dateKey(startDate));
+    const to = dayStart(addDays(dateKey(endDate || new Date()), 1)) - 1;
+    return sessions.filter(session => session.startedAt >= from && session.startedAt <= to);
+  }
+
+  async function addFocusSession(session) {
+    const sessions = await getFocusSessions();
+    const updated = [...sessions, session].slice(-MAX_FOCUS_SESSIONS);
+    await chrome.storage.local.set({ focusSessions: updated });
+    return session;
+  }
+
+  // Flag sessions as uploaded so they are not sent again
+  async function markFocusSessionsSynced(clientIds) {
+    const ids = new Set(clientIds);
+    const sessions = (await getFocusSessions()).map(session =>
+      ids.has(session.clientId) ? { ...session, synced: true } : session
+    );
+    await chrome.storage.local.set({ focusSessions: sessions });
+  }
+
+  function getDefaultRules() {
+    return CategoryRules.fromCategoryLists(DEFAULT_CATEGORIES);
+  }
+
+  async function getRules() {
+    const result = await chrome.storage.local.get(['categoryRules']);
+    return result.categoryRules || [];
+  }
+
+  async function setRules(rules) {
+    await chrome.storage.local.set({ categoryRules: rules });
+    return rules;
+  }
+
+  // Stored definitions, deleted ones included
+  async function getCategoryDefinitions() {
+    const result = await chrome.storage.local.get(['categoryDefinitions']);
+    return result.categoryDefinitions || [];
+  }
+
+  // Built-in categories merged with the user's definitions
+  async function getCategories() {
+    const definitions = await getCategoryDefinitions();
+    return TrackerCategories.merge(definitions.filter(definition => !definition.deleted));
+  }
+
+  // Make `categories` the user's categories. Only keys whose definition changed are stamped
+  // with a new modifiedAt; keys left out are marked deleted (built-ins go back to their defaults).
+  async function setCategories(categories) {
+    const now = Date.now();
+    const stored = new Map((await getCategoryDefinitions()).map(definition => [definition.key, definition]));
+    const current = new Map((await getCategories()).map(category => [category.key, category]));
+    const wanted = new Map(categories.map(({ key, name, color, weight = null }) => [key, { key, name, color, weight }]));
+    const same = (a, b) => a.name === b.name && a.color === b.color && (a.weight ?? null) === (b.weight ?? null);
+
+    wanted.forEach((category, key) => {
+      if (current.has(key) && same(current.get(key), category)) return;
+      stored.set(key, { ...category, modifiedAt: now });
+    });
+    current.forEach((category, key) => {
+      if (wanted.has(key)) return;
+      stored.set(key, { key, name: category.name, color: category.color, weight: category.weight, modifiedAt: now, deleted: true });
+    });
+
+    await chrome.storage.local.set({ categoryDefinitions: [...stored.values()] });
+    return getCategories();
+  }
+
+  // Take definitions synced from the backend where they were changed after this device's copy
+  async function applySyncedCategories(definitions) {
+    const stored = new Map((await getCategoryDefinitions()).map(definition => [definition.key, definition]));
+    let changed = false;
+    definitions.forEach(({ key, name, color, weight, modifiedAt, deleted }) => {
+      const time = new Date(modifiedAt).getTime();
+      const local = stored.get(key);
+      if (local && local.modifiedAt >= time) return;
+      stored.set(key, { key, name, color, weight, modifiedAt: time, ...(deleted ? { deleted: true } : {}) });
+      changed = true;
+    });
+    if (changed) await chrome.storage.local.set({ categoryDefinitions: [...stored.values()] });
+    return changed;
+  }
+
+  // This browser's { id, name, browser }, created on first use. Callers that come while it
+  // is being created share that creation, so they all get one id. Pages ask the background
+  // worker (action "getDevice") rather than creating it themselves.
+  let deviceCreation = null;
+  async function getDevice() {
+    const result = await chrome.storage.local.get(['device']);
+    if (result.device) return result.device;
+
+    if (!deviceCreation) {
+      deviceCreation = createDevice().finally(() => {
+        deviceCreation = null;
+      });
+    }
+    return deviceCreation;
+  }
+
+  async function createDevice() {
+    const { device: stored } = await chrome.storage.local.get(['device']);
+    if (stored) return stored;
+
+    const browser = detectBrowser();
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    const device = {
+      id: crypto.randomUUID(),
+      name: (platform ? `${browser.split(' ')[0]} on ${platform}` : browser).slice(0, 60),
+      browser
+    };
+    await chrome.storage.local.set({ device });
+    return device;
+  }
+
+  async function setDeviceName(name) {
+    const device = { ...(await getDevice()), name: String(name).trim().slice(0, 60) };
+    await chrome.storage.local.set({ device });
+    return device;
+  }
+
+  // Browser name and major version, e.g. "Edge 126"
+  function detectBrowser() {
+    const brands = (navigator.userAgentData && navigator.userAgentData.brands) || [];
+    const brand = brands.find(item => !/not.a.brand|chromium/i.test(item.brand)) ||
+      brands.find(item => /chromium/i.test(item.brand));
+    if (brand) return `${brand.brand.replace(/^Google /, '').replace(/^Microsoft /, '')} ${brand.version}`;
+    const match = (navigator.userAgent || '').match(/(Edg|OPR|Firefox|Chrome)\/(\d+)/);
+    if (!match) return 'Browser';
+    return `${{ Edg: 'Edge', OPR: 'Opera' }[match[1]] || match[1]} ${match[2]}`;
+  }
+
+  async function getProjects() {
+    const result = await chrome.storage.local.get(['projects']);
+    return result.projects || [];
+  }
+
+  async function setProjects(projects) {
+    const stored = projects.map(({ id, name, color, rules }) => ({ id, name, color, rules: rules || [] }));
+    await chrome.storage.local.set({ projects: stored });
+    return stored;
+  }
+
+  // Id of the project whose rules match a page, or null; matches
+  // backend/utils/projects.js
+  function projectFor(page, projects) {
+    const rules = projects.flatMap(project =>
+      (project.rules || []).map(rule => ({ ...rule, category: project.id }))
+    );
+    const rule = CategoryRules.findMatchingRule(page, rules);
+    return rule ? rule.category : null;
+  }
+
+  async function getRecoveryLog() {
+    const result = await chrome.storage.local.get(['recoveryLog']);
+    return result.recoveryLog || [];
+  }
+
+  // Add a recovery, or update the entry of a session recovered before
+  async function recordRecovery(record) {
+    const log = await getRecoveryLog();
+    const previous = log.find(item => item.id === record.id);
+    const entry = { ...previous, ...record, restarts: ((previous && previous.restarts) || 0) + 1 };
+    const updated = [...log.filter(item => item.id !== record.id), entry].slice(-MAX_RECOVERY_LOG);
+    await chrome.storage.local.set({ recoveryLog: updated });
+    return entry;
+  }
+
+  async function clearRecoveryLog() {
+    await chrome.storage.local.remove(['recoveryLog']);
+  }
+
+  async function getLimits() {
+    const result = await chrome.storage.local.get(['timeLimits']);
+    return result.timeLimits || [];
+  }
+
+  async function setLimits(limits) {
+    await chrome.storage.local.set({ timeLimits: limits });
+    return limits;
+  }
+
+  // Category for a page ({ url, hostname, title }) under the given rules
+  function categorize(page, rules) {
+    return CategoryRules.categorize(page, rules);
+  }
+
+  async function getSettings() {
+    const result = await chrome.storage.local.get(['settings']);
+    return { ...DEFAULT_SETTINGS, ...result.settings };
+  }
+
+  async function updateSettings(changes) {
+    const previous = await getSettings();
+    const settings = { ...previous, ...changes };
+    const { settingsModifiedAt = {} } = await chrome.storage.local.get(['settingsModifiedAt']);
+    SYNCED_SETTINGS.forEach(name => {
+      if (name in changes && JSON.stringify(changes[name]) !== JSON.stringify(previous[name])) {
+        settingsModifiedAt[name] = Date.now();
+      }
+    });
+    await chrome.storage.local.set({ settings, settingsModifiedAt });
+    setDayBoundary(settings);
+    return settings;
+  }
+
+  // Synced settings changed on this device, as { name: { value, modifiedAt } }
+  async function getSyncedSettings() {
+    const settings = await getSettings();
+    const { settingsModifiedAt = {} } = await chrome.storage.local.get(['settingsModifiedAt']);
+    return Object.fromEntries(Object.entries(settingsModifiedAt)
+      .filter(([name]) => SYNCED_SETTINGS.includes(name))
+      .map(([name, modifiedAt]) => [name, { value: settings[name], modifiedAt: new Date(modifiedAt).toISOString() }]));
+  }
+
+  // Take settings synced from the backend where they were changed after this device's copy;
+  // returns the names that changed
+  async function applySyncedSettings(synced) {
+    const settings = await getSettings();
+    const { settingsModifiedAt = {} } = await chrome.storage.local.get(['settingsModifiedAt']);
+    const changed = Object.entries(synced).filter(([name, { modifiedAt }]) =>
+      SYNCED_SETTINGS.includes(name) && !(settingsModifiedAt[name] >= new Date(modifiedAt).getTime())
+    );
+    if (!changed.length) return [];
+
+    changed.forEach(([name, { value, modifiedAt }]) => {
+      settings[name] = value;
+      settingsModifiedAt[name] = new Date(modifiedAt).getTime();
+    });
+    await chrome.storage.local.set({ settings, settingsModifiedAt });
+    return changed.map(([name]) => name);
+  }
+
+  // Seed defaults without overwriting what the user already has
+  async function initialize() {
+    const result = await chrome.storage.local.get(['categoryRules', 'categories', 'settings', 'storageVersion']);
+    const settings = { ...DEFAULT_SETTINGS, ...result.settings };
+
+    if (!result.categoryRules && !result.categories && result.storageVersion === undefined) {
+      await chrome.storage.local.set({
+        categoryRules: getDefaultRules(),
+        settings,
+        storageVersion: MIGRATIONS.length
+      });
+      return;
+    }
+
+    await chrome.storage.local.set({ settings });
+    await migrate();
+  }
+
+  // Fold data written by older dashboard builds (`timeEntries`, `websiteCategories`)
+  // into the day buckets and category lists, then drop the old keys
+  async function migrateDashboardKeys() {
+    const result = await chrome.storage.local.get(['categories', 'timeEntries', 'websiteCategories']);
+    if (!result.timeEntries && !result.websiteCategories) return;
+
+    const categories = { productive: [], unproductive: [], ...result.categories };
+    Object.entries(result.websiteCategories || {}).forEach(([hostname, category]) => {
+      if (category !== 'productive' && category !== 'unproductive') return;
+      const other = category === 'productive' ? 'unproductive' : 'productive';
+      if (categories[other].includes(hostname)) return;
+      if (!categories[category].includes(hostname)) categories[category].push(hostname);
+    });
+    const rules = CategoryRules.fromCategoryLists(categories);
+
+    const buckets = {};
+    (result.timeEntries || []).forEach(entry => {
+      const duration = Math.floor(Number(entry.duration));
+      if (!entry.hostname || !(duration > 0) || isNaN(new Date(entry.date))) return;
+
+      const key = bucketKey(entry.date);
+      buckets[key] = buckets[key] || {};
+      const isNew = !buckets[key][entry.hostname];
+      const site = ensureSite(buckets[key], entry.hostname, categorize({ hostname: entry.hostname }, rules));
+      const visitedAt = new Date(entry.date).getTime();
+      site.totalTime += duration;
+      site.visits += 1;
+      site.lastVisit = isNew ? visitedAt : Math.max(site.lastVisit, visitedAt);
+    });
+
+    const existing = await chrome.storage.local.get(Object.keys(buckets));
+    Object.entries(buckets).forEach(([key, legacy]) => {
+      const bucket = existing[key] || {};
+      Object.entries(legacy).forEach(([hostname, data]) => {
+        if (!bucket[hostname]) {
+          bucket[hostname] = data;
+        } else {
+          bucket[hostname].totalTime += data.totalTime;
+          bucket[hostname].visits += data.visits;
+          bucket[hostname].lastVisit = Math.max(bucket[hostname].lastVisit, data.lastVisit);
+          if (bucket[hostname].byCategory) {
+            const part = bucket[hostname].byCategory[data.category] || { totalTime: 0, visits: 0 };
+            part.totalTime += data.totalTime;
+            part.visits += data.visits;
+            bucket[hostname].byCategory[data.category] = part;
+          }
+        }
+      });
+      buckets[key] = bucket;
+    });
+
+    await chrome.storage.local.set({ ...buckets, categories });
+    await chrome.storage.local.remove(['timeEntries', 'websiteCategories']);
+
+    const migrated = (result.timeEntries || []).length;
+    if (migrated) console.log('📦 Migrated legacy entries:', migrated);
+  }
+
+  // Turn the { productive: [...], unproductive: [...] } lists into rules
+  async function migrateCategoryLists() {
+    const result = await chrome.storage.local.get(['categories', 'categoryRules']);
+    if (!result.categories) return;
+
+    const rules = [...(result.categoryRules || []), ...CategoryRules.fromCategoryLists(result.categories)];
+    await chrome.storage.local.set({ categoryRules: rules });
+    await chrome.storage.local.remove(['categories']);
+  }
+
+  // Storage migrations; storageVersion is the number already applied
+  const MIGRATIONS = [
+    migrateDashboardKeys,
+    migrateCategoryLists,
+    rebucket // days used to be UTC calendar days
+  ];
+
+  async function migrate() {
+    const { storageVersion = 0 } = await chrome.storage.local.get(['storageVersion']);
+    for (let version = storageVersion; version < MIGRATIONS.length; version++) {
+      await MIGRATIONS[version]();
+      await chrome.storage.local.set({ storageVersion: version + 1 });
+    }
+  }
+
+  return {
+    SYNCED_SETTINGS,
+    MANUAL_HOSTNAME,
+    DEFAULT_CATEGORIES,
+    DEFAULT_SETTINGS,
+    ready,
+    isTimeZone,
+    zonedParts,
+    dateKey,
+    addDays,
+    dayStart,
+    fromWallClock,
+    toWallClock,
+    dateRange,
+    getDayData,
+    getRangeData,
+    getEntries,
+    addTime,
+    validateManualEntry,
+    addManualEntry,
+    updateManualEntry,
+    deleteManualEntry,
+    getSessions,
+    addEntries,
+    addIdleTime,
+    deleteEntry,
+    assignProject,
+    clearTimeData,
+    removeOlderThan,
+    rebucket,
+    recategorize,
+    getFocusState,
+    setFocusState,
+    getFocusSessions,
+    addFocusSession,
+    markFocusSessionsSynced,
+    getDefaultRules,
+    getRules,
+    setRules,
+    getCategories,
+    setCategories,
+    getCategoryDefinitions,
+    applySyncedCategories,
+    getDevice,
+    setDeviceName,
+    getProjects,
+    setProjects,
+    projectFor,
+    getLimits,
+    setLimits,
+    getRecoveryLog,
+    recordRecovery,
+    clearRecoveryLog,
+    categorize,
+    getSettings,
+    updateSettings,
+    getSyncedSettings,
+    applySyncedSettings,
+    initialize,
+    migrate
+  };
+})();